@@ -1,78 +1,216 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import useNewsFeed from './hooks/useNewsFeed';
-import { Calendar, TrendingUp, Award, Plus, Lock, User, BarChart3, Clock, Target, Trophy, Globe, AlertCircle, Check, Trash } from 'lucide-react';
+import useLatestCallback from './hooks/useLatestCallback';
+import useRealtimeChanges from './hooks/useRealtimeChanges';
+import { Calendar, TrendingUp, Award, Plus, Lock, User, BarChart3, Clock, Target, Trophy, Globe, AlertCircle, Check, Trash, X, GitBranch, Users, ArrowUp, ArrowDown, Pin, PinOff, RefreshCw } from 'lucide-react';
 
 import { supabase, getCurrentUser, validateSession, clearAuthStorage } from './supabase';
 import { adminService } from './services/adminService';
+import { dataService, mergeRows } from './services/dataService';
+import { discussionService } from './services/discussionService';
+import { newsService } from './services/newsService';
+import {
+  QUESTION_STATUSES,
+  QUESTION_TRANSITIONS,
+  TRANSITION_LABELS,
+  PUBLIC_STATUSES,
+  canTransition,
+  getQuestionStatus,
+  isEditable,
+  isOpenForForecasting,
+} from './utils/questionStatus';
+import {
+  CONDITION_PARENT_TYPES,
+  isConditional,
+  getConditionOutcomes,
+  formatConditionOutcome,
+  getConditionState,
+} from './utils/conditionalQuestion';
+import {
+  PERCENTILES,
+  percentileKey,
+  defaultNumericForecast,
+  validateNumericForecast,
+  isWithinInterval,
+  formatNumericForecast,
+} from './utils/numericForecast';
+import {
+  NOT_BEFORE_CLOSE,
+  toDayNumber,
+  fromDayNumber,
+  defaultDateForecast,
+  validateDateForecast,
+  getDateCdfPoints,
+  probabilityNotBeforeClose,
+  isWithinDateInterval,
+  formatDateResolution,
+  formatDateForecast,
+} from './utils/dateForecast';
+import {
+  AGGREGATION_METHODS,
+  DEFAULT_AGGREGATION_METHOD,
+  aggregateForecasts,
+  buildAggregateHistory,
+  summarizeAggregate,
+} from './utils/aggregation';
+import { getCalibrationPoints, computeCalibration } from './utils/calibration';
+import {
+  DEFAULT_SCORING_RULE,
+  SCORING_RULES,
+  getScoringRule,
+  compareScores,
+  uniformForecast,
+  calculateBrierScore,
+  calculateTimeWeightedBrier,
+  isScorable,
+} from './utils/scoringRules';
+import {
+  SUGGESTED_TAGS,
+  QUESTION_TYPE_LABELS,
+  FORECASTED_FILTERS,
+  DEFAULT_FILTERS,
+  parseTags,
+  formatTags,
+  filtersFromSearch,
+  filtersToSearch,
+  hasFilterParams,
+  isFiltered,
+} from './utils/questionFilters';
+import {
+  TOURNAMENT_PHASES,
+  getTournamentPhase,
+  isParticipant,
+  includesQuestion,
+  inTournamentWindow,
+  getTournamentRevisions,
+  getUserTournaments,
+  validateTournament,
+} from './utils/tournaments';
+import {
+  TEAM_SCORE_METHODS,
+  DEFAULT_TEAM_SCORE_METHOD,
+  getUserTeam,
+  buildTeamLeaderboard,
+} from './utils/teamScores';
+import {
+  FORECAST_VISIBILITY_MODES,
+  FORECAST_VISIBILITY_DESCRIPTIONS,
+  DEFAULT_FORECAST_VISIBILITY,
+  getVisibleDetail,
+  hiddenCrowdMessage,
+} from './utils/forecastVisibility';
+import {
+  buildScoreHistory,
+  trajectoryOutcome,
+  trajectoryValue,
+  trajectoryResolution,
+} from './utils/scoreHistory';
+import {
+  mentionHandle,
+  extractMentions,
+  splitMentions,
+  suggestMentions,
+  completeMention,
+} from './utils/mentions';
+import { selectRelatedNews } from './utils/newsRelevance';
 import './utils/masterDiagnostics';
 
-// Utility to compute Brier scores across question types
-const calculateBrierScore = (forecast, resolution, questionType) => {
-  if (questionType === 'binary') {
-    const p = forecast.probability / 100;
-    const outcome = resolution ? 1 : 0;
-    return Math.pow(p - outcome, 2) + Math.pow((1 - p) - (1 - outcome), 2);
-  } else if (questionType === 'three-category') {
-    const probs = [
-      forecast.increase / 100,
-      forecast.unchanged / 100,
-      forecast.decrease / 100,
-    ];
-    const outcomes = [0, 0, 0];
-    if (resolution === 'increase') outcomes[0] = 1;
-    else if (resolution === 'unchanged') outcomes[1] = 1;
-    else if (resolution === 'decrease') outcomes[2] = 1;
-    return probs.reduce(
-      (sum, prob, i) => sum + Math.pow(prob - outcomes[i], 2),
-      0
-    );
-  } else if (questionType === 'multiple-choice') {
-    const options = Object.keys(forecast);
-    const probs = options.map(opt => (forecast[opt] || 0) / 100);
-    const outcomes = options.map(opt => (resolution === opt ? 1 : 0));
-    return probs.reduce(
-      (sum, prob, i) => sum + Math.pow(prob - outcomes[i], 2),
-      0
-    );
+// Maps the admin form's range inputs onto the numeric question columns.
+// Date questions keep their window there as day numbers, and the event may
+// always happen after the window closes.
+const numericRangeFields = (data) => {
+  if (data.type === 'date') {
+    return {
+      range_min: data.rangeMin ? toDayNumber(data.rangeMin) : null,
+      range_max: data.rangeMax ? toDayNumber(data.rangeMax) : null,
+      open_lower_bound: false,
+      open_upper_bound: true,
+      unit: null,
+    };
   }
-  return 0;
+  const isNumeric = data.type === 'numeric';
+  return {
+    range_min: isNumeric && data.rangeMin !== '' ? Number(data.rangeMin) : null,
+    range_max: isNumeric && data.rangeMax !== '' ? Number(data.rangeMax) : null,
+    open_lower_bound: isNumeric ? Boolean(data.openLower) : false,
+    open_upper_bound: isNumeric ? Boolean(data.openUpper) : false,
+    unit: isNumeric ? data.unit || null : null,
+  };
 };
 
-// Compute a time-weighted Brier score for a single question
-// forecastHistory should contain all of a user's forecasts for the question
-// sorted by creation time ascending
-const calculateTimeWeightedBrier = (forecastHistory, question) => {
-  if (!question.isResolved || forecastHistory.length === 0) return 0;
-
-  const resolutionDate = new Date(
-    question.resolvedDate || question.resolved_date || question.close_date
-  );
-
-  let total = 0;
-  let totalDays = 0;
-
-  for (let i = 0; i < forecastHistory.length; i++) {
-    const current = forecastHistory[i];
-    const start = new Date(current.created_at || current.updated_at);
-    const end = i < forecastHistory.length - 1
-      ? new Date(forecastHistory[i + 1].created_at || forecastHistory[i + 1].updated_at)
-      : resolutionDate;
-
-    // Number of days the forecast was active (inclusive)
-    let daysActive = Math.floor((end - start) / (1000 * 60 * 60 * 24)) + 1;
-    if (daysActive < 1) daysActive = 1;
+// A resolution as shown to people: dates rather than day numbers, and
+// numbers with their unit
+const formatResolution = (question, resolution = question.resolution) => {
+  if (question.type === 'date') return formatDateResolution(resolution);
+  if (question.type === 'numeric' && question.unit) return `${resolution} ${question.unit}`;
+  return String(resolution);
+};
 
-    const brier = calculateBrierScore(
-      current.forecast,
-      question.resolution,
-      question.type
-    );
+// Older three-category forecasts used a 'remain unchanged' key
+const normalizeForecast = (f) => {
+  const copy = { ...f };
+  if (copy['remain unchanged'] !== undefined && copy.unchanged === undefined) {
+    copy.unchanged = copy['remain unchanged'];
+  }
+  return copy;
+};
 
-    total += brier * daysActive;
-    totalDays += daysActive;
+// A forecast on one line, e.g. for the submission history
+const formatForecastSummary = (question, f) => {
+  const data = normalizeForecast(f);
+  if (question.type === 'binary') {
+    return `${data.probability}%`;
   }
+  if (question.type === 'three-category') {
+    return `Increase: ${data.increase}% | Unchanged: ${data.unchanged}% | Decrease: ${data.decrease}%`;
+  }
+  if (question.type === 'multiple-choice') {
+    return question.options.map(opt => `${opt}: ${data[opt]}%`).join(' | ');
+  }
+  if (question.type === 'numeric') {
+    return formatNumericForecast(data);
+  }
+  if (question.type === 'date') {
+    return formatDateForecast(data);
+  }
+  return JSON.stringify(data);
+};
+
+// A shared link to a filtered questions list opens that list; anything
+// else starts on the dashboard
+const landingView = () => (hasFilterParams(window.location.search) ? 'questions' : 'dashboard');
+
+// Nulls last, so undated questions follow the dated ones
+const sortByCloseDate = (questions) =>
+  [...questions].sort((a, b) => {
+    if (!a.close_date && !b.close_date) return 0;
+    if (!a.close_date) return 1;
+    if (!b.close_date) return -1;
+    return new Date(a.close_date) - new Date(b.close_date);
+  });
 
-  return totalDays > 0 ? total / totalDays : 0;
+// Stats of a forecaster with nothing resolved yet, also shown while the
+// real stats are loading
+const emptyStats = (rule) => ({
+  score: null,
+  adjustedScore: null,
+  rule,
+  questionsAnswered: 0,
+  resolvedAnswered: 0,
+  accuracy: 0,
+});
+
+// A forecaster's stats from their row of get_leaderboard or get_user_stats
+const statsFromRow = (row, rule) => {
+  const formatScore = (value) => (value === null ? null : Number(value).toFixed(3));
+  return {
+    score: formatScore(row.score),
+    adjustedScore: formatScore(row.adjusted_score),
+    rule,
+    questionsAnswered: row.questions_answered,
+    resolvedAnswered: row.resolved_answered,
+    accuracy: row.resolved_answered > 0 ? Number(row.accuracy).toFixed(1) : 0,
+  };
 };
 
 const ForecastingApp = () => {
@@ -81,16 +219,47 @@ const ForecastingApp = () => {
   const [activeView, setActiveView] = useState('login');
   const [questions, setQuestions] = useState([]);
   const [forecasts, setForecasts] = useState([]);
+  const [revisions, setRevisions] = useState([]);
   const [users, setUsers] = useState([]);
+  const [counts, setCounts] = useState({
+    questions: 0,
+    openQuestions: 0,
+    closedQuestions: 0,
+    resolvedQuestions: 0,
+    annulledQuestions: 0,
+    forecasts: 0,
+  });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [toast, setToast] = useState('');
+  const [liveUpdate, setLiveUpdate] = useState('');
+  const [dataVersion, setDataVersion] = useState(0);
+  const [tournaments, setTournaments] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [newsSources, setNewsSources] = useState([]);
+  // Server-side crowd forecasts by question id, for questions whose
+  // individual forecasts are hidden from the current user
+  const [aggregates, setAggregates] = useState({});
+  // Bumped when a rationale is saved so the discussion panel reloads
+  const [discussionVersion, setDiscussionVersion] = useState(0);
+  const [calibrationUserId, setCalibrationUserId] = useState(null);
+  const [settings, setSettings] = useState({
+    default_scoring_rule: DEFAULT_SCORING_RULE,
+    min_resolved_questions: 3,
+    skip_imputation: 'crowd',
+    forecast_visibility: DEFAULT_FORECAST_VISIBILITY,
+  });
 
   const showToast = (msg) => {
     setToast(msg);
     setTimeout(() => setToast(''), 3000);
   };
 
+  const flashLiveUpdate = (msg) => {
+    setLiveUpdate(msg);
+    setTimeout(() => setLiveUpdate(''), 4000);
+  };
+
   // Handle session recovery on page load and auth changes
   useEffect(() => {
     supabase.auth.getSession().then(({ data: { session } }) => {
@@ -119,7 +288,7 @@ const ForecastingApp = () => {
           const userData = await getCurrentUser();
           if (userData) {
             setCurrentUser(userData);
-            setActiveView('dashboard');
+            setActiveView(landingView());
             await loadAppData();
           }
         }
@@ -151,7 +320,7 @@ const ForecastingApp = () => {
         const userData = await getCurrentUser();
         if (userData) {
           setCurrentUser(userData);
-          setActiveView('dashboard');
+          setActiveView(landingView());
           await loadAppData();
         }
       } else if (event === 'SIGNED_OUT') {
@@ -160,7 +329,9 @@ const ForecastingApp = () => {
         setActiveView('login');
         setQuestions([]);
         setForecasts([]);
+        setRevisions([]);
         setUsers([]);
+        setCounts({ questions: 0, openQuestions: 0, closedQuestions: 0, resolvedQuestions: 0, annulledQuestions: 0, forecasts: 0 });
       }
     });
 
@@ -168,62 +339,229 @@ const ForecastingApp = () => {
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  // Load all app data
+  const isDemoUser = () => Boolean(currentUser?.id?.startsWith('demo-'));
+
+  // Questions are cached in close-date order, like the list views show them
+  const mergeQuestions = (rows) =>
+    setQuestions(prev => sortByCloseDate(mergeRows(prev, rows)));
+
+  // Adds the camel-cased fields the views use. Opening and closing questions
+  // on schedule happens in the database (see advance_question_lifecycle),
+  // never here.
+  const processQuestions = (rows) =>
+    rows.map(q => {
+      const status = getQuestionStatus(q);
+      return {
+        ...q,
+        status,
+        isResolved: status === 'resolved',
+        resolvedDate: q.resolved_date,
+      };
+    });
+
+  const unwrap = (result) => {
+    if (!result.success) throw new Error(result.error);
+    return result;
+  };
+
+  // Settings and the question/forecast totals shown in several views. The
+  // rows themselves are loaded by each view through the loaders below.
   const loadAppData = async () => {
     try {
-      const [questionsResult, forecastsResult, usersResult] = await Promise.all([
-        supabase
-          .from('questions')
-          .select('*')
-          .order('close_date', { ascending: true, nullsFirst: false }),
-        supabase.from('forecasts').select('*'),
-        supabase.from('users').select('*'),
+      const [settingsResult, tournamentsResult, teamsResult] = await Promise.all([
+        dataService.getSettings().then(unwrap),
+        dataService.getTournaments().then(unwrap),
+        dataService.getTeams().then(unwrap),
+        loadCounts(),
       ]);
+      setSettings(prev => ({ ...prev, ...settingsResult.settings }));
+      setTournaments(tournamentsResult.tournaments);
+      setTeams(teamsResult.teams);
+    } catch (error) {
+      console.error('Error loading app data:', error);
+      setError('Failed to load data');
+    }
+  };
 
-      if (questionsResult.error) throw questionsResult.error;
-      if (forecastsResult.error) throw forecastsResult.error;
-      if (usersResult.error) throw usersResult.error;
-
-      const today = new Date().toISOString().split('T')[0];
-      const processed = [];
-      for (const q of questionsResult.data || []) {
-        let isResolved = q.is_resolved;
-        let resolvedDate = q.resolved_date;
-
-        if (!isResolved && q.close_date && new Date(q.close_date) <= new Date(today)) {
-          isResolved = true;
-          resolvedDate = q.close_date;
-          if (!currentUser?.id?.startsWith('demo-')) {
-            await supabase
-              .from('questions')
-              .update({ is_resolved: true, resolved_date: resolvedDate })
-              .eq('id', q.id);
-          }
-        }
+  const loadCounts = async () => {
+    const [all, open, closed, resolved, annulled, forecastTotal] = await Promise.all([
+      dataService.countQuestions('all').then(unwrap),
+      dataService.countQuestions('open').then(unwrap),
+      dataService.countQuestions('closed').then(unwrap),
+      dataService.countQuestions('resolved').then(unwrap),
+      dataService.countQuestions('annulled').then(unwrap),
+      dataService.countForecasts().then(unwrap),
+    ]);
+    setCounts({
+      questions: all.count,
+      openQuestions: open.count,
+      closedQuestions: closed.count,
+      resolvedQuestions: resolved.count,
+      annulledQuestions: annulled.count,
+      forecasts: forecastTotal.count,
+    });
+  };
 
-        processed.push({
-          ...q,
-          isResolved,
-          resolvedDate,
-        });
+  // Every forecast on the given questions the user may see (for crowd
+  // forecasts), the current user's revisions of them (for the history panel)
+  // and the crowd forecasts of questions showing only the aggregate. Demo
+  // users have no rows in the database, so there are no revisions to fetch.
+  const loadQuestionDetails = async (questionIds) => {
+    const [forecastsResult, revisionsResult, aggregatesResult] = await Promise.all([
+      dataService.getForecasts({ questionIds }).then(unwrap),
+      isDemoUser()
+        ? { revisions: [] }
+        : dataService.getRevisions({ questionIds, userId: currentUser?.id }).then(unwrap),
+      isDemoUser()
+        ? { aggregates: {} }
+        : dataService.getQuestionAggregates(questionIds).then(unwrap),
+    ]);
+    setForecasts(prev => mergeRows(prev, forecastsResult.forecasts));
+    setRevisions(prev => mergeRows(prev, revisionsResult.revisions));
+    setAggregates(prev => ({ ...prev, ...aggregatesResult.aggregates }));
+    return forecastsResult.forecasts;
+  };
+
+  const loadUsersByIds = async (ids) => {
+    const result = await dataService.getUsers({ ids: Array.from(new Set(ids)) }).then(unwrap);
+    setUsers(prev => mergeRows(prev, result.users));
+  };
+
+  // Parents of conditional questions, so their condition can be shown
+  const loadParentQuestions = async (rows) => {
+    const missing = rows
+      .filter(isConditional)
+      .map(q => q.parent_question_id)
+      .filter(id => !rows.some(q => q.id === id) && !questions.some(q => q.id === id));
+    if (missing.length === 0) return;
+    const result = await dataService.getQuestionsByIds(Array.from(new Set(missing))).then(unwrap);
+    mergeQuestions(processQuestions(result.questions));
+  };
+
+  // One page of questions in a status, narrowed by the questions list
+  // filters (see utils/questionFilters). Returns the ids on the page so a
+  // filtered list shows only what matched.
+  const loadQuestionsPage = async (status, page = 0, filters = {}) => {
+    try {
+      const { search, tag, type, closeFrom, closeTo, forecasted } = filters;
+      const queryFilters = { search, tag, type, closeFrom, closeTo };
+      if (forecasted === 'forecasted' || forecasted === 'not-forecasted') {
+        const forecastedResult = await dataService.getForecastedQuestionIds(currentUser.id).then(unwrap);
+        queryFilters[forecasted === 'forecasted' ? 'ids' : 'excludeIds'] = forecastedResult.questionIds;
       }
+      const result = await dataService.getQuestions({ status, page, filters: queryFilters }).then(unwrap);
+      const processed = processQuestions(result.questions);
+      mergeQuestions(processed);
+      await Promise.all([
+        loadQuestionDetails(processed.map(q => q.id)),
+        loadParentQuestions(processed),
+      ]);
+      return { hasMore: result.hasMore, count: result.count, ids: processed.map(q => q.id) };
+    } catch (error) {
+      console.error('Error loading questions:', error);
+      setError('Failed to load questions');
+      return { hasMore: false, count: 0, ids: [] };
+    }
+  };
 
-      processed.sort((a, b) => {
-        if (!a.close_date && !b.close_date) return 0;
-        if (!a.close_date) return 1;
-        if (!b.close_date) return -1;
-        return new Date(a.close_date) - new Date(b.close_date);
-      });
+  const loadTags = async () => {
+    try {
+      const result = await dataService.getTags().then(unwrap);
+      return result.tags;
+    } catch (error) {
+      console.error('Error loading tags:', error);
+      return [];
+    }
+  };
+
+  // The dashboard's five most recent published questions, their forecasts
+  // and the forecasters needed to name each question's top scorer
+  const loadDashboardData = async () => {
+    try {
+      const result = await dataService
+        .getQuestions({
+          status: PUBLIC_STATUSES,
+          page: 0,
+          pageSize: 5,
+          orderBy: 'created_at',
+          ascending: false,
+        })
+        .then(unwrap);
+      const processed = processQuestions(result.questions);
+      mergeQuestions(processed);
+      const [questionForecasts] = await Promise.all([
+        loadQuestionDetails(processed.map(q => q.id)),
+        loadParentQuestions(processed),
+      ]);
+      await loadUsersByIds(questionForecasts.map(f => f.user_id));
+    } catch (error) {
+      console.error('Error loading dashboard:', error);
+      setError('Failed to load dashboard');
+    }
+  };
 
-      setQuestions(processed);
-      setForecasts(forecastsResult.data || []);
-      setUsers(usersResult.data || []);
+  // Users, totals and recent activity for the admin panel
+  const loadAdminData = async () => {
+    try {
+      const [usersResult, recentResult, sourcesResult] = await Promise.all([
+        dataService.getUsers().then(unwrap),
+        dataService.getRecentForecasts().then(unwrap),
+        adminService.getNewsSources().then(unwrap),
+        loadCounts(),
+      ]);
+      setUsers(prev => mergeRows(prev, usersResult.users));
+      setNewsSources(sourcesResult.sources);
+      setForecasts(prev => mergeRows(prev, recentResult.forecasts));
+      const missing = recentResult.forecasts
+        .map(f => f.question_id)
+        .filter(id => !questions.some(q => q.id === id));
+      const questionsResult = await dataService.getQuestionsByIds(Array.from(new Set(missing))).then(unwrap);
+      mergeQuestions(processQuestions(questionsResult.questions));
     } catch (error) {
-      console.error('Error loading app data:', error);
-      setError('Failed to load data');
+      console.error('Error loading admin data:', error);
+      setError('Failed to load admin data');
     }
   };
 
+  // A forecaster's full revision history and the questions it covers, for
+  // the calibration view
+  const loadUserHistory = async (userId) => {
+    if (userId.startsWith('demo-')) return;
+    try {
+      const [revisionsResult, forecastsResult] = await Promise.all([
+        dataService.getRevisions({ userId }).then(unwrap),
+        dataService.getForecasts({ userId }).then(unwrap),
+      ]);
+      setRevisions(prev => mergeRows(prev, revisionsResult.revisions));
+      setForecasts(prev => mergeRows(prev, forecastsResult.forecasts));
+      const missing = forecastsResult.forecasts
+        .map(f => f.question_id)
+        .filter(id => !questions.some(q => q.id === id));
+      const questionsResult = await dataService.getQuestionsByIds(missing).then(unwrap);
+      mergeQuestions(processQuestions(questionsResult.questions));
+      if (!users.some(u => u.id === userId)) await loadUsersByIds([userId]);
+    } catch (error) {
+      console.error('Error loading forecast history:', error);
+      setError('Failed to load forecast history');
+    }
+  };
+
+  const refreshQuestion = async (questionId) => {
+    const result = await dataService.getQuestionsByIds([questionId]).then(unwrap);
+    mergeQuestions(processQuestions(result.questions));
+  };
+
+  // Reloads only the current user's forecast and revisions on one question
+  const refreshUserForecast = async (questionId) => {
+    const [forecastsResult, revisionsResult] = await Promise.all([
+      dataService.getForecasts({ questionIds: [questionId], userId: currentUser.id }).then(unwrap),
+      dataService.getRevisions({ questionIds: [questionId], userId: currentUser.id }).then(unwrap),
+    ]);
+    setForecasts(prev => mergeRows(prev, forecastsResult.forecasts));
+    setRevisions(prev => mergeRows(prev, revisionsResult.revisions));
+    return revisionsResult.revisions;
+  };
+
   // Sample questions
   useEffect(() => {
     const sampleQuestions = [
@@ -281,6 +619,72 @@ const ForecastingApp = () => {
   // Economic news headlines
   const newsFeed = useNewsFeed('economy', questions);
 
+  // Merges changes made by other sessions into the cached tables. Bumping
+  // `dataVersion` makes server-ranked views such as the leaderboard refetch.
+  const applyRealtimeChange = async ({ table, eventType, new: row, old }) => {
+    try {
+      if (table === 'questions') {
+        if (eventType === 'DELETE') {
+          setQuestions(prev => prev.filter(q => q.id !== old.id));
+          setForecasts(prev => prev.filter(f => f.question_id !== old.id));
+          setRevisions(prev => prev.filter(r => r.question_id !== old.id));
+        } else {
+          mergeQuestions(processQuestions([row]));
+        }
+        await loadCounts();
+        const changedStatus = eventType === 'UPDATE' && row.status !== old?.status;
+        // Forecasts hidden while the question was open become readable
+        if (changedStatus && ['closed', 'resolved'].includes(row.status)) {
+          await loadQuestionDetails([row.id]);
+        }
+        flashLiveUpdate(
+          changedStatus && row.status === 'resolved' ? 'A question was resolved'
+            : changedStatus && row.status === 'closed' ? 'A question closed for forecasting'
+            : changedStatus && row.status === 'open' ? 'A question opened for forecasting'
+            : changedStatus && row.status === 'annulled' ? 'A question was annulled'
+            : 'Questions updated'
+        );
+      } else if (table === 'forecasts') {
+        if (eventType === 'DELETE') {
+          setForecasts(prev => prev.filter(f => f.id !== old.id));
+        } else {
+          setForecasts(prev => mergeRows(prev, [row]));
+          if (row.user_id === currentUser?.id) await refreshUserForecast(row.question_id);
+        }
+        setCounts(prev => ({
+          ...prev,
+          forecasts: prev.forecasts + (eventType === 'INSERT' ? 1 : eventType === 'DELETE' ? -1 : 0),
+        }));
+        // A DELETE carries only the old row, and only its key unless the table
+        // has full replica identity, so deletes of unknown owners stay quiet
+        const changed = eventType === 'DELETE' ? old : row;
+        if (changed?.user_id && changed.user_id !== currentUser?.id) {
+          flashLiveUpdate(
+            eventType === 'INSERT' ? 'New forecast submitted'
+              : eventType === 'UPDATE' ? 'A forecast was updated'
+              : 'A forecast was withdrawn'
+          );
+        }
+      } else if (table === 'users') {
+        if (eventType === 'DELETE') {
+          setUsers(prev => prev.filter(u => u.id !== old.id));
+        } else {
+          setUsers(prev => mergeRows(prev, [row]));
+        }
+        flashLiveUpdate('Forecasters updated');
+      }
+      setDataVersion(version => version + 1);
+    } catch (error) {
+      console.error('Error applying realtime change:', error);
+    }
+  };
+
+  useRealtimeChanges(
+    ['questions', 'forecasts', 'users'],
+    applyRealtimeChange,
+    Boolean(currentUser) && !currentUser.id?.startsWith('demo-')
+  );
+
  // Authentication functions
   const login = async (email, password) => {
     try {
@@ -304,7 +708,7 @@ const ForecastingApp = () => {
           must_change_password: false
         };
         setCurrentUser(demoUserData);
-        setActiveView('dashboard');
+        setActiveView(landingView());
         await loadAppData();
         return true;
       }
@@ -407,7 +811,8 @@ const ForecastingApp = () => {
       }
 
       setError(`✅ Invitation email sent to ${userData.email}`);
-      await loadAppData();
+      const usersResult = await dataService.getUsers().then(unwrap);
+      setUsers(prev => mergeRows(prev, usersResult.users));
       return true;
     } catch (error) {
       console.error('Create user error:', error);
@@ -435,7 +840,7 @@ const ForecastingApp = () => {
       const result = await adminService.deleteUser(uid);
       if (!result.success) throw new Error(result.error);
 
-      await loadAppData();
+      setUsers((prev) => prev.filter((u) => u.id !== uid));
       showToast('User deleted');
       return true;
     } catch (error) {
@@ -501,13 +906,23 @@ const ForecastingApp = () => {
         type: questionData.type,
         categories: questionData.type === 'three-category' ? questionData.categories : null,
         options: questionData.type === 'multiple-choice' ? questionData.options : null,
+        ...numericRangeFields(questionData),
+        parent_question_id: questionData.parentQuestionId || null,
+        parent_outcome: questionData.parentQuestionId ? questionData.parentOutcome : null,
+        tags: parseTags(questionData.tags || ''),
+        forecast_visibility: questionData.forecastVisibility || null,
+        status: questionData.status,
+        open_date: questionData.status === 'scheduled' && questionData.openDate
+          ? new Date(questionData.openDate).toISOString()
+          : null,
         created_by: currentUser.id,
       };
 
       const result = await adminService.createQuestion(payload);
       if (!result.success) throw new Error(result.error);
 
-      await loadAppData(); // Refresh questions list
+      if (result.question) mergeQuestions(processQuestions([result.question]));
+      await loadCounts();
       return true;
     } catch (error) {
       console.error('Create question error:', error);
@@ -543,6 +958,9 @@ const ForecastingApp = () => {
                     updates.type === 'three-category' ? updates.categories : null,
                   options:
                     updates.type === 'multiple-choice' ? updates.options : null,
+                  ...numericRangeFields(updates),
+                  tags: parseTags(updates.tags || ''),
+                  forecast_visibility: updates.forecastVisibility || null,
                 }
               : q
           )
@@ -559,12 +977,15 @@ const ForecastingApp = () => {
         type: updates.type,
         categories: updates.type === 'three-category' ? updates.categories : null,
         options: updates.type === 'multiple-choice' ? updates.options : null,
+        ...numericRangeFields(updates),
+        tags: parseTags(updates.tags || ''),
+        forecast_visibility: updates.forecastVisibility || null,
       };
 
       const result = await adminService.updateQuestion(id, payload);
       if (!result.success) throw new Error(result.error);
 
-      await loadAppData();
+      if (result.question) mergeQuestions(processQuestions([result.question]));
       return true;
     } catch (error) {
       console.error('Update question error:', error);
@@ -585,6 +1006,11 @@ const ForecastingApp = () => {
 
       // Handle demo users by updating local state directly
       if (currentUser?.id?.startsWith('demo-')) {
+        const question = questions.find(q => q.id === questionId);
+        if (question && !canTransition(getQuestionStatus(question), 'resolved')) {
+          setError(`Cannot resolve a question that is ${getQuestionStatus(question)}`);
+          return false;
+        }
         const today = new Date().toISOString().split('T')[0];
         setQuestions(prev =>
           prev.map(q =>
@@ -593,6 +1019,7 @@ const ForecastingApp = () => {
                   ...q,
                   is_resolved: true,
                   isResolved: true,
+                  status: 'resolved',
                   resolution,
                   resolved_date: today,
                   resolvedDate: today,
@@ -604,13 +1031,14 @@ const ForecastingApp = () => {
       }
 
       const result = await adminService.resolveQuestion(questionId, {
+        status: 'resolved',
         is_resolved: true,
         resolution: resolution,
         resolved_date: new Date().toISOString().split('T')[0],
       });
       if (!result.success) throw new Error(result.error);
 
-      await loadAppData(); // Refresh questions list
+      await Promise.all([refreshQuestion(questionId), loadCounts()]);
       return true;
     } catch (error) {
       console.error('Resolve question error:', error);
@@ -619,1124 +1047,4626 @@ const ForecastingApp = () => {
     }
   };
 
-  const deleteQuestion = async (id) => {
+  // Annuls a question or corrects its resolution, with a required reason.
+  // The database rescores the question, so rankings are refetched too.
+  const amendResolution = async (questionId, { status, resolution, reason }) => {
     try {
       setError('');
+
       const isAdmin = await adminService.isCurrentUserAdmin();
       if (!isAdmin) {
-        setError('Only admins can delete questions');
+        setError('Only admins can change resolutions');
         return false;
       }
 
+      const message = status === 'annulled' ? 'Question annulled' : 'Resolution changed';
+
       if (currentUser?.id?.startsWith('demo-')) {
-        setQuestions(prev => prev.filter(q => q.id !== id));
-        showToast('Question deleted');
+        setQuestions(prev =>
+          prev.map(q =>
+            q.id === questionId
+              ? {
+                  ...q,
+                  status,
+                  is_resolved: status === 'resolved',
+                  isResolved: status === 'resolved',
+                  resolution: status === 'resolved' ? resolution : q.resolution,
+                }
+              : q
+          )
+        );
+        showToast(message);
         return true;
       }
 
-      const result = await adminService.deleteQuestion(id);
+      const result = await adminService.amendResolution(questionId, { status, resolution, reason });
       if (!result.success) throw new Error(result.error);
 
-      await loadAppData();
-      showToast('Question deleted');
+      mergeQuestions(processQuestions([result.question]));
+      await loadCounts();
+      setDataVersion(v => v + 1);
+      showToast(message);
       return true;
     } catch (error) {
-      console.error('Delete question error:', error);
+      console.error('Amend resolution error:', error);
       setError(error.message);
       return false;
     }
   };
 
+  // Comments and rationales on one question. Which rationales come back is
+  // decided by row level security (see migration 012).
+  const loadDiscussion = async (questionId) => {
+    if (isDemoUser()) return { comments: [], rationales: [] };
+    try {
+      const [commentsResult, rationalesResult] = await Promise.all([
+        discussionService.getComments(questionId).then(unwrap),
+        discussionService.getRationales(questionId).then(unwrap),
+      ]);
+      return { comments: commentsResult.comments, rationales: rationalesResult.rationales };
+    } catch (error) {
+      console.error('Error loading discussion:', error);
+      setError('Failed to load discussion');
+      return { comments: [], rationales: [] };
+    }
+  };
 
-  const getUserStats = (userId) => {
-    const userForecasts = forecasts.filter(f => f.user_id === userId);
-    const resolvedQuestions = questions.filter(q => q.isResolved);
-
-    const answeredQuestions = resolvedQuestions.filter(q =>
-      userForecasts.some(f => f.question_id === q.id)
-    );
-
-    const uniqueQuestionsAnswered = new Set(userForecasts.map(f => f.question_id)).size;
-
-    if (answeredQuestions.length === 0) {
-      return { brierScore: 0, questionsAnswered: uniqueQuestionsAnswered, accuracy: 0 };
+  // Everyone who can be @mentioned
+  const loadMentionableUsers = async () => {
+    if (isDemoUser()) return;
+    try {
+      const result = await dataService.getUsers().then(unwrap);
+      setUsers(prev => mergeRows(prev, result.users));
+    } catch (error) {
+      console.error('Error loading users:', error);
     }
+  };
 
-    let totalBrierScore = 0;
-    let correctPredictions = 0;
+  const postComment = async (questionId, body, parentId = null) => {
+    try {
+      setError('');
+      const result = await discussionService.addComment({
+        questionId,
+        userId: currentUser.id,
+        body: body.trim(),
+        parentId,
+        mentions: extractMentions(body, users),
+      });
+      if (!result.success) throw new Error(result.error);
+      return result.comment;
+    } catch (error) {
+      console.error('Post comment error:', error);
+      setError(error.message);
+      return null;
+    }
+  };
 
-    answeredQuestions.forEach(question => {
-      const history = userForecasts
-        .filter(f => f.question_id === question.id)
-        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  const deleteComment = async (commentId) => {
+    try {
+      setError('');
+      const result = await discussionService.deleteComment(commentId);
+      if (!result.success) throw new Error(result.error);
+      return true;
+    } catch (error) {
+      console.error('Delete comment error:', error);
+      setError(error.message);
+      return false;
+    }
+  };
 
-      const brierScore = calculateTimeWeightedBrier(history, question);
-      totalBrierScore += brierScore;
+  const voteOnComment = async (commentId, voted) => {
+    try {
+      setError('');
+      const result = await discussionService.setVote(commentId, currentUser.id, voted);
+      if (!result.success) throw new Error(result.error);
+      return true;
+    } catch (error) {
+      console.error('Comment vote error:', error);
+      setError(error.message);
+      return false;
+    }
+  };
 
-      const lastForecast = history[history.length - 1];
-      if (lastForecast) {
-        if (question.type === 'binary') {
-          const predicted = lastForecast.forecast.probability > 50;
-          const actual = question.resolution;
-          if (predicted === actual) correctPredictions++;
-        } else if (
-          question.type === 'three-category' ||
-          question.type === 'multiple-choice'
-        ) {
-          const data = lastForecast.forecast;
-          const predicted = Object.keys(data).reduce((a, b) => (data[a] > data[b] ? a : b));
-          if (predicted === question.resolution) correctPredictions++;
-        }
-      }
-    });
+  // The user's pins and dismissals on one question's related news, plus
+  // pins admins have shared (see migration 019)
+  const loadQuestionNews = async (questionId) => {
+    if (isDemoUser()) return [];
+    try {
+      const result = await newsService.getQuestionNews(questionId).then(unwrap);
+      return result.marks;
+    } catch (error) {
+      console.error('Error loading related news:', error);
+      setError('Failed to load related news');
+      return [];
+    }
+  };
 
+  // Admins' pins are shared with everyone
+  const markArticle = async (questionId, article, action) => {
+    const shared = action === 'pin' && currentUser.role === 'admin';
+    if (isDemoUser()) {
       return {
-        brierScore: (totalBrierScore / answeredQuestions.length).toFixed(3),
-        questionsAnswered: uniqueQuestionsAnswered,
-        accuracy: answeredQuestions.length > 0 ? ((correctPredictions / answeredQuestions.length) * 100).toFixed(1) : 0
+        id: `demo-news-${Date.now()}`,
+        question_id: questionId,
+        user_id: currentUser.id,
+        url: article.url,
+        title: article.title,
+        source: article.source,
+        published_at: article.publishedAt,
+        action,
+        shared,
       };
+    }
+    try {
+      setError('');
+      const result = await newsService.markArticle({
+        questionId,
+        userId: currentUser.id,
+        article,
+        action,
+        shared,
+      });
+      if (!result.success) throw new Error(result.error);
+      return result.mark;
+    } catch (error) {
+      console.error('Mark article error:', error);
+      setError(error.message);
+      return null;
+    }
   };
 
-  const getLeaderboard = () => {
-    return users
-      .map(user => ({
-        ...user,
-        stats: getUserStats(user.id)
-      }))
-      .sort((a, b) => parseFloat(a.stats.brierScore) - parseFloat(b.stats.brierScore));
+  const removeArticleMark = async (markId) => {
+    if (isDemoUser()) return true;
+    try {
+      setError('');
+      const result = await newsService.removeMark(markId);
+      if (!result.success) throw new Error(result.error);
+      return true;
+    } catch (error) {
+      console.error('Remove article mark error:', error);
+      setError(error.message);
+      return false;
+    }
   };
-  
-  const onSubmitForecast = async (questionId, forecastVector) => {
+
+  const loadResolutionHistory = async (questionId) => {
+    if (isDemoUser()) return [];
+    try {
+      const result = await dataService.getResolutionHistory(questionId).then(unwrap);
+      return result.changes;
+    } catch (error) {
+      console.error('Error loading resolution history:', error);
+      setError('Failed to load resolution history');
+      return [];
+    }
+  };
+
+  // Moves a question along its lifecycle (publish, schedule, close, reopen).
+  // Resolving goes through resolveQuestion so the outcome is saved, and
+  // annulling through amendResolution so the reason is recorded.
+  const transitionQuestion = async (questionId, toStatus, updates = {}) => {
     try {
-      // Clear any previous error message
       setError('');
-  
-      // 1️⃣ Insert or upsert the forecast into the `forecasts` table
-      //    We use upsert so that if the user already has a forecast for this question,
-      //    it overwrites rather than creating a duplicate.
-      const { error } = await supabase
-        .from('forecasts')
-        .upsert(
-          {
-            question_id: questionId,
-            user_id: currentUser.id,
-            forecast: forecastVector,
-            updated_at: new Date().toISOString()
-          },
-          { onConflict: ['user_id', 'question_id'] }
+
+      const isAdmin = await adminService.isCurrentUserAdmin();
+      if (!isAdmin) {
+        setError('Only admins can change question status');
+        return false;
+      }
+
+      if (currentUser?.id?.startsWith('demo-')) {
+        const question = questions.find(q => q.id === questionId);
+        const fromStatus = question ? getQuestionStatus(question) : null;
+        if (!canTransition(fromStatus, toStatus, question?.annulled_from)) {
+          setError(`Cannot move a question from ${fromStatus} to ${toStatus}`);
+          return false;
+        }
+        setQuestions(prev =>
+          prev.map(q =>
+            q.id === questionId
+              ? { ...q, ...updates, status: toStatus, is_resolved: false, isResolved: false }
+              : q
+          )
         );
-  
-      if (error) {
-        throw error;
+        showToast(`Question moved to ${QUESTION_STATUSES[toStatus].toLowerCase()}`);
+        return true;
       }
-  
-      // 2️⃣ Reload all app data (questions, forecasts, users, etc.)
-      //    so the UI (like your leaderboard or dashboard) reflects the new forecast immediately.
-      await loadAppData();
-  
+
+      const result = await adminService.transitionQuestion(questionId, toStatus, updates);
+      if (!result.success) throw new Error(result.error);
+
+      mergeQuestions(processQuestions([result.question]));
+      await loadCounts();
+      showToast(`Question moved to ${QUESTION_STATUSES[toStatus].toLowerCase()}`);
       return true;
-    } catch (e) {
-      console.error('Submit forecast failed:', e);
-      setError(e.message || 'Submit failed');
+    } catch (error) {
+      console.error('Question status error:', error);
+      setError(error.message);
       return false;
     }
   };
 
-  // Show loading state
-  if (loading) {
-    return (
-      <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100 flex items-center justify-center">
-        <div className="text-center">
-          <TrendingUp className="h-12 w-12 text-blue-600 mx-auto animate-pulse" />
-          <p className="mt-4 text-slate-600">Loading...</p>
-        </div>
-      </div>
-    );
-  }
-
-  // Show login screen if not authenticated
-  if (!currentUser) {
-    return (
-      <LoginScreen
-        onLogin={login}
-        onSignup={signup}
-        onResetPassword={resetPassword}
-        error={error}
-      />
-    );
-  }
+  const deleteQuestion = async (id) => {
+    try {
+      setError('');
+      const isAdmin = await adminService.isCurrentUserAdmin();
+      if (!isAdmin) {
+        setError('Only admins can delete questions');
+        return false;
+      }
 
-  // Show login screen if not authenticated
-  return (
-    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100">
-      {/* Error banner */}
-      {error && (
-        <div className="bg-red-50 border-l-4 border-red-400 p-4">
-          <div className="flex">
-            <AlertCircle className="h-5 w-5 text-red-400" />
-            <div className="ml-3">
-              <p className="text-sm text-red-700">{error}</p>
-              <button 
-                onClick={() => setError('')}
-                className="text-sm text-red-600 hover:text-red-800 underline"
-              >
-                Dismiss
-              </button>
-            </div>
-          </div>
-        </div>
-      )}
+      if (currentUser?.id?.startsWith('demo-')) {
+        setQuestions(prev => prev.filter(q => q.id !== id));
+        showToast('Question deleted');
+        return true;
+      }
 
-      <nav className="bg-white shadow-sm border-b border-slate-200">
-        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-          <div className="flex justify-between h-16">
-            <div className="flex items-center">
-              <TrendingUp className="h-8 w-8 text-blue-600 mr-3" />
-              <h1 className="text-xl font-bold text-slate-900">Economic Forecasting Platform</h1>
-            </div>
-            <div className="flex items-center space-x-4">
-              <nav className="flex space-x-4">
-                <button
-                  onClick={() => setActiveView('dashboard')}
-                  className={`px-3 py-2 rounded-md text-sm font-medium ${activeView === 'dashboard' ? 'bg-blue-100 text-blue-700' : 'text-slate-600 hover:text-slate-900'}`}
-                >
-                  Dashboard
-                </button>
-                <button
-                  onClick={() => setActiveView('questions')}
-                  className={`px-3 py-2 rounded-md text-sm font-medium ${activeView === 'questions' ? 'bg-blue-100 text-blue-700' : 'text-slate-600 hover:text-slate-900'}`}
-                >
-                  Questions
-                </button>
-                <button
-                  onClick={() => setActiveView('leaderboard')}
-                  className={`px-3 py-2 rounded-md text-sm font-medium ${activeView === 'leaderboard' ? 'bg-blue-100 text-blue-700' : 'text-slate-600 hover:text-slate-900'}`}
-                >
-                  Leaderboard
-                </button>
-                {currentUser.role === 'admin' && (
-                  <button
-                    onClick={() => setActiveView('admin')}
-                    className={`px-3 py-2 rounded-md text-sm font-medium ${activeView === 'admin' ? 'bg-blue-100 text-blue-700' : 'text-slate-600 hover:text-slate-900'}`}
-                  >
-                    Admin
-                  </button>
-                )}
-              </nav>
-              <div className="flex items-center space-x-2">
-                <User className="h-5 w-5 text-slate-400" />
-                <span className="text-sm text-slate-700">{currentUser.name}</span>
-                {currentUser.id?.startsWith('demo-') && (
-                  <span className="text-xs bg-yellow-100 text-yellow-800 px-2 py-1 rounded">Demo</span>
-                )}
-                <button
-                  onClick={logout}
-                  className="text-sm text-slate-500 hover:text-slate-700"
-                >
-                  Logout
-                </button>
-              </div>
-            </div>
-          </div>
-        </div>
-      </nav>
+      const result = await adminService.deleteQuestion(id);
+      if (!result.success) throw new Error(result.error);
 
-      <main className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
-        {activeView === 'dashboard' && (
-          <DashboardView
-            currentUser={currentUser}
-            questions={questions}
-            forecasts={forecasts}
-            getUserStats={getUserStats}
-            newsFeed={newsFeed}
-            users={users}
-          />
-        )}
-        {activeView === 'questions' && (
-          <QuestionsView 
-            questions={questions}
-            forecasts={forecasts}
-            currentUser={currentUser}
-            onSubmitForecast={onSubmitForecast }
-          />
-        )}
-        {activeView === 'leaderboard' && (
-          <LeaderboardView leaderboard={getLeaderboard()} />
-        )}
-        {activeView === 'admin' && currentUser.role === 'admin' && (
-          <AdminView
-            questions={questions}
-            users={users}
-            onCreateQuestion={createQuestion}
-            onUpdateQuestion={updateQuestion}
-            onCreateUser={createUser}
-            onResolveQuestion={resolveQuestion}
-            onDeleteQuestion={deleteQuestion}
-            onDeleteUser={deleteUser}
-            currentUser={currentUser}
-            forecasts={forecasts}
-          />
-        )}
-      </main>
-      {toast && (
-        <div className="fixed bottom-4 right-4 bg-green-600 text-white px-4 py-2 rounded">
-          {toast}
-        </div>
-      )}
-    </div>
-  );
-};
+      setQuestions(prev => prev.filter(q => q.id !== id));
+      setForecasts(prev => prev.filter(f => f.question_id !== id));
+      setRevisions(prev => prev.filter(r => r.question_id !== id));
+      await loadCounts();
+      showToast('Question deleted');
+      return true;
+    } catch (error) {
+      console.error('Delete question error:', error);
+      setError(error.message);
+      return false;
+    }
+  };
 
-const LoginScreen = ({ onLogin, onSignup, onResetPassword, error }) => {
-  const [email, setEmail] = useState('');
-  const [password, setPassword] = useState('');
-  const [name, setName] = useState('');
-  const [showForgotPassword, setShowForgotPassword] = useState(false);
-  const [showSignup, setShowSignup] = useState(false);
-  const [resetSuccess, setResetSuccess] = useState(false);
-  const [signupSuccess, setSignupSuccess] = useState(false);
-  const [loading, setLoading] = useState(false);
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    setLoading(true);
-    const success = await onLogin(email, password);
-    setLoading(false);
-    if (!success) {
-      // Error is handled by parent component
+  // All revisions a user submitted for a question, oldest first, or only
+  // those made within a tournament's dates. Forecasts without a logged
+  // revision (e.g. demo data) count as a single revision.
+  const getForecastHistory = (userId, questionId, tournament = null) => {
+    let history = revisions.filter(
+      r => r.user_id === userId && r.question_id === questionId
+    );
+    if (history.length === 0) {
+      history = forecasts.filter(
+        f => f.user_id === userId && f.question_id === questionId
+      );
+    } else {
+      history.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
     }
+    return tournament
+      ? history.filter(r => inTournamentWindow(tournament, r.created_at || r.updated_at))
+      : history;
   };
 
-  const handleResetPassword = async (e) => {
-    e.preventDefault();
-    setLoading(true);
-    const success = await onResetPassword(email);
-    setLoading(false);
-    if (success) {
-      setResetSuccess(true);
+  const updateSetting = async (key, value) => {
+    try {
+      setError('');
+      const isAdmin = await adminService.isCurrentUserAdmin();
+      if (!isAdmin) {
+        setError('Only admins can change settings');
+        return false;
+      }
+
+      if (!currentUser?.id?.startsWith('demo-')) {
+        const result = await adminService.updateSetting(key, value);
+        if (!result.success) throw new Error(result.error);
+      }
+
+      setSettings(prev => ({ ...prev, [key]: value }));
+      showToast('Settings saved');
+      return true;
+    } catch (error) {
+      console.error('Update setting error:', error);
+      setError(error.message);
+      return false;
     }
   };
 
-  const handleSignup = async (e) => {
-    e.preventDefault();
-    setLoading(true);
-    const success = await onSignup(email, password, name);
-    setLoading(false);
-    if (success) {
-      setSignupSuccess(true);
+  // Creates a tournament (no `tournamentId`) or updates one, including its
+  // question set and participants
+  const saveTournament = async (tournamentId, data) => {
+    try {
+      setError('');
+      const isAdmin = await adminService.isCurrentUserAdmin();
+      if (!isAdmin) {
+        setError('Only admins can manage tournaments');
+        return false;
+      }
+
+      const validationError = validateTournament(data);
+      if (validationError) throw new Error(validationError);
+
+      const fields = {
+        name: data.name.trim(),
+        description: data.description.trim() || null,
+        start_date: data.startDate,
+        end_date: data.endDate,
+        scoring_rule: data.scoringRule,
+      };
+      const links = { questionIds: data.questionIds, participantIds: data.participantIds };
+
+      if (isDemoUser()) {
+        const tournament = {
+          ...tournaments.find(t => t.id === tournamentId),
+          ...fields,
+          id: tournamentId || `demo-tournament-${Date.now()}`,
+          question_ids: links.questionIds,
+          participant_ids: links.participantIds,
+        };
+        setTournaments(prev => mergeRows(prev, [tournament]));
+      } else {
+        const result = await adminService.saveTournament(tournamentId, fields, links);
+        if (!result.success) throw new Error(result.error);
+        setTournaments(prev => mergeRows(prev, [result.tournament]));
+      }
+
+      setDataVersion(v => v + 1);
+      showToast(tournamentId ? 'Tournament updated' : 'Tournament created');
+      return true;
+    } catch (error) {
+      console.error('Save tournament error:', error);
+      setError(error.message);
+      return false;
     }
   };
 
-  if (showSignup) {
-    return (
-      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center">
-        <div className="max-w-md w-full space-y-8 p-8">
-          <div className="text-center">
-            <TrendingUp className="mx-auto h-12 w-12 text-blue-600" />
-            <h2 className="mt-6 text-3xl font-bold text-gray-900">Create Account</h2>
-            <p className="mt-2 text-sm text-gray-600">Use your invitation email to sign up</p>
-          </div>
+  const deleteTournament = async (tournamentId) => {
+    try {
+      setError('');
+      const isAdmin = await adminService.isCurrentUserAdmin();
+      if (!isAdmin) {
+        setError('Only admins can manage tournaments');
+        return false;
+      }
 
-          {signupSuccess ? (
-            <div className="bg-white p-6 rounded-lg shadow-md">
-              <div className="text-center">
-                <Check className="mx-auto h-12 w-12 text-green-600" />
-                <h3 className="mt-4 text-lg font-medium text-gray-900">Account Created</h3>
-                <p className="mt-2 text-sm text-gray-600">You can now sign in with your credentials.</p>
-                <button
-                  onClick={() => {
-                    setShowSignup(false);
-                    setSignupSuccess(false);
-                  }}
-                  className="mt-4 text-blue-600 hover:text-blue-800 underline"
-                >
-                  Back to Login
-                </button>
-              </div>
-            </div>
-          ) : (
-            <form className="mt-8 space-y-6" onSubmit={handleSignup}>
-              <div className="bg-white p-6 rounded-lg shadow-md">
-                <div className="space-y-4">
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700">Name</label>
-                    <input
-                      type="text"
-                      value={name}
-                      onChange={(e) => setName(e.target.value)}
-                      className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
-                      placeholder="Your name"
-                      required
+      if (!isDemoUser()) {
+        const result = await adminService.deleteTournament(tournamentId);
+        if (!result.success) throw new Error(result.error);
+      }
+
+      setTournaments(prev => prev.filter(t => t.id !== tournamentId));
+      showToast('Tournament deleted');
+      return true;
+    } catch (error) {
+      console.error('Delete tournament error:', error);
+      setError(error.message);
+      return false;
+    }
+  };
+
+  // Creates a team (no `teamId`) or updates its name, description and
+  // whether its forecasts stay private until close
+  const saveTeam = async (teamId, data) => {
+    try {
+      setError('');
+      const isAdmin = await adminService.isCurrentUserAdmin();
+      if (!isAdmin) {
+        setError('Only admins can manage teams');
+        return false;
+      }
+
+      if (!data.name.trim()) throw new Error('Give the team a name');
+      const fields = {
+        name: data.name.trim(),
+        description: data.description.trim() || null,
+        private_forecasts: data.privateForecasts,
+      };
+
+      if (isDemoUser()) {
+        const team = {
+          member_ids: [],
+          ...teams.find(t => t.id === teamId),
+          ...fields,
+          id: teamId || `demo-team-${Date.now()}`,
+        };
+        setTeams(prev => mergeRows(prev, [team]));
+      } else {
+        const result = await adminService.saveTeam(teamId, fields);
+        if (!result.success) throw new Error(result.error);
+        const existing = teams.find(t => t.id === result.team.id);
+        setTeams(prev => mergeRows(prev, [{ ...result.team, member_ids: existing?.member_ids || [] }]));
+      }
+
+      showToast(teamId ? 'Team updated' : 'Team created');
+      return true;
+    } catch (error) {
+      console.error('Save team error:', error);
+      setError(error.message);
+      return false;
+    }
+  };
+
+  const deleteTeam = async (teamId) => {
+    try {
+      setError('');
+      const isAdmin = await adminService.isCurrentUserAdmin();
+      if (!isAdmin) {
+        setError('Only admins can manage teams');
+        return false;
+      }
+
+      if (!isDemoUser()) {
+        const result = await adminService.deleteTeam(teamId);
+        if (!result.success) throw new Error(result.error);
+      }
+
+      setTeams(prev => prev.filter(t => t.id !== teamId));
+      setDataVersion(v => v + 1);
+      showToast('Team deleted');
+      return true;
+    } catch (error) {
+      console.error('Delete team error:', error);
+      setError(error.message);
+      return false;
+    }
+  };
+
+  // Adds a news feed (no `sourceId`) or updates its name, URL or whether
+  // the news-feed function reads it
+  const saveNewsSource = async (sourceId, data) => {
+    try {
+      setError('');
+      const isAdmin = await adminService.isCurrentUserAdmin();
+      if (!isAdmin) {
+        setError('Only admins can manage news sources');
+        return false;
+      }
+
+      const fields = {};
+      if (data.name !== undefined) {
+        if (!data.name.trim()) throw new Error('Give the feed a name');
+        fields.name = data.name.trim();
+      }
+      if (data.url !== undefined) {
+        if (!/^https?:\/\//i.test(data.url.trim())) throw new Error('Feed URLs start with http:// or https://');
+        fields.url = data.url.trim();
+      }
+      if (data.enabled !== undefined) fields.enabled = data.enabled;
+
+      if (isDemoUser()) {
+        const source = {
+          enabled: true,
+          ...newsSources.find(s => s.id === sourceId),
+          ...fields,
+          id: sourceId || `demo-source-${Date.now()}`,
+        };
+        setNewsSources(prev => mergeRows(prev, [source]));
+      } else {
+        const result = await adminService.saveNewsSource(sourceId, fields);
+        if (!result.success) throw new Error(result.error);
+        setNewsSources(prev => mergeRows(prev, [result.source]));
+      }
+
+      if (data.enabled !== undefined && data.name === undefined) {
+        showToast(data.enabled ? 'Feed enabled' : 'Feed disabled');
+      } else {
+        showToast(sourceId ? 'Feed updated' : 'Feed added');
+      }
+      return true;
+    } catch (error) {
+      console.error('Save news source error:', error);
+      setError(error.message);
+      return false;
+    }
+  };
+
+  const deleteNewsSource = async (sourceId) => {
+    try {
+      setError('');
+      const isAdmin = await adminService.isCurrentUserAdmin();
+      if (!isAdmin) {
+        setError('Only admins can manage news sources');
+        return false;
+      }
+
+      if (!isDemoUser()) {
+        const result = await adminService.deleteNewsSource(sourceId);
+        if (!result.success) throw new Error(result.error);
+      }
+
+      setNewsSources(prev => prev.filter(s => s.id !== sourceId));
+      showToast('Feed removed');
+      return true;
+    } catch (error) {
+      console.error('Delete news source error:', error);
+      setError(error.message);
+      return false;
+    }
+  };
+
+  // Moves a user to a team, or out of theirs when `teamId` is empty
+  const setUserTeam = async (userId, teamId) => {
+    try {
+      setError('');
+      const isAdmin = await adminService.isCurrentUserAdmin();
+      if (!isAdmin) {
+        setError('Only admins can manage teams');
+        return false;
+      }
+
+      if (!isDemoUser()) {
+        const result = await adminService.setUserTeam(userId, teamId || null);
+        if (!result.success) throw new Error(result.error);
+      }
+
+      setTeams(prev => prev.map(team => {
+        const memberIds = team.member_ids.filter(id => id !== userId);
+        return { ...team, member_ids: team.id === teamId ? [...memberIds, userId] : memberIds };
+      }));
+      setDataVersion(v => v + 1);
+      showToast('Team membership updated');
+      return true;
+    } catch (error) {
+      console.error('Set user team error:', error);
+      setError(error.message);
+      return false;
+    }
+  };
+
+  // Crowd histories and imputed scores do not depend on the forecaster, so
+  // they are cached for the duration of a render instead of being rebuilt
+  // for every user on the leaderboard
+  const crowdHistoryCache = {};
+  const imputedScoreCache = {};
+
+  // The crowd forecast's history on a question, rebuilt after every
+  // submission so it can be scored like a forecaster's revisions. Within a
+  // tournament the crowd is its participants' in-window forecasts only.
+  const getCrowdHistory = (questionId, method = DEFAULT_AGGREGATION_METHOD, tournament = null) => {
+    const cacheKey = `${method}:${tournament?.id || ''}:${questionId}`;
+    if (crowdHistoryCache[cacheKey]) return crowdHistoryCache[cacheKey];
+    const question = questions.find(q => q.id === questionId);
+    if (!question) return [];
+    const questionRevisions = revisions.filter(r => r.question_id === questionId);
+    const entries = questionRevisions.length > 0
+      ? questionRevisions
+      : forecasts.filter(f => f.question_id === questionId);
+    crowdHistoryCache[cacheKey] = buildAggregateHistory(
+      tournament ? getTournamentRevisions(tournament, entries) : entries,
+      question,
+      { method }
+    );
+    return crowdHistoryCache[cacheKey];
+  };
+
+  // Score charged for a resolved question the forecaster skipped: the crowd
+  // median's score, or a uniform forecast's, depending on the admin setting
+  const getImputedScore = (question, ruleId, tournament = null) => {
+    const imputation = settings.skip_imputation;
+    const cacheKey = `${imputation}:${ruleId}:${tournament?.id || ''}:${question.id}`;
+    if (imputedScoreCache[cacheKey] !== undefined) return imputedScoreCache[cacheKey];
+    const rule = getScoringRule(ruleId);
+    const crowdHistory = getCrowdHistory(question.id, DEFAULT_AGGREGATION_METHOD, tournament);
+    const context = rule.usesCrowd ? { crowdHistory } : {};
+    const score = imputation === 'crowd' && crowdHistory.length > 0
+      ? calculateTimeWeightedBrier(crowdHistory, question, ruleId, context)
+      : rule.score(uniformForecast(question), question, context);
+    imputedScoreCache[cacheKey] = score;
+    return score;
+  };
+
+  // Scores a forecaster from a lookup of their forecast history per question.
+  // Shared by real users and the crowd pseudo-user. `score` is null until the
+  // forecaster has a resolved question; `adjustedScore` also counts skipped
+  // resolved questions at their imputed score so participation is rewarded.
+  // Within a tournament, only its questions count and the crowd is its own.
+  const computeStats = (getHistory, ruleId = settings.default_scoring_rule, tournament = null) => {
+    const rule = getScoringRule(ruleId);
+    const scope = getScope(tournament);
+    const resolvedQuestions = scope.filter(isScorable);
+
+    const answeredQuestions = resolvedQuestions.filter(q => getHistory(q.id).length > 0);
+    const skippedQuestions = resolvedQuestions.filter(q => getHistory(q.id).length === 0);
+
+    const uniqueQuestionsAnswered = scope.filter(q => getHistory(q.id).length > 0).length;
+
+    const imputedTotal = skippedQuestions.reduce(
+      (sum, question) => sum + getImputedScore(question, ruleId, tournament),
+      0
+    );
+
+    if (answeredQuestions.length === 0) {
+      return {
+        ...emptyStats(ruleId),
+        adjustedScore: resolvedQuestions.length > 0
+          ? (imputedTotal / resolvedQuestions.length).toFixed(3)
+          : null,
+        questionsAnswered: uniqueQuestionsAnswered,
+      };
+    }
+
+    let totalScore = 0;
+    let correctPredictions = 0;
+
+    answeredQuestions.forEach(question => {
+      const history = getHistory(question.id);
+
+      const context = rule.usesCrowd
+        ? { crowdHistory: getCrowdHistory(question.id, DEFAULT_AGGREGATION_METHOD, tournament) }
+        : {};
+      totalScore += calculateTimeWeightedBrier(history, question, ruleId, context);
+
+      const lastForecast = history[history.length - 1];
+      if (lastForecast) {
+        if (question.type === 'binary') {
+          const predicted = lastForecast.forecast.probability > 50;
+          const actual = question.resolution;
+          if (predicted === actual) correctPredictions++;
+        } else if (
+          question.type === 'three-category' ||
+          question.type === 'multiple-choice'
+        ) {
+          const data = lastForecast.forecast;
+          const predicted = Object.keys(data).reduce((a, b) => (data[a] > data[b] ? a : b));
+          if (predicted === question.resolution) correctPredictions++;
+        } else if (question.type === 'numeric') {
+          if (isWithinInterval(lastForecast.forecast, question.resolution)) correctPredictions++;
+        } else if (question.type === 'date') {
+          if (isWithinDateInterval(lastForecast.forecast, question.resolution, question)) correctPredictions++;
+        }
+      }
+    });
+
+      return {
+        score: (totalScore / answeredQuestions.length).toFixed(3),
+        adjustedScore: ((totalScore + imputedTotal) / resolvedQuestions.length).toFixed(3),
+        rule: ruleId,
+        questionsAnswered: uniqueQuestionsAnswered,
+        resolvedAnswered: answeredQuestions.length,
+        accuracy: answeredQuestions.length > 0 ? ((correctPredictions / answeredQuestions.length) * 100).toFixed(1) : 0
+      };
+  };
+
+  // A tournament's questions, or every question for all-time stats
+  const getScope = (tournament) =>
+    tournament ? questions.filter(q => includesQuestion(tournament, q.id)) : questions;
+
+  // Within a tournament, stats always use the tournament's scoring rule
+  const getUserStats = (userId, ruleId, tournament = null) =>
+    computeStats(
+      questionId => getForecastHistory(userId, questionId, tournament),
+      tournament ? tournament.scoring_rule : ruleId,
+      tournament
+    );
+
+  const getCrowdStats = (ruleId, method = DEFAULT_AGGREGATION_METHOD, tournament = null) =>
+    computeStats(
+      questionId => getCrowdHistory(questionId, method, tournament),
+      tournament ? tournament.scoring_rule : ruleId,
+      tournament
+    );
+
+  // Ranks forecasters client-side by the given scoring rule (the platform
+  // default unless the viewer picks another). Used for demo accounts, whose
+  // data never reaches the database; everyone else gets fetchLeaderboard. Only forecasters with at least
+  // `min_resolved_questions` resolved forecasts are ranked; the rest are
+  // returned as `unranked`. The crowd aggregate is included as a pseudo-user
+  // (flagged with `isCrowd`) so it can be compared to individuals. With a
+  // `tournamentId`, only its participants are ranked, over its questions and
+  // the forecasts they made within its dates.
+  const getLeaderboard = (
+    ruleId = settings.default_scoring_rule,
+    { penalizeSkips = false, tournamentId = null } = {}
+  ) => {
+    const tournament = tournaments.find(t => t.id === tournamentId) || null;
+    if (tournament) ruleId = tournament.scoring_rule;
+    const entries = users
+      .filter(user => !tournament || isParticipant(tournament, user.id))
+      .map(user => ({
+        ...user,
+        stats: getUserStats(user.id, ruleId, tournament)
+      }));
+    const scope = getScope(tournament);
+    if (scope.some(q => getCrowdHistory(q.id, DEFAULT_AGGREGATION_METHOD, tournament).length > 0)) {
+      entries.push({
+        id: 'crowd',
+        name: `Crowd (${AGGREGATION_METHODS[DEFAULT_AGGREGATION_METHOD].toLowerCase()})`,
+        email: tournament ? 'Aggregate of the participants' : 'Aggregate of every forecaster',
+        isCrowd: true,
+        stats: getCrowdStats(ruleId, DEFAULT_AGGREGATION_METHOD, tournament)
+      });
+    }
+
+    const minResolved = Math.max(1, Number(settings.min_resolved_questions) || 1);
+    const qualifies = (entry) => entry.stats.resolvedAnswered >= minResolved;
+    const rankingScore = (entry) =>
+      penalizeSkips ? entry.stats.adjustedScore : entry.stats.score;
+    const byScore = compareScores(ruleId);
+
+    return {
+      minResolved,
+      ranked: entries
+        .filter(qualifies)
+        .sort((a, b) => byScore(rankingScore(a), rankingScore(b))),
+      unranked: entries
+        .filter(entry => !qualifies(entry))
+        .sort((a, b) => b.stats.resolvedAnswered - a.stats.resolvedAnswered),
+    };
+  };
+  
+  // Leaderboard ranked in the database from the per-question scores stored
+  // when a question resolves (see get_leaderboard), in the same shape as
+  // getLeaderboard. A tournament's leaderboard uses the tournament's rule.
+  const fetchLeaderboard = async (
+    ruleId = settings.default_scoring_rule,
+    { penalizeSkips = false, tournamentId = null } = {}
+  ) => {
+    if (currentUser?.id?.startsWith('demo-')) {
+      return getLeaderboard(ruleId, { penalizeSkips, tournamentId });
+    }
+
+    const tournament = tournaments.find(t => t.id === tournamentId);
+    if (tournament) ruleId = tournament.scoring_rule;
+    const { data, error } = await supabase.rpc('get_leaderboard', {
+      p_rule: ruleId,
+      p_penalize_skips: penalizeSkips,
+      p_tournament_id: tournamentId,
+    });
+    if (error) throw error;
+
+    const entries = (data || []).map(row => ({
+      id: row.user_id || 'crowd',
+      name: row.name,
+      email: row.email,
+      isCrowd: row.is_crowd,
+      stats: statsFromRow(row, ruleId),
+    }));
+    const minResolved = data?.[0]?.min_resolved ?? 1;
+
+    return {
+      minResolved,
+      ranked: entries.filter(entry => entry.stats.resolvedAnswered >= minResolved),
+      unranked: entries.filter(entry => entry.stats.resolvedAnswered < minResolved),
+    };
+  };
+
+  // A forecaster's stats, all-time or within one tournament, from their own
+  // leaderboard row (see get_user_stats)
+  const fetchUserStats = async (userId, ruleId = settings.default_scoring_rule, tournamentId = null) => {
+    const tournament = tournaments.find(t => t.id === tournamentId) || null;
+    if (tournament) ruleId = tournament.scoring_rule;
+    if (currentUser?.id?.startsWith('demo-')) {
+      return getUserStats(userId, ruleId, tournament);
+    }
+    const { data, error } = await supabase.rpc('get_user_stats', {
+      p_user_id: userId,
+      p_rule: ruleId,
+      p_tournament_id: tournamentId,
+    });
+    if (error) throw error;
+    const row = data?.[0];
+    return row ? statsFromRow(row, ruleId) : emptyStats(ruleId);
+  };
+
+  // Each team's score on every resolved question one of its members
+  // forecast, computed client-side for demo accounts in the shape returned by
+  // get_team_scores. 'members' averages the members' own question scores;
+  // 'forecast' scores the team's aggregated forecast like the crowd's.
+  const getTeamScores = (ruleId, method) => {
+    const rule = getScoringRule(ruleId);
+    return teams.flatMap(team =>
+      questions
+        .filter(isScorable)
+        .flatMap(question => {
+          const histories = team.member_ids
+            .map(userId => getForecastHistory(userId, question.id))
+            .filter(history => history.length > 0);
+          if (histories.length === 0) return [];
+
+          const context = rule.usesCrowd ? { crowdHistory: getCrowdHistory(question.id) } : {};
+          const score = method === 'forecast'
+            ? calculateTimeWeightedBrier(
+                buildAggregateHistory(histories.flat(), question, { method: DEFAULT_AGGREGATION_METHOD }),
+                question,
+                ruleId,
+                context
+              )
+            : histories.reduce(
+                (sum, history) => sum + calculateTimeWeightedBrier(history, question, ruleId, context),
+                0
+              ) / histories.length;
+
+          return [{
+            team_id: team.id,
+            question_id: question.id,
+            resolved_date: question.resolvedDate || question.close_date,
+            score,
+            forecasters: histories.length,
+          }];
+        })
+    );
+  };
+
+  const fetchTeamScores = async (
+    ruleId = settings.default_scoring_rule,
+    method = DEFAULT_TEAM_SCORE_METHOD
+  ) => {
+    if (isDemoUser()) return getTeamScores(ruleId, method);
+
+    const { data, error } = await supabase.rpc('get_team_scores', {
+      p_rule: ruleId,
+      p_method: method,
+    });
+    if (error) throw error;
+    return (data || []).map(row => ({ ...row, score: Number(row.score) }));
+  };
+
+  // A forecaster's score after each resolved question, with their running
+  // average and rank, all-time or within one tournament (under its rule).
+  // Demo accounts compute it client-side from every forecaster's history.
+  const fetchScoreHistory = async (userId, ruleId = settings.default_scoring_rule, tournamentId = null) => {
+    const tournament = tournaments.find(t => t.id === tournamentId) || null;
+    if (tournament) ruleId = tournament.scoring_rule;
+
+    if (isDemoUser()) {
+      const rule = getScoringRule(ruleId);
+      const resolved = getScope(tournament).filter(isScorable);
+      const entriesByUser = users
+        .filter(user => !tournament || isParticipant(tournament, user.id))
+        .reduce((acc, user) => {
+          acc[user.id] = resolved.flatMap(question => {
+            const history = getForecastHistory(user.id, question.id, tournament);
+            if (history.length === 0) return [];
+            const context = rule.usesCrowd
+              ? { crowdHistory: getCrowdHistory(question.id, DEFAULT_AGGREGATION_METHOD, tournament) }
+              : {};
+            return [{
+              questionId: question.id,
+              date: question.resolvedDate || question.close_date,
+              score: calculateTimeWeightedBrier(history, question, ruleId, context),
+            }];
+          });
+          return acc;
+        }, {});
+      return buildScoreHistory(entriesByUser, userId, ruleId);
+    }
+
+    const { data, error } = await supabase.rpc('get_score_history', {
+      p_user_id: userId,
+      p_rule: ruleId,
+      p_tournament_id: tournamentId,
+    });
+    if (error) throw error;
+    return (data || []).map(row => ({
+      date: row.resolved_date,
+      questionId: row.question_id,
+      score: Number(row.score),
+      cumulative: Number(row.cumulative_score),
+      rank: row.rank,
+      total: row.ranked_forecasters,
+    }));
+  };
+
+  // The crowd forecast after every submission on a question, oldest first
+  const fetchCrowdHistory = async (questionId) => {
+    if (isDemoUser()) return getCrowdHistory(questionId);
+    const { data, error } = await supabase.rpc('get_crowd_history', { p_question_id: questionId });
+    if (error) throw error;
+    return data || [];
+  };
+
+  // Demo forecasts never reach the database, so the crowd forecasts that
+  // get_question_aggregates would return are built from the local rows
+  const getDemoAggregates = () =>
+    questions.reduce((acc, question) => {
+      const rows = forecasts.filter(f => f.question_id === question.id);
+      if (rows.length > 0) {
+        acc[question.id] = { forecast: aggregateForecasts(rows, question), forecasters: rows.length };
+      }
+      return acc;
+    }, {});
+
+  // Calibration of a forecaster's latest forecasts on resolved questions
+  const getCalibration = (userId) => {
+    const points = questions
+      .filter(q => q.isResolved)
+      .flatMap(question => {
+        const history = getForecastHistory(userId, question.id);
+        const latest = history[history.length - 1];
+        return latest ? getCalibrationPoints(question, latest.forecast) : [];
+      });
+    return computeCalibration(points);
+  };
+
+  const openCalibration = (userId) => {
+    setCalibrationUserId(userId);
+    setActiveView('calibration');
+    loadUserHistory(userId);
+  };
+
+  const onSubmitForecast = async (questionId, forecastVector, rationale = '') => {
+    try {
+      // Clear any previous error message
+      setError('');
+      const hadForecast = forecasts.some(
+        f => f.question_id === questionId && f.user_id === currentUser.id
+      );
+  
+      // 1️⃣ Insert or upsert the forecast into the `forecasts` table
+      //    `forecasts` holds only the current forecast per user and question;
+      //    a database trigger appends every submission to `forecast_revisions`
+      //    so earlier revisions are kept for scoring and the history panel.
+      const { error } = await supabase
+        .from('forecasts')
+        .upsert(
+          {
+            question_id: questionId,
+            user_id: currentUser.id,
+            forecast: forecastVector,
+            updated_at: new Date().toISOString()
+          },
+          { onConflict: ['user_id', 'question_id'] }
+        );
+  
+      if (error) {
+        throw error;
+      }
+  
+      // 2️⃣ Reload just this forecast and its revisions so the question card,
+      //    crowd forecast and history panel reflect the submission immediately.
+      //    A first forecast can unlock everyone else's ('after-forecast').
+      const ownRevisions = await refreshUserForecast(questionId);
+      if (!hadForecast) await loadQuestionDetails([questionId]);
+
+      // 3️⃣ Attach the rationale to the revision just recorded (the newest).
+      //    The forecast itself is already saved, so a failure here is only
+      //    reported rather than failing the submission.
+      const latest = ownRevisions[ownRevisions.length - 1];
+      if (rationale.trim() && latest) {
+        const result = await discussionService.saveRationale({
+          revisionId: latest.id,
+          questionId,
+          userId: currentUser.id,
+          body: rationale.trim(),
+        });
+        if (!result.success) {
+          setError(`Forecast saved, but the rationale was not: ${result.error}`);
+        }
+        setDiscussionVersion(v => v + 1);
+      }
+
+      return true;
+    } catch (e) {
+      console.error('Submit forecast failed:', e);
+      setError(e.message || 'Submit failed');
+      return false;
+    }
+  };
+
+  // Show loading state
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100 flex items-center justify-center">
+        <div className="text-center">
+          <TrendingUp className="h-12 w-12 text-blue-600 mx-auto animate-pulse" />
+          <p className="mt-4 text-slate-600">Loading...</p>
+        </div>
+      </div>
+    );
+  }
+
+  // Show login screen if not authenticated
+  if (!currentUser) {
+    return (
+      <LoginScreen
+        onLogin={login}
+        onSignup={signup}
+        onResetPassword={resetPassword}
+        error={error}
+      />
+    );
+  }
+
+  // Show login screen if not authenticated
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100">
+      {/* Error banner */}
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-400 p-4">
+          <div className="flex">
+            <AlertCircle className="h-5 w-5 text-red-400" />
+            <div className="ml-3">
+              <p className="text-sm text-red-700">{error}</p>
+              <button 
+                onClick={() => setError('')}
+                className="text-sm text-red-600 hover:text-red-800 underline"
+              >
+                Dismiss
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <nav className="bg-white shadow-sm border-b border-slate-200">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between h-16">
+            <div className="flex items-center">
+              <TrendingUp className="h-8 w-8 text-blue-600 mr-3" />
+              <h1 className="text-xl font-bold text-slate-900">Economic Forecasting Platform</h1>
+            </div>
+            <div className="flex items-center space-x-4">
+              <nav className="flex space-x-4">
+                <button
+                  onClick={() => setActiveView('dashboard')}
+                  className={`px-3 py-2 rounded-md text-sm font-medium ${activeView === 'dashboard' ? 'bg-blue-100 text-blue-700' : 'text-slate-600 hover:text-slate-900'}`}
+                >
+                  Dashboard
+                </button>
+                <button
+                  onClick={() => setActiveView('questions')}
+                  className={`px-3 py-2 rounded-md text-sm font-medium ${activeView === 'questions' ? 'bg-blue-100 text-blue-700' : 'text-slate-600 hover:text-slate-900'}`}
+                >
+                  Questions
+                </button>
+                <button
+                  onClick={() => setActiveView('leaderboard')}
+                  className={`px-3 py-2 rounded-md text-sm font-medium ${activeView === 'leaderboard' ? 'bg-blue-100 text-blue-700' : 'text-slate-600 hover:text-slate-900'}`}
+                >
+                  Leaderboard
+                </button>
+                {currentUser.role === 'admin' && (
+                  <button
+                    onClick={() => setActiveView('admin')}
+                    className={`px-3 py-2 rounded-md text-sm font-medium ${activeView === 'admin' ? 'bg-blue-100 text-blue-700' : 'text-slate-600 hover:text-slate-900'}`}
+                  >
+                    Admin
+                  </button>
+                )}
+              </nav>
+              <div className="flex items-center space-x-2">
+                <User className="h-5 w-5 text-slate-400" />
+                <span className="text-sm text-slate-700">{currentUser.name}</span>
+                {currentUser.id?.startsWith('demo-') && (
+                  <span className="text-xs bg-yellow-100 text-yellow-800 px-2 py-1 rounded">Demo</span>
+                )}
+                {liveUpdate && (
+                  <span
+                    className="flex items-center text-xs text-green-700 bg-green-50 px-2 py-1 rounded"
+                    title={liveUpdate}
+                  >
+                    <Clock className="h-3 w-3 mr-1" />
+                    Updated
+                  </span>
+                )}
+                <button
+                  onClick={logout}
+                  className="text-sm text-slate-500 hover:text-slate-700"
+                >
+                  Logout
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      </nav>
+
+      <main className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+        {activeView === 'dashboard' && (
+          <DashboardView
+            currentUser={currentUser}
+            questions={questions}
+            forecasts={forecasts}
+            loadUserStats={fetchUserStats}
+            loadScoreHistory={fetchScoreHistory}
+            tournaments={getUserTournaments(tournaments, currentUser.id)}
+            defaultRule={settings.default_scoring_rule}
+            newsFeed={newsFeed}
+            users={users}
+            activeCount={counts.openQuestions}
+            onLoad={loadDashboardData}
+            onViewCalibration={() => openCalibration(currentUser.id)}
+          />
+        )}
+        {activeView === 'questions' && (
+          <QuestionsView 
+            questions={questions}
+            forecasts={forecasts}
+            revisions={revisions}
+            currentUser={currentUser}
+            counts={counts}
+            onLoadPage={loadQuestionsPage}
+            onLoadTags={loadTags}
+            onSubmitForecast={onSubmitForecast }
+            aggregates={isDemoUser() ? getDemoAggregates() : aggregates}
+            onLoadCrowdHistory={fetchCrowdHistory}
+            news={{
+              feed: newsFeed.articles,
+              onLoad: loadQuestionNews,
+              onMark: markArticle,
+              onRemoveMark: removeArticleMark,
+            }}
+            forecastVisibility={settings.forecast_visibility}
+            users={users}
+            discussion={{
+              demo: isDemoUser(),
+              version: discussionVersion,
+              onLoad: loadDiscussion,
+              onLoadUsers: loadMentionableUsers,
+              onPost: postComment,
+              onDelete: deleteComment,
+              onVote: voteOnComment,
+            }}
+          />
+        )}
+        {activeView === 'leaderboard' && (
+          <LeaderboardView
+            loadLeaderboard={fetchLeaderboard}
+            loadTeamScores={fetchTeamScores}
+            tournaments={tournaments}
+            teams={teams}
+            dataVersion={dataVersion}
+            defaultRule={settings.default_scoring_rule}
+            skipImputation={settings.skip_imputation}
+            onSelectUser={openCalibration}
+          />
+        )}
+        {activeView === 'calibration' && calibrationUserId && (
+          <CalibrationView
+            user={users.find(u => u.id === calibrationUserId) || (calibrationUserId === currentUser.id ? currentUser : null)}
+            calibration={getCalibration(calibrationUserId)}
+            isSelf={calibrationUserId === currentUser.id}
+            onBack={() => setActiveView(calibrationUserId === currentUser.id ? 'dashboard' : 'leaderboard')}
+          />
+        )}
+        {activeView === 'admin' && currentUser.role === 'admin' && (
+          <AdminView
+            questions={questions}
+            users={users}
+            onCreateQuestion={createQuestion}
+            onUpdateQuestion={updateQuestion}
+            onCreateUser={createUser}
+            onResolveQuestion={resolveQuestion}
+            onTransitionQuestion={transitionQuestion}
+            onAmendResolution={amendResolution}
+            onLoadResolutionHistory={loadResolutionHistory}
+            onDeleteQuestion={deleteQuestion}
+            onDeleteUser={deleteUser}
+            onUpdateSetting={updateSetting}
+            tournaments={tournaments}
+            onSaveTournament={saveTournament}
+            onDeleteTournament={deleteTournament}
+            teams={teams}
+            onSaveTeam={saveTeam}
+            onDeleteTeam={deleteTeam}
+            onSetUserTeam={setUserTeam}
+            newsSources={newsSources}
+            onSaveNewsSource={saveNewsSource}
+            onDeleteNewsSource={deleteNewsSource}
+            settings={settings}
+            currentUser={currentUser}
+            forecasts={forecasts}
+            counts={counts}
+            onLoad={loadAdminData}
+            onLoadQuestionsPage={loadQuestionsPage}
+          />
+        )}
+      </main>
+      {toast && (
+        <div className="fixed bottom-4 right-4 bg-green-600 text-white px-4 py-2 rounded">
+          {toast}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const LoginScreen = ({ onLogin, onSignup, onResetPassword, error }) => {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [name, setName] = useState('');
+  const [showForgotPassword, setShowForgotPassword] = useState(false);
+  const [showSignup, setShowSignup] = useState(false);
+  const [resetSuccess, setResetSuccess] = useState(false);
+  const [signupSuccess, setSignupSuccess] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    const success = await onLogin(email, password);
+    setLoading(false);
+    if (!success) {
+      // Error is handled by parent component
+    }
+  };
+
+  const handleResetPassword = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    const success = await onResetPassword(email);
+    setLoading(false);
+    if (success) {
+      setResetSuccess(true);
+    }
+  };
+
+  const handleSignup = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    const success = await onSignup(email, password, name);
+    setLoading(false);
+    if (success) {
+      setSignupSuccess(true);
+    }
+  };
+
+  if (showSignup) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center">
+        <div className="max-w-md w-full space-y-8 p-8">
+          <div className="text-center">
+            <TrendingUp className="mx-auto h-12 w-12 text-blue-600" />
+            <h2 className="mt-6 text-3xl font-bold text-gray-900">Create Account</h2>
+            <p className="mt-2 text-sm text-gray-600">Use your invitation email to sign up</p>
+          </div>
+
+          {signupSuccess ? (
+            <div className="bg-white p-6 rounded-lg shadow-md">
+              <div className="text-center">
+                <Check className="mx-auto h-12 w-12 text-green-600" />
+                <h3 className="mt-4 text-lg font-medium text-gray-900">Account Created</h3>
+                <p className="mt-2 text-sm text-gray-600">You can now sign in with your credentials.</p>
+                <button
+                  onClick={() => {
+                    setShowSignup(false);
+                    setSignupSuccess(false);
+                  }}
+                  className="mt-4 text-blue-600 hover:text-blue-800 underline"
+                >
+                  Back to Login
+                </button>
+              </div>
+            </div>
+          ) : (
+            <form className="mt-8 space-y-6" onSubmit={handleSignup}>
+              <div className="bg-white p-6 rounded-lg shadow-md">
+                <div className="space-y-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Name</label>
+                    <input
+                      type="text"
+                      value={name}
+                      onChange={(e) => setName(e.target.value)}
+                      className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                      placeholder="Your name"
+                      required
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Email</label>
+                    <input
+                      type="email"
+                      value={email}
+                      onChange={(e) => setEmail(e.target.value)}
+                      className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                      placeholder="you@example.com"
+                      required
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Password</label>
+                    <input
+                      type="password"
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                      placeholder="Password"
+                      required
+                    />
+                  </div>
+                </div>
+                {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="mt-4 w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+                >
+                  {loading ? 'Signing up...' : 'Sign Up'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setShowSignup(false)}
+                  className="mt-2 w-full text-sm text-gray-600 hover:text-gray-800"
+                >
+                  Back to Login
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  if (showForgotPassword) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center">
+        <div className="max-w-md w-full space-y-8 p-8">
+          <div className="text-center">
+            <TrendingUp className="mx-auto h-12 w-12 text-blue-600" />
+            <h2 className="mt-6 text-3xl font-bold text-gray-900">Reset Password</h2>
+            <p className="mt-2 text-sm text-gray-600">Enter your email to receive reset instructions</p>
+          </div>
+          
+          {resetSuccess ? (
+            <div className="bg-white p-6 rounded-lg shadow-md">
+              <div className="text-center">
+                <Check className="mx-auto h-12 w-12 text-green-600" />
+                <h3 className="mt-4 text-lg font-medium text-gray-900">Check your email</h3>
+                <p className="mt-2 text-sm text-gray-600">
+                  We've sent password reset instructions to your email address.
+                </p>
+                <button
+                  onClick={() => {
+                    setShowForgotPassword(false);
+                    setResetSuccess(false);
+                  }}
+                  className="mt-4 text-blue-600 hover:text-blue-800 underline"
+                >
+                  Back to Login
+                </button>
+              </div>
+            </div>
+          ) : (
+            <form className="mt-8 space-y-6" onSubmit={handleResetPassword}>
+              <div className="bg-white p-6 rounded-lg shadow-md">
+                <div className="space-y-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Email</label>
+                    <input
+                      type="email"
+                      value={email}
+                      onChange={(e) => setEmail(e.target.value)}
+                      className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                      placeholder="your@email.com"
+                      required
+                    />
+                  </div>
+                </div>
+                {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="mt-4 w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+                >
+                  {loading ? 'Sending...' : 'Send Reset Email'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setShowForgotPassword(false)}
+                  className="mt-2 w-full text-sm text-gray-600 hover:text-gray-800"
+                >
+                  Back to Login
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center">
+      <div className="max-w-md w-full space-y-8 p-8">
+        <div className="text-center">
+          <TrendingUp className="mx-auto h-12 w-12 text-blue-600" />
+          <h2 className="mt-6 text-3xl font-bold text-gray-900">Economic Forecasting Platform</h2>
+          <p className="mt-2 text-sm text-gray-600">Sign in to start forecasting</p>
+        </div>
+        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+          <div className="bg-white p-6 rounded-lg shadow-md">
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Email</label>
+                <input
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  placeholder="your@email.com"
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Password</label>
+                <input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  placeholder="Password"
+                  required
+                />
+              </div>
+            </div>
+            {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+            <button
+              type="submit"
+              disabled={loading}
+              className="mt-4 w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+            >
+              {loading ? 'Signing in...' : 'Sign In'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowForgotPassword(true)}
+              className="mt-2 w-full text-sm text-gray-600 hover:text-gray-800 underline"
+            >
+              Forgot Password?
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowSignup(true)}
+              className="mt-2 w-full text-sm text-gray-600 hover:text-gray-800 underline"
+            >
+              Sign Up
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const DashboardView = ({ currentUser, questions, forecasts, loadUserStats, loadScoreHistory, tournaments, defaultRule, newsFeed, users, activeCount, onLoad, onViewCalibration }) => {
+  const [stats, setStats] = useState(emptyStats(defaultRule));
+  // '' for all-time stats, or one of the user's tournaments
+  const [tournamentId, setTournamentId] = useState('');
+  const tournament = tournaments.find(t => t.id === tournamentId);
+  const loadDashboard = useLatestCallback(onLoad);
+  const loadStats = useLatestCallback(loadUserStats);
+
+  useEffect(() => {
+    loadDashboard();
+  }, [loadDashboard]);
+
+  // Stored scores only change when a question resolves or its resolution is
+  // amended, or when the user's own forecasts change; other forecasters'
+  // activity leaves them alone
+  const statsKey = JSON.stringify([
+    questions.filter(q => q.isResolved).map(q => [q.id, q.resolution, q.resolvedDate]),
+    forecasts.filter(f => f.user_id === currentUser.id).map(f => [f.id, f.updated_at]),
+  ]);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadStats(currentUser.id, defaultRule, tournamentId || null)
+      .then(result => {
+        if (!cancelled) setStats(result);
+      })
+      .catch(error => console.error('Error loading stats:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [currentUser.id, defaultRule, tournamentId, statsKey, loadStats]);
+
+  const rule = getScoringRule(stats.rule);
+  const userForecasts = forecasts.filter(f => f.user_id === currentUser.id);
+  const recentQuestions = [...questions].sort((a, b) => {
+    const da = a.createdDate || a.created_at || a.close_date || '';
+    const db = b.createdDate || b.created_at || b.close_date || '';
+    return new Date(db) - new Date(da);
+  });
+  const questionMap = questions.reduce((acc, q) => {
+    acc[q.id] = q.title;
+    return acc;
+  }, {});
+
+  return (
+    <div className="space-y-6">
+      {tournaments.length > 0 && (
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <div className="flex items-center space-x-2">
+            <Trophy className="h-5 w-5 text-yellow-500" />
+            <select
+              value={tournamentId}
+              onChange={(e) => setTournamentId(e.target.value)}
+              className="px-3 py-2 rounded-md text-sm bg-white text-slate-700 border border-slate-300"
+            >
+              <option value="">All-time</option>
+              {tournaments.map(t => (
+                <option key={t.id} value={t.id}>
+                  {t.name} ({TOURNAMENT_PHASES[getTournamentPhase(t)]})
+                </option>
+              ))}
+            </select>
+          </div>
+          {tournament && (
+            <p className="text-sm text-slate-600">
+              {tournament.start_date} to {tournament.end_date} · {tournament.question_ids.length} question
+              {tournament.question_ids.length === 1 ? '' : 's'} · {getScoringRule(tournament.scoring_rule).label}
+            </p>
+          )}
+        </div>
+      )}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+        <div className="bg-white p-6 rounded-lg shadow-sm border border-slate-200">
+          <div className="flex items-center">
+            <Target className="h-8 w-8 text-blue-600" />
+            <div className="ml-4">
+              <p className="text-sm font-medium text-slate-600">{rule.label}</p>
+              <p className="text-2xl font-bold text-slate-900">{stats.score ?? '–'}</p>
+              {stats.score === null && (
+                <p className="text-xs text-slate-500">No resolved forecasts yet</p>
+              )}
+              <button
+                onClick={onViewCalibration}
+                className="text-xs text-blue-600 hover:text-blue-800 underline"
+              >
+                View calibration
+              </button>
+            </div>
+          </div>
+        </div>
+        <div className="bg-white p-6 rounded-lg shadow-sm border border-slate-200">
+          <div className="flex items-center">
+            <BarChart3 className="h-8 w-8 text-green-600" />
+            <div className="ml-4">
+              <p className="text-sm font-medium text-slate-600">Accuracy</p>
+              <p className="text-2xl font-bold text-slate-900">{stats.accuracy}%</p>
+            </div>
+          </div>
+        </div>
+        <div className="bg-white p-6 rounded-lg shadow-sm border border-slate-200">
+          <div className="flex items-center">
+            <Clock className="h-8 w-8 text-purple-600" />
+            <div className="ml-4">
+              <p className="text-sm font-medium text-slate-600">Questions Answered</p>
+              <p className="text-2xl font-bold text-slate-900">{stats.questionsAnswered}</p>
+            </div>
+          </div>
+        </div>
+        <div className="bg-white p-6 rounded-lg shadow-sm border border-slate-200">
+          <div className="flex items-center">
+            <Trophy className="h-8 w-8 text-yellow-600" />
+            <div className="ml-4">
+              <p className="text-sm font-medium text-slate-600">Active Questions</p>
+              <p className="text-2xl font-bold text-slate-900">{activeCount}</p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <ScoreHistoryPanel
+        userId={currentUser.id}
+        ruleId={tournament ? tournament.scoring_rule : defaultRule}
+        tournamentId={tournamentId || null}
+        questions={questions}
+        version={statsKey}
+        loadScoreHistory={loadScoreHistory}
+      />
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2">
+          <div className="bg-white rounded-lg shadow-sm border border-slate-200">
+            <div className="px-6 py-4 border-b border-slate-200">
+              <h3 className="text-lg font-medium text-slate-900">Recent Questions</h3>
+            </div>
+            <div className="p-6">
+              <div className="space-y-4">
+                {recentQuestions.slice(0, 5).map(question => {
+                  const userForecast = userForecasts.find(f => f.question_id === question.id);
+                  const qForecasts = forecasts.filter(f => f.question_id === question.id);
+                  let stats = null;
+                  if (question.isResolved) {
+                    const correct = qForecasts.filter(f => {
+                      if (question.type === 'binary') {
+                        const pred = f.forecast.probability > 50;
+                        return pred === question.resolution;
+                      }
+                      if (question.type === 'three-category') {
+                        const data = f.forecast;
+                        const pred = Object.keys(data).reduce((a,b)=> (data[a] > data[b] ? a : b));
+                        return pred === question.resolution;
+                      }
+                      if (question.type === 'multiple-choice') {
+                        const data = f.forecast;
+                        const pred = Object.keys(data).reduce((a,b)=> (data[a] > data[b] ? a : b));
+                        return pred === question.resolution;
+                      }
+                      if (question.type === 'numeric') {
+                        return isWithinInterval(f.forecast, question.resolution);
+                      }
+                      if (question.type === 'date') {
+                        return isWithinDateInterval(f.forecast, question.resolution, question);
+                      }
+                      return false;
+                    });
+                    const scores = qForecasts
+                      .map(f => ({
+                        user: f.user_id,
+                        score: calculateBrierScore(f.forecast, question.resolution, question.type, question)
+                      }))
+                      .filter(s => s.score !== null);
+                    const top = scores.sort((a,b)=>a.score-b.score)[0];
+                    const topUser = top ? users.find(u => u.id === top.user) : null;
+                    stats = {
+                      total: qForecasts.length,
+                      correct: correct.length,
+                      incorrect: qForecasts.length - correct.length,
+                      topUser: topUser ? topUser.name || topUser.email : 'N/A'
+                    };
+                  }
+                  return (
+                    <div key={question.id} className="flex items-center justify-between p-4 bg-slate-50 rounded-lg">
+                      <div className="flex-1">
+                        <h4 className="font-medium text-slate-900">{question.title}</h4>
+                        <p className="text-sm text-slate-600 mt-1">{question.description}</p>
+                        <div className="flex items-center mt-2 text-xs text-slate-500">
+                          <Calendar className="h-4 w-4 mr-1" />
+                          Created {question.createdDate || question.created_at}
+                        </div>
+                        {question.isResolved && stats && (
+                          <p className="text-xs text-slate-500 mt-1">
+                            {stats.total} forecasts, {stats.correct} correct, {stats.incorrect} incorrect. Top forecaster: {stats.topUser}
+                          </p>
+                        )}
+                      </div>
+                      <div className="ml-4">
+                        {question.isResolved ? (
+                          <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
+                            {QUESTION_STATUSES.resolved}
+                          </span>
+                        ) : getQuestionStatus(question) === 'annulled' ? (
+                          <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                            {QUESTION_STATUSES.annulled}
+                          </span>
+                        ) : getQuestionStatus(question) === 'closed' ? (
+                          <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-800">
+                            {QUESTION_STATUSES.closed}
+                          </span>
+                        ) : userForecast ? (
+                          <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                            Forecast Submitted
+                          </span>
+                        ) : (
+                          <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                            Pending
+                          </span>
+                        )}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-sm border border-slate-200">
+          <div className="px-6 py-4 border-b border-slate-200">
+            <div className="flex items-center justify-between">
+              <div className="flex items-center">
+                <Globe className="h-5 w-5 text-slate-400 mr-2" />
+                <h3 className="text-lg font-medium text-slate-900">Economic News</h3>
+              </div>
+              <button
+                onClick={newsFeed.refresh}
+                disabled={newsFeed.refreshing}
+                title="Refresh news"
+                className="text-slate-400 hover:text-blue-600 disabled:opacity-50"
+              >
+                <RefreshCw className={`h-4 w-4 ${newsFeed.refreshing ? 'animate-spin' : ''}`} />
+              </button>
+            </div>
+            <p className="text-xs text-slate-500 mt-1">
+              {newsFeed.updatedAt
+                ? `Updated ${new Date(newsFeed.updatedAt).toLocaleString()}`
+                : newsFeed.refreshing ? 'Loading news...' : 'Not loaded yet'}
+            </p>
+          </div>
+          <div className="p-6">
+            <div className="space-y-4">
+              {newsFeed.articles.map((item, index) => (
+                <div key={index} className="border-b border-slate-100 pb-3 last:border-b-0">
+                  <a href={item.url} className="text-sm font-medium text-slate-900 hover:text-blue-600 line-clamp-2">
+                    {item.title}
+                  </a>
+                  <p className="text-xs text-slate-500 mt-1">{item.source}</p>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const CHART_DAY_MS = 24 * 60 * 60 * 1000;
+
+// Small SVG line chart shared by the score and forecast charts. Points are
+// { x, y, title } with x a timestamp in ms. A `step` series holds each value
+// until the next point, as a forecast stands until it is revised, and runs
+// on to `extendTo` if given. `hLines` mark values and `vLines` moments.
+const LineChart = ({
+  series,
+  yDomain,
+  invertY = false,
+  formatX = (x) => new Date(x).toISOString().split('T')[0],
+  formatY = (y) => String(y),
+  hLines = [],
+  vLines = [],
+  height = 200,
+}) => {
+  const width = 480;
+  const padding = { top: 12, right: 16, bottom: 28, left: 56 };
+  const points = series.flatMap(s => s.points);
+  const xs = [
+    ...points.map(p => p.x),
+    ...series.filter(s => s.extendTo).map(s => s.extendTo),
+    ...vLines.map(l => l.x),
+  ];
+  if (xs.length === 0) return null;
+
+  let xMin = Math.min(...xs);
+  let xMax = Math.max(...xs);
+  if (xMin === xMax) {
+    xMin -= CHART_DAY_MS;
+    xMax += CHART_DAY_MS;
+  }
+  const ys = [...points.map(p => p.y), ...hLines.map(l => l.y)];
+  let [yMin, yMax] = yDomain || [Math.min(...ys), Math.max(...ys)];
+  if (yMin === yMax) {
+    yMin -= 1;
+    yMax += 1;
+  }
+
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+  const toX = (x) => padding.left + ((x - xMin) / (xMax - xMin)) * plotWidth;
+  const toY = (y) => {
+    const t = (y - yMin) / (yMax - yMin);
+    return padding.top + (invertY ? t : 1 - t) * plotHeight;
+  };
+  const path = (s) =>
+    s.points
+      .map((p, i) => {
+        if (i === 0) return `M ${toX(p.x)} ${toY(p.y)}`;
+        return s.step ? `H ${toX(p.x)} V ${toY(p.y)}` : `L ${toX(p.x)} ${toY(p.y)}`;
+      })
+      .join(' ') + (s.step && s.extendTo && s.points.length > 0 ? ` H ${toX(s.extendTo)}` : '');
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full">
+        <rect x={padding.left} y={padding.top} width={plotWidth} height={plotHeight} fill="#f8fafc" stroke="#e2e8f0" />
+        {[0, 0.5, 1].map(t => {
+          const y = yMin + t * (yMax - yMin);
+          return (
+            <text key={`y${t}`} x={padding.left - 6} y={toY(y) + 3} fontSize="10" textAnchor="end" fill="#64748b">
+              {formatY(y)}
+            </text>
+          );
+        })}
+        {[0, 0.5, 1].map(t => {
+          const x = xMin + t * (xMax - xMin);
+          return (
+            <text
+              key={`x${t}`}
+              x={toX(x)}
+              y={height - padding.bottom + 16}
+              fontSize="10"
+              textAnchor={t === 0 ? 'start' : t === 1 ? 'end' : 'middle'}
+              fill="#64748b"
+            >
+              {formatX(x)}
+            </text>
+          );
+        })}
+        {hLines.map(l => (
+          <g key={`h${l.label}`}>
+            <line x1={padding.left} x2={width - padding.right} y1={toY(l.y)} y2={toY(l.y)} stroke={l.color} strokeDasharray="4 4" />
+            <text x={width - padding.right - 4} y={toY(l.y) - 4} fontSize="10" textAnchor="end" fill={l.color}>{l.label}</text>
+          </g>
+        ))}
+        {vLines.map(l => (
+          <g key={`v${l.label}`}>
+            <line x1={toX(l.x)} x2={toX(l.x)} y1={padding.top} y2={height - padding.bottom} stroke={l.color} strokeDasharray="4 4" />
+            <text x={toX(l.x) - 4} y={padding.top + 10} fontSize="10" textAnchor="end" fill={l.color}>{l.label}</text>
+          </g>
+        ))}
+        {series.map(s => (
+          <g key={s.id}>
+            <path d={path(s)} fill="none" stroke={s.color} strokeWidth="2" strokeDasharray={s.dashed ? '5 3' : undefined} />
+            {!s.hidePoints && s.points.map((p, i) => (
+              <circle key={i} cx={toX(p.x)} cy={toY(p.y)} r="3" fill={s.color}>
+                {p.title && <title>{p.title}</title>}
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+      {series.length > 1 && (
+        <div className="flex flex-wrap gap-4 mt-1 text-xs text-slate-600">
+          {series.map(s => (
+            <span key={s.id} className="flex items-center">
+              <span className="inline-block w-3 h-0.5 mr-1" style={{ backgroundColor: s.color }} />
+              {s.label}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Running score and rank after each resolved question, on the dashboard
+// `version` changes whenever the user's scores may have, like the dashboard's
+// stats
+const ScoreHistoryPanel = ({ userId, ruleId, tournamentId, questions, version, loadScoreHistory }) => {
+  const [history, setHistory] = useState([]);
+  const rule = getScoringRule(ruleId);
+  const loadHistory = useLatestCallback(loadScoreHistory);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadHistory(userId, ruleId, tournamentId)
+      .then(result => {
+        if (!cancelled) setHistory(result);
+      })
+      .catch(error => console.error('Error loading score history:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, ruleId, tournamentId, version, loadHistory]);
+
+  const titleOf = (point) => {
+    const question = questions.find(q => q.id === point.questionId);
+    return `${point.date}${question ? `: ${question.title}` : ''}\n${rule.shortLabel} ${point.score.toFixed(3)}, running ${point.cumulative.toFixed(3)}, rank ${point.rank} of ${point.total}`;
+  };
+  const points = history.map(point => ({ ...point, x: new Date(point.date).getTime(), title: titleOf(point) }));
+  const maxRank = Math.max(1, ...history.map(point => point.total));
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-slate-200">
+      <div className="px-6 py-4 border-b border-slate-200">
+        <h3 className="text-lg font-medium text-slate-900">Score Over Time</h3>
+        <p className="text-sm text-slate-600 mt-1">
+          Your running {rule.label} and rank as questions resolve. Better scores and ranks plot higher.
+        </p>
+      </div>
+      {history.length === 0 ? (
+        <p className="px-6 py-4 text-sm text-slate-500">
+          Your score history starts once a question you forecast resolves.
+        </p>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 p-6">
+          <div>
+            <h4 className="text-sm font-medium text-slate-700 mb-2">Running score</h4>
+            <LineChart
+              series={[
+                {
+                  id: 'cumulative',
+                  label: 'Running score',
+                  color: '#2563eb',
+                  points: points.map(p => ({ x: p.x, y: p.cumulative, title: p.title })),
+                },
+                {
+                  id: 'question',
+                  label: 'Question score',
+                  color: '#94a3b8',
+                  dashed: true,
+                  points: points.map(p => ({ x: p.x, y: p.score, title: p.title })),
+                },
+              ]}
+              invertY={rule.lowerIsBetter}
+              formatY={(y) => y.toFixed(2)}
+            />
+          </div>
+          <div>
+            <h4 className="text-sm font-medium text-slate-700 mb-2">Rank</h4>
+            <LineChart
+              series={[{
+                id: 'rank',
+                label: 'Rank',
+                color: '#ca8a04',
+                points: points.map(p => ({ x: p.x, y: p.rank, title: p.title })),
+              }]}
+              yDomain={[1, maxRank]}
+              invertY
+              formatY={(y) => `#${Math.round(y)}`}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const QuestionsView = ({ questions, forecasts, revisions, currentUser, counts, users, discussion, news, aggregates, forecastVisibility, onLoadPage, onLoadTags, onLoadCrowdHistory, onSubmitForecast }) => {
+  const [selectedQuestion, setSelectedQuestion] = useState(null);
+  // Filters start from the URL, so a shared link opens the same list
+  const [filters, setFilters] = useState(() => filtersFromSearch(window.location.search));
+  const [searchInput, setSearchInput] = useState(filters.search);
+  const [tags, setTags] = useState([]);
+  const [aggregationMethod, setAggregationMethod] = useState(DEFAULT_AGGREGATION_METHOD);
+  const [page, setPage] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [matchCount, setMatchCount] = useState(0);
+  const [matchIds, setMatchIds] = useState([]);
+  const [loadingPage, setLoadingPage] = useState(false);
+
+  const filter = filters.status;
+  const updateFilters = (updates) => setFilters(prev => ({ ...prev, ...updates }));
+  const loadQuestions = useLatestCallback(onLoadPage);
+  const loadTags = useLatestCallback(onLoadTags);
+
+  const loadPage = useCallback(async (nextPage) => {
+    setLoadingPage(true);
+    const result = await loadQuestions(filters.status, nextPage, filters);
+    setPage(nextPage);
+    setHasMore(result.hasMore);
+    setMatchCount(result.count);
+    setMatchIds(prev => (nextPage === 0 ? result.ids : [...prev, ...result.ids]));
+    setLoadingPage(false);
+  }, [filters, loadQuestions]);
+
+  useEffect(() => {
+    window.history.replaceState(null, '', `${window.location.pathname}${filtersToSearch(filters)}`);
+    loadPage(0);
+  }, [filters, loadPage]);
+
+  // The URL only describes the list while it is on screen
+  useEffect(() => {
+    loadTags().then(setTags);
+    return () => window.history.replaceState(null, '', window.location.pathname);
+  }, [loadTags]);
+
+  const findParent = (question) =>
+    isConditional(question) ? questions.find(q => q.id === question.parent_question_id) : null;
+
+  // Following a condition's link shows the parent in its own tab
+  const selectParent = (parent) => {
+    setFilters({ ...DEFAULT_FILTERS, status: getQuestionStatus(parent) });
+    setSearchInput('');
+    setSelectedQuestion(parent);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    updateFilters({ search: searchInput.trim() });
+  };
+
+  const clearFilters = () => {
+    setFilters({ ...DEFAULT_FILTERS, status: filter });
+    setSearchInput('');
+  };
+
+  // Unfiltered, the list follows the cache so realtime changes show up;
+  // filtered, it holds only what the server matched
+  const filteredQuestions = sortByCloseDate(
+    questions.filter(q =>
+      getQuestionStatus(q) === filter && (!isFiltered(filters) || matchIds.includes(q.id))
+    )
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-bold text-slate-900">Questions</h2>
+        <div className="flex space-x-2">
+          <select
+            value={aggregationMethod}
+            onChange={(e) => setAggregationMethod(e.target.value)}
+            className="px-3 py-2 rounded-md text-sm bg-white text-slate-700 border border-slate-300"
+            title="How the crowd forecast is aggregated"
+          >
+            {Object.entries(AGGREGATION_METHODS).map(([value, label]) => (
+              <option key={value} value={value}>Crowd: {label}</option>
+            ))}
+          </select>
+          {[
+            ['open', 'Open', counts.openQuestions],
+            ['closed', 'Closed', counts.closedQuestions],
+            ['resolved', 'Resolved', counts.resolvedQuestions],
+            ...(counts.annulledQuestions > 0
+              ? [['annulled', 'Annulled', counts.annulledQuestions]]
+              : []),
+          ].map(([value, label, count]) => (
+            <button
+              key={value}
+              onClick={() => updateFilters({ status: value })}
+              className={`px-4 py-2 rounded-md text-sm font-medium ${
+                filter === value
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-white text-slate-700 border border-slate-300'
+              }`}
+            >
+              {label} ({count})
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="bg-white p-4 rounded-lg shadow-sm border border-slate-200 space-y-3">
+        <form onSubmit={handleSearch} className="flex space-x-2">
+          <input
+            type="search"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="Search titles and descriptions"
+            className="flex-1 px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 text-sm"
+          />
+          <button
+            type="submit"
+            className="px-4 py-2 rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700"
+          >
+            Search
+          </button>
+        </form>
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+          <select
+            value={filters.tag}
+            onChange={(e) => updateFilters({ tag: e.target.value })}
+            className="px-3 py-2 rounded-md text-sm bg-white text-slate-700 border border-slate-300"
+          >
+            <option value="">All tags</option>
+            {filters.tag && !tags.some(t => t.tag === filters.tag) && (
+              <option value={filters.tag}>{filters.tag}</option>
+            )}
+            {tags.map(({ tag, question_count: questionCount }) => (
+              <option key={tag} value={tag}>{tag} ({questionCount})</option>
+            ))}
+          </select>
+          <select
+            value={filters.type}
+            onChange={(e) => updateFilters({ type: e.target.value })}
+            className="px-3 py-2 rounded-md text-sm bg-white text-slate-700 border border-slate-300"
+          >
+            <option value="">All types</option>
+            {Object.entries(QUESTION_TYPE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <input
+            type="date"
+            value={filters.closeFrom}
+            onChange={(e) => updateFilters({ closeFrom: e.target.value })}
+            title="Closes on or after"
+            className="px-3 py-2 rounded-md text-sm bg-white text-slate-700 border border-slate-300"
+          />
+          <input
+            type="date"
+            value={filters.closeTo}
+            onChange={(e) => updateFilters({ closeTo: e.target.value })}
+            title="Closes on or before"
+            className="px-3 py-2 rounded-md text-sm bg-white text-slate-700 border border-slate-300"
+          />
+          <select
+            value={filters.forecasted}
+            onChange={(e) => updateFilters({ forecasted: e.target.value })}
+            className="px-3 py-2 rounded-md text-sm bg-white text-slate-700 border border-slate-300"
+          >
+            {Object.entries(FORECASTED_FILTERS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        {isFiltered(filters) && (
+          <div className="flex justify-between items-center text-sm text-slate-600">
+            <span>
+              {matchCount} matching {matchCount === 1 ? 'question' : 'questions'}
+            </span>
+            <button onClick={clearFilters} className="text-blue-600 hover:text-blue-800">
+              Clear filters
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="space-y-4">
+          {filteredQuestions.map(question => (
+            <QuestionCard
+              key={question.id}
+              question={question}
+              parent={findParent(question)}
+              forecasts={forecasts}
+              currentUser={currentUser}
+              aggregationMethod={aggregationMethod}
+              serverAggregate={aggregates[question.id]}
+              forecastVisibility={forecastVisibility}
+              onSelect={() => setSelectedQuestion(question)}
+              onSelectParent={selectParent}
+              onSelectTag={(tag) => updateFilters({ tag })}
+              isSelected={selectedQuestion?.id === question.id}
+            />
+          ))}
+          {!loadingPage && filteredQuestions.length === 0 && (
+            <p className="text-sm text-slate-500 text-center py-6">No questions match these filters.</p>
+          )}
+          {hasMore && (
+            <button
+              onClick={() => loadPage(page + 1)}
+              disabled={loadingPage}
+              className="w-full py-2 text-sm text-blue-600 hover:text-blue-800 disabled:text-slate-400"
+            >
+              {loadingPage ? 'Loading...' : 'Load more questions'}
+            </button>
+          )}
+        </div>
+        <div>
+          {selectedQuestion && (
+            <ForecastForm
+              question={selectedQuestion}
+              parent={findParent(selectedQuestion)}
+              onSelectParent={selectParent}
+              forecasts={forecasts}
+              revisions={revisions}
+              currentUser={currentUser}
+              onLoadCrowdHistory={onLoadCrowdHistory}
+              news={news}
+              onSubmitForecast={onSubmitForecast}
+            />
+          )}
+          {selectedQuestion && (
+            <DiscussionPanel
+              question={selectedQuestion}
+              currentUser={currentUser}
+              users={users}
+              hasForecast={forecasts.some(
+                f => f.question_id === selectedQuestion.id && f.user_id === currentUser.id
+              )}
+              {...discussion}
+            />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// "If <parent> resolves <outcome>" for conditional questions, linking to the
+// parent when the view can show it
+const ConditionNotice = ({ question, parent, onSelectParent, className = '' }) => {
+  if (!isConditional(question)) return null;
+  const state = getConditionState(question, parent);
+
+  return (
+    <div className={`flex flex-wrap items-center text-xs text-slate-500 ${className}`}>
+      <GitBranch className="h-4 w-4 mr-1" />
+      If
+      {parent && onSelectParent ? (
+        <button
+          type="button"
+          onClick={(e) => {
+            e.stopPropagation();
+            onSelectParent(parent);
+          }}
+          className="mx-1 text-blue-600 underline hover:text-blue-800"
+        >
+          {parent.title}
+        </button>
+      ) : (
+        <span className="mx-1 font-medium">{parent ? parent.title : 'the parent question'}</span>
+      )}
+      resolves {parent ? formatConditionOutcome(parent, question.parent_outcome) : String(question.parent_outcome)}
+      {state === 'met' && <span className="ml-2 text-green-700">Condition met</span>}
+      {state === 'failed' && <span className="ml-2 text-red-700">Condition not met</span>}
+    </div>
+  );
+};
+
+const QuestionCard = ({ question, parent, forecasts, currentUser, aggregationMethod, serverAggregate, forecastVisibility, onSelect, onSelectParent, onSelectTag, isSelected }) => {
+  const userForecast = forecasts.find(
+    f => f.question_id === question.id && f.user_id === currentUser.id
+  );
+  const visibleDetail = getVisibleDetail(question, {
+    platformDefault: forecastVisibility,
+    hasForecast: Boolean(userForecast),
+    isAdmin: currentUser.role === 'admin',
+  });
+  // Only forecasts the user may read are loaded, so with the aggregate
+  // alone visible the crowd comes precomputed from the server
+  const questionForecasts = forecasts.filter(f => f.question_id === question.id);
+  const aggregate = visibleDetail === 'all'
+    ? aggregateForecasts(questionForecasts, question, { method: aggregationMethod })
+    : visibleDetail === 'aggregate' ? serverAggregate?.forecast || null : null;
+  const forecasterCount = visibleDetail === 'all'
+    ? questionForecasts.length
+    : serverAggregate?.forecasters || 0;
+
+  return (
+    <div 
+      className={`bg-white p-6 rounded-lg shadow-sm border cursor-pointer transition-all ${
+        isSelected ? 'ring-2 ring-blue-500 border-blue-200' : 'border-slate-200 hover:border-slate-300'
+      }`}
+      onClick={onSelect}
+    >
+      <div className="flex items-start justify-between">
+        <div className="flex-1">
+          <h3 className="font-medium text-slate-900 mb-2">{question.title}</h3>
+          <ConditionNotice
+            question={question}
+            parent={parent}
+            onSelectParent={onSelectParent}
+            className="mb-1"
+          />
+          <div className="flex items-center text-xs text-slate-500">
+            <Calendar className="h-4 w-4 mr-1" />
+            {question.close_date || 'No close date'}
+          </div>
+          {aggregate && (
+            <div className="flex items-center text-xs text-slate-500 mt-1">
+              <BarChart3 className="h-4 w-4 mr-1" />
+              Crowd: {summarizeAggregate(aggregate, question)}
+              <span className="ml-1">
+                ({forecasterCount} forecaster{forecasterCount === 1 ? '' : 's'})
+              </span>
+            </div>
+          )}
+          {visibleDetail === 'none' && (
+            <div className="flex items-center text-xs text-slate-400 mt-1">
+              <Lock className="h-4 w-4 mr-1" />
+              {hiddenCrowdMessage(question, forecastVisibility)}
+            </div>
+          )}
+          {question.tags?.length > 0 && (
+            <div className="flex flex-wrap gap-1 mt-2">
+              {question.tags.map(tag => (
+                <button
+                  key={tag}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    if (onSelectTag) onSelectTag(tag);
+                  }}
+                  className="px-2 py-0.5 rounded-full text-xs bg-slate-100 text-slate-600 hover:bg-blue-100 hover:text-blue-700"
+                >
+                  {tag}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+        <div className="ml-4">
+          {question.isResolved ? (
+            <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
+              <Check className="h-3 w-3 mr-1" />
+              {QUESTION_STATUSES.resolved}
+            </span>
+          ) : getQuestionStatus(question) === 'annulled' ? (
+            <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+              <X className="h-3 w-3 mr-1" />
+              {QUESTION_STATUSES.annulled}
+            </span>
+          ) : getQuestionStatus(question) === 'closed' ? (
+            <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-800">
+              <Lock className="h-3 w-3 mr-1" />
+              {QUESTION_STATUSES.closed}
+            </span>
+          ) : userForecast ? (
+            <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+              Forecasted
+            </span>
+          ) : (
+            <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+              Open
+            </span>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const ForecastForm = ({ question, parent, onSelectParent, forecasts, revisions, currentUser, onLoadCrowdHistory, news, onSubmitForecast }) => {
+  const existingForecast = forecasts.find(
+    f => f.question_id === question.id && f.user_id === currentUser.id
+  );
+  const isOpen = isOpenForForecasting(question);
+
+  // Submission history comes from the append-only revision log, newest first
+  const userRevisions = revisions.filter(
+    r => r.question_id === question.id && r.user_id === currentUser.id
+  );
+  const userForecasts = (userRevisions.length > 0
+    ? userRevisions
+    : forecasts.filter(f => f.question_id === question.id && f.user_id === currentUser.id)
+  ).sort(
+    (a, b) => new Date(b.created_at || b.updated_at) - new Date(a.created_at || a.updated_at)
+  );
+
+  const formatForecast = (f) => formatForecastSummary(question, f);
+
+  const formatForecastLines = (f) => {
+    const data = normalizeForecast(f);
+    if (question.type === 'binary') {
+      return `Probability: ${data.probability}%`;
+    }
+    if (question.type === 'three-category') {
+      return `Increase: ${data.increase}%\nUnchanged: ${data.unchanged}%\nDecrease: ${data.decrease}%`;
+    }
+    if (question.type === 'multiple-choice') {
+      return question.options.map(opt => `${opt}: ${data[opt]}%`).join('\n');
+    }
+    if (question.type === 'numeric') {
+      return formatNumericForecast(data, '\n');
+    }
+    if (question.type === 'date') {
+      return formatDateForecast(data, '\n');
+    }
+    return JSON.stringify(data);
+  };
+  
+  const [forecast, setForecast] = useState(() => {
+    if (existingForecast) {
+      return normalizeForecast(existingForecast.forecast);
+    }
+    if (question.type === 'binary') {
+      return { probability: 50 };
+    } else if (question.type === 'three-category') {
+      return { increase: 33, unchanged: 34, decrease: 33 };
+    } else if (question.type === 'multiple-choice') {
+      const evenSplit = Math.floor(100 / question.options.length);
+      const remainder = 100 - (evenSplit * question.options.length);
+      const initial = {};
+      question.options.forEach((option, index) => {
+        initial[option] = index === 0 ? evenSplit + remainder : evenSplit;
+      });
+      return initial;
+    } else if (question.type === 'numeric') {
+      return defaultNumericForecast(question);
+    } else if (question.type === 'date') {
+      return defaultDateForecast(question);
+    }
+    return {};
+  });
+
+  // Reset forecast state when the question or existing forecast changes
+  useEffect(() => {
+    if (existingForecast) {
+      setForecast(normalizeForecast(existingForecast.forecast));
+    } else if (question.type === 'binary') {
+      setForecast({ probability: 50 });
+    } else if (question.type === 'three-category') {
+      setForecast({ increase: 33, unchanged: 34, decrease: 33 });
+    } else if (question.type === 'multiple-choice') {
+      const evenSplit = Math.floor(100 / question.options.length);
+      const remainder = 100 - evenSplit * question.options.length;
+      const initial = {};
+      question.options.forEach((option, index) => {
+        initial[option] = index === 0 ? evenSplit + remainder : evenSplit;
+      });
+      setForecast(initial);
+    } else if (question.type === 'numeric') {
+      setForecast(defaultNumericForecast(question));
+    } else if (question.type === 'date') {
+      setForecast(defaultDateForecast(question));
+    } else {
+      setForecast({});
+    }
+  }, [question, question.id, existingForecast, question.options, question.type]);
+
+  const total = Object.values(forecast).reduce((sum, val) => sum + (Number(val) || 0), 0);
+  const requiresTotal = question.type === 'three-category' || question.type === 'multiple-choice';
+  const numericError = question.type === 'numeric'
+    ? validateNumericForecast(forecast, question)
+    : question.type === 'date'
+      ? validateDateForecast(forecast, question)
+      : '';
+  const isValid = (!requiresTotal || total === 100) && !numericError;
+
+  const [showConfirmation, setShowConfirmation] = useState(false);
+  const [rationale, setRationale] = useState('');
+
+  useEffect(() => {
+    setRationale('');
+  }, [question.id]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!isValid || !isOpen) {
+      return;
+    }
+    const submitted = question.type === 'numeric' || question.type === 'date'
+      ? PERCENTILES.reduce((acc, p) => {
+          acc[percentileKey(p)] = Number(forecast[percentileKey(p)]);
+          return acc;
+        }, {})
+      : forecast;
+    const success = await onSubmitForecast(question.id, submitted, rationale);
+    if (success) {
+      setRationale('');
+      setShowConfirmation(true);
+      setTimeout(() => setShowConfirmation(false), 3000);
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-sm border border-slate-200">
+      {question.isResolved ? (
+        <>
+          <h3 className="text-lg font-medium text-slate-900 mb-4">Question Resolved</h3>
+          <ConditionNotice
+            question={question}
+            parent={parent}
+            onSelectParent={onSelectParent}
+            className="mb-2"
+          />
+          {question.description && (
+            <p className="text-sm text-slate-600 mb-2">{question.description}</p>
+          )}
+          {question.data_resource_name && (
+            <p className="text-sm text-slate-600 mb-4">
+              Data resource:{' '}
+              <a
+                href={question.data_resource_url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-blue-600 underline"
+              >
+                {question.data_resource_name}
+              </a>
+            </p>
+          )}
+          <div className="bg-gray-50 p-4 rounded-lg">
+            <p className="text-sm text-gray-600 mb-2">Resolution:</p>
+            <p className="font-medium text-gray-900">{formatResolution(question)}</p>
+            <p className="text-xs text-gray-500 mt-2">Resolved on {question.resolvedDate}</p>
+          </div>
+          {existingForecast && (
+            <div className="mt-4 bg-blue-50 p-4 rounded-lg">
+              <p className="text-sm text-blue-600 mb-2">Your Forecast:</p>
+              {question.type === 'binary' && (
+                <p className="font-medium text-blue-900">{existingForecast.forecast.probability}%</p>
+              )}
+              {question.type === 'three-category' && (
+                (() => {
+                  const data = normalizeForecast(existingForecast.forecast);
+                  return (
+                    <div className="space-y-1">
+                      <p className="text-sm">Increase: {data.increase}%</p>
+                      <p className="text-sm">Unchanged: {data.unchanged}%</p>
+                      <p className="text-sm">Decrease: {data.decrease}%</p>
+                    </div>
+                  );
+                })()
+              )}
+              {question.type === 'numeric' && (
+                <p className="font-medium text-blue-900">
+                  {formatNumericForecast(existingForecast.forecast)}
+                </p>
+              )}
+              {question.type === 'date' && (
+                <p className="font-medium text-blue-900">
+                  {formatDateForecast(existingForecast.forecast)}
+                </p>
+              )}
+              <p className="text-sm mt-2">
+                {(() => {
+                  const outcome = String(question.resolution);
+                  let predicted = '';
+                  if (question.type === 'binary') {
+                    predicted = existingForecast.forecast.probability > 50 ? 'true' : 'false';
+                  } else if (question.type === 'three-category') {
+                    const data = normalizeForecast(existingForecast.forecast);
+                    predicted = Object.keys(data).reduce((a, b) => (data[a] > data[b] ? a : b));
+                  } else if (question.type === 'multiple-choice') {
+                    const data = existingForecast.forecast;
+                    predicted = Object.keys(data).reduce((a, b) => (data[a] > data[b] ? a : b));
+                  } else if (question.type === 'numeric') {
+                    return isWithinInterval(existingForecast.forecast, question.resolution)
+                      ? 'The outcome fell inside your 80% interval.'
+                      : 'The outcome fell outside your 80% interval.';
+                  } else if (question.type === 'date') {
+                    return isWithinDateInterval(existingForecast.forecast, question.resolution, question)
+                      ? 'The outcome fell inside your 80% interval.'
+                      : 'The outcome fell outside your 80% interval.';
+                  }
+                  return predicted === outcome ? 'You were correct!' : 'You were incorrect.';
+                })()}
+              </p>
+            </div>
+          )}
+        </>
+      ) : (
+        <>
+          <ConditionNotice
+            question={question}
+            parent={parent}
+            onSelectParent={onSelectParent}
+            className="mb-2"
+          />
+          {question.description && (
+            <p className="text-sm text-slate-600 mb-2">{question.description}</p>
+          )}
+          {question.data_resource_name && (
+            <p className="text-sm text-slate-600 mb-4">
+              Data resource:{' '}
+              <a
+                href={question.data_resource_url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-blue-600 underline"
+              >
+                {question.data_resource_name}
+              </a>
+            </p>
+          )}
+          <h3 className="text-lg font-medium text-slate-900 mb-4">
+            {existingForecast ? 'Update Forecast' : 'Make Forecast'}
+          </h3>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            {question.type === 'binary' && (
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-2">
+                  Probability (%)
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={forecast.probability}
+                  onChange={(e) => setForecast({ probability: parseInt(e.target.value) || 0 })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+            )}
+
+            {question.type === 'three-category' && (
+              <div className="space-y-3">
+                {question.categories.map((category, index) => {
+                  const lower = category.toLowerCase();
+                  const key = lower.includes('unchanged') ? 'unchanged' : lower;
+                  return (
+                    <div key={category}>
+                      <label className="block text-sm font-medium text-slate-700 mb-1">
+                        {category} (%)
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={forecast[key] || 0}
+                        onChange={(e) => {
+                          const newValue = parseInt(e.target.value) || 0;
+                          setForecast({ ...forecast, [key]: newValue });
+                        }}
+                        className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                      />
+                    </div>
+                  );
+                })}
+                <div className="text-sm text-slate-600">
+                  Total: {Object.values(forecast).reduce((sum, val) => sum + (Number(val) || 0), 0)}%
+                  {Object.values(forecast).reduce((sum, val) => sum + (Number(val) || 0), 0) !== 100 && (
+                    <span className="text-red-600 ml-2">Total must equal 100 %</span>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {question.type === 'multiple-choice' && (
+              <div className="space-y-3">
+                {question.options.map(option => (
+                  <div key={option}>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">
+                      {option} (%)
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      value={forecast[option] || 0}
+                      onChange={(e) => {
+                        const newValue = parseInt(e.target.value) || 0;
+                        setForecast({ ...forecast, [option]: newValue });
+                      }}
+                      className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
                     />
                   </div>
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700">Email</label>
+                ))}
+                <div className="text-sm text-slate-600">
+                  Total: {Object.values(forecast).reduce((sum, val) => sum + (Number(val) || 0), 0)}%
+                  {Object.values(forecast).reduce((sum, val) => sum + (Number(val) || 0), 0) !== 100 && (
+                    <span className="text-red-600 ml-2">Total must equal 100 %</span>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {question.type === 'numeric' && (
+              <div className="space-y-3">
+                <p className="text-sm text-slate-600">
+                  Range: {question.open_lower_bound ? '< ' : ''}{question.range_min}
+                  {' to '}
+                  {question.open_upper_bound ? '> ' : ''}{question.range_max}
+                  {question.unit ? ` ${question.unit}` : ''}
+                </p>
+                {PERCENTILES.map(p => (
+                  <div key={p}>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">
+                      {p}th percentile{p === 50 ? ' (median)' : ''}
+                    </label>
                     <input
-                      type="email"
-                      value={email}
-                      onChange={(e) => setEmail(e.target.value)}
-                      className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
-                      placeholder="you@example.com"
-                      required
+                      type="number"
+                      step="any"
+                      value={forecast[percentileKey(p)] ?? ''}
+                      onChange={(e) => {
+                        const raw = e.target.value;
+                        setForecast({
+                          ...forecast,
+                          [percentileKey(p)]: raw === '' ? '' : Number(raw),
+                        });
+                      }}
+                      className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
                     />
                   </div>
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700">Password</label>
+                ))}
+                <p className="text-xs text-slate-500">
+                  There is a 10% chance the outcome is below your 10th percentile, 25% below your 25th, and so on.
+                </p>
+                {numericError && (
+                  <p className="text-sm text-red-600">{numericError}</p>
+                )}
+              </div>
+            )}
+
+            {question.type === 'date' && (
+              <div className="space-y-3">
+                <p className="text-sm text-slate-600">
+                  Window: {fromDayNumber(question.range_min)} to {fromDayNumber(question.range_max)}
+                </p>
+                {PERCENTILES.map(p => (
+                  <div key={p}>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">
+                      {p}th percentile{p === 50 ? ' (median)' : ''}
+                    </label>
                     <input
-                      type="password"
-                      value={password}
-                      onChange={(e) => setPassword(e.target.value)}
-                      className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
-                      placeholder="Password"
-                      required
+                      type="date"
+                      value={forecast[percentileKey(p)] === '' || forecast[percentileKey(p)] == null
+                        ? ''
+                        : fromDayNumber(forecast[percentileKey(p)])}
+                      onChange={(e) => {
+                        const raw = e.target.value;
+                        setForecast({
+                          ...forecast,
+                          [percentileKey(p)]: raw === '' ? '' : toDayNumber(raw),
+                        });
+                      }}
+                      className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
                     />
                   </div>
-                </div>
-                {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
-                <button
-                  type="submit"
-                  disabled={loading}
-                  className="mt-4 w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
-                >
-                  {loading ? 'Signing up...' : 'Sign Up'}
-                </button>
-                <button
-                  type="button"
-                  onClick={() => setShowSignup(false)}
-                  className="mt-2 w-full text-sm text-gray-600 hover:text-gray-800"
+                ))}
+                <p className="text-xs text-slate-500">
+                  There is a 10% chance it happens before your 10th percentile date, 25% before your 25th, and so on.
+                  Dates after the window closes mean you expect it may not happen in time.
+                </p>
+                {!numericError && (
+                  <p className="text-sm text-slate-600">
+                    Chance it does not happen before {fromDayNumber(question.range_max)}:{' '}
+                    {Math.round(probabilityNotBeforeClose(getDateCdfPoints(forecast, question)) * 100)}%
+                  </p>
+                )}
+                {numericError && (
+                  <p className="text-sm text-red-600">{numericError}</p>
+                )}
+              </div>
+            )}
+
+            {isOpen && (
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">
+                  Rationale (optional)
+                </label>
+                <textarea
+                  value={rationale}
+                  onChange={(e) => setRationale(e.target.value)}
+                  rows={3}
+                  placeholder="Why this forecast? Others see it once they have forecast or the question closes."
+                  className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 text-sm"
+                />
+              </div>
+            )}
+
+            {isOpen ? (
+              <button
+                type="submit"
+                disabled={!isValid}
+                className={`w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 ${!isValid ? 'opacity-50 cursor-not-allowed' : ''}`}
+              >
+                {existingForecast ? 'Update Forecast' : 'Submit Forecast'}
+              </button>
+            ) : (
+              <div className="flex items-center justify-center p-3 bg-orange-50 text-orange-800 rounded-md text-sm">
+                <Lock className="h-4 w-4 mr-2" />
+                {getQuestionStatus(question) === 'annulled'
+                  ? 'This question was annulled and will not be scored.'
+                  : getQuestionStatus(question) === 'closed'
+                    ? 'Forecasting is closed. This question is awaiting resolution.'
+                    : 'This question is not open for forecasting yet.'}
+              </div>
+            )}
+          </form>
+
+          {showConfirmation && (
+            <div className="mt-4 p-3 bg-green-50 rounded-lg">
+              <p className="text-sm text-green-700 whitespace-pre-line">
+                {formatForecastLines(forecast)}
+              </p>
+            </div>
+          )}
+
+          {existingForecast && (
+            <div className="mt-4 p-3 bg-blue-50 rounded-lg">
+              <p className="text-sm text-blue-600">
+                Last updated: {new Date(existingForecast.updated_at).toLocaleString()}
+              </p>
+            </div>
+          )}
+        </>
+      )}
+
+      <ForecastTrajectory
+        question={question}
+        history={[...userForecasts].reverse()}
+        onLoadCrowdHistory={onLoadCrowdHistory}
+      />
+
+      <RelatedNewsPanel question={question} currentUser={currentUser} {...news} />
+
+      {userForecasts.length > 0 && (
+        <div className="mt-6">
+          <h4 className="text-sm font-medium text-slate-900 mb-2">Submission History</h4>
+          <div className="space-y-1 text-sm">
+            {userForecasts.map((f) => (
+              <div key={f.id} className="flex justify-between">
+                <span>{new Date(f.created_at || f.updated_at).toLocaleString()}</span>
+                <span className="font-mono">
+                  {formatForecast(f.forecast)}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// The user's forecast on a question over time against the crowd's, with the
+// resolution marked once known. Probability questions plot the chance of one
+// outcome; numeric and date questions plot the median.
+const ForecastTrajectory = ({ question, history, onLoadCrowdHistory }) => {
+  const [crowdHistory, setCrowdHistory] = useState([]);
+  const loadCrowdHistory = useLatestCallback(onLoadCrowdHistory);
+
+  // Reloads after each of the user's own submissions
+  useEffect(() => {
+    let cancelled = false;
+    loadCrowdHistory(question.id)
+      .then(result => {
+        if (!cancelled) setCrowdHistory(result);
+      })
+      .catch(error => console.error('Error loading crowd history:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [question.id, history.length, loadCrowdHistory]);
+
+  if (history.length === 0 && crowdHistory.length === 0) return null;
+
+  const latest = history[history.length - 1];
+  const outcome = trajectoryOutcome(question, latest ? normalizeForecast(latest.forecast) : null);
+  const isDate = question.type === 'date';
+  const isValue = question.type === 'numeric' || isDate;
+  const formatValue = (y) => {
+    if (isDate) return fromDayNumber(Math.round(y));
+    if (isValue) return `${Math.round(y * 100) / 100}${question.unit ? ` ${question.unit}` : ''}`;
+    return `${Math.round(y)}%`;
+  };
+  const toPoints = (entries) =>
+    entries
+      .filter(entry => entry.forecast)
+      .map(entry => {
+        const y = trajectoryValue(entry.forecast, question, outcome);
+        const at = new Date(entry.created_at || entry.updated_at);
+        return { x: at.getTime(), y, title: `${at.toLocaleString()}: ${formatValue(y)}` };
+      });
+
+  const resolutionValue = trajectoryResolution(question, outcome);
+  const endDate = question.resolvedDate || question.close_date;
+  const extendTo = question.isResolved && endDate ? new Date(endDate).getTime() : Date.now();
+
+  return (
+    <div className="mt-6">
+      <h4 className="text-sm font-medium text-slate-900 mb-2">
+        {isValue ? 'Median Over Time' : `Probability of ${outcome === null ? 'Yes' : outcome} Over Time`}
+      </h4>
+      <LineChart
+        series={[
+          { id: 'user', label: 'You', color: '#2563eb', step: true, extendTo, points: toPoints(history) },
+          {
+            id: 'crowd',
+            label: 'Crowd (median)',
+            color: '#64748b',
+            step: true,
+            dashed: true,
+            hidePoints: true,
+            extendTo,
+            points: toPoints(crowdHistory),
+          },
+        ]}
+        yDomain={isValue ? undefined : [0, 100]}
+        formatY={formatValue}
+        hLines={resolutionValue === null ? [] : [{ y: resolutionValue, label: 'Outcome', color: '#16a34a' }]}
+        vLines={question.isResolved && endDate ? [{ x: new Date(endDate).getTime(), label: 'Resolved', color: '#16a34a' }] : []}
+        height={180}
+      />
+    </div>
+  );
+};
+
+const RELATED_NEWS_LIMIT = 5;
+
+// News feed articles related to the question, pinned ones first. Admins' pins
+// are shared with everyone; dismissed articles can be restored.
+const RelatedNewsPanel = ({ question, currentUser, feed, onLoad, onMark, onRemoveMark }) => {
+  const [marks, setMarks] = useState([]);
+  const [showAll, setShowAll] = useState(false);
+  const [showDismissed, setShowDismissed] = useState(false);
+  const loadMarks = useLatestCallback(onLoad);
+
+  useEffect(() => {
+    let cancelled = false;
+    setMarks([]);
+    setShowAll(false);
+    setShowDismissed(false);
+    loadMarks(question.id).then(result => {
+      if (!cancelled) setMarks(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [question.id, loadMarks]);
+
+  const isAdmin = currentUser.role === 'admin';
+  const { items, dismissed } = selectRelatedNews(feed, question.id, marks, currentUser.id);
+  const shown = showAll ? items : items.slice(0, RELATED_NEWS_LIMIT);
+
+  // Saving a mark replaces the user's earlier one on the same article
+  const mark = async (article, action) => {
+    const saved = await onMark(question.id, article, action);
+    if (!saved) return;
+    setMarks(prev => [saved, ...prev.filter(m => m.user_id !== saved.user_id || m.url !== saved.url)]);
+  };
+
+  const unmark = async (existing) => {
+    if (await onRemoveMark(existing.id)) setMarks(prev => prev.filter(m => m.id !== existing.id));
+  };
+
+  const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : null);
+
+  return (
+    <div className="mt-6">
+      <h4 className="text-sm font-medium text-slate-900 mb-2">Related News</h4>
+      {items.length === 0 && (
+        <p className="text-sm text-slate-500">No related news right now.</p>
+      )}
+      <div className="space-y-3">
+        {shown.map(item => {
+          const pinned = item.mark?.action === 'pin';
+          const canUnpin = pinned && (item.mark.user_id === currentUser.id || isAdmin);
+          return (
+            <div key={item.url} className="border-b border-slate-100 pb-2 last:border-b-0">
+              <div className="flex items-start justify-between gap-2">
+                <a
+                  href={item.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-sm font-medium text-slate-900 hover:text-blue-600 line-clamp-2"
                 >
-                  Back to Login
-                </button>
+                  {item.title}
+                </a>
+                <div className="flex items-center gap-1 shrink-0">
+                  {pinned ? (
+                    canUnpin && (
+                      <button onClick={() => unmark(item.mark)} title="Unpin" className="text-blue-600 hover:text-slate-600">
+                        <PinOff className="h-4 w-4" />
+                      </button>
+                    )
+                  ) : (
+                    <button
+                      onClick={() => mark(item, 'pin')}
+                      title={isAdmin ? 'Pin for everyone' : 'Pin'}
+                      className="text-slate-400 hover:text-blue-600"
+                    >
+                      <Pin className="h-4 w-4" />
+                    </button>
+                  )}
+                  <button onClick={() => mark(item, 'dismiss')} title="Dismiss" className="text-slate-400 hover:text-red-600">
+                    <X className="h-4 w-4" />
+                  </button>
+                </div>
               </div>
-            </form>
+              <p className="text-xs text-slate-500 mt-1">
+                {[
+                  item.source,
+                  formatDate(item.publishedAt),
+                  item.score === null ? null : `${Math.round(item.score * 100)}% relevant`,
+                ].filter(Boolean).join(' · ')}
+                {pinned && (
+                  <span className="ml-2 text-blue-600">
+                    {item.mark.shared ? 'Pinned for everyone' : 'Pinned'}
+                  </span>
+                )}
+              </p>
+            </div>
+          );
+        })}
+      </div>
+      {items.length > RELATED_NEWS_LIMIT && (
+        <button onClick={() => setShowAll(!showAll)} className="mt-2 text-xs text-blue-600 hover:text-blue-800">
+          {showAll ? 'Show fewer' : `Show all ${items.length}`}
+        </button>
+      )}
+      {dismissed.length > 0 && (
+        <div className="mt-2">
+          <button onClick={() => setShowDismissed(!showDismissed)} className="text-xs text-slate-500 hover:text-slate-700">
+            {showDismissed ? 'Hide dismissed' : `${dismissed.length} dismissed`}
+          </button>
+          {showDismissed && (
+            <div className="mt-1 space-y-1">
+              {dismissed.map(item => (
+                <div key={item.url} className="flex items-center justify-between gap-2 text-xs text-slate-500">
+                  <span className="line-clamp-1">{item.title}</span>
+                  <button onClick={() => unmark(item.mark)} className="shrink-0 text-blue-600 hover:text-blue-800">
+                    Restore
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Rationales and the comment thread under the forecast form. The database
+// withholds other people's rationales until the user has forecast on the
+// question or it has closed, so nobody anchors on them before forecasting.
+const DiscussionPanel = ({
+  question,
+  currentUser,
+  users,
+  hasForecast,
+  demo,
+  version,
+  onLoad,
+  onLoadUsers,
+  onPost,
+  onDelete,
+  onVote,
+}) => {
+  const [comments, setComments] = useState([]);
+  const [rationales, setRationales] = useState([]);
+  const [loadingDiscussion, setLoadingDiscussion] = useState(true);
+  const [draft, setDraft] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+  const [replyDraft, setReplyDraft] = useState('');
+  const [posting, setPosting] = useState(false);
+  const loadDiscussion = useLatestCallback(onLoad);
+  const loadUsers = useLatestCallback(onLoadUsers);
+
+  const load = useCallback(async () => {
+    const result = await loadDiscussion(question.id);
+    setComments(result.comments);
+    setRationales(result.rationales);
+    setLoadingDiscussion(false);
+  }, [question.id, loadDiscussion]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  // Reloads when the user saves a rationale with a forecast (`version`) and
+  // once forecasting reveals the other rationales
+  useEffect(() => {
+    setReplyTo(null);
+    setReplyDraft('');
+    setLoadingDiscussion(true);
+    load();
+  }, [load, version, hasForecast]);
+
+  const rationalesHidden = !hasForecast && isOpenForForecasting(question);
+  const otherRationales = rationales.filter(r => r.user_id !== currentUser.id);
+  const ownRationales = rationales.filter(r => r.user_id === currentUser.id);
+
+  const repliesTo = (parentId) => comments.filter(c => (c.parent_id || null) === parentId);
+
+  const post = async (body, parentId = null) => {
+    if (!body.trim()) return false;
+    setPosting(true);
+    const comment = await onPost(question.id, body, parentId);
+    setPosting(false);
+    if (!comment) return false;
+    setComments(prev => [...prev, comment]);
+    return true;
+  };
+
+  const handlePost = async (e) => {
+    e.preventDefault();
+    if (await post(draft)) setDraft('');
+  };
+
+  const handleReply = async (e) => {
+    e.preventDefault();
+    if (await post(replyDraft, replyTo)) {
+      setReplyTo(null);
+      setReplyDraft('');
+    }
+  };
+
+  const handleDelete = async (commentId) => {
+    if (!window.confirm('Delete this comment and its replies?')) return;
+    if (await onDelete(commentId)) load();
+  };
+
+  // Optimistic; reloads to undo when the vote does not go through
+  const toggleVote = async (comment) => {
+    const voted = (comment.comment_votes || []).some(v => v.user_id === currentUser.id);
+    setComments(prev => prev.map(c => c.id !== comment.id ? c : {
+      ...c,
+      comment_votes: voted
+        ? c.comment_votes.filter(v => v.user_id !== currentUser.id)
+        : [...(c.comment_votes || []), { user_id: currentUser.id }],
+    }));
+    if (!(await onVote(comment.id, !voted))) load();
+  };
+
+  const authorName = (row) => row.author?.name || row.author?.email || 'Unknown';
+
+  const renderBody = (body) =>
+    splitMentions(body, users).map((part, index) =>
+      part.user ? (
+        <span
+          key={index}
+          className={`font-medium ${part.user.id === currentUser.id ? 'bg-yellow-100 text-yellow-900' : 'text-blue-600'}`}
+        >
+          {part.text}
+        </span>
+      ) : (
+        <React.Fragment key={index}>{part.text}</React.Fragment>
+      )
+    );
+
+  const renderComposer = (value, setValue, onSubmit, placeholder, onCancel) => {
+    const suggestions = suggestMentions(value, users.filter(u => u.id !== currentUser.id));
+    return (
+      <form onSubmit={onSubmit} className="space-y-2">
+        <textarea
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          rows={2}
+          placeholder={placeholder}
+          className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 text-sm"
+        />
+        {suggestions.length > 0 && (
+          <div className="flex flex-wrap gap-1">
+            {suggestions.map(user => (
+              <button
+                key={user.id}
+                type="button"
+                onClick={() => setValue(completeMention(value, user))}
+                className="px-2 py-0.5 rounded-full text-xs bg-slate-100 text-slate-700 hover:bg-slate-200"
+              >
+                @{mentionHandle(user)}
+              </button>
+            ))}
+          </div>
+        )}
+        <div className="flex space-x-2">
+          <button
+            type="submit"
+            disabled={posting || !value.trim()}
+            className="px-3 py-1 rounded-md text-sm bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            Post
+          </button>
+          {onCancel && (
+            <button
+              type="button"
+              onClick={onCancel}
+              className="px-3 py-1 rounded-md text-sm bg-white text-slate-700 border border-slate-300"
+            >
+              Cancel
+            </button>
           )}
         </div>
+      </form>
+    );
+  };
+
+  const renderComment = (comment, depth = 0) => {
+    const votes = (comment.comment_votes || []).length;
+    const voted = (comment.comment_votes || []).some(v => v.user_id === currentUser.id);
+    const mentionsMe = (comment.mentions || []).includes(currentUser.id);
+    const canDelete = comment.user_id === currentUser.id || currentUser.role === 'admin';
+
+    return (
+      <div key={comment.id} className={depth > 0 ? 'ml-4 pl-3 border-l border-slate-200' : ''}>
+        <div className={`py-2 ${mentionsMe ? 'bg-yellow-50 -mx-2 px-2 rounded' : ''}`}>
+          <div className="flex justify-between text-xs text-slate-500">
+            <span className="font-medium text-slate-700">{authorName(comment)}</span>
+            <span>{new Date(comment.created_at).toLocaleString()}</span>
+          </div>
+          <p className="text-sm text-slate-800 whitespace-pre-line mt-1">{renderBody(comment.body)}</p>
+          <div className="flex items-center space-x-3 mt-1 text-xs">
+            <button
+              onClick={() => toggleVote(comment)}
+              className={voted ? 'text-blue-600 font-medium' : 'text-slate-500 hover:text-blue-600'}
+            >
+              ▲ {votes}
+            </button>
+            <button
+              onClick={() => {
+                setReplyTo(replyTo === comment.id ? null : comment.id);
+                setReplyDraft('');
+              }}
+              className="text-slate-500 hover:text-blue-600"
+            >
+              Reply
+            </button>
+            {canDelete && (
+              <button
+                onClick={() => handleDelete(comment.id)}
+                className="text-slate-500 hover:text-red-600"
+              >
+                Delete
+              </button>
+            )}
+          </div>
+        </div>
+        {replyTo === comment.id && (
+          <div className="ml-4 mb-2">
+            {renderComposer(
+              replyDraft,
+              setReplyDraft,
+              handleReply,
+              `Reply to ${authorName(comment)}`,
+              () => setReplyTo(null)
+            )}
+          </div>
+        )}
+        {repliesTo(comment.id).map(reply => renderComment(reply, depth + 1))}
+      </div>
+    );
+  };
+
+  if (demo) {
+    return (
+      <div className="mt-6 bg-white p-6 rounded-lg shadow-sm border border-slate-200">
+        <h3 className="text-lg font-medium text-slate-900 mb-2">Discussion</h3>
+        <p className="text-sm text-slate-500">Discussion is not available in demo mode.</p>
       </div>
     );
   }
 
-  if (showForgotPassword) {
-    return (
-      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center">
-        <div className="max-w-md w-full space-y-8 p-8">
-          <div className="text-center">
-            <TrendingUp className="mx-auto h-12 w-12 text-blue-600" />
-            <h2 className="mt-6 text-3xl font-bold text-gray-900">Reset Password</h2>
-            <p className="mt-2 text-sm text-gray-600">Enter your email to receive reset instructions</p>
-          </div>
-          
-          {resetSuccess ? (
-            <div className="bg-white p-6 rounded-lg shadow-md">
-              <div className="text-center">
-                <Check className="mx-auto h-12 w-12 text-green-600" />
-                <h3 className="mt-4 text-lg font-medium text-gray-900">Check your email</h3>
-                <p className="mt-2 text-sm text-gray-600">
-                  We've sent password reset instructions to your email address.
-                </p>
-                <button
-                  onClick={() => {
-                    setShowForgotPassword(false);
-                    setResetSuccess(false);
-                  }}
-                  className="mt-4 text-blue-600 hover:text-blue-800 underline"
-                >
-                  Back to Login
-                </button>
+  return (
+    <div className="mt-6 bg-white p-6 rounded-lg shadow-sm border border-slate-200 space-y-6">
+      <div>
+        <h3 className="text-lg font-medium text-slate-900 mb-2">Rationales</h3>
+        {loadingDiscussion ? (
+          <p className="text-sm text-slate-500">Loading...</p>
+        ) : (
+          <div className="space-y-3">
+            {ownRationales.map(rationale => (
+              <div key={rationale.id} className="p-3 bg-blue-50 rounded-lg">
+                <div className="flex justify-between text-xs text-blue-700">
+                  <span className="font-medium">Your rationale</span>
+                  <span>{new Date(rationale.created_at).toLocaleString()}</span>
+                </div>
+                <p className="text-sm text-slate-800 whitespace-pre-line mt-1">{rationale.body}</p>
               </div>
-            </div>
-          ) : (
-            <form className="mt-8 space-y-6" onSubmit={handleResetPassword}>
-              <div className="bg-white p-6 rounded-lg shadow-md">
-                <div className="space-y-4">
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700">Email</label>
-                    <input
-                      type="email"
-                      value={email}
-                      onChange={(e) => setEmail(e.target.value)}
-                      className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
-                      placeholder="your@email.com"
-                      required
-                    />
+            ))}
+            {rationalesHidden ? (
+              <p className="text-sm text-slate-500">
+                Other forecasters' rationales appear once you have submitted a forecast.
+              </p>
+            ) : otherRationales.length === 0 ? (
+              <p className="text-sm text-slate-500">No rationales from other forecasters yet.</p>
+            ) : (
+              otherRationales.map(rationale => (
+                <div key={rationale.id} className="p-3 bg-slate-50 rounded-lg">
+                  <div className="flex justify-between text-xs text-slate-500">
+                    <span className="font-medium text-slate-700">{authorName(rationale)}</span>
+                    <span>{new Date(rationale.created_at).toLocaleString()}</span>
                   </div>
+                  {rationale.revision && (
+                    <p className="text-xs font-mono text-slate-500 mt-1">
+                      {formatForecastSummary(question, rationale.revision.forecast)}
+                    </p>
+                  )}
+                  <p className="text-sm text-slate-800 whitespace-pre-line mt-1">{rationale.body}</p>
                 </div>
-                {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
-                <button
-                  type="submit"
-                  disabled={loading}
-                  className="mt-4 w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
-                >
-                  {loading ? 'Sending...' : 'Send Reset Email'}
-                </button>
+              ))
+            )}
+          </div>
+        )}
+      </div>
+
+      <div>
+        <h3 className="text-lg font-medium text-slate-900 mb-2">
+          Discussion ({comments.length})
+        </h3>
+        {!loadingDiscussion && (
+          <div className="divide-y divide-slate-100 mb-4">
+            {repliesTo(null).map(comment => renderComment(comment))}
+            {comments.length === 0 && (
+              <p className="text-sm text-slate-500 py-2">No comments yet. Start the discussion.</p>
+            )}
+          </div>
+        )}
+        {renderComposer(draft, setDraft, handlePost, 'Add a comment. Use @name to mention someone.')}
+      </div>
+    </div>
+  );
+};
+
+const LeaderboardView = ({ loadLeaderboard, loadTeamScores, tournaments, teams, dataVersion, defaultRule, skipImputation, onSelectUser }) => {
+  const [selectedRuleId, setRuleId] = useState(defaultRule);
+  const [penalizeSkips, setPenalizeSkips] = useState(false);
+  // '' for the all-time leaderboard
+  const [tournamentId, setTournamentId] = useState('');
+  // 'forecasters' or 'teams'
+  const [view, setView] = useState('forecasters');
+  const [teamMethod, setTeamMethod] = useState(DEFAULT_TEAM_SCORE_METHOD);
+  const [leaderboard, setLeaderboard] = useState({ ranked: [], unranked: [], minResolved: 1 });
+  const [loading, setLoading] = useState(true);
+  const showTeams = view === 'teams' && teams.length > 0;
+  // A tournament is always ranked by its own scoring rule. Teams are ranked
+  // all-time only.
+  const tournament = showTeams ? undefined : tournaments.find(t => t.id === tournamentId);
+  const ruleId = tournament ? tournament.scoring_rule : selectedRuleId;
+  const rule = getScoringRule(ruleId);
+  const { ranked, unranked, minResolved } = leaderboard;
+  const loadRankings = useLatestCallback(loadLeaderboard);
+
+  // dataVersion changes whenever a realtime update arrives, so the rankings
+  // move live as questions resolve
+  useEffect(() => {
+    if (showTeams) return undefined;
+    let cancelled = false;
+    setLoading(true);
+    loadRankings(ruleId, { penalizeSkips, tournamentId: tournamentId || null })
+      .then(result => {
+        if (!cancelled) setLeaderboard(result);
+      })
+      .catch(error => console.error('Error loading leaderboard:', error))
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [ruleId, penalizeSkips, tournamentId, dataVersion, showTeams, loadRankings]);
+
+  // The crowd pseudo-user is listed in score order but does not take a rank
+  let rank = 0;
+  const rows = ranked.map(entry => ({
+    ...entry,
+    rank: entry.isCrowd ? null : rank++,
+  }));
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-bold text-slate-900">Leaderboard</h2>
+        <div className="flex items-center space-x-4">
+          {teams.length > 0 && (
+            <div className="flex rounded-md border border-slate-300 overflow-hidden text-sm">
+              {[['forecasters', 'Forecasters'], ['teams', 'Teams']].map(([id, label]) => (
                 <button
-                  type="button"
-                  onClick={() => setShowForgotPassword(false)}
-                  className="mt-2 w-full text-sm text-gray-600 hover:text-gray-800"
+                  key={id}
+                  onClick={() => setView(id)}
+                  className={`px-3 py-2 ${view === id ? 'bg-blue-600 text-white' : 'bg-white text-slate-700 hover:bg-slate-50'}`}
                 >
-                  Back to Login
+                  {label}
                 </button>
+              ))}
+            </div>
+          )}
+          {showTeams ? (
+            <select
+              value={teamMethod}
+              onChange={(e) => setTeamMethod(e.target.value)}
+              className="px-3 py-2 rounded-md text-sm bg-white text-slate-700 border border-slate-300"
+            >
+              {Object.entries(TEAM_SCORE_METHODS).map(([id, label]) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+          ) : (
+            <label className="flex items-center text-sm text-slate-700">
+              <input
+                type="checkbox"
+                checked={penalizeSkips}
+                onChange={(e) => setPenalizeSkips(e.target.checked)}
+                className="mr-2"
+              />
+              Penalize skipped questions
+            </label>
+          )}
+          {!showTeams && tournaments.length > 0 && (
+            <select
+              value={tournamentId}
+              onChange={(e) => setTournamentId(e.target.value)}
+              className="px-3 py-2 rounded-md text-sm bg-white text-slate-700 border border-slate-300"
+            >
+              <option value="">All-time</option>
+              {tournaments.map(t => (
+                <option key={t.id} value={t.id}>
+                  {t.name} ({TOURNAMENT_PHASES[getTournamentPhase(t)]})
+                </option>
+              ))}
+            </select>
+          )}
+          <select
+            value={ruleId}
+            onChange={(e) => setRuleId(e.target.value)}
+            disabled={Boolean(tournament)}
+            title={tournament ? 'Tournaments are ranked by their own scoring rule' : undefined}
+            className="px-3 py-2 rounded-md text-sm bg-white text-slate-700 border border-slate-300 disabled:opacity-60"
+          >
+            {Object.entries(SCORING_RULES).map(([id, r]) => (
+              <option key={id} value={id}>
+                {r.label}{id === defaultRule ? ' (default)' : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {showTeams ? (
+        <TeamLeaderboard
+          teams={teams}
+          ruleId={ruleId}
+          method={teamMethod}
+          dataVersion={dataVersion}
+          loadTeamScores={loadTeamScores}
+        />
+      ) : (
+        <>
+          <div className="bg-white rounded-lg shadow-sm border border-slate-200">
+            <div className="px-6 py-4 border-b border-slate-200">
+              <h3 className="text-lg font-medium text-slate-900">
+                {tournament ? `${tournament.name} Rankings` : 'Forecaster Rankings'}
+              </h3>
+              {tournament && (
+                <p className="text-sm text-slate-600 mt-1">
+                  {tournament.start_date} to {tournament.end_date} · {tournament.participant_ids.length} participant
+                  {tournament.participant_ids.length === 1 ? '' : 's'} · {tournament.question_ids.length} question
+                  {tournament.question_ids.length === 1 ? '' : 's'}
+                </p>
+              )}
+              <p className="text-sm text-slate-600 mt-1">
+                Ranked by {rule.label} ({rule.lowerIsBetter ? 'lower' : 'higher'} is better)
+                {penalizeSkips && ', counting skipped questions at the imputed score'}.
+                {' '}Forecasters need {minResolved} resolved question{minResolved === 1 ? '' : 's'} to be ranked.
+              </p>
+            </div>
+            <div className="overflow-hidden">
+              <table className="min-w-full divide-y divide-slate-200">
+                <thead className="bg-slate-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">
+                      Rank
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">
+                      Forecaster
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">
+                      {rule.label}
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">
+                      Accuracy
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">
+                      Questions Answered
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-slate-200">
+                  {rows.map((user) => (
+                    <tr
+                      key={user.id}
+                      className={user.isCrowd ? 'bg-indigo-50 italic' : user.rank < 3 ? 'bg-yellow-50' : ''}
+                    >
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        {user.isCrowd ? (
+                          <div className="flex items-center">
+                            <BarChart3 className="h-5 w-5 text-indigo-500 mr-2" />
+                            <span className="text-sm font-medium text-indigo-700">Crowd</span>
+                          </div>
+                        ) : (
+                          <div className="flex items-center">
+                            {user.rank === 0 && <Trophy className="h-5 w-5 text-yellow-500 mr-2" />}
+                            {user.rank === 1 && <Award className="h-5 w-5 text-gray-400 mr-2" />}
+                            {user.rank === 2 && <Award className="h-5 w-5 text-amber-600 mr-2" />}
+                            <span className="text-sm font-medium text-slate-900">#{user.rank + 1}</span>
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        {user.isCrowd ? (
+                          <div className="text-sm font-medium text-slate-900">{user.name}</div>
+                        ) : (
+                          <button
+                            onClick={() => onSelectUser(user.id)}
+                            className="text-sm font-medium text-slate-900 hover:text-blue-600 hover:underline"
+                            title="View calibration"
+                          >
+                            {user.name}
+                          </button>
+                        )}
+                        <div className="text-sm text-slate-500">{user.email}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className="text-sm text-slate-900">
+                          {penalizeSkips ? user.stats.adjustedScore : user.stats.score}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className="text-sm text-slate-900">{user.stats.accuracy}%</span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className="text-sm text-slate-900">{user.stats.questionsAnswered}</span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {loading && rows.length === 0 && (
+                <p className="px-6 py-4 text-sm text-slate-500">Loading rankings...</p>
+              )}
+              {!loading && rows.length === 0 && (
+                <p className="px-6 py-4 text-sm text-slate-500">
+                  Nobody has forecast enough resolved questions to be ranked yet.
+                </p>
+              )}
+            </div>
+          </div>
+
+          {unranked.length > 0 && (
+            <div className="bg-white rounded-lg shadow-sm border border-slate-200">
+              <div className="px-6 py-4 border-b border-slate-200">
+                <h3 className="text-lg font-medium text-slate-900">Unranked</h3>
+                <p className="text-sm text-slate-600 mt-1">
+                  Forecasters with fewer than {minResolved} resolved question{minResolved === 1 ? '' : 's'}
+                </p>
               </div>
-            </form>
+              <ul className="divide-y divide-slate-200">
+                {unranked.map(user => (
+                  <li key={user.id} className="px-6 py-3 flex justify-between items-center">
+                    <div>
+                      {user.isCrowd ? (
+                        <div className="text-sm font-medium text-slate-900">{user.name}</div>
+                      ) : (
+                        <button
+                          onClick={() => onSelectUser(user.id)}
+                          className="text-sm font-medium text-slate-900 hover:text-blue-600 hover:underline"
+                          title="View calibration"
+                        >
+                          {user.name}
+                        </button>
+                      )}
+                      <div className="text-sm text-slate-500">{user.email}</div>
+                    </div>
+                    <div className="text-right text-sm text-slate-600">
+                      <div>{user.stats.resolvedAnswered} of {minResolved} resolved</div>
+                      {user.stats.score !== null && (
+                        <div className="text-xs text-slate-500">{rule.shortLabel}: {user.stats.score}</div>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+
+      <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+        <h4 className="text-sm font-medium text-blue-900 mb-2">About the Scoring System</h4>
+        <div className="text-sm text-blue-800 space-y-1">
+          <p><strong>{rule.label}:</strong> {rule.description}</p>
+          {ruleId !== 'brier' && (
+            <p><strong>Brier Score:</strong> {SCORING_RULES.brier.description}</p>
+          )}
+          <p><strong>Calculation:</strong> Each revision of your forecast is scored against the outcome and weighted by the number of days it stood; question scores are then averaged across all resolved questions you forecast.</p>
+          <p><strong>Example:</strong> If you forecast 70% for an event that happened, your Brier score for that question would be (1-0.7)² + (0-0.3)² = 0.18</p>
+          <p><strong>Participation:</strong> Only forecasters with at least {minResolved} resolved question{minResolved === 1 ? '' : 's'} are ranked. With skips penalized, every resolved question you did not forecast counts at the {skipImputation === 'crowd' ? 'crowd median\'s' : 'uniform forecast\'s'} score instead of being left out.</p>
+          <p><strong>Crowd:</strong> The recency-weighted median of everyone's latest forecasts, scored the same way. Beat it to show you add information beyond the group.</p>
+          {teams.length > 0 && (
+            <p><strong>Teams:</strong> A team scores each resolved question its members forecast either as the average of their scores, or by scoring the team's own recency-weighted median forecast. The trend shows the team's rank at the end of each month in which questions resolved.</p>
           )}
         </div>
       </div>
-    );
+    </div>
+  );
+};
+
+// Team standings with each team's rank over time
+const TeamLeaderboard = ({ teams, ruleId, method, dataVersion, loadTeamScores }) => {
+  const [scores, setScores] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const rule = getScoringRule(ruleId);
+  const { ranked, unranked } = buildTeamLeaderboard(teams, scores, ruleId);
+  const loadScores = useLatestCallback(loadTeamScores);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    loadScores(ruleId, method)
+      .then(rows => {
+        if (!cancelled) setScores(rows);
+      })
+      .catch(error => console.error('Error loading team scores:', error))
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [ruleId, method, dataVersion, loadScores]);
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-slate-200">
+      <div className="px-6 py-4 border-b border-slate-200">
+        <h3 className="text-lg font-medium text-slate-900">Team Rankings</h3>
+        <p className="text-sm text-slate-600 mt-1">
+          {TEAM_SCORE_METHODS[method]}, by {rule.label} ({rule.lowerIsBetter ? 'lower' : 'higher'} is better).
+        </p>
+      </div>
+      <table className="min-w-full divide-y divide-slate-200">
+        <thead className="bg-slate-50">
+          <tr>
+            {['Rank', 'Team', rule.label, 'Questions Scored', 'Members', 'Trend'].map(label => (
+              <th key={label} className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">
+                {label}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-slate-200">
+          {ranked.map(team => (
+            <tr key={team.id} className={team.rank === 1 ? 'bg-yellow-50' : ''}>
+              <td className="px-6 py-4 whitespace-nowrap">
+                <div className="flex items-center">
+                  {team.rank === 1 && <Trophy className="h-5 w-5 text-yellow-500 mr-2" />}
+                  <span className="text-sm font-medium text-slate-900">#{team.rank}</span>
+                  {team.change > 0 && (
+                    <span className="ml-2 flex items-center text-xs text-green-600" title="Places gained since last month">
+                      <ArrowUp className="h-3 w-3" />{team.change}
+                    </span>
+                  )}
+                  {team.change < 0 && (
+                    <span className="ml-2 flex items-center text-xs text-red-600" title="Places lost since last month">
+                      <ArrowDown className="h-3 w-3" />{-team.change}
+                    </span>
+                  )}
+                </div>
+              </td>
+              <td className="px-6 py-4 whitespace-nowrap">
+                <div className="flex items-center text-sm font-medium text-slate-900">
+                  {team.name}
+                  {team.private_forecasts && (
+                    <span title="Forecasts private until close">
+                      <Lock className="h-3 w-3 ml-2 text-slate-400" />
+                    </span>
+                  )}
+                </div>
+                {team.description && <div className="text-sm text-slate-500">{team.description}</div>}
+              </td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm text-slate-900">{team.score}</td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm text-slate-900">{team.questionsScored}</td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm text-slate-900">{team.member_ids.length}</td>
+              <td className="px-6 py-4 whitespace-nowrap">
+                <RankTrend trend={team.trend} teamCount={teams.length} />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {loading && ranked.length === 0 && (
+        <p className="px-6 py-4 text-sm text-slate-500">Loading team rankings...</p>
+      )}
+      {!loading && ranked.length === 0 && (
+        <p className="px-6 py-4 text-sm text-slate-500">No team has a resolved question yet.</p>
+      )}
+      {!loading && unranked.length > 0 && (
+        <p className="px-6 py-3 text-sm text-slate-500 border-t border-slate-200">
+          Not yet ranked: {unranked.map(team => team.name).join(', ')}
+        </p>
+      )}
+    </div>
+  );
+};
+
+// Sparkline of a team's monthly rank; first place is drawn at the top
+const RankTrend = ({ trend, teamCount }) => {
+  const width = 96;
+  const height = 28;
+  const points = trend
+    .map((point, i) => ({ ...point, i }))
+    .filter(point => point.rank !== null);
+  if (points.length < 2) {
+    return <span className="text-xs text-slate-400">{points.length === 1 ? points[0].month : '-'}</span>;
   }
 
+  const x = (i) => (trend.length === 1 ? width / 2 : (i / (trend.length - 1)) * (width - 4) + 2);
+  const y = (rank) => (teamCount <= 1 ? height / 2 : ((rank - 1) / (teamCount - 1)) * (height - 4) + 2);
+  const first = points[0];
+  const last = points[points.length - 1];
+
+  return (
+    <svg
+      width={width}
+      height={height}
+      className="text-blue-600"
+      aria-label={`Rank ${first.rank} in ${first.month}, ${last.rank} in ${last.month}`}
+    >
+      <title>{points.map(point => `${point.month}: #${point.rank}`).join('\n')}</title>
+      <polyline
+        fill="none"
+        stroke="currentColor"
+        strokeWidth="1.5"
+        points={points.map(point => `${x(point.i)},${y(point.rank)}`).join(' ')}
+      />
+      <circle cx={x(last.i)} cy={y(last.rank)} r="2.5" fill="currentColor" />
+    </svg>
+  );
+};
+
+const CalibrationView = ({ user, calibration, isSelf, onBack }) => {
+  const size = 320;
+  const padding = 40;
+  const plot = size - padding * 2;
+  const toX = (p) => padding + p * plot;
+  const toY = (p) => size - padding - p * plot;
+  const maxCount = Math.max(1, ...calibration.bins.map(b => b.count));
+  const populated = calibration.bins.filter(b => b.count > 0);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-bold text-slate-900">
+          {isSelf ? 'Your Calibration' : `Calibration: ${user?.name || user?.email || 'Forecaster'}`}
+        </h2>
+        <button
+          onClick={onBack}
+          className="text-sm text-slate-600 hover:text-slate-900 underline"
+        >
+          Back
+        </button>
+      </div>
+
+      {calibration.count === 0 ? (
+        <div className="bg-white p-6 rounded-lg shadow-sm border border-slate-200 text-sm text-slate-600">
+          No resolved forecasts yet. Calibration appears once questions you forecast are resolved.
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div className="bg-white p-6 rounded-lg shadow-sm border border-slate-200">
+            <h3 className="text-lg font-medium text-slate-900 mb-4">Reliability Diagram</h3>
+            <svg viewBox={`0 0 ${size} ${size}`} className="w-full max-w-md">
+              <rect x={padding} y={padding} width={plot} height={plot} fill="#f8fafc" stroke="#e2e8f0" />
+              {[0, 0.25, 0.5, 0.75, 1].map(t => (
+                <g key={t}>
+                  <text x={toX(t)} y={size - padding + 16} fontSize="10" textAnchor="middle" fill="#64748b">
+                    {Math.round(t * 100)}%
+                  </text>
+                  <text x={padding - 6} y={toY(t) + 3} fontSize="10" textAnchor="end" fill="#64748b">
+                    {Math.round(t * 100)}%
+                  </text>
+                </g>
+              ))}
+              <line x1={toX(0)} y1={toY(0)} x2={toX(1)} y2={toY(1)} stroke="#94a3b8" strokeDasharray="4 4" />
+              <polyline
+                fill="none"
+                stroke="#2563eb"
+                strokeWidth="2"
+                points={populated.map(b => `${toX(b.meanPredicted)},${toY(b.observedFrequency)}`).join(' ')}
+              />
+              {populated.map(b => (
+                <circle
+                  key={b.lower}
+                  cx={toX(b.meanPredicted)}
+                  cy={toY(b.observedFrequency)}
+                  r={3 + 5 * Math.sqrt(b.count / maxCount)}
+                  fill="#2563eb"
+                  fillOpacity="0.7"
+                >
+                  <title>{`${b.count} forecasts, predicted ${(b.meanPredicted * 100).toFixed(1)}%, observed ${(b.observedFrequency * 100).toFixed(1)}%`}</title>
+                </circle>
+              ))}
+              <text x={size / 2} y={size - 6} fontSize="11" textAnchor="middle" fill="#334155">Predicted probability</text>
+              <text x={12} y={size / 2} fontSize="11" textAnchor="middle" fill="#334155" transform={`rotate(-90 12 ${size / 2})`}>
+                Observed frequency
+              </text>
+            </svg>
+            <p className="text-xs text-slate-500 mt-2">
+              Points on the dashed line are perfectly calibrated. Point size reflects the number of forecasts in each decile.
+            </p>
+          </div>
+
+          <div className="space-y-6">
+            <div className="bg-white p-6 rounded-lg shadow-sm border border-slate-200">
+              <h3 className="text-lg font-medium text-slate-900 mb-4">Brier Decomposition</h3>
+              <div className="grid grid-cols-2 gap-4 text-sm">
+                <div>
+                  <p className="text-slate-600">Reliability (lower is better)</p>
+                  <p className="text-xl font-bold text-slate-900">{calibration.reliability.toFixed(3)}</p>
+                </div>
+                <div>
+                  <p className="text-slate-600">Resolution (higher is better)</p>
+                  <p className="text-xl font-bold text-slate-900">{calibration.resolution.toFixed(3)}</p>
+                </div>
+                <div>
+                  <p className="text-slate-600">Uncertainty</p>
+                  <p className="text-xl font-bold text-slate-900">{calibration.uncertainty.toFixed(3)}</p>
+                </div>
+                <div>
+                  <p className="text-slate-600">Brier (per outcome)</p>
+                  <p className="text-xl font-bold text-slate-900">{calibration.brierScore.toFixed(3)}</p>
+                </div>
+              </div>
+              <p className="text-xs text-slate-500 mt-3">
+                Brier ≈ Reliability − Resolution + Uncertainty, computed over {calibration.count} probability
+                statements (one per option on categorical questions). Numeric and date questions are not included.
+              </p>
+            </div>
+
+            <div className="bg-white rounded-lg shadow-sm border border-slate-200">
+              <table className="min-w-full divide-y divide-slate-200">
+                <thead className="bg-slate-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">Bin</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">Forecasts</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">Predicted</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">Observed</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-slate-200 text-sm text-slate-900">
+                  {calibration.bins.map(b => (
+                    <tr key={b.lower}>
+                      <td className="px-4 py-2">{Math.round(b.lower * 100)}–{Math.round(b.upper * 100)}%</td>
+                      <td className="px-4 py-2">{b.count}</td>
+                      <td className="px-4 py-2">{b.count ? `${(b.meanPredicted * 100).toFixed(1)}%` : '–'}</td>
+                      <td className="px-4 py-2">{b.count ? `${(b.observedFrequency * 100).toFixed(1)}%` : '–'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const AdminView = ({
+  questions,
+  users,
+  onCreateQuestion,
+  onCreateUser,
+  onResolveQuestion,
+  onTransitionQuestion,
+  onAmendResolution,
+  onLoadResolutionHistory,
+  onUpdateQuestion,
+  onDeleteQuestion,
+  onDeleteUser,
+  onUpdateSetting,
+  tournaments,
+  onSaveTournament,
+  onDeleteTournament,
+  teams,
+  onSaveTeam,
+  onDeleteTeam,
+  onSetUserTeam,
+  newsSources,
+  onSaveNewsSource,
+  onDeleteNewsSource,
+  settings,
+  currentUser,
+  forecasts,
+  counts,
+  onLoad,
+  onLoadQuestionsPage,
+}) => {
+  const [activeTab, setActiveTab] = useState('create');
+  const [questionPage, setQuestionPage] = useState(0);
+  const [hasMoreQuestions, setHasMoreQuestions] = useState(false);
+  const loadAdminData = useLatestCallback(onLoad);
+  const loadQuestions = useLatestCallback(onLoadQuestionsPage);
+
+  const loadQuestionPage = useCallback(async (page) => {
+    const result = await loadQuestions('all', page);
+    setQuestionPage(page);
+    setHasMoreQuestions(result.hasMore);
+  }, [loadQuestions]);
+
+  useEffect(() => {
+    loadAdminData();
+    loadQuestionPage(0);
+  }, [loadAdminData, loadQuestionPage]);
+  const [newQuestion, setNewQuestion] = useState({
+    title: '',
+    description: '',
+    dataResourceName: '',
+    dataResourceUrl: '',
+    closeDate: '',
+    type: 'binary',
+    categories: ['Increase', 'Remain Unchanged', 'Decrease'],
+    options: ['Option A', 'Option B', 'Option C'],
+    rangeMin: '',
+    rangeMax: '',
+    openLower: false,
+    openUpper: false,
+    unit: '',
+    status: 'open',
+    openDate: '',
+    parentQuestionId: '',
+    parentOutcome: null,
+    tags: '',
+    forecastVisibility: ''
+  });
+  const [newUser, setNewUser] = useState({
+    email: '',
+    role: 'forecaster'
+  });
+  const [showCreateUser, setShowCreateUser] = useState(false);
+
+  const handleCreateQuestion = async (e) => {
+    e.preventDefault();
+    const success = await onCreateQuestion(newQuestion);
+    if (success) {
+      setNewQuestion({
+        title: '',
+        description: '',
+        dataResourceName: '',
+        dataResourceUrl: '',
+        closeDate: '',
+        type: 'binary',
+        categories: ['Increase', 'Remain Unchanged', 'Decrease'],
+        options: ['Option A', 'Option B', 'Option C'],
+        rangeMin: '',
+        rangeMax: '',
+        openLower: false,
+        openUpper: false,
+        unit: '',
+        status: 'open',
+        openDate: '',
+        parentQuestionId: '',
+        parentOutcome: null,
+        tags: '',
+        forecastVisibility: ''
+      });
+    }
+  };
+
+  // Questions a new conditional question can depend on
+  const conditionParents = questions.filter(
+    q => CONDITION_PARENT_TYPES.includes(q.type) && !['resolved', 'annulled'].includes(getQuestionStatus(q))
+  );
+  const selectedParent = questions.find(q => q.id === newQuestion.parentQuestionId);
+
+  const handleCreateUser = async (e) => {
+    e.preventDefault();
+    const success = await onCreateUser(newUser);
+    if (success) {
+      setNewUser({ email: '', role: 'forecaster' });
+      setShowCreateUser(false);
+    }
+  };
+
+  const handleResolveQuestion = async (questionId, resolution) => {
+    return await onResolveQuestion(questionId, resolution);
+  };
+
+  const handleTransitionQuestion = async (id, toStatus, updates) => {
+    return await onTransitionQuestion(id, toStatus, updates);
+  };
+
+  const handleUpdateQuestion = async (id, data) => {
+    return await onUpdateQuestion(id, data);
+  };
+
+  const handleDeleteQuestion = async (id) => {
+    if (window.confirm('Delete this question? This cannot be undone.')) {
+      await onDeleteQuestion(id);
+    }
+  };
+
+  const handleDeleteUser = async (uid) => {
+    if (window.confirm('Delete this user? This cannot be undone.')) {
+      await onDeleteUser(uid);
+    }
+  };
+
   return (
-    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center">
-      <div className="max-w-md w-full space-y-8 p-8">
-        <div className="text-center">
-          <TrendingUp className="mx-auto h-12 w-12 text-blue-600" />
-          <h2 className="mt-6 text-3xl font-bold text-gray-900">Economic Forecasting Platform</h2>
-          <p className="mt-2 text-sm text-gray-600">Sign in to start forecasting</p>
-        </div>
-        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
-          <div className="bg-white p-6 rounded-lg shadow-md">
-            <div className="space-y-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700">Email</label>
-                <input
-                  type="email"
-                  value={email}
-                  onChange={(e) => setEmail(e.target.value)}
-                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
-                  placeholder="your@email.com"
-                  required
-                />
-              </div>
-              <div>
-                <label className="block text-sm font-medium text-gray-700">Password</label>
-                <input
-                  type="password"
-                  value={password}
-                  onChange={(e) => setPassword(e.target.value)}
-                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
-                  placeholder="Password"
-                  required
-                />
-              </div>
-            </div>
-            {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-bold text-slate-900">Admin Panel</h2>
+        <button
+          onClick={() => setShowCreateUser(true)}
+          className="bg-green-600 text-white px-4 py-2 rounded-md hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-500"
+        >
+          <Plus className="h-4 w-4 inline mr-2" />
+          Create User
+        </button>
+      </div>
+      
+      <div className="bg-white rounded-lg shadow-sm border border-slate-200">
+        <div className="border-b border-slate-200">
+          <nav className="flex space-x-8 px-6">
             <button
-              type="submit"
-              disabled={loading}
-              className="mt-4 w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+              onClick={() => setActiveTab('create')}
+              className={`py-4 px-1 border-b-2 font-medium text-sm ${
+                activeTab === 'create'
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-slate-500 hover:text-slate-700'
+              }`}
             >
-              {loading ? 'Signing in...' : 'Sign In'}
+              Create Question
             </button>
             <button
-              type="button"
-              onClick={() => setShowForgotPassword(true)}
-              className="mt-2 w-full text-sm text-gray-600 hover:text-gray-800 underline"
+              onClick={() => setActiveTab('manage')}
+              className={`py-4 px-1 border-b-2 font-medium text-sm ${
+                activeTab === 'manage'
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-slate-500 hover:text-slate-700'
+              }`}
             >
-              Forgot Password?
+              Manage Questions
             </button>
             <button
-              type="button"
-              onClick={() => setShowSignup(true)}
-              className="mt-2 w-full text-sm text-gray-600 hover:text-gray-800 underline"
+              onClick={() => setActiveTab('users')}
+              className={`py-4 px-1 border-b-2 font-medium text-sm ${
+                activeTab === 'users'
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-slate-500 hover:text-slate-700'
+              }`}
             >
-              Sign Up
+              Manage Users
             </button>
-          </div>
-        </form>
-      </div>
-    </div>
-  );
-};
-
-const DashboardView = ({ currentUser, questions, forecasts, getUserStats, newsFeed, users }) => {
-  const stats = getUserStats(currentUser.id);
-  const userForecasts = forecasts.filter(f => f.user_id === currentUser.id);
-  const recentQuestions = [...questions].sort((a, b) => {
-    const da = a.createdDate || a.created_at || a.close_date || '';
-    const db = b.createdDate || b.created_at || b.close_date || '';
-    return new Date(db) - new Date(da);
-  });
-  const questionMap = questions.reduce((acc, q) => {
-    acc[q.id] = q.title;
-    return acc;
-  }, {});
-
-  return (
-    <div className="space-y-6">
-      <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
-        <div className="bg-white p-6 rounded-lg shadow-sm border border-slate-200">
-          <div className="flex items-center">
-            <Target className="h-8 w-8 text-blue-600" />
-            <div className="ml-4">
-              <p className="text-sm font-medium text-slate-600">Brier Score</p>
-              <p className="text-2xl font-bold text-slate-900">{stats.brierScore}</p>
-            </div>
-          </div>
-        </div>
-        <div className="bg-white p-6 rounded-lg shadow-sm border border-slate-200">
-          <div className="flex items-center">
-            <BarChart3 className="h-8 w-8 text-green-600" />
-            <div className="ml-4">
-              <p className="text-sm font-medium text-slate-600">Accuracy</p>
-              <p className="text-2xl font-bold text-slate-900">{stats.accuracy}%</p>
-            </div>
-          </div>
-        </div>
-        <div className="bg-white p-6 rounded-lg shadow-sm border border-slate-200">
-          <div className="flex items-center">
-            <Clock className="h-8 w-8 text-purple-600" />
-            <div className="ml-4">
-              <p className="text-sm font-medium text-slate-600">Questions Answered</p>
-              <p className="text-2xl font-bold text-slate-900">{stats.questionsAnswered}</p>
-            </div>
-          </div>
-        </div>
-        <div className="bg-white p-6 rounded-lg shadow-sm border border-slate-200">
-          <div className="flex items-center">
-            <Trophy className="h-8 w-8 text-yellow-600" />
-            <div className="ml-4">
-              <p className="text-sm font-medium text-slate-600">Active Questions</p>
-              <p className="text-2xl font-bold text-slate-900">{questions.filter(q => !q.isResolved).length}</p>
-            </div>
-          </div>
-        </div>
-      </div>
-
-      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-        <div className="lg:col-span-2">
-          <div className="bg-white rounded-lg shadow-sm border border-slate-200">
-            <div className="px-6 py-4 border-b border-slate-200">
-              <h3 className="text-lg font-medium text-slate-900">Recent Questions</h3>
-            </div>
-            <div className="p-6">
-              <div className="space-y-4">
-                {recentQuestions.slice(0, 5).map(question => {
-                  const userForecast = userForecasts.find(f => f.question_id === question.id);
-                  const qForecasts = forecasts.filter(f => f.question_id === question.id);
-                  let stats = null;
-                  if (question.isResolved) {
-                    const correct = qForecasts.filter(f => {
-                      if (question.type === 'binary') {
-                        const pred = f.forecast.probability > 50;
-                        return pred === question.resolution;
-                      }
-                      if (question.type === 'three-category') {
-                        const data = f.forecast;
-                        const pred = Object.keys(data).reduce((a,b)=> (data[a] > data[b] ? a : b));
-                        return pred === question.resolution;
-                      }
-                      if (question.type === 'multiple-choice') {
-                        const data = f.forecast;
-                        const pred = Object.keys(data).reduce((a,b)=> (data[a] > data[b] ? a : b));
-                        return pred === question.resolution;
-                      }
-                      return false;
-                    });
-                    const scores = qForecasts.map(f => ({
-                      user: f.user_id,
-                      score: calculateBrierScore(f.forecast, question.resolution, question.type)
-                    }));
-                    const top = scores.sort((a,b)=>a.score-b.score)[0];
-                    const topUser = top ? users.find(u => u.id === top.user) : null;
-                    stats = {
-                      total: qForecasts.length,
-                      correct: correct.length,
-                      incorrect: qForecasts.length - correct.length,
-                      topUser: topUser ? topUser.name || topUser.email : 'N/A'
-                    };
-                  }
-                  return (
-                    <div key={question.id} className="flex items-center justify-between p-4 bg-slate-50 rounded-lg">
-                      <div className="flex-1">
-                        <h4 className="font-medium text-slate-900">{question.title}</h4>
-                        <p className="text-sm text-slate-600 mt-1">{question.description}</p>
-                        <div className="flex items-center mt-2 text-xs text-slate-500">
-                          <Calendar className="h-4 w-4 mr-1" />
-                          Created {question.createdDate || question.created_at}
-                        </div>
-                        {question.isResolved && stats && (
-                          <p className="text-xs text-slate-500 mt-1">
-                            {stats.total} forecasts, {stats.correct} correct, {stats.incorrect} incorrect. Top forecaster: {stats.topUser}
-                          </p>
-                        )}
-                      </div>
-                      <div className="ml-4">
-                        {question.isResolved ? (
-                          <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
-                            Closed
-                          </span>
-                        ) : userForecast ? (
-                          <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
-                            Forecast Submitted
-                          </span>
-                        ) : (
-                          <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
-                            Pending
-                          </span>
-                        )}
-                      </div>
-                    </div>
-                  );
-                })}
-              </div>
-            </div>
-          </div>
+            <button
+              onClick={() => setActiveTab('analytics')}
+              className={`py-4 px-1 border-b-2 font-medium text-sm ${
+                activeTab === 'analytics'
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-slate-500 hover:text-slate-700'
+              }`}
+            >
+              Analytics
+            </button>
+            <button
+              onClick={() => setActiveTab('settings')}
+              className={`py-4 px-1 border-b-2 font-medium text-sm ${
+                activeTab === 'settings'
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-slate-500 hover:text-slate-700'
+              }`}
+            >
+              Settings
+            </button>
+            <button
+              onClick={() => setActiveTab('tournaments')}
+              className={`py-4 px-1 border-b-2 font-medium text-sm ${
+                activeTab === 'tournaments'
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-slate-500 hover:text-slate-700'
+              }`}
+            >
+              Tournaments
+            </button>
+            <button
+              onClick={() => setActiveTab('news')}
+              className={`py-4 px-1 border-b-2 font-medium text-sm ${
+                activeTab === 'news'
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-slate-500 hover:text-slate-700'
+              }`}
+            >
+              News Sources
+            </button>
+          </nav>
         </div>
 
-        <div className="bg-white rounded-lg shadow-sm border border-slate-200">
-          <div className="px-6 py-4 border-b border-slate-200">
-            <div className="flex items-center">
-              <Globe className="h-5 w-5 text-slate-400 mr-2" />
-              <h3 className="text-lg font-medium text-slate-900">Economic News</h3>
-            </div>
-          </div>
-          <div className="p-6">
-            <div className="space-y-4">
-              {newsFeed.map((item, index) => (
-                <div key={index} className="border-b border-slate-100 pb-3 last:border-b-0">
-                  <a href={item.url} className="text-sm font-medium text-slate-900 hover:text-blue-600 line-clamp-2">
-                    {item.title}
-                  </a>
-                  <p className="text-xs text-slate-500 mt-1">{item.source}</p>
-                </div>
-              ))}
-            </div>
-          </div>
-        </div>
-      </div>
-    </div>
-  );
-};
+        <div className="p-6">
+          {activeTab === 'create' && (
+            <form onSubmit={handleCreateQuestion} className="space-y-6">
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-2">
+                  Question Title
+                </label>
+                <input
+                  type="text"
+                  value={newQuestion.title}
+                  onChange={(e) => setNewQuestion({ ...newQuestion, title: e.target.value })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  placeholder="e.g., Will the Federal Reserve raise interest rates by June 30, 2025?"
+                  required
+                />
+              </div>
 
-const QuestionsView = ({ questions, forecasts, currentUser, onSubmitForecast }) => {
-  const [selectedQuestion, setSelectedQuestion] = useState(null);
-  const [filter, setFilter] = useState('active');
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-2">
+                  Description
+                </label>
+                <textarea
+                  value={newQuestion.description}
+                  onChange={(e) => setNewQuestion({ ...newQuestion, description: e.target.value })}
+                  rows="3"
+                  className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  placeholder="Provide additional context, resolution criteria, data sources, etc."
+                />
+              </div>
 
-  const filteredQuestions = questions
-    .filter(q => (filter === 'active' ? !q.isResolved : q.isResolved))
-    .sort((a, b) => {
-      if (!a.close_date && !b.close_date) return 0;
-      if (!a.close_date) return 1;
-      if (!b.close_date) return -1;
-      return new Date(a.close_date) - new Date(b.close_date);
-    });
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-2">
+                  Data Resource Name
+                </label>
+                <input
+                  type="text"
+                  value={newQuestion.dataResourceName}
+                  onChange={(e) => setNewQuestion({ ...newQuestion, dataResourceName: e.target.value })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  placeholder="e.g., Bureau of Labor Statistics"
+                />
+              </div>
 
-  return (
-    <div className="space-y-6">
-      <div className="flex justify-between items-center">
-        <h2 className="text-2xl font-bold text-slate-900">Questions</h2>
-        <div className="flex space-x-2">
-          <button
-            onClick={() => setFilter('active')}
-            className={`px-4 py-2 rounded-md text-sm font-medium ${
-              filter === 'active' 
-                ? 'bg-blue-600 text-white' 
-                : 'bg-white text-slate-700 border border-slate-300'
-            }`}
-          >
-            Active ({questions.filter(q => !q.isResolved).length})
-          </button>
-          <button
-            onClick={() => setFilter('resolved')}
-            className={`px-4 py-2 rounded-md text-sm font-medium ${
-              filter === 'resolved' 
-                ? 'bg-blue-600 text-white' 
-                : 'bg-white text-slate-700 border border-slate-300'
-            }`}
-          >
-            Resolved ({questions.filter(q => q.isResolved).length})
-          </button>
-        </div>
-      </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-2">
+                  Data Resource URL
+                </label>
+                <input
+                  type="text"
+                  value={newQuestion.dataResourceUrl}
+                  onChange={(e) => setNewQuestion({ ...newQuestion, dataResourceUrl: e.target.value })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  placeholder="https://example.com/data"
+                />
+              </div>
 
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-        <div className="space-y-4">
-          {filteredQuestions.map(question => (
-            <QuestionCard
-              key={question.id}
-              question={question}
-              forecasts={forecasts}
-              currentUser={currentUser}
-              onSelect={() => setSelectedQuestion(question)}
-              isSelected={selectedQuestion?.id === question.id}
-            />
-          ))}
-        </div>
-        <div>
-          {selectedQuestion && (
-            <ForecastForm
-              question={selectedQuestion}
-              forecasts={forecasts}
-              currentUser={currentUser}
-              onSubmitForecast={onSubmitForecast}
-            />
-          )}
-        </div>
-      </div>
-    </div>
-  );
-};
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-2">
+                  Close Date
+                </label>
+                <input
+                  type="date"
+                  value={newQuestion.closeDate}
+                  onChange={(e) => setNewQuestion({ ...newQuestion, closeDate: e.target.value })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
 
-const QuestionCard = ({ question, forecasts, currentUser, onSelect, isSelected }) => {
-  const userForecast = forecasts.find(
-    f => f.question_id === question.id && f.user_id === currentUser.id
-  );
-  
-  return (
-    <div 
-      className={`bg-white p-6 rounded-lg shadow-sm border cursor-pointer transition-all ${
-        isSelected ? 'ring-2 ring-blue-500 border-blue-200' : 'border-slate-200 hover:border-slate-300'
-      }`}
-      onClick={onSelect}
-    >
-      <div className="flex items-start justify-between">
-        <div className="flex-1">
-          <h3 className="font-medium text-slate-900 mb-2">{question.title}</h3>
-          <div className="flex items-center text-xs text-slate-500">
-            <Calendar className="h-4 w-4 mr-1" />
-            {question.close_date || 'No close date'}
-          </div>
-        </div>
-        <div className="ml-4">
-          {question.isResolved ? (
-            <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
-              <Lock className="h-3 w-3 mr-1" />
-              Closed
-            </span>
-          ) : userForecast ? (
-            <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
-              Forecasted
-            </span>
-          ) : (
-            <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
-              Open
-            </span>
-          )}
-        </div>
-      </div>
-    </div>
-  );
-};
+              <TagsField
+                value={newQuestion.tags}
+                onChange={(tags) => setNewQuestion({ ...newQuestion, tags })}
+              />
 
-const ForecastForm = ({ question, forecasts, currentUser, onSubmitForecast }) => {
-  const existingForecast = forecasts.find(
-    f => f.question_id === question.id && f.user_id === currentUser.id
-  );
+              <ForecastVisibilityField
+                value={newQuestion.forecastVisibility}
+                platformDefault={settings.forecast_visibility}
+                onChange={(forecastVisibility) => setNewQuestion({ ...newQuestion, forecastVisibility })}
+              />
+
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-2">
+                  Question Type
+                </label>
+                <select
+                  value={newQuestion.type}
+                  onChange={(e) => setNewQuestion({ ...newQuestion, type: e.target.value })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                >
+                  <option value="binary">Binary (Yes/No)</option>
+                  <option value="three-category">Three Category (Increase/Unchanged/Decrease)</option>
+                  <option value="multiple-choice">Multiple Choice</option>
+                  <option value="numeric">Numeric Range</option>
+                  <option value="date">Date (When will it happen?)</option>
+                </select>
+              </div>
+
+              {newQuestion.type === 'three-category' && (
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-2">
+                    Categories
+                  </label>
+                  <div className="space-y-2">
+                    {newQuestion.categories.map((category, index) => (
+                      <input
+                        key={index}
+                        type="text"
+                        value={category}
+                        onChange={(e) => {
+                          const newCategories = [...newQuestion.categories];
+                          newCategories[index] = e.target.value;
+                          setNewQuestion({ ...newQuestion, categories: newCategories });
+                        }}
+                        className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                      />
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {newQuestion.type === 'multiple-choice' && (
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-2">
+                    Options
+                  </label>
+                  <div className="space-y-2">
+                    {newQuestion.options.map((option, index) => (
+                      <div key={index} className="flex space-x-2">
+                        <input
+                          type="text"
+                          value={option}
+                          onChange={(e) => {
+                            const newOptions = [...newQuestion.options];
+                            newOptions[index] = e.target.value;
+                            setNewQuestion({ ...newQuestion, options: newOptions });
+                          }}
+                          className="flex-1 px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                        />
+                        {newQuestion.options.length > 2 && (
+                          <button
+                            type="button"
+                            onClick={() => {
+                              const newOptions = newQuestion.options.filter((_, i) => i !== index);
+                              setNewQuestion({ ...newQuestion, options: newOptions });
+                            }}
+                            className="px-3 py-2 text-red-600 hover:text-red-800"
+                          >
+                            Remove
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setNewQuestion({
+                          ...newQuestion,
+                          options: [...newQuestion.options, `Option ${String.fromCharCode(65 + newQuestion.options.length)}`]
+                        });
+                      }}
+                      className="text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      + Add Option
+                    </button>
+                  </div>
+                </div>
+              )}
 
-  const userForecasts = forecasts
-    .filter(f => f.question_id === question.id && f.user_id === currentUser.id)
-    .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+              {newQuestion.type === 'numeric' && (
+                <NumericRangeFields
+                  data={newQuestion}
+                  onChange={(updates) => setNewQuestion({ ...newQuestion, ...updates })}
+                />
+              )}
 
-  const normalizeForecast = (f) => {
-    const copy = { ...f };
-    if (copy['remain unchanged'] !== undefined && copy.unchanged === undefined) {
-      copy.unchanged = copy['remain unchanged'];
-    }
-    return copy;
-  };
+              {newQuestion.type === 'date' && (
+                <DateRangeFields
+                  data={newQuestion}
+                  onChange={(updates) => setNewQuestion({ ...newQuestion, ...updates })}
+                />
+              )}
 
-  const formatForecast = (f) => {
-    const data = normalizeForecast(f);
-    if (question.type === 'binary') {
-      return `${data.probability}%`;
-    }
-    if (question.type === 'three-category') {
-      return `Increase: ${data.increase}% | Unchanged: ${data.unchanged}% | Decrease: ${data.decrease}%`;
-    }
-    if (question.type === 'multiple-choice') {
-      return question.options.map(opt => `${opt}: ${data[opt]}%`).join(' | ');
-    }
-    return JSON.stringify(data);
-  };
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-2">
+                  Condition (optional)
+                </label>
+                <select
+                  value={newQuestion.parentQuestionId}
+                  onChange={(e) => {
+                    const parent = questions.find(q => q.id === e.target.value);
+                    const [firstOutcome] = getConditionOutcomes(parent);
+                    setNewQuestion({
+                      ...newQuestion,
+                      parentQuestionId: e.target.value,
+                      parentOutcome: firstOutcome ? firstOutcome.value : null,
+                    });
+                  }}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                >
+                  <option value="">Not conditional</option>
+                  {conditionParents.map(q => (
+                    <option key={q.id} value={q.id}>If: {q.title}</option>
+                  ))}
+                </select>
+                {selectedParent && (
+                  <select
+                    value={JSON.stringify(newQuestion.parentOutcome)}
+                    onChange={(e) => setNewQuestion({ ...newQuestion, parentOutcome: JSON.parse(e.target.value) })}
+                    className="w-full mt-2 px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    {getConditionOutcomes(selectedParent).map(outcome => (
+                      <option key={outcome.label} value={JSON.stringify(outcome.value)}>
+                        resolves {outcome.label}
+                      </option>
+                    ))}
+                  </select>
+                )}
+                <p className="text-xs text-slate-500 mt-1">
+                  Conditional questions are annulled automatically if the condition is not met.
+                </p>
+              </div>
 
-  const formatForecastLines = (f) => {
-    const data = normalizeForecast(f);
-    if (question.type === 'binary') {
-      return `Probability: ${data.probability}%`;
-    }
-    if (question.type === 'three-category') {
-      return `Increase: ${data.increase}%\nUnchanged: ${data.unchanged}%\nDecrease: ${data.decrease}%`;
-    }
-    if (question.type === 'multiple-choice') {
-      return question.options.map(opt => `${opt}: ${data[opt]}%`).join('\n');
-    }
-    return JSON.stringify(data);
-  };
-  
-  const [forecast, setForecast] = useState(() => {
-    if (existingForecast) {
-      return normalizeForecast(existingForecast.forecast);
-    }
-    if (question.type === 'binary') {
-      return { probability: 50 };
-    } else if (question.type === 'three-category') {
-      return { increase: 33, unchanged: 34, decrease: 33 };
-    } else if (question.type === 'multiple-choice') {
-      const evenSplit = Math.floor(100 / question.options.length);
-      const remainder = 100 - (evenSplit * question.options.length);
-      const initial = {};
-      question.options.forEach((option, index) => {
-        initial[option] = index === 0 ? evenSplit + remainder : evenSplit;
-      });
-      return initial;
-    }
-    return {};
-  });
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-2">
+                  Publishing
+                </label>
+                <select
+                  value={newQuestion.status}
+                  onChange={(e) => setNewQuestion({ ...newQuestion, status: e.target.value })}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                >
+                  <option value="open">Open for forecasting now</option>
+                  <option value="scheduled">Schedule an open date</option>
+                  <option value="draft">Save as draft</option>
+                </select>
+                <p className="text-xs text-slate-500 mt-1">
+                  Drafts and scheduled questions are only visible to admins.
+                </p>
+              </div>
 
-  // Reset forecast state when the question or existing forecast changes
-  useEffect(() => {
-    if (existingForecast) {
-      setForecast(normalizeForecast(existingForecast.forecast));
-    } else if (question.type === 'binary') {
-      setForecast({ probability: 50 });
-    } else if (question.type === 'three-category') {
-      setForecast({ increase: 33, unchanged: 34, decrease: 33 });
-    } else if (question.type === 'multiple-choice') {
-      const evenSplit = Math.floor(100 / question.options.length);
-      const remainder = 100 - evenSplit * question.options.length;
-      const initial = {};
-      question.options.forEach((option, index) => {
-        initial[option] = index === 0 ? evenSplit + remainder : evenSplit;
-      });
-      setForecast(initial);
-    } else {
-      setForecast({});
-    }
-  }, [question.id, existingForecast, question.options, question.type]);
+              {newQuestion.status === 'scheduled' && (
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-2">
+                    Open Date
+                  </label>
+                  <input
+                    type="datetime-local"
+                    value={newQuestion.openDate}
+                    onChange={(e) => setNewQuestion({ ...newQuestion, openDate: e.target.value })}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                    required
+                  />
+                </div>
+              )}
 
-  const total = Object.values(forecast).reduce((sum, val) => sum + (Number(val) || 0), 0);
-  const requiresTotal = question.type === 'three-category' || question.type === 'multiple-choice';
-  const isValid = !requiresTotal || total === 100;
+              <button
+                type="submit"
+                className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {newQuestion.status === 'draft'
+                  ? 'Save Draft'
+                  : newQuestion.status === 'scheduled'
+                    ? 'Schedule Question'
+                    : 'Create Question'}
+              </button>
+            </form>
+          )}
 
-  const [showConfirmation, setShowConfirmation] = useState(false);
+          {activeTab === 'manage' && (
+            <div className="space-y-4">
+              <h3 className="text-lg font-medium text-slate-900">Question Management</h3>
+              {questions.map(question => (
+                <QuestionManagementCard
+                  key={question.id}
+                  question={question}
+                  parent={questions.find(q => q.id === question.parent_question_id)}
+                  forecasts={forecasts}
+                  onResolve={handleResolveQuestion}
+                  onTransition={handleTransitionQuestion}
+                  onAmendResolution={onAmendResolution}
+                  onLoadHistory={onLoadResolutionHistory}
+                  onUpdate={handleUpdateQuestion}
+                  onDelete={handleDeleteQuestion}
+                  platformVisibility={settings.forecast_visibility}
+                />
+              ))}
+              {hasMoreQuestions && (
+                <button
+                  onClick={() => loadQuestionPage(questionPage + 1)}
+                  className="w-full py-2 text-sm text-blue-600 hover:text-blue-800"
+                >
+                  Load more questions
+                </button>
+              )}
+            </div>
+          )}
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    if (!isValid) {
-      return;
-    }
-    const success = await onSubmitForecast(question.id, forecast);
-    if (success) {
-      setShowConfirmation(true);
-      setTimeout(() => setShowConfirmation(false), 3000);
-    }
-  };
+          {activeTab === 'users' && (
+            <div className="space-y-6">
+              <h3 className="text-lg font-medium text-slate-900">User Management</h3>
+              
+              {/* Active Users */}
+              <div>
+                <h4 className="text-md font-medium text-slate-800 mb-3">Active Users</h4>
+                <div className="bg-slate-50 rounded-lg overflow-hidden">
+                  <table className="min-w-full divide-y divide-slate-200">
+                    <thead className="bg-slate-100">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">
+                          User
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">
+                          Role
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">
+                          Team
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">
+                          Created
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">
+                          Status
+                        </th>
+                        <th className="px-6 py-3" />
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-slate-200">
+                      {users.map((user) => (
+                        <tr key={user.id}>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <div>
+                              <div className="text-sm font-medium text-slate-900">{user.name}</div>
+                              <div className="text-sm text-slate-500">{user.email}</div>
+                            </div>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+                              user.role === 'admin' 
+                                ? 'bg-purple-100 text-purple-800' 
+                                : 'bg-blue-100 text-blue-800'
+                            }`}>
+                              {user.role}
+                            </span>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <select
+                              value={getUserTeam(teams, user.id)?.id || ''}
+                              onChange={(e) => onSetUserTeam(user.id, e.target.value)}
+                              disabled={teams.length === 0}
+                              className="px-2 py-1 border border-slate-300 rounded-md text-sm text-slate-700 disabled:opacity-50"
+                            >
+                              <option value="">No team</option>
+                              {teams.map(team => (
+                                <option key={team.id} value={team.id}>{team.name}</option>
+                              ))}
+                            </select>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-slate-500">
+                            {new Date(user.created_at).toLocaleDateString()}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            {user.must_change_password ? (
+                              <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-yellow-100 text-yellow-800">
+                                Must Change Password
+                              </span>
+                            ) : (
+                              <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-green-100 text-green-800">
+                                Active
+                              </span>
+                            )}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                            {user.id !== currentUser.id && (
+                              <button onClick={() => handleDeleteUser(user.id)} className="text-red-600 hover:text-red-900">
+                                <Trash className="w-4 h-4" />
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
 
-  if (question.isResolved) {
-    return (
-      <div className="bg-white p-6 rounded-lg shadow-sm border border-slate-200">
-        <h3 className="text-lg font-medium text-slate-900 mb-4">Question Resolved</h3>
-        {question.description && (
-          <p className="text-sm text-slate-600 mb-2">{question.description}</p>
-        )}
-        {question.data_resource_name && (
-          <p className="text-sm text-slate-600 mb-4">
-            Data resource:{' '}
-            <a
-              href={question.data_resource_url}
-              target="_blank"
-              rel="noopener noreferrer"
-              className="text-blue-600 underline"
-            >
-              {question.data_resource_name}
-            </a>
-          </p>
-        )}
-        <div className="bg-gray-50 p-4 rounded-lg">
-          <p className="text-sm text-gray-600 mb-2">Resolution:</p>
-          <p className="font-medium text-gray-900">{String(question.resolution)}</p>
-          <p className="text-xs text-gray-500 mt-2">Resolved on {question.resolvedDate}</p>
-        </div>
-        {existingForecast && (
-          <div className="mt-4 bg-blue-50 p-4 rounded-lg">
-            <p className="text-sm text-blue-600 mb-2">Your Forecast:</p>
-            {question.type === 'binary' && (
-              <p className="font-medium text-blue-900">{existingForecast.forecast.probability}%</p>
-            )}
-            {question.type === 'three-category' && (
-              (() => {
-                const data = normalizeForecast(existingForecast.forecast);
-                return (
-                  <div className="space-y-1">
-                    <p className="text-sm">Increase: {data.increase}%</p>
-                    <p className="text-sm">Unchanged: {data.unchanged}%</p>
-                    <p className="text-sm">Decrease: {data.decrease}%</p>
-                  </div>
-                );
-              })()
-            )}
-            <p className="text-sm mt-2">
-              {(() => {
-                const outcome = String(question.resolution);
-                let predicted = '';
-                if (question.type === 'binary') {
-                  predicted = existingForecast.forecast.probability > 50 ? 'true' : 'false';
-                } else if (question.type === 'three-category') {
-                  const data = normalizeForecast(existingForecast.forecast);
-                  predicted = Object.keys(data).reduce((a, b) => (data[a] > data[b] ? a : b));
-                } else if (question.type === 'multiple-choice') {
-                  const data = existingForecast.forecast;
-                  predicted = Object.keys(data).reduce((a, b) => (data[a] > data[b] ? a : b));
-                }
-                return predicted === outcome ? 'You were correct!' : 'You were incorrect.';
-              })()}
-            </p>
-          </div>
-        )}
+              {/* Teams */}
+              <TeamManager teams={teams} onSave={onSaveTeam} onDelete={onDeleteTeam} />
 
-        {userForecasts.length > 0 && (
-          <div className="mt-6">
-            <h4 className="text-sm font-medium text-slate-900 mb-2">Submission History</h4>
-            <div className="space-y-1 text-sm">
-              {userForecasts.map((f) => (
-                <div key={f.id} className="flex justify-between">
-                  <span>{new Date(f.updated_at).toLocaleString()}</span>
-                  <span className="font-mono">{formatForecast(f.forecast)}</span>
-                </div>
-              ))}
+              {/* Pending Invitations */}
+              <div>
+                <h4 className="text-md font-medium text-slate-800 mb-3">Pending Invitations</h4>
+                <PendingInvitations />
+              </div>
             </div>
-          </div>
-        )}
-      </div>
-    );
-  }
+          )}
 
-  return (
-    <div className="bg-white p-6 rounded-lg shadow-sm border border-slate-200">
-      {question.description && (
-        <p className="text-sm text-slate-600 mb-2">{question.description}</p>
-      )}
-      {question.data_resource_name && (
-        <p className="text-sm text-slate-600 mb-4">
-          Data resource:{' '}
-          <a
-            href={question.data_resource_url}
-            target="_blank"
-            rel="noopener noreferrer"
-            className="text-blue-600 underline"
-          >
-            {question.data_resource_name}
-          </a>
-        </p>
-      )}
-      <h3 className="text-lg font-medium text-slate-900 mb-4">
-        {existingForecast ? 'Update Forecast' : 'Make Forecast'}
-      </h3>
+          
 
-      <form onSubmit={handleSubmit} className="space-y-4">
-        {question.type === 'binary' && (
-          <div>
-            <label className="block text-sm font-medium text-slate-700 mb-2">
-              Probability (%)
-            </label>
-            <input
-              type="number"
-              min="0"
-              max="100"
-              value={forecast.probability}
-              onChange={(e) => setForecast({ probability: parseInt(e.target.value) || 0 })}
-              className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
-            />
-          </div>
-        )}
+          {activeTab === 'analytics' && (
+            <div className="space-y-6">
+              <h3 className="text-lg font-medium text-slate-900">Platform Analytics</h3>
+              
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                <div className="bg-slate-50 p-4 rounded-lg">
+                  <p className="text-sm text-slate-600">Total Questions</p>
+                  <p className="text-2xl font-bold text-slate-900">{counts.questions}</p>
+                </div>
+                <div className="bg-slate-50 p-4 rounded-lg">
+                  <p className="text-sm text-slate-600">Active Questions</p>
+                  <p className="text-2xl font-bold text-slate-900">{counts.openQuestions}</p>
+                </div>
+                <div className="bg-slate-50 p-4 rounded-lg">
+                  <p className="text-sm text-slate-600">Total Users</p>
+                  <p className="text-2xl font-bold text-slate-900">{users.length}</p>
+                </div>
+                <div className="bg-slate-50 p-4 rounded-lg">
+                  <p className="text-sm text-slate-600">Total Forecasts</p>
+                  <p className="text-2xl font-bold text-slate-900">{counts.forecasts}</p>
+                </div>
+              </div>
 
-        {question.type === 'three-category' && (
-          <div className="space-y-3">
-            {question.categories.map((category, index) => {
-              const lower = category.toLowerCase();
-              const key = lower.includes('unchanged') ? 'unchanged' : lower;
-              return (
-                <div key={category}>
-                  <label className="block text-sm font-medium text-slate-700 mb-1">
-                    {category} (%)
-                  </label>
-                  <input
-                    type="number"
-                    min="0"
-                    max="100"
-                    value={forecast[key] || 0}
-                    onChange={(e) => {
-                      const newValue = parseInt(e.target.value) || 0;
-                      setForecast({ ...forecast, [key]: newValue });
-                    }}
-                    className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
-                  />
+              <div className="bg-slate-50 p-4 rounded-lg">
+                <h4 className="font-medium text-slate-900 mb-3">Recent Activity</h4>
+                <div className="space-y-2">
+                  {[...forecasts]
+                    .sort((a, b) => new Date(b.updated_at || b.created_at) - new Date(a.updated_at || a.created_at))
+                    .slice(0, 5)
+                    .map((forecast, index) => {
+                      const question = questions.find(q => q.id === forecast.question_id);
+                      const user = users.find(u => u.id === forecast.user_id);
+                      return (
+                        <div key={index} className="text-sm text-slate-600">
+                          {user?.name} submitted forecast for "{question?.title}" on{' '}
+                          {new Date(forecast.created_at).toLocaleDateString()}
+                        </div>
+                      );
+                    })}
                 </div>
-              );
-            })}
-            <div className="text-sm text-slate-600">
-              Total: {Object.values(forecast).reduce((sum, val) => sum + (Number(val) || 0), 0)}%
-              {Object.values(forecast).reduce((sum, val) => sum + (Number(val) || 0), 0) !== 100 && (
-                <span className="text-red-600 ml-2">Total must equal 100 %</span>
-              )}
+              </div>
             </div>
-          </div>
-        )}
+          )}
 
-        {question.type === 'multiple-choice' && (
-          <div className="space-y-3">
-            {question.options.map(option => (
-              <div key={option}>
-                <label className="block text-sm font-medium text-slate-700 mb-1">
-                  {option} (%)
+          {activeTab === 'tournaments' && (
+            <TournamentManager
+              tournaments={tournaments}
+              questions={questions}
+              users={users}
+              defaultRule={settings.default_scoring_rule}
+              onSave={onSaveTournament}
+              onDelete={onDeleteTournament}
+            />
+          )}
+
+          {activeTab === 'news' && (
+            <NewsSourceManager
+              sources={newsSources}
+              onSave={onSaveNewsSource}
+              onDelete={onDeleteNewsSource}
+            />
+          )}
+
+          {activeTab === 'settings' && (
+            <div className="space-y-6">
+              <h3 className="text-lg font-medium text-slate-900">Platform Settings</h3>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-2">
+                  Default Scoring Rule
+                </label>
+                <select
+                  value={settings.default_scoring_rule}
+                  onChange={(e) => onUpdateSetting('default_scoring_rule', e.target.value)}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                >
+                  {Object.entries(SCORING_RULES).map(([id, rule]) => (
+                    <option key={id} value={id}>{rule.label}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-slate-500 mt-1">
+                  {getScoringRule(settings.default_scoring_rule).description} Used for the dashboard and as the
+                  leaderboard's initial ranking; forecasters can still switch rules on the leaderboard.
+                </p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-2">
+                  Minimum Resolved Questions to Rank
                 </label>
                 <input
+                  key={settings.min_resolved_questions}
                   type="number"
-                  min="0"
-                  max="100"
-                  value={forecast[option] || 0}
-                  onChange={(e) => {
-                    const newValue = parseInt(e.target.value) || 0;
-                    setForecast({ ...forecast, [option]: newValue });
+                  min="1"
+                  defaultValue={settings.min_resolved_questions}
+                  onBlur={(e) => {
+                    const value = parseInt(e.target.value, 10);
+                    if (value >= 1 && value !== Number(settings.min_resolved_questions)) {
+                      onUpdateSetting('min_resolved_questions', value);
+                    }
                   }}
                   className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
                 />
+                <p className="text-xs text-slate-500 mt-1">
+                  Forecasters with fewer resolved forecasts are listed as unranked on the leaderboard.
+                </p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-2">
+                  Skipped Question Penalty
+                </label>
+                <select
+                  value={settings.skip_imputation}
+                  onChange={(e) => onUpdateSetting('skip_imputation', e.target.value)}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                >
+                  <option value="crowd">Crowd median's score</option>
+                  <option value="uniform">Uniform forecast's score</option>
+                </select>
+                <p className="text-xs text-slate-500 mt-1">
+                  Score charged for each resolved question a forecaster skipped when the leaderboard
+                  penalizes skips.
+                </p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-2">
+                  Forecast Visibility
+                </label>
+                <select
+                  value={settings.forecast_visibility}
+                  onChange={(e) => onUpdateSetting('forecast_visibility', e.target.value)}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                >
+                  {Object.entries(FORECAST_VISIBILITY_MODES).map(([id, label]) => (
+                    <option key={id} value={id}>{label}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-slate-500 mt-1">
+                  {FORECAST_VISIBILITY_DESCRIPTIONS[settings.forecast_visibility]} Applies to every question
+                  without its own setting; forecasters always see their own forecasts, and admins see everything.
+                </p>
               </div>
-            ))}
-            <div className="text-sm text-slate-600">
-              Total: {Object.values(forecast).reduce((sum, val) => sum + (Number(val) || 0), 0)}%
-              {Object.values(forecast).reduce((sum, val) => sum + (Number(val) || 0), 0) !== 100 && (
-                <span className="text-red-600 ml-2">Total must equal 100 %</span>
-              )}
             </div>
-          </div>
-        )}
-
-        <button
-          type="submit"
-          disabled={!isValid}
-          className={`w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 ${!isValid ? 'opacity-50 cursor-not-allowed' : ''}`}
-        >
-          {existingForecast ? 'Update Forecast' : 'Submit Forecast'}
-        </button>
-      </form>
-
-      {showConfirmation && (
-        <div className="mt-4 p-3 bg-green-50 rounded-lg">
-          <p className="text-sm text-green-700 whitespace-pre-line">
-            {formatForecastLines(forecast)}
-          </p>
-        </div>
-      )}
-
-      {existingForecast && (
-        <div className="mt-4 p-3 bg-blue-50 rounded-lg">
-          <p className="text-sm text-blue-600">
-            Last updated: {new Date(existingForecast.updated_at).toLocaleString()}
-          </p>
+          )}
         </div>
-      )}
+      </div>
 
-      {userForecasts.length > 0 && (
-        <div className="mt-6">
-          <h4 className="text-sm font-medium text-slate-900 mb-2">Submission History</h4>
-          <div className="space-y-1 text-sm">
-            {userForecasts.map((f) => (
-              <div key={f.id} className="flex justify-between">
-                <span>{new Date(f.updated_at).toLocaleString()}</span>
-                <span className="font-mono">
-                  {formatForecast(f.forecast)}
-                </span>
+      {/* Create User Modal */}
+      {showCreateUser && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-md">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">Create New User</h3>
+            <form onSubmit={handleCreateUser} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Email</label>
+                <input
+                  type="email"
+                  value={newUser.email}
+                  onChange={(e) => setNewUser({ ...newUser, email: e.target.value })}
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  required
+                />
               </div>
-            ))}
+              <div>
+                <label className="block text-sm font-medium text-gray-700">User Type</label>
+                <select
+                  value={newUser.role}
+                  onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                >
+                  <option value="forecaster">Forecaster</option>
+                  <option value="admin">Admin</option>
+                </select>
+              </div>
+              <div className="flex space-x-3 pt-4">
+                <button
+                  type="submit"
+                  className="flex-1 bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  Create User
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setShowCreateUser(false);
+                    setNewUser({ email: '', role: 'forecaster' });
+                  }}
+                  className="flex-1 bg-gray-300 text-gray-700 py-2 px-4 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
           </div>
         </div>
       )}
@@ -1744,662 +5674,775 @@ const ForecastForm = ({ question, forecasts, currentUser, onSubmitForecast }) =>
   );
 };
 
-const LeaderboardView = ({ leaderboard }) => {
-  return (
-    <div className="space-y-6">
-      <h2 className="text-2xl font-bold text-slate-900">Leaderboard</h2>
-      
-      <div className="bg-white rounded-lg shadow-sm border border-slate-200">
-        <div className="px-6 py-4 border-b border-slate-200">
-          <h3 className="text-lg font-medium text-slate-900">Forecaster Rankings</h3>
-          <p className="text-sm text-slate-600 mt-1">Ranked by Brier Score (lower is better)</p>
-        </div>
-        <div className="overflow-hidden">
-          <table className="min-w-full divide-y divide-slate-200">
-            <thead className="bg-slate-50">
-              <tr>
-                <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">
-                  Rank
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">
-                  Forecaster
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">
-                  Brier Score
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">
-                  Accuracy
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">
-                  Questions Answered
-                </th>
-              </tr>
-            </thead>
-            <tbody className="bg-white divide-y divide-slate-200">
-              {leaderboard.map((user, index) => (
-                <tr key={user.id} className={index < 3 ? 'bg-yellow-50' : ''}>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <div className="flex items-center">
-                      {index === 0 && <Trophy className="h-5 w-5 text-yellow-500 mr-2" />}
-                      {index === 1 && <Award className="h-5 w-5 text-gray-400 mr-2" />}
-                      {index === 2 && <Award className="h-5 w-5 text-amber-600 mr-2" />}
-                      <span className="text-sm font-medium text-slate-900">#{index + 1}</span>
-                    </div>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <div className="text-sm font-medium text-slate-900">{user.name}</div>
-                    <div className="text-sm text-slate-500">{user.email}</div>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <span className="text-sm text-slate-900">{user.stats.brierScore}</span>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <span className="text-sm text-slate-900">{user.stats.accuracy}%</span>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <span className="text-sm text-slate-900">{user.stats.questionsAnswered}</span>
-                  </td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
-        </div>
+
+
+const PendingInvitations = () => {
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadInvitations();
+  }, []);
+
+  const loadInvitations = async () => {
+    try {
+      const { data, error } = await supabase
+        .from('user_invitations')
+        .select('*, invited_by_user:users!invited_by(name)')
+        .is('used_at', null)
+        .order('created_at', { ascending: false });
+        
+      if (error) throw error;
+      setInvitations(data || []);
+    } catch (error) {
+      console.error('Error loading invitations:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="text-sm text-slate-500">Loading invitations...</div>;
+  }
+
+  if (invitations.length === 0) {
+    return <div className="text-sm text-slate-500">No pending invitations</div>;
+  }
+
+  return (
+    <div className="bg-yellow-50 rounded-lg overflow-hidden">
+      <table className="min-w-full divide-y divide-yellow-200">
+        <thead className="bg-yellow-100">
+          <tr>
+            <th className="px-6 py-3 text-left text-xs font-medium text-yellow-800 uppercase tracking-wider">
+              Email
+            </th>
+            <th className="px-6 py-3 text-left text-xs font-medium text-yellow-800 uppercase tracking-wider">
+              Name
+            </th>
+            <th className="px-6 py-3 text-left text-xs font-medium text-yellow-800 uppercase tracking-wider">
+              Role
+            </th>
+            <th className="px-6 py-3 text-left text-xs font-medium text-yellow-800 uppercase tracking-wider">
+              Invited
+            </th>
+            <th className="px-6 py-3 text-left text-xs font-medium text-yellow-800 uppercase tracking-wider">
+              Expires
+            </th>
+          </tr>
+        </thead>
+        <tbody className="bg-yellow-50 divide-y divide-yellow-200">
+          {invitations.map((invitation) => (
+            <tr key={invitation.id}>
+              <td className="px-6 py-4 whitespace-nowrap text-sm text-slate-900">
+                {invitation.email}
+              </td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm text-slate-900">
+                {invitation.name}
+              </td>
+              <td className="px-6 py-4 whitespace-nowrap">
+                <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-blue-100 text-blue-800">
+                  {invitation.role}
+                </span>
+              </td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm text-slate-500">
+                {new Date(invitation.created_at).toLocaleDateString()}
+              </td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm text-slate-500">
+                {new Date(invitation.expires_at).toLocaleDateString()}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+
+
+// Range inputs shared by the create and edit forms for numeric questions
+const NumericRangeFields = ({ data, onChange }) => (
+  <div className="space-y-2">
+    <div className="grid grid-cols-3 gap-2">
+      <div>
+        <label className="block text-sm font-medium text-slate-700 mb-1">Minimum</label>
+        <input
+          type="number"
+          step="any"
+          value={data.rangeMin}
+          onChange={(e) => onChange({ rangeMin: e.target.value })}
+          className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          required
+        />
       </div>
+      <div>
+        <label className="block text-sm font-medium text-slate-700 mb-1">Maximum</label>
+        <input
+          type="number"
+          step="any"
+          value={data.rangeMax}
+          onChange={(e) => onChange({ rangeMax: e.target.value })}
+          className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          required
+        />
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-slate-700 mb-1">Unit</label>
+        <input
+          type="text"
+          value={data.unit}
+          onChange={(e) => onChange({ unit: e.target.value })}
+          className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          placeholder="e.g., %"
+        />
+      </div>
+    </div>
+    <label className="flex items-center text-sm text-slate-700">
+      <input
+        type="checkbox"
+        checked={data.openLower}
+        onChange={(e) => onChange({ openLower: e.target.checked })}
+        className="mr-2"
+      />
+      Open lower tail (outcome may fall below the minimum)
+    </label>
+    <label className="flex items-center text-sm text-slate-700">
+      <input
+        type="checkbox"
+        checked={data.openUpper}
+        onChange={(e) => onChange({ openUpper: e.target.checked })}
+        className="mr-2"
+      />
+      Open upper tail (outcome may exceed the maximum)
+    </label>
+  </div>
+);
+
+// Window inputs shared by the create and edit forms for date questions
+const DateRangeFields = ({ data, onChange }) => (
+  <div className="space-y-2">
+    <div className="grid grid-cols-2 gap-2">
+      <div>
+        <label className="block text-sm font-medium text-slate-700 mb-1">Window Start</label>
+        <input
+          type="date"
+          value={data.rangeMin}
+          onChange={(e) => onChange({ rangeMin: e.target.value })}
+          className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          required
+        />
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-slate-700 mb-1">Window End</label>
+        <input
+          type="date"
+          value={data.rangeMax}
+          onChange={(e) => onChange({ rangeMax: e.target.value })}
+          className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          required
+        />
+      </div>
+    </div>
+    <p className="text-xs text-slate-500">
+      Forecasters spread their probability over the window; whatever is left
+      over is the chance it does not happen before the window ends.
+    </p>
+  </div>
+);
+
+// Comma separated tags, with the suggested ones a click away
+const TagsField = ({ value, onChange }) => {
+  const current = parseTags(value);
+  const suggestions = SUGGESTED_TAGS.filter(tag => !current.includes(tag));
 
-      <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
-        <h4 className="text-sm font-medium text-blue-900 mb-2">About the Scoring System</h4>
-        <div className="text-sm text-blue-800 space-y-1">
-          <p><strong>Brier Score:</strong> Measures forecast accuracy. Lower scores are better (0 = perfect, 2 = worst possible).</p>
-          <p><strong>Calculation:</strong> For each forecast, we calculate the squared difference between your prediction and the actual outcome, then average across all your forecasts.</p>
-          <p><strong>Example:</strong> If you forecast 70% for an event that happened, your Brier score for that question would be (1-0.7)² + (0-0.3)² = 0.18</p>
+  return (
+    <div>
+      <label className="block text-sm font-medium text-slate-700 mb-1">Tags</label>
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder="inflation, rates"
+        className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+      />
+      {suggestions.length > 0 && (
+        <div className="flex flex-wrap gap-1 mt-2">
+          {suggestions.map(tag => (
+            <button
+              key={tag}
+              type="button"
+              onClick={() => onChange(formatTags([...current, tag]))}
+              className="px-2 py-0.5 rounded-full text-xs bg-slate-100 text-slate-600 hover:bg-blue-100 hover:text-blue-700"
+            >
+              + {tag}
+            </button>
+          ))}
         </div>
-      </div>
+      )}
     </div>
   );
 };
 
-const AdminView = ({
-  questions,
-  users,
-  onCreateQuestion,
-  onCreateUser,
-  onResolveQuestion,
-  onUpdateQuestion,
-  onDeleteQuestion,
-  onDeleteUser,
-  currentUser,
-  forecasts,
-}) => {
-  const [activeTab, setActiveTab] = useState('create');
-  const [newQuestion, setNewQuestion] = useState({
-    title: '',
-    description: '',
-    dataResourceName: '',
-    dataResourceUrl: '',
-    closeDate: '',
-    type: 'binary',
-    categories: ['Increase', 'Remain Unchanged', 'Decrease'],
-    options: ['Option A', 'Option B', 'Option C']
-  });
-  const [newUser, setNewUser] = useState({
-    email: '',
-    role: 'forecaster'
-  });
-  const [showCreateUser, setShowCreateUser] = useState(false);
+// Who sees other people's forecasts on a question; empty follows the platform setting
+const ForecastVisibilityField = ({ value, platformDefault, onChange }) => (
+  <div>
+    <label className="block text-sm font-medium text-slate-700 mb-1">Forecast Visibility</label>
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+    >
+      <option value="">Platform default ({FORECAST_VISIBILITY_MODES[platformDefault]})</option>
+      {Object.entries(FORECAST_VISIBILITY_MODES).map(([id, label]) => (
+        <option key={id} value={id}>{label}</option>
+      ))}
+    </select>
+    <p className="text-xs text-slate-500 mt-1">
+      {FORECAST_VISIBILITY_DESCRIPTIONS[value || platformDefault]}
+    </p>
+  </div>
+);
+
+const TOURNAMENT_PHASE_CLASSES = {
+  upcoming: 'bg-purple-100 text-purple-800',
+  active: 'bg-green-100 text-green-800',
+  ended: 'bg-gray-100 text-gray-800',
+};
 
-  const handleCreateQuestion = async (e) => {
-    e.preventDefault();
-    const success = await onCreateQuestion(newQuestion);
-    if (success) {
-      setNewQuestion({
-        title: '',
-        description: '',
-        dataResourceName: '',
-        dataResourceUrl: '',
-        closeDate: '',
-        type: 'binary',
-        categories: ['Increase', 'Remain Unchanged', 'Decrease'],
-        options: ['Option A', 'Option B', 'Option C']
-      });
-    }
+const emptyTeam = { name: '', description: '', privateForecasts: false };
+
+// Admin list of teams (desks) with a form to create or edit one. Members are
+// assigned in the users table above.
+const TeamManager = ({ teams, onSave, onDelete }) => {
+  // null when no form is open, 'new' or the id of the team being edited
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyTeam);
+
+  const openForm = (team) => {
+    setEditingId(team ? team.id : 'new');
+    setForm(team ? {
+      name: team.name,
+      description: team.description || '',
+      privateForecasts: team.private_forecasts,
+    } : emptyTeam);
   };
 
-  const handleCreateUser = async (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    const success = await onCreateUser(newUser);
-    if (success) {
-      setNewUser({ email: '', role: 'forecaster' });
-      setShowCreateUser(false);
-    }
+    const success = await onSave(editingId === 'new' ? null : editingId, form);
+    if (success) setEditingId(null);
   };
 
-  const handleResolveQuestion = async (questionId, resolution) => {
-    await onResolveQuestion(questionId, resolution);
+  const handleDelete = async (team) => {
+    if (window.confirm(`Delete the team "${team.name}"? Its members stay on the platform without a team.`)) {
+      await onDelete(team.id);
+    }
   };
 
-  const handleUpdateQuestion = async (id, data) => {
-    return await onUpdateQuestion(id, data);
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-3">
+        <h4 className="text-md font-medium text-slate-800">Teams</h4>
+        {editingId === null && (
+          <button
+            onClick={() => openForm(null)}
+            className="flex items-center bg-blue-600 text-white px-3 py-1 rounded-md hover:bg-blue-700 text-sm"
+          >
+            <Plus className="h-4 w-4 mr-1" />
+            New Team
+          </button>
+        )}
+      </div>
+
+      {editingId !== null && (
+        <form onSubmit={handleSubmit} className="space-y-4 bg-slate-50 p-4 rounded-lg mb-3">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Name</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="Rates desk"
+                className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Description</label>
+              <input
+                type="text"
+                value={form.description}
+                onChange={(e) => setForm({ ...form, description: e.target.value })}
+                className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+          </div>
+          <label className="flex items-center text-sm text-slate-700">
+            <input
+              type="checkbox"
+              checked={form.privateForecasts}
+              onChange={(e) => setForm({ ...form, privateForecasts: e.target.checked })}
+              className="mr-2"
+            />
+            Keep members' forecasts visible only to the team until each question closes
+          </label>
+          <div>
+            <button
+              type="submit"
+              disabled={!form.name.trim()}
+              className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {editingId === 'new' ? 'Create Team' : 'Save'}
+            </button>
+            <button type="button" onClick={() => setEditingId(null)} className="ml-2 text-sm text-slate-500">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="space-y-2">
+        {teams.map(team => (
+          <div key={team.id} className="border border-slate-200 rounded-lg p-3 flex justify-between items-start">
+            <div>
+              <div className="flex items-center space-x-2">
+                <Users className="h-4 w-4 text-slate-500" />
+                <span className="font-medium text-slate-900">{team.name}</span>
+                {team.private_forecasts && (
+                  <span className="flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-slate-100 text-slate-700">
+                    <Lock className="h-3 w-3 mr-1" />
+                    Private until close
+                  </span>
+                )}
+              </div>
+              {team.description && <p className="text-sm text-slate-600 mt-1">{team.description}</p>}
+              <p className="text-xs text-slate-500 mt-1">
+                {team.member_ids.length} member{team.member_ids.length === 1 ? '' : 's'}
+              </p>
+            </div>
+            <div className="flex space-x-2">
+              <button onClick={() => openForm(team)} className="text-sm text-blue-600 hover:text-blue-800">
+                Edit
+              </button>
+              <button onClick={() => handleDelete(team)} className="text-sm text-red-600 hover:text-red-800">
+                <Trash className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        ))}
+        {teams.length === 0 && (
+          <p className="text-sm text-slate-500">No teams yet. Create one, then assign members in the table above.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const emptyNewsSource = { name: '', url: '' };
+
+// RSS and Atom feeds the news-feed edge function reads besides the keyed news
+// APIs. Disabled feeds are kept but skipped.
+const NewsSourceManager = ({ sources, onSave, onDelete }) => {
+  // null when no form is open, 'new' or the id of the feed being edited
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyNewsSource);
+
+  const openForm = (source) => {
+    setEditingId(source ? source.id : 'new');
+    setForm(source ? { name: source.name, url: source.url } : emptyNewsSource);
   };
 
-  const handleDeleteQuestion = async (id) => {
-    if (window.confirm('Delete this question? This cannot be undone.')) {
-      await onDeleteQuestion(id);
-    }
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const success = await onSave(editingId === 'new' ? null : editingId, form);
+    if (success) setEditingId(null);
   };
 
-  const handleDeleteUser = async (uid) => {
-    if (window.confirm('Delete this user? This cannot be undone.')) {
-      await onDeleteUser(uid);
+  const handleDelete = async (source) => {
+    if (window.confirm(`Remove the feed "${source.name}"?`)) {
+      await onDelete(source.id);
     }
   };
 
   return (
-    <div className="space-y-6">
-      <div className="flex justify-between items-center">
-        <h2 className="text-2xl font-bold text-slate-900">Admin Panel</h2>
-        <button
-          onClick={() => setShowCreateUser(true)}
-          className="bg-green-600 text-white px-4 py-2 rounded-md hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-500"
-        >
-          <Plus className="h-4 w-4 inline mr-2" />
-          Create User
-        </button>
+    <div>
+      <div className="flex justify-between items-center mb-3">
+        <div>
+          <h3 className="text-lg font-medium text-slate-900">News Sources</h3>
+          <p className="text-sm text-slate-500">
+            RSS and Atom feeds shown in the news widget alongside NewsAPI, The Guardian and the New York Times.
+          </p>
+        </div>
+        {editingId === null && (
+          <button
+            onClick={() => openForm(null)}
+            className="flex items-center bg-blue-600 text-white px-3 py-1 rounded-md hover:bg-blue-700 text-sm"
+          >
+            <Plus className="h-4 w-4 mr-1" />
+            Add Feed
+          </button>
+        )}
       </div>
-      
-      <div className="bg-white rounded-lg shadow-sm border border-slate-200">
-        <div className="border-b border-slate-200">
-          <nav className="flex space-x-8 px-6">
-            <button
-              onClick={() => setActiveTab('create')}
-              className={`py-4 px-1 border-b-2 font-medium text-sm ${
-                activeTab === 'create'
-                  ? 'border-blue-500 text-blue-600'
-                  : 'border-transparent text-slate-500 hover:text-slate-700'
-              }`}
-            >
-              Create Question
-            </button>
-            <button
-              onClick={() => setActiveTab('manage')}
-              className={`py-4 px-1 border-b-2 font-medium text-sm ${
-                activeTab === 'manage'
-                  ? 'border-blue-500 text-blue-600'
-                  : 'border-transparent text-slate-500 hover:text-slate-700'
-              }`}
-            >
-              Manage Questions
-            </button>
+
+      {editingId !== null && (
+        <form onSubmit={handleSubmit} className="space-y-4 bg-slate-50 p-4 rounded-lg mb-3">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Name</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="Federal Reserve press releases"
+                className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Feed URL</label>
+              <input
+                type="url"
+                value={form.url}
+                onChange={(e) => setForm({ ...form, url: e.target.value })}
+                placeholder="https://www.federalreserve.gov/feeds/press_all.xml"
+                className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                required
+              />
+            </div>
+          </div>
+          <div>
             <button
-              onClick={() => setActiveTab('users')}
-              className={`py-4 px-1 border-b-2 font-medium text-sm ${
-                activeTab === 'users'
-                  ? 'border-blue-500 text-blue-600'
-                  : 'border-transparent text-slate-500 hover:text-slate-700'
-              }`}
+              type="submit"
+              disabled={!form.name.trim() || !form.url.trim()}
+              className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50"
             >
-              Manage Users
+              {editingId === 'new' ? 'Add Feed' : 'Save'}
             </button>
-            <button
-              onClick={() => setActiveTab('analytics')}
-              className={`py-4 px-1 border-b-2 font-medium text-sm ${
-                activeTab === 'analytics'
-                  ? 'border-blue-500 text-blue-600'
-                  : 'border-transparent text-slate-500 hover:text-slate-700'
-              }`}
-            >
-              Analytics
+            <button type="button" onClick={() => setEditingId(null)} className="ml-2 text-sm text-slate-500">
+              Cancel
             </button>
-          </nav>
-        </div>
-
-        <div className="p-6">
-          {activeTab === 'create' && (
-            <form onSubmit={handleCreateQuestion} className="space-y-6">
-              <div>
-                <label className="block text-sm font-medium text-slate-700 mb-2">
-                  Question Title
-                </label>
-                <input
-                  type="text"
-                  value={newQuestion.title}
-                  onChange={(e) => setNewQuestion({ ...newQuestion, title: e.target.value })}
-                  className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
-                  placeholder="e.g., Will the Federal Reserve raise interest rates by June 30, 2025?"
-                  required
-                />
-              </div>
-
-              <div>
-                <label className="block text-sm font-medium text-slate-700 mb-2">
-                  Description
-                </label>
-                <textarea
-                  value={newQuestion.description}
-                  onChange={(e) => setNewQuestion({ ...newQuestion, description: e.target.value })}
-                  rows="3"
-                  className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
-                  placeholder="Provide additional context, resolution criteria, data sources, etc."
-                />
-              </div>
-
-              <div>
-                <label className="block text-sm font-medium text-slate-700 mb-2">
-                  Data Resource Name
-                </label>
-                <input
-                  type="text"
-                  value={newQuestion.dataResourceName}
-                  onChange={(e) => setNewQuestion({ ...newQuestion, dataResourceName: e.target.value })}
-                  className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
-                  placeholder="e.g., Bureau of Labor Statistics"
-                />
-              </div>
-
-              <div>
-                <label className="block text-sm font-medium text-slate-700 mb-2">
-                  Data Resource URL
-                </label>
-                <input
-                  type="text"
-                  value={newQuestion.dataResourceUrl}
-                  onChange={(e) => setNewQuestion({ ...newQuestion, dataResourceUrl: e.target.value })}
-                  className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
-                  placeholder="https://example.com/data"
-                />
-              </div>
+          </div>
+        </form>
+      )}
 
-              <div>
-                <label className="block text-sm font-medium text-slate-700 mb-2">
-                  Close Date
-                </label>
+      <div className="space-y-2">
+        {sources.map(source => (
+          <div key={source.id} className="border border-slate-200 rounded-lg p-3 flex justify-between items-center">
+            <div className="min-w-0">
+              <div className="flex items-center space-x-2">
+                <Globe className="h-4 w-4 text-slate-500" />
+                <span className={`font-medium ${source.enabled ? 'text-slate-900' : 'text-slate-400'}`}>
+                  {source.name}
+                </span>
+              </div>
+              <p className="text-xs text-slate-500 mt-1 truncate">{source.url}</p>
+            </div>
+            <div className="flex items-center space-x-3 shrink-0 ml-4">
+              <label className="flex items-center text-sm text-slate-700">
                 <input
-                  type="date"
-                  value={newQuestion.closeDate}
-                  onChange={(e) => setNewQuestion({ ...newQuestion, closeDate: e.target.value })}
-                  className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  type="checkbox"
+                  checked={source.enabled}
+                  onChange={(e) => onSave(source.id, { enabled: e.target.checked })}
+                  className="mr-1"
                 />
-              </div>
+                Enabled
+              </label>
+              <button onClick={() => openForm(source)} className="text-sm text-blue-600 hover:text-blue-800">
+                Edit
+              </button>
+              <button onClick={() => handleDelete(source)} className="text-sm text-red-600 hover:text-red-800">
+                <Trash className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        ))}
+        {sources.length === 0 && (
+          <p className="text-sm text-slate-500">No feeds yet.</p>
+        )}
+      </div>
+    </div>
+  );
+};
 
-              <div>
-                <label className="block text-sm font-medium text-slate-700 mb-2">
-                  Question Type
-                </label>
-                <select
-                  value={newQuestion.type}
-                  onChange={(e) => setNewQuestion({ ...newQuestion, type: e.target.value })}
-                  className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
-                >
-                  <option value="binary">Binary (Yes/No)</option>
-                  <option value="three-category">Three Category (Increase/Unchanged/Decrease)</option>
-                  <option value="multiple-choice">Multiple Choice</option>
-                </select>
-              </div>
+const emptyTournament = (scoringRule) => ({
+  name: '',
+  description: '',
+  startDate: '',
+  endDate: '',
+  scoringRule,
+  questionIds: [],
+  participantIds: [],
+});
+
+// Admin list of tournaments with a form to create or edit one: its dates,
+// scoring rule, question set and participants
+const TournamentManager = ({ tournaments, questions, users, defaultRule, onSave, onDelete }) => {
+  // null when no form is open, 'new' or the id of the tournament being edited
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyTournament(defaultRule));
+
+  const openForm = (tournament) => {
+    setEditingId(tournament ? tournament.id : 'new');
+    setForm(tournament ? {
+      name: tournament.name,
+      description: tournament.description || '',
+      startDate: tournament.start_date,
+      endDate: tournament.end_date,
+      scoringRule: tournament.scoring_rule,
+      questionIds: tournament.question_ids,
+      participantIds: tournament.participant_ids,
+    } : emptyTournament(defaultRule));
+  };
 
-              {newQuestion.type === 'three-category' && (
-                <div>
-                  <label className="block text-sm font-medium text-slate-700 mb-2">
-                    Categories
-                  </label>
-                  <div className="space-y-2">
-                    {newQuestion.categories.map((category, index) => (
-                      <input
-                        key={index}
-                        type="text"
-                        value={category}
-                        onChange={(e) => {
-                          const newCategories = [...newQuestion.categories];
-                          newCategories[index] = e.target.value;
-                          setNewQuestion({ ...newQuestion, categories: newCategories });
-                        }}
-                        className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
-                      />
-                    ))}
-                  </div>
-                </div>
-              )}
+  const toggle = (field, id) => setForm(prev => ({
+    ...prev,
+    [field]: prev[field].includes(id) ? prev[field].filter(x => x !== id) : [...prev[field], id],
+  }));
 
-              {newQuestion.type === 'multiple-choice' && (
-                <div>
-                  <label className="block text-sm font-medium text-slate-700 mb-2">
-                    Options
-                  </label>
-                  <div className="space-y-2">
-                    {newQuestion.options.map((option, index) => (
-                      <div key={index} className="flex space-x-2">
-                        <input
-                          type="text"
-                          value={option}
-                          onChange={(e) => {
-                            const newOptions = [...newQuestion.options];
-                            newOptions[index] = e.target.value;
-                            setNewQuestion({ ...newQuestion, options: newOptions });
-                          }}
-                          className="flex-1 px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
-                        />
-                        {newQuestion.options.length > 2 && (
-                          <button
-                            type="button"
-                            onClick={() => {
-                              const newOptions = newQuestion.options.filter((_, i) => i !== index);
-                              setNewQuestion({ ...newQuestion, options: newOptions });
-                            }}
-                            className="px-3 py-2 text-red-600 hover:text-red-800"
-                          >
-                            Remove
-                          </button>
-                        )}
-                      </div>
-                    ))}
-                    <button
-                      type="button"
-                      onClick={() => {
-                        setNewQuestion({
-                          ...newQuestion,
-                          options: [...newQuestion.options, `Option ${String.fromCharCode(65 + newQuestion.options.length)}`]
-                        });
-                      }}
-                      className="text-sm text-blue-600 hover:text-blue-800"
-                    >
-                      + Add Option
-                    </button>
-                  </div>
-                </div>
-              )}
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const success = await onSave(editingId === 'new' ? null : editingId, form);
+    if (success) setEditingId(null);
+  };
 
-              <button
-                type="submit"
-                className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
-              >
-                Create Question
-              </button>
-            </form>
-          )}
+  const handleDelete = async (tournament) => {
+    if (window.confirm(`Delete the tournament "${tournament.name}"? Its questions and forecasts are kept.`)) {
+      await onDelete(tournament.id);
+    }
+  };
 
-          {activeTab === 'manage' && (
-            <div className="space-y-4">
-              <h3 className="text-lg font-medium text-slate-900">Question Management</h3>
-              {questions.map(question => (
-                <QuestionManagementCard
-                  key={question.id}
-                  question={question}
-                  forecasts={forecasts}
-                  onResolve={handleResolveQuestion}
-                  onUpdate={handleUpdateQuestion}
-                  onDelete={handleDeleteQuestion}
-                />
-              ))}
-            </div>
-          )}
+  const selectable = sortByCloseDate(questions.filter(q => !['draft', 'annulled'].includes(getQuestionStatus(q))));
+  const notLoaded = form.questionIds.filter(id => !questions.some(q => q.id === id)).length;
+  const formError = validateTournament(form);
 
-          {activeTab === 'users' && (
-            <div className="space-y-6">
-              <h3 className="text-lg font-medium text-slate-900">User Management</h3>
-              
-              {/* Active Users */}
-              <div>
-                <h4 className="text-md font-medium text-slate-800 mb-3">Active Users</h4>
-                <div className="bg-slate-50 rounded-lg overflow-hidden">
-                  <table className="min-w-full divide-y divide-slate-200">
-                    <thead className="bg-slate-100">
-                      <tr>
-                        <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">
-                          User
-                        </th>
-                        <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">
-                          Role
-                        </th>
-                        <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">
-                          Created
-                        </th>
-                        <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">
-                          Status
-                        </th>
-                        <th className="px-6 py-3" />
-                      </tr>
-                    </thead>
-                    <tbody className="bg-white divide-y divide-slate-200">
-                      {users.map((user) => (
-                        <tr key={user.id}>
-                          <td className="px-6 py-4 whitespace-nowrap">
-                            <div>
-                              <div className="text-sm font-medium text-slate-900">{user.name}</div>
-                              <div className="text-sm text-slate-500">{user.email}</div>
-                            </div>
-                          </td>
-                          <td className="px-6 py-4 whitespace-nowrap">
-                            <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
-                              user.role === 'admin' 
-                                ? 'bg-purple-100 text-purple-800' 
-                                : 'bg-blue-100 text-blue-800'
-                            }`}>
-                              {user.role}
-                            </span>
-                          </td>
-                          <td className="px-6 py-4 whitespace-nowrap text-sm text-slate-500">
-                            {new Date(user.created_at).toLocaleDateString()}
-                          </td>
-                          <td className="px-6 py-4 whitespace-nowrap">
-                            {user.must_change_password ? (
-                              <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-yellow-100 text-yellow-800">
-                                Must Change Password
-                              </span>
-                            ) : (
-                              <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-green-100 text-green-800">
-                                Active
-                              </span>
-                            )}
-                          </td>
-                          <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                            {user.id !== currentUser.id && (
-                              <button onClick={() => handleDeleteUser(user.id)} className="text-red-600 hover:text-red-900">
-                                <Trash className="w-4 h-4" />
-                              </button>
-                            )}
-                          </td>
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
-                </div>
-              </div>
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h3 className="text-lg font-medium text-slate-900">Tournaments</h3>
+        {editingId === null && (
+          <button
+            onClick={() => openForm(null)}
+            className="flex items-center bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 text-sm"
+          >
+            <Plus className="h-4 w-4 mr-1" />
+            New Tournament
+          </button>
+        )}
+      </div>
 
-              {/* Pending Invitations */}
-              <div>
-                <h4 className="text-md font-medium text-slate-800 mb-3">Pending Invitations</h4>
-                <PendingInvitations />
-              </div>
+      {editingId !== null && (
+        <form onSubmit={handleSubmit} className="space-y-4 bg-slate-50 p-4 rounded-lg">
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">Name</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="Q3 2025 season"
+              className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">Description</label>
+            <textarea
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              rows="2"
+              className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Start Date</label>
+              <input
+                type="date"
+                value={form.startDate}
+                onChange={(e) => setForm({ ...form, startDate: e.target.value })}
+                className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                required
+              />
             </div>
-          )}
-
-          
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">End Date</label>
+              <input
+                type="date"
+                value={form.endDate}
+                onChange={(e) => setForm({ ...form, endDate: e.target.value })}
+                className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Scoring Rule</label>
+              <select
+                value={form.scoringRule}
+                onChange={(e) => setForm({ ...form, scoringRule: e.target.value })}
+                className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              >
+                {Object.entries(SCORING_RULES).map(([id, r]) => (
+                  <option key={id} value={id}>{r.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
 
-          {activeTab === 'analytics' && (
-            <div className="space-y-6">
-              <h3 className="text-lg font-medium text-slate-900">Platform Analytics</h3>
-              
-              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
-                <div className="bg-slate-50 p-4 rounded-lg">
-                  <p className="text-sm text-slate-600">Total Questions</p>
-                  <p className="text-2xl font-bold text-slate-900">{questions.length}</p>
-                </div>
-                <div className="bg-slate-50 p-4 rounded-lg">
-                  <p className="text-sm text-slate-600">Active Questions</p>
-                  <p className="text-2xl font-bold text-slate-900">
-                    {questions.filter(q => !q.isResolved).length}
-                  </p>
-                </div>
-                <div className="bg-slate-50 p-4 rounded-lg">
-                  <p className="text-sm text-slate-600">Total Users</p>
-                  <p className="text-2xl font-bold text-slate-900">{users.length}</p>
-                </div>
-                <div className="bg-slate-50 p-4 rounded-lg">
-                  <p className="text-sm text-slate-600">Total Forecasts</p>
-                  <p className="text-2xl font-bold text-slate-900">{forecasts.length}</p>
-                </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">
+                Questions ({form.questionIds.length})
+              </label>
+              <div className="max-h-60 overflow-y-auto border border-slate-200 rounded-md bg-white p-2 space-y-1">
+                {selectable.map(q => (
+                  <label key={q.id} className="flex items-start text-sm text-slate-700">
+                    <input
+                      type="checkbox"
+                      checked={form.questionIds.includes(q.id)}
+                      onChange={() => toggle('questionIds', q.id)}
+                      className="mr-2 mt-1"
+                    />
+                    <span>
+                      {q.title}
+                      <span className="text-xs text-slate-500 ml-1">({q.close_date || 'no close date'})</span>
+                    </span>
+                  </label>
+                ))}
+                {selectable.length === 0 && (
+                  <p className="text-sm text-slate-500">Load questions in Manage Questions to add them.</p>
+                )}
               </div>
-
-              <div className="bg-slate-50 p-4 rounded-lg">
-                <h4 className="font-medium text-slate-900 mb-3">Recent Activity</h4>
-                <div className="space-y-2">
-                  {forecasts.slice(-5).reverse().map((forecast, index) => {
-                    const question = questions.find(q => q.id === forecast.question_id);
-                    const user = users.find(u => u.id === forecast.user_id);
-                    return (
-                      <div key={index} className="text-sm text-slate-600">
-                        {user?.name} submitted forecast for "{question?.title}" on{' '}
-                        {new Date(forecast.created_at).toLocaleDateString()}
-                      </div>
-                    );
-                  })}
-                </div>
+              {notLoaded > 0 && (
+                <p className="text-xs text-slate-500 mt-1">
+                  Plus {notLoaded} question{notLoaded === 1 ? '' : 's'} not loaded here, which stay in the tournament.
+                </p>
+              )}
+            </div>
+            <div>
+              <div className="flex justify-between items-center mb-1">
+                <label className="block text-sm font-medium text-slate-700">
+                  Participants ({form.participantIds.length})
+                </label>
+                <button
+                  type="button"
+                  onClick={() => setForm({ ...form, participantIds: users.map(u => u.id) })}
+                  className="text-xs text-blue-600 hover:text-blue-800"
+                >
+                  Add everyone
+                </button>
+              </div>
+              <div className="max-h-60 overflow-y-auto border border-slate-200 rounded-md bg-white p-2 space-y-1">
+                {users.map(u => (
+                  <label key={u.id} className="flex items-center text-sm text-slate-700">
+                    <input
+                      type="checkbox"
+                      checked={form.participantIds.includes(u.id)}
+                      onChange={() => toggle('participantIds', u.id)}
+                      className="mr-2"
+                    />
+                    {u.name || u.email}
+                  </label>
+                ))}
               </div>
             </div>
+          </div>
+
+          {formError && form.name && (
+            <p className="text-sm text-red-600">{formError}</p>
           )}
-        </div>
-      </div>
+          <div>
+            <button
+              type="submit"
+              disabled={Boolean(formError)}
+              className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {editingId === 'new' ? 'Create Tournament' : 'Save'}
+            </button>
+            <button type="button" onClick={() => setEditingId(null)} className="ml-2 text-sm text-slate-500">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
 
-      {/* Create User Modal */}
-      {showCreateUser && (
-        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-white rounded-lg p-6 w-full max-w-md">
-            <h3 className="text-lg font-medium text-gray-900 mb-4">Create New User</h3>
-            <form onSubmit={handleCreateUser} className="space-y-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700">Email</label>
-                <input
-                  type="email"
-                  value={newUser.email}
-                  onChange={(e) => setNewUser({ ...newUser, email: e.target.value })}
-                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
-                  required
-                />
-              </div>
+      <div className="space-y-3">
+        {tournaments.map(t => {
+          const phase = getTournamentPhase(t);
+          return (
+            <div key={t.id} className="border border-slate-200 rounded-lg p-4 flex justify-between items-start">
               <div>
-                <label className="block text-sm font-medium text-gray-700">User Type</label>
-                <select
-                  value={newUser.role}
-                  onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}
-                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
-                >
-                  <option value="forecaster">Forecaster</option>
-                  <option value="admin">Admin</option>
-                </select>
+                <div className="flex items-center space-x-2">
+                  <h4 className="font-medium text-slate-900">{t.name}</h4>
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${TOURNAMENT_PHASE_CLASSES[phase]}`}>
+                    {TOURNAMENT_PHASES[phase]}
+                  </span>
+                </div>
+                {t.description && <p className="text-sm text-slate-600 mt-1">{t.description}</p>}
+                <p className="text-xs text-slate-500 mt-1">
+                  {t.start_date} to {t.end_date} · {getScoringRule(t.scoring_rule).label} ·{' '}
+                  {t.question_ids.length} question{t.question_ids.length === 1 ? '' : 's'} ·{' '}
+                  {t.participant_ids.length} participant{t.participant_ids.length === 1 ? '' : 's'}
+                </p>
               </div>
-              <div className="flex space-x-3 pt-4">
+              <div className="flex space-x-2">
                 <button
-                  type="submit"
-                  className="flex-1 bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  onClick={() => openForm(t)}
+                  className="text-sm text-blue-600 hover:text-blue-800"
                 >
-                  Create User
+                  Edit
                 </button>
                 <button
-                  type="button"
-                  onClick={() => {
-                    setShowCreateUser(false);
-                    setNewUser({ email: '', role: 'forecaster' });
-                  }}
-                  className="flex-1 bg-gray-300 text-gray-700 py-2 px-4 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500"
+                  onClick={() => handleDelete(t)}
+                  className="text-sm text-red-600 hover:text-red-800"
                 >
-                  Cancel
+                  <Trash className="h-4 w-4" />
                 </button>
               </div>
-            </form>
-          </div>
-        </div>
-      )}
+            </div>
+          );
+        })}
+        {tournaments.length === 0 && (
+          <p className="text-sm text-slate-500">No tournaments yet.</p>
+        )}
+      </div>
     </div>
   );
 };
 
-
-
-const PendingInvitations = () => {
-  const [invitations, setInvitations] = useState([]);
-  const [loading, setLoading] = useState(true);
-
-  useEffect(() => {
-    loadInvitations();
-  }, []);
-
-  const loadInvitations = async () => {
-    try {
-      const { data, error } = await supabase
-        .from('user_invitations')
-        .select('*, invited_by_user:users!invited_by(name)')
-        .is('used_at', null)
-        .order('created_at', { ascending: false });
-        
-      if (error) throw error;
-      setInvitations(data || []);
-    } catch (error) {
-      console.error('Error loading invitations:', error);
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  if (loading) {
-    return <div className="text-sm text-slate-500">Loading invitations...</div>;
-  }
-
-  if (invitations.length === 0) {
-    return <div className="text-sm text-slate-500">No pending invitations</div>;
-  }
-
-  return (
-    <div className="bg-yellow-50 rounded-lg overflow-hidden">
-      <table className="min-w-full divide-y divide-yellow-200">
-        <thead className="bg-yellow-100">
-          <tr>
-            <th className="px-6 py-3 text-left text-xs font-medium text-yellow-800 uppercase tracking-wider">
-              Email
-            </th>
-            <th className="px-6 py-3 text-left text-xs font-medium text-yellow-800 uppercase tracking-wider">
-              Name
-            </th>
-            <th className="px-6 py-3 text-left text-xs font-medium text-yellow-800 uppercase tracking-wider">
-              Role
-            </th>
-            <th className="px-6 py-3 text-left text-xs font-medium text-yellow-800 uppercase tracking-wider">
-              Invited
-            </th>
-            <th className="px-6 py-3 text-left text-xs font-medium text-yellow-800 uppercase tracking-wider">
-              Expires
-            </th>
-          </tr>
-        </thead>
-        <tbody className="bg-yellow-50 divide-y divide-yellow-200">
-          {invitations.map((invitation) => (
-            <tr key={invitation.id}>
-              <td className="px-6 py-4 whitespace-nowrap text-sm text-slate-900">
-                {invitation.email}
-              </td>
-              <td className="px-6 py-4 whitespace-nowrap text-sm text-slate-900">
-                {invitation.name}
-              </td>
-              <td className="px-6 py-4 whitespace-nowrap">
-                <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-blue-100 text-blue-800">
-                  {invitation.role}
-                </span>
-              </td>
-              <td className="px-6 py-4 whitespace-nowrap text-sm text-slate-500">
-                {new Date(invitation.created_at).toLocaleDateString()}
-              </td>
-              <td className="px-6 py-4 whitespace-nowrap text-sm text-slate-500">
-                {new Date(invitation.expires_at).toLocaleDateString()}
-              </td>
-            </tr>
-          ))}
-        </tbody>
-      </table>
-    </div>
-  );
+const STATUS_BADGE_CLASSES = {
+  draft: 'bg-slate-200 text-slate-700',
+  scheduled: 'bg-purple-100 text-purple-800',
+  open: 'bg-green-100 text-green-800',
+  closed: 'bg-orange-100 text-orange-800',
+  resolved: 'bg-gray-100 text-gray-800',
+  annulled: 'bg-red-100 text-red-800',
 };
 
+const TRANSITION_BUTTON_CLASSES = {
+  resolved: 'bg-blue-600 text-white hover:bg-blue-700',
+  annulled: 'bg-white text-red-700 border border-red-300 hover:bg-red-50',
+};
 
-
-const QuestionManagementCard = ({ question, forecasts, onResolve, onUpdate, onDelete }) => {
+const QuestionManagementCard = ({
+  question,
+  parent,
+  forecasts,
+  onResolve,
+  onTransition,
+  onAmendResolution,
+  onLoadHistory,
+  onUpdate,
+  onDelete,
+  platformVisibility,
+}) => {
+  const status = getQuestionStatus(question);
   const [showResolve, setShowResolve] = useState(false);
+  const [showAnnul, setShowAnnul] = useState(false);
+  const [reason, setReason] = useState('');
+  const [history, setHistory] = useState(null);
+  const [showSchedule, setShowSchedule] = useState(false);
+  const [openDate, setOpenDate] = useState('');
   const [showEdit, setShowEdit] = useState(false);
   const [editData, setEditData] = useState({
     title: question.title,
@@ -2409,16 +6452,77 @@ const QuestionManagementCard = ({ question, forecasts, onResolve, onUpdate, onDe
     closeDate: question.close_date || '',
     type: question.type,
     categories: question.categories || ['Increase', 'Remain Unchanged', 'Decrease'],
-    options: question.options || ['Option A', 'Option B', 'Option C']
+    options: question.options || ['Option A', 'Option B', 'Option C'],
+    rangeMin: question.type === 'date' ? fromDayNumber(question.range_min) : question.range_min ?? '',
+    rangeMax: question.type === 'date' ? fromDayNumber(question.range_max) : question.range_max ?? '',
+    openLower: Boolean(question.open_lower_bound),
+    openUpper: Boolean(question.open_upper_bound),
+    unit: question.unit || '',
+    tags: formatTags(question.tags),
+    forecastVisibility: question.forecast_visibility || ''
   });
   const [resolution, setResolution] = useState('');
   const questionForecasts = forecasts.filter(f => f.question_id === question.id);
 
+  // `false` is a valid binary resolution and 0 a valid numeric one,
+  // so only the empty string means nothing has been picked yet
+  const hasResolution = resolution !== '' && resolution !== null;
+
+  // Correcting a resolution that is already in place needs a reason
+  const isCorrection = status === 'resolved';
+  const hasReason = reason.trim() !== '';
+
   const handleResolve = async () => {
-    if (resolution) {
-      await onResolve(question.id, resolution);
-      setShowResolve(false);
-      setResolution('');
+    if (!hasResolution || (isCorrection && !hasReason)) return;
+    const value = question.type === 'numeric'
+      ? Number(resolution)
+      : question.type === 'date' && resolution !== NOT_BEFORE_CLOSE
+        ? toDayNumber(resolution)
+        : resolution;
+    const success = isCorrection
+      ? await onAmendResolution(question.id, { status: 'resolved', resolution: value, reason })
+      : await onResolve(question.id, value);
+    if (success === false) return;
+    setShowResolve(false);
+    setResolution('');
+    setReason('');
+    if (history) setHistory(await onLoadHistory(question.id));
+  };
+
+  const handleAnnul = async () => {
+    if (!hasReason) return;
+    const success = await onAmendResolution(question.id, { status: 'annulled', reason });
+    if (!success) return;
+    setShowAnnul(false);
+    setReason('');
+    if (history) setHistory(await onLoadHistory(question.id));
+  };
+
+  const toggleHistory = async () => {
+    setHistory(history ? null : await onLoadHistory(question.id));
+  };
+
+  // Resolving, annulling and scheduling need more input, so they open a
+  // panel first
+  const handleTransition = async (toStatus) => {
+    if (toStatus === 'resolved') {
+      setShowResolve(!showResolve);
+    } else if (toStatus === 'annulled') {
+      setShowAnnul(!showAnnul);
+    } else if (toStatus === 'scheduled') {
+      setShowSchedule(!showSchedule);
+    } else {
+      await onTransition(question.id, toStatus);
+    }
+  };
+
+  const handleSchedule = async () => {
+    const success = await onTransition(question.id, 'scheduled', {
+      open_date: new Date(openDate).toISOString(),
+    });
+    if (success) {
+      setShowSchedule(false);
+      setOpenDate('');
     }
   };
 
@@ -2427,6 +6531,7 @@ const QuestionManagementCard = ({ question, forecasts, onResolve, onUpdate, onDe
       <div className="flex justify-between items-start">
         <div className="flex-1">
           <h4 className="font-medium text-slate-900">{question.title}</h4>
+          <ConditionNotice question={question} parent={parent} className="mt-1" />
           <p className="text-sm text-slate-600 mt-1">{question.description}</p>
           {question.data_resource_name && (
             <p className="text-xs text-slate-500 mt-1">
@@ -2447,51 +6552,141 @@ const QuestionManagementCard = ({ question, forecasts, onResolve, onUpdate, onDe
             {question.close_date && (
               <span>Close: {question.close_date}</span>
             )}
+            {status === 'scheduled' && question.open_date && (
+              <span>Opens: {new Date(question.open_date).toLocaleString()}</span>
+            )}
             <span>Forecasts: {questionForecasts.length}</span>
           </div>
         </div>
-        <div className="ml-4">
-          {question.isResolved ? (
-            <div className="text-right space-y-1">
-              <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
-                Resolved
-              </span>
-              <p className="text-xs text-slate-500">Result: {String(question.resolution)}</p>
-              <button
-                onClick={() => onDelete(question.id)}
-                className="bg-red-600 text-white px-3 py-1 rounded text-sm hover:bg-red-700"
-              >
-                Delete
-              </button>
-            </div>
-          ) : (
-            <div className="flex space-x-2">
+        <div className="ml-4 text-right space-y-2">
+          <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${STATUS_BADGE_CLASSES[status]}`}>
+            {QUESTION_STATUSES[status]}
+          </span>
+          {status === 'resolved' && (
+            <p className="text-xs text-slate-500">Result: {formatResolution(question)}</p>
+          )}
+          {['resolved', 'annulled'].includes(status) && (
+            <button
+              onClick={toggleHistory}
+              className="block ml-auto text-xs text-blue-600 hover:text-blue-800 underline"
+            >
+              {history ? 'Hide resolution history' : 'Resolution history'}
+            </button>
+          )}
+          <div className="flex flex-wrap justify-end gap-2">
+            {isEditable(question) && (
               <button
                 onClick={() => setShowEdit(true)}
                 className="bg-gray-200 text-gray-800 px-3 py-1 rounded text-sm hover:bg-gray-300"
               >
                 Edit
               </button>
+            )}
+            {isCorrection && (
               <button
-                onClick={() => onDelete(question.id)}
-                className="bg-red-600 text-white px-3 py-1 rounded text-sm hover:bg-red-700"
+                onClick={() => setShowResolve(!showResolve)}
+                className="bg-blue-600 text-white px-3 py-1 rounded text-sm hover:bg-blue-700"
               >
-                Delete
+                Change resolution
               </button>
+            )}
+            {QUESTION_TRANSITIONS[status].map(next => (
               <button
-                onClick={() => setShowResolve(!showResolve)}
-                className="bg-blue-600 text-white px-3 py-1 rounded text-sm hover:bg-blue-700"
+                key={next}
+                onClick={() => handleTransition(next)}
+                className={`px-3 py-1 rounded text-sm ${
+                  TRANSITION_BUTTON_CLASSES[next] || 'bg-white text-slate-700 border border-slate-300 hover:bg-slate-50'
+                }`}
               >
-                Resolve
+                {TRANSITION_LABELS[next]}
               </button>
-            </div>
-          )}
+            ))}
+            <button
+              onClick={() => onDelete(question.id)}
+              className="bg-red-600 text-white px-3 py-1 rounded text-sm hover:bg-red-700"
+            >
+              Delete
+            </button>
+          </div>
         </div>
       </div>
 
-      {showResolve && !question.isResolved && (
+      {showSchedule && status !== 'scheduled' && (
+        <div className="mt-4 pt-4 border-t border-slate-200">
+          <h5 className="text-sm font-medium text-slate-700 mb-2">Schedule Question</h5>
+          <div className="flex items-center space-x-2">
+            <input
+              type="datetime-local"
+              value={openDate}
+              onChange={(e) => setOpenDate(e.target.value)}
+              className="px-3 py-1 border border-slate-300 rounded text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+            />
+            {openDate && (
+              <button
+                onClick={handleSchedule}
+                className="bg-green-600 text-white px-4 py-1 rounded text-sm hover:bg-green-700"
+              >
+                Confirm Open Date
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {history && (
+        <div className="mt-4 pt-4 border-t border-slate-200">
+          <h5 className="text-sm font-medium text-slate-700 mb-2">Resolution History</h5>
+          {history.length === 0 ? (
+            <p className="text-xs text-slate-500">No resolution changes recorded.</p>
+          ) : (
+            <ul className="space-y-2">
+              {history.map(change => (
+                <li key={change.id} className="text-xs text-slate-600">
+                  <span className="font-medium text-slate-800">
+                    {QUESTION_STATUSES[change.previous_status] || change.previous_status}
+                    {change.previous_status === 'resolved' && ` (${formatResolution(question, change.previous_resolution)})`}
+                    {' → '}
+                    {QUESTION_STATUSES[change.new_status] || change.new_status}
+                    {change.new_status === 'resolved' && ` (${formatResolution(question, change.new_resolution)})`}
+                  </span>
+                  {' '}on {new Date(change.changed_at).toLocaleString()}
+                  {change.changed_by_user && ` by ${change.changed_by_user.name || change.changed_by_user.email}`}
+                  {change.reason && <p className="text-slate-500">Reason: {change.reason}</p>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {showAnnul && canTransition(status, 'annulled') && (
+        <div className="mt-4 pt-4 border-t border-slate-200">
+          <h5 className="text-sm font-medium text-slate-700 mb-2">Annul Question</h5>
+          <p className="text-xs text-slate-500 mb-2">
+            Annulled questions are removed from every score and the leaderboard.
+          </p>
+          <textarea
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            rows="2"
+            className="w-full px-3 py-2 border border-slate-300 rounded text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+            placeholder="Reason (required)"
+          />
+          <button
+            onClick={handleAnnul}
+            disabled={!hasReason}
+            className={`mt-2 bg-red-600 text-white px-4 py-1 rounded text-sm hover:bg-red-700 ${!hasReason ? 'opacity-50 cursor-not-allowed' : ''}`}
+          >
+            Confirm Annulment
+          </button>
+        </div>
+      )}
+
+      {showResolve && (isCorrection || canTransition(status, 'resolved')) && (
         <div className="mt-4 pt-4 border-t border-slate-200">
-          <h5 className="text-sm font-medium text-slate-700 mb-2">Resolve Question</h5>
+          <h5 className="text-sm font-medium text-slate-700 mb-2">
+            {isCorrection ? 'Change Resolution' : 'Resolve Question'}
+          </h5>
           
           {question.type === 'binary' && (
             <div className="flex space-x-2">
@@ -2546,18 +6741,63 @@ const QuestionManagementCard = ({ question, forecasts, onResolve, onUpdate, onDe
             </div>
           )}
 
-          {resolution && (
+          {question.type === 'numeric' && (
+            <div className="flex items-center space-x-2">
+              <input
+                type="number"
+                step="any"
+                value={resolution}
+                onChange={(e) => setResolution(e.target.value)}
+                className="px-3 py-1 border border-slate-300 rounded text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                placeholder="Observed value"
+              />
+              {question.unit && (
+                <span className="text-sm text-slate-600">{question.unit}</span>
+              )}
+            </div>
+          )}
+
+          {question.type === 'date' && (
+            <div className="flex items-center space-x-2">
+              <input
+                type="date"
+                value={resolution === NOT_BEFORE_CLOSE ? '' : resolution}
+                onChange={(e) => setResolution(e.target.value)}
+                className="px-3 py-1 border border-slate-300 rounded text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+              <button
+                onClick={() => setResolution(NOT_BEFORE_CLOSE)}
+                className={`px-3 py-1 rounded text-sm ${
+                  resolution === NOT_BEFORE_CLOSE ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700'
+                }`}
+              >
+                Did not happen before close
+              </button>
+            </div>
+          )}
+
+          {isCorrection && (
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              rows="2"
+              className="mt-2 w-full px-3 py-2 border border-slate-300 rounded text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              placeholder="Reason for the change (required), e.g. the series was revised"
+            />
+          )}
+
+          {hasResolution && (!isCorrection || hasReason) && (
             <button
               onClick={handleResolve}
               className="mt-2 bg-green-600 text-white px-4 py-1 rounded text-sm hover:bg-green-700"
             >
-              Confirm Resolution
+              {isCorrection ? 'Confirm New Resolution' : 'Confirm Resolution'}
             </button>
           )}
         </div>
       )}
 
-      {showEdit && !question.isResolved && (
+      {showEdit && isEditable(question) && (
         <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50 z-50">
           <div className="bg-white p-6 rounded-lg w-full max-w-lg space-y-4">
             <h5 className="text-lg font-medium text-slate-900">Edit Question</h5>
@@ -2584,8 +6824,22 @@ const QuestionManagementCard = ({ question, forecasts, onResolve, onUpdate, onDe
                   <option value="binary">Binary (Yes/No)</option>
                   <option value="three-category">Three Category</option>
                   <option value="multiple-choice">Multiple Choice</option>
+                  <option value="numeric">Numeric Range</option>
+                  <option value="date">Date</option>
                 </select>
               </div>
+              {editData.type === 'numeric' && (
+                <NumericRangeFields
+                  data={editData}
+                  onChange={(updates) => setEditData({ ...editData, ...updates })}
+                />
+              )}
+              {editData.type === 'date' && (
+                <DateRangeFields
+                  data={editData}
+                  onChange={(updates) => setEditData({ ...editData, ...updates })}
+                />
+              )}
               {editData.type === 'three-category' && (
                 <div>
                   <label className="block text-sm font-medium text-slate-700 mb-1">Categories</label>
@@ -2610,6 +6864,12 @@ const QuestionManagementCard = ({ question, forecasts, onResolve, onUpdate, onDe
                 <label className="block text-sm font-medium text-slate-700 mb-1">Close Date</label>
                 <input type="date" value={editData.closeDate} onChange={(e) => setEditData({ ...editData, closeDate: e.target.value })} className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500" />
               </div>
+              <TagsField value={editData.tags} onChange={(tags) => setEditData({ ...editData, tags })} />
+              <ForecastVisibilityField
+                value={editData.forecastVisibility}
+                platformDefault={platformVisibility}
+                onChange={(forecastVisibility) => setEditData({ ...editData, forecastVisibility })}
+              />
               <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700">Save</button>
               <button type="button" onClick={() => setShowEdit(false)} className="ml-2 text-sm text-slate-500">Cancel</button>
             </form>
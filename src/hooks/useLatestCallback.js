@@ -0,0 +1,16 @@
+import { useCallback, useEffect, useRef } from 'react';
+
+// A function that keeps the same identity across renders but always calls
+// the latest `callback`. The app's loaders are recreated on every render, so
+// effects that list them as dependencies would otherwise rerun each time;
+// with this they rerun only when their other dependencies change. Call it
+// from effects and event handlers, not during render.
+export default function useLatestCallback(callback) {
+  const callbackRef = useRef(callback);
+
+  useEffect(() => {
+    callbackRef.current = callback;
+  });
+
+  return useCallback((...args) => callbackRef.current(...args), []);
+}
@@ -1,180 +1,108 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { supabase } from '../supabase';
+import { extractSearchWords, rankNewsForQuestions } from '../utils/newsRelevance';
 
 const NEWS_TTL_MS = 1000 * 60 * 480; // 8 hours
 const STORAGE_KEY = 'newsFeedCache';
-
-const STOP_WORDS = new Set([
-  'the','a','an','of','for','on','in','and','or','is','are','to','will','with',
-  'by','from','it','that','this','which','at','as','be'
-]);
-
-function extractKeywordsFromText(text) {
-  const tokens = text.toLowerCase().match(/\b[a-z]+\b/g) || [];
-  const filtered = tokens.filter(t => !STOP_WORDS.has(t));
-  return Array.from(new Set(filtered));
-}
-
-
+const MAX_CACHED_QUERIES = 10;
+
+// Short, stable key for one query (djb2 hash of its parts)
+const queryKey = (topic, keywordText, daysBack) => {
+  const text = `${topic}|${daysBack}|${keywordText}`;
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+};
+
+// Query key -> { data, timestamp }. Anything else, such as the single blob
+// older versions stored, is treated as empty.
+const readCache = () => {
+  try {
+    const cache = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!cache || typeof cache !== 'object' || Array.isArray(cache.data)) return {};
+    return cache;
+  } catch (err) {
+    console.error('Failed to parse cached news', err);
+    return {};
+  }
+};
+
+// Keeps the MAX_CACHED_QUERIES most recently fetched queries
+const writeCache = (key, entry) => {
+  const entries = Object.entries({ ...readCache(), [key]: entry })
+    .sort(([, a], [, b]) => b.timestamp - a.timestamp)
+    .slice(0, MAX_CACHED_QUERIES);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(Object.fromEntries(entries)));
+  } catch (err) {
+    console.error('Failed to cache news', err);
+  }
+};
+
+// News for the questions' keywords, cached in localStorage per query. Cached
+// articles are shown straight away; once older than NEWS_TTL_MS they are
+// refetched in the background and replaced when the response arrives.
+// `refresh` skips the cache, and asks the news-feed function to skip its own.
 export default function useNewsFeed(
   topic = 'economy',
   questions,
   daysBack = 35
 ) {
   const [news, setNews] = useState([]);
-
-  useEffect(() => {
-    const fetchNews = async () => {
-      const cached = localStorage.getItem(STORAGE_KEY);
-      if (cached) {
-        try {
-          const { data, timestamp } = JSON.parse(cached);
-          if (Date.now() - timestamp < NEWS_TTL_MS) {
-            setNews(data);
-            return;
-          }
-        } catch (err) {
-          console.error('Failed to parse cached news', err);
-        }
-      }
-
-      let newsApiItems = [];
-      let guardianItems = [];
-      let nytItems = [];
-
-      const keywordsMap = Array.isArray(questions) && questions.length
-        ? questions.reduce((acc, q) => {
-            acc[q.id] = extractKeywordsFromText(q.title || '');
-            return acc;
-          }, {})
-        : {};
-      const allKeywords = Object.values(keywordsMap).flat();
-      const searchKeywords = allKeywords.length ? Array.from(new Set(allKeywords)) : topic.split(/\s+/);
-      const searchQuery = encodeURIComponent(searchKeywords.join(' '));
-      const fromDate = new Date(Date.now() - daysBack * 24 * 60 * 60 * 1000)
-        .toISOString()
-        .split('T')[0];
-
-      const newsApiKey = process.env.REACT_APP_NEWS_API_KEY;
-      if (newsApiKey) {
-        try {
-          // NewsAPI changed their free tier to only allow the top-headlines
-          // endpoint. Using the everything endpoint now results in a 426
-          // Upgrade Required error. Switch to top-headlines and drop the
-          // unsupported parameters.
-          const url =
-            `https://newsapi.org/v2/top-headlines?q=${searchQuery}` +
-            `&sources=ap,bbc-news,reuters,npr,the-guardian-uk` +
-            `&language=en&pageSize=100&apiKey=${newsApiKey}`;
-          const res = await fetch(url);
-          if (res.ok) {
-            const json = await res.json();
-            newsApiItems = json.articles.map(a => ({
-              title: a.title,
-              url: a.url,
-              source: a.source?.name || 'NewsAPI',
-              publishedAt: a.publishedAt
-            }));
-          } else {
-            console.warn('NewsAPI request failed', res.status, res.statusText);
-          }
-        } catch (err) {
-          console.error('NewsAPI error', err);
-        }
-      }
-
-      const guardianKey = process.env.REACT_APP_GUARDIAN_API_KEY;
-      if (guardianKey) {
-        try {
-          const url = `https://content.guardianapis.com/search?q=${searchQuery}&from-date=${fromDate}&order-by=newest&api-key=${guardianKey}`;
-          const res = await fetch(url);
-          if (res.ok) {
-            const json = await res.json();
-            guardianItems = json.response.results.map(r => ({
-              title: r.webTitle,
-              url: r.webUrl,
-              source: 'The Guardian',
-              publishedAt: r.webPublicationDate
-            }));
-          }
-        } catch (err) {
-          console.error('Guardian API error', err);
-        }
-    } else {
-      console.warn('Guardian API key missing, skipping Guardian news fetch');
+  const [updatedAt, setUpdatedAt] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+  const currentKey = useRef(null);
+
+  // Joined into a string, which stays equal when a new questions array
+  // brings the same words, so the query only changes with its words
+  const keywordText = useMemo(
+    () => Array.from(new Set(
+      (Array.isArray(questions) ? questions : []).flatMap(q => extractSearchWords(q.title))
+    )).sort().join(' '),
+    [questions]
+  );
+  const key = queryKey(topic, keywordText, daysBack);
+
+  const fetchNews = useCallback(async (refresh = false) => {
+    if (!supabase) return;
+    const keywords = keywordText ? keywordText.split(' ') : [];
+    setRefreshing(true);
+    // Provider keys live in the news-feed edge function, which fetches,
+    // deduplicates and caches articles server-side
+    const { data, error } = await supabase.functions.invoke('news-feed', {
+      body: { keywords, topic, daysBack, refresh }
+    });
+    if (currentKey.current === key) setRefreshing(false);
+    if (error || data?.error) {
+      console.error('News feed error', error || data.error);
+      return;
     }
-
-      const nytKey = process.env.REACT_APP_NYT_API_KEY;
-      if (nytKey) {
-        try {
-          // NYT Top Stories API - business section
-          const topUrl = `https://api.nytimes.com/svc/topstories/v2/business.json?api-key=${nytKey}`;
-          const topRes = await fetch(topUrl);
-          if (topRes.ok) {
-            const json = await topRes.json();
-            const topItems = json.results
-              .filter(r =>
-                allKeywords.some(k =>
-                  r.title.toLowerCase().includes(k) || r.abstract.toLowerCase().includes(k)
-                )
-              )
-              .map(r => ({
-                title: r.title,
-                url: r.url,
-                source: 'NYTimes',
-                publishedAt: r.published_date
-              }));
-            nytItems = nytItems.concat(topItems);
-          }
-
-          // NYT Article Search API using question keywords
-          const beginDate = fromDate.replace(/-/g, '');
-          const searchUrl = `https://api.nytimes.com/svc/search/v2/articlesearch.json?q=${searchQuery}&begin_date=${beginDate}&sort=newest&api-key=${nytKey}`;
-          const searchRes = await fetch(searchUrl);
-          if (searchRes.ok) {
-            const json = await searchRes.json();
-            const searchItems = json.response.docs.map(doc => ({
-              title: doc.headline.main,
-              url: doc.web_url,
-              source: 'NYTimes',
-              publishedAt: doc.pub_date
-            }));
-            nytItems = nytItems.concat(searchItems);
-          }
-        } catch (err) {
-          console.error('NYTimes API error', err);
-        }
-      }
-
-      const sources = [newsApiItems, guardianItems, nytItems];
-      sources.forEach(arr => arr.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt)));
-      const maxLen = Math.max(...sources.map(arr => arr.length));
-      const items = [];
-      for (let i = 0; i < maxLen; i++) {
-        for (const arr of sources) {
-          if (i < arr.length) items.push(arr[i]);
-        }
-      }
-
-      // relate articles to questions by matching keywords in the title
-      if (questions && questions.length) {
-        items.forEach(item => {
-          const lower = item.title.toLowerCase();
-          item.relatedQuestions = Object.entries(keywordsMap)
-            .filter(([, kws]) => kws.some(k => lower.includes(k)))
-            .map(([id]) => id);
-        });
-      }
-
-      setNews(items);
-      try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify({ data: items, timestamp: Date.now() }));
-      } catch (err) {
-        console.error('Failed to cache news', err);
-      }
+    const entry = {
+      data: data?.articles || [],
+      timestamp: data?.fetchedAt ? new Date(data.fetchedAt).getTime() : Date.now(),
     };
+    writeCache(key, entry);
+    // A newer query may have started while this one was in flight
+    if (currentKey.current !== key) return;
+    setNews(entry.data);
+    setUpdatedAt(entry.timestamp);
+  }, [key, keywordText, topic, daysBack]);
 
-    fetchNews();
-  }, [topic, questions, daysBack]);
-
-  return news;
+  useEffect(() => {
+    currentKey.current = key;
+    const cached = readCache()[key];
+    setNews(cached ? cached.data : []);
+    setUpdatedAt(cached ? cached.timestamp : null);
+    setRefreshing(false);
+    if (!cached || Date.now() - cached.timestamp >= NEWS_TTL_MS) fetchNews();
+  // fetchNews changes with `key`, which covers the topic, keywords and
+  // look-back window
+  }, [key, fetchNews]);
+
+  // Each article's `relatedQuestions`: [{ questionId, score }], best first
+  const articles = useMemo(() => rankNewsForQuestions(news, questions), [news, questions]);
+
+  return { articles, updatedAt, refreshing, refresh: () => fetchNews(true) };
 }
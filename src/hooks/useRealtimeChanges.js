@@ -0,0 +1,39 @@
+import { useEffect, useId, useRef } from 'react';
+import { supabase } from '../supabase';
+
+// Subscribes to Postgres change events on the given tables while `enabled`
+// and calls `onChange(payload)` for every insert, update and delete. The
+// payload carries `table`, `eventType` ('INSERT' | 'UPDATE' | 'DELETE'),
+// `new` and `old`.
+export default function useRealtimeChanges(tables, onChange, enabled = true) {
+  const handlerRef = useRef(onChange);
+
+  // Always call the latest handler without resubscribing on every render
+  useEffect(() => {
+    handlerRef.current = onChange;
+  });
+
+  const tableKey = tables.join(',');
+  // Two channels joined under one name clash on the socket, so every
+  // subscriber gets a name of its own
+  const channelId = useId();
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const channel = tableKey.split(',').reduce(
+      (ch, table) =>
+        ch.on(
+          'postgres_changes',
+          { event: '*', schema: 'public', table },
+          (payload) => handlerRef.current(payload)
+        ),
+      supabase.channel(`realtime:${tableKey}:${channelId}`)
+    );
+    channel.subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [tableKey, channelId, enabled]);
+}
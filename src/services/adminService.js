@@ -1,5 +1,6 @@
 import React from "react";
 import { supabase, isAdmin as checkAdmin, getCurrentUser } from '../supabase'
+import { canTransition } from '../utils/questionStatus'
 
 /**
  * Centralized service for admin operations. All admin-related
@@ -41,6 +42,13 @@ export const adminService = {
   },
 
   async createQuestion(questionData) {
+    const status = questionData.status || 'open'
+    if (!['draft', 'scheduled', 'open'].includes(status)) {
+      return { success: false, error: 'New questions must be drafts, scheduled or open' }
+    }
+    if (status === 'scheduled' && !questionData.open_date) {
+      return { success: false, error: 'Scheduled questions need an open date' }
+    }
     const { data, error } = await supabase
       .from('questions')
       .insert([questionData])
@@ -66,10 +74,145 @@ export const adminService = {
   },
 
   async resolveQuestion(questionId, resolutionData) {
-    const { error } = await supabase
+    return adminService.transitionQuestion(questionId, 'resolved', resolutionData)
+  },
+
+  /**
+   * Moves a question to another lifecycle status, applying `updates` in the
+   * same write. Rejects moves the lifecycle does not allow; the update only
+   * applies if nobody changed the status in the meantime.
+   */
+  async transitionQuestion(questionId, toStatus, updates = {}) {
+    const { data: current, error: fetchError } = await supabase
+      .from('questions')
+      .select('status, annulled_from')
+      .eq('id', questionId)
+      .single()
+    if (fetchError) return { success: false, error: fetchError.message }
+    if (!canTransition(current.status, toStatus, current.annulled_from)) {
+      return {
+        success: false,
+        error: `Cannot move a question from ${current.status} to ${toStatus}`,
+      }
+    }
+
+    const { data, error } = await supabase
       .from('questions')
-      .update(resolutionData)
+      .update({ ...updates, status: toStatus })
       .eq('id', questionId)
+      .eq('status', current.status)
+      .select()
+    if (error) return { success: false, error: error.message }
+    if (!data || data.length === 0) {
+      return { success: false, error: 'The question changed status in the meantime. Reload and try again.' }
+    }
+    return { success: true, question: data[0] }
+  },
+
+  /**
+   * Annuls a question or corrects its resolution. Both need a reason, which
+   * is stored in the question's resolution history; scores are recomputed
+   * by the database.
+   */
+  async amendResolution(questionId, { status, resolution = null, reason }) {
+    if (!reason || !reason.trim()) {
+      return { success: false, error: 'A reason is required' }
+    }
+    const { data, error } = await supabase.rpc('amend_question_resolution', {
+      p_question_id: questionId,
+      p_status: status,
+      p_resolution: status === 'resolved' ? resolution : null,
+      p_reason: reason.trim(),
+    })
+    if (error) return { success: false, error: error.message }
+    return { success: true, question: data }
+  },
+
+  /**
+   * Creates a tournament (no `tournamentId`) or updates one, then makes its
+   * question set and participants exactly `questionIds` and
+   * `participantIds`. The database does all three in one transaction (see
+   * save_tournament).
+   */
+  async saveTournament(tournamentId, fields, { questionIds = [], participantIds = [] } = {}) {
+    const { data, error } = await supabase.rpc('save_tournament', {
+      p_tournament_id: tournamentId || null,
+      p_fields: fields,
+      p_question_ids: questionIds,
+      p_participant_ids: participantIds,
+    })
+    if (error) return { success: false, error: error.message }
+
+    return {
+      success: true,
+      tournament: { ...data, question_ids: questionIds, participant_ids: participantIds },
+    }
+  },
+
+  async deleteTournament(tournamentId) {
+    const { error } = await supabase.from('tournaments').delete().eq('id', tournamentId)
+    if (error) return { success: false, error: error.message }
+    return { success: true }
+  },
+
+  async saveTeam(teamId, fields) {
+    const { data, error } = teamId
+      ? await supabase.from('teams').update(fields).eq('id', teamId).select().single()
+      : await supabase.from('teams').insert(fields).select().single()
+    if (error) return { success: false, error: error.message }
+    return { success: true, team: data }
+  },
+
+  async deleteTeam(teamId) {
+    const { error } = await supabase.from('teams').delete().eq('id', teamId)
+    if (error) return { success: false, error: error.message }
+    return { success: true }
+  },
+
+  // A user belongs to at most one team; a null `teamId` removes them from theirs
+  async setUserTeam(userId, teamId) {
+    const { error } = teamId
+      ? await supabase
+          .from('team_members')
+          .upsert({ user_id: userId, team_id: teamId, joined_at: new Date().toISOString() }, { onConflict: 'user_id' })
+      : await supabase.from('team_members').delete().eq('user_id', userId)
+    if (error) return { success: false, error: error.message }
+    return { success: true }
+  },
+
+  // RSS and Atom feeds read by the news-feed edge function
+  async getNewsSources() {
+    const { data, error } = await supabase
+      .from('news_sources')
+      .select('*')
+      .order('name', { ascending: true })
+    if (error) return { success: false, error: error.message }
+    return { success: true, sources: data || [] }
+  },
+
+  async saveNewsSource(sourceId, fields) {
+    const row = { ...fields, updated_at: new Date().toISOString() }
+    const { data, error } = sourceId
+      ? await supabase.from('news_sources').update(row).eq('id', sourceId).select().single()
+      : await supabase.from('news_sources').insert(row).select().single()
+    if (error) return { success: false, error: error.message }
+    return { success: true, source: data }
+  },
+
+  async deleteNewsSource(sourceId) {
+    const { error } = await supabase.from('news_sources').delete().eq('id', sourceId)
+    if (error) return { success: false, error: error.message }
+    return { success: true }
+  },
+
+  async updateSetting(key, value) {
+    const { data: { user } } = await supabase.auth.getUser()
+    const { error } = await supabase
+      .from('app_settings')
+      .upsert(
+        { key, value, updated_by: user?.id ?? null, updated_at: new Date().toISOString() },
+        { onConflict: 'key' }
+      )
     if (error) return { success: false, error: error.message }
     return { success: true }
   },
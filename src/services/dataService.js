@@ -0,0 +1,218 @@
+import { supabase } from '../supabase'
+
+/**
+ * Read-side data access. Views ask for just the rows they render (a page
+ * of questions, the forecasts on those questions, a single forecast after
+ * a submission) instead of reloading whole tables. Results are merged into
+ * the app's cached tables with `mergeRows`, so one refetch never throws
+ * away rows another view loaded.
+ */
+
+export const PAGE_SIZE = 20
+
+// Upserts rows into a cached table by id, keeping every other row
+export const mergeRows = (current, rows) => {
+  if (!rows || rows.length === 0) return current
+  const incoming = new Map(rows.map(row => [row.id, row]))
+  const known = new Set(current.map(row => row.id))
+  return [
+    ...current.map(row => incoming.get(row.id) || row),
+    ...rows.filter(row => !known.has(row.id)),
+  ]
+}
+
+// `status` is a lifecycle status, a list of them, or 'all'
+const withStatus = (query, status) => {
+  if (Array.isArray(status)) return query.in('status', status)
+  return status && status !== 'all' ? query.eq('status', status) : query
+}
+
+// Narrows a questions query by the list filters (see utils/questionFilters).
+// `ids` keeps only those questions and `excludeIds` drops them.
+const withFilters = (query, { search, tag, type, closeFrom, closeTo, ids, excludeIds } = {}) => {
+  if (search) query = query.textSearch('search_vector', search, { type: 'websearch', config: 'english' })
+  if (tag) query = query.contains('tags', [tag])
+  if (type) query = query.eq('type', type)
+  if (closeFrom) query = query.gte('close_date', closeFrom)
+  if (closeTo) query = query.lte('close_date', closeTo)
+  if (ids) query = query.in('id', ids)
+  if (excludeIds && excludeIds.length > 0) query = query.not('id', 'in', `(${excludeIds.join(',')})`)
+  return query
+}
+
+export const dataService = {
+  async getQuestions({
+    status = 'all',
+    page = 0,
+    pageSize = PAGE_SIZE,
+    orderBy = 'close_date',
+    ascending = true,
+    filters = {},
+  } = {}) {
+    if (filters.ids && filters.ids.length === 0) {
+      return { success: true, questions: [], count: 0, hasMore: false }
+    }
+    const from = page * pageSize
+    const { data, error, count } = await withFilters(
+      withStatus(supabase.from('questions').select('*', { count: 'exact' }), status),
+      filters
+    )
+      .order(orderBy, { ascending, nullsFirst: false })
+      .range(from, from + pageSize - 1)
+    if (error) return { success: false, error: error.message }
+    return {
+      success: true,
+      questions: data || [],
+      count,
+      hasMore: from + (data || []).length < count,
+    }
+  },
+
+  async getQuestionsByIds(ids) {
+    if (ids.length === 0) return { success: true, questions: [] }
+    const { data, error } = await supabase.from('questions').select('*').in('id', ids)
+    if (error) return { success: false, error: error.message }
+    return { success: true, questions: data || [] }
+  },
+
+  async countQuestions(status = 'all') {
+    const { count, error } = await withStatus(
+      supabase.from('questions').select('id', { count: 'exact', head: true }),
+      status
+    )
+    if (error) return { success: false, error: error.message }
+    return { success: true, count: count || 0 }
+  },
+
+  async getForecasts({ questionIds, userId } = {}) {
+    if (questionIds && questionIds.length === 0) return { success: true, forecasts: [] }
+    let query = supabase.from('forecasts').select('*')
+    if (questionIds) query = query.in('question_id', questionIds)
+    if (userId) query = query.eq('user_id', userId)
+    const { data, error } = await query
+    if (error) return { success: false, error: error.message }
+    return { success: true, forecasts: data || [] }
+  },
+
+  // Ids of the questions a user has forecast on
+  async getForecastedQuestionIds(userId) {
+    const { data, error } = await supabase
+      .from('forecasts')
+      .select('question_id')
+      .eq('user_id', userId)
+    if (error) return { success: false, error: error.message }
+    return { success: true, questionIds: (data || []).map(row => row.question_id) }
+  },
+
+  async getRecentForecasts(limit = 5) {
+    const { data, error } = await supabase
+      .from('forecasts')
+      .select('*')
+      .order('updated_at', { ascending: false })
+      .limit(limit)
+    if (error) return { success: false, error: error.message }
+    return { success: true, forecasts: data || [] }
+  },
+
+  async countForecasts() {
+    const { count, error } = await supabase
+      .from('forecasts')
+      .select('id', { count: 'exact', head: true })
+    if (error) return { success: false, error: error.message }
+    return { success: true, count: count || 0 }
+  },
+
+  async getRevisions({ questionIds, userId } = {}) {
+    if (questionIds && questionIds.length === 0) return { success: true, revisions: [] }
+    let query = supabase.from('forecast_revisions').select('*')
+    if (questionIds) query = query.in('question_id', questionIds)
+    if (userId) query = query.eq('user_id', userId)
+    const { data, error } = await query.order('created_at', { ascending: true })
+    if (error) return { success: false, error: error.message }
+    return { success: true, revisions: data || [] }
+  },
+
+  async getUsers({ ids } = {}) {
+    if (ids && ids.length === 0) return { success: true, users: [] }
+    let query = supabase.from('users').select('*')
+    if (ids) query = query.in('id', ids)
+    const { data, error } = await query
+    if (error) return { success: false, error: error.message }
+    return { success: true, users: data || [] }
+  },
+
+  // Newest first, with the name of the admin who made each change
+  async getResolutionHistory(questionId) {
+    const { data, error } = await supabase
+      .from('question_resolution_changes')
+      .select('*, changed_by_user:users(name, email)')
+      .eq('question_id', questionId)
+      .order('changed_at', { ascending: false })
+    if (error) return { success: false, error: error.message }
+    return { success: true, changes: data || [] }
+  },
+
+  // Every tournament, newest first, with its question and participant ids
+  // flattened into `question_ids` and `participant_ids`
+  async getTournaments() {
+    const { data, error } = await supabase
+      .from('tournaments')
+      .select('*, tournament_questions(question_id), tournament_participants(user_id)')
+      .order('start_date', { ascending: false })
+    if (error) return { success: false, error: error.message }
+    return {
+      success: true,
+      tournaments: (data || []).map(({ tournament_questions: questions, tournament_participants: participants, ...tournament }) => ({
+        ...tournament,
+        question_ids: (questions || []).map(row => row.question_id),
+        participant_ids: (participants || []).map(row => row.user_id),
+      })),
+    }
+  },
+
+  // Crowd forecasts the caller may see even where the individual forecasts
+  // are hidden (see get_question_aggregates), keyed by question id
+  async getQuestionAggregates(questionIds) {
+    if (!questionIds || questionIds.length === 0) return { success: true, aggregates: {} }
+    const { data, error } = await supabase.rpc('get_question_aggregates', { p_question_ids: questionIds })
+    if (error) return { success: false, error: error.message }
+    return {
+      success: true,
+      aggregates: (data || []).reduce(
+        (acc, row) => ({ ...acc, [row.question_id]: { forecast: row.forecast, forecasters: row.forecasters } }),
+        {}
+      ),
+    }
+  },
+
+  async getTeams() {
+    const { data, error } = await supabase
+      .from('teams')
+      .select('*, team_members(user_id)')
+      .order('name')
+    if (error) return { success: false, error: error.message }
+    return {
+      success: true,
+      teams: (data || []).map(({ team_members: members, ...team }) => ({
+        ...team,
+        member_ids: (members || []).map(row => row.user_id),
+      })),
+    }
+  },
+
+  // Tags in use, with how many questions carry each
+  async getTags() {
+    const { data, error } = await supabase.rpc('question_tags')
+    if (error) return { success: false, error: error.message }
+    return { success: true, tags: data || [] }
+  },
+
+  async getSettings() {
+    const { data, error } = await supabase.from('app_settings').select('key, value')
+    if (error) return { success: false, error: error.message }
+    return {
+      success: true,
+      settings: (data || []).reduce((acc, row) => ({ ...acc, [row.key]: row.value }), {}),
+    }
+  },
+}
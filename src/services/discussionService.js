@@ -0,0 +1,87 @@
+import { supabase } from '../supabase'
+
+/**
+ * Comment threads and forecast rationales for a question. Rationales of
+ * other forecasters are filtered by row level security: they only come back
+ * once the current user has forecast on the question, or it has closed.
+ */
+export const discussionService = {
+  // Oldest first, with each author and the ids of everyone who upvoted
+  async getComments(questionId) {
+    const { data, error } = await supabase
+      .from('comments')
+      .select('*, author:users(name, email), comment_votes(user_id)')
+      .eq('question_id', questionId)
+      .order('created_at', { ascending: true })
+    if (error) return { success: false, error: error.message }
+    return { success: true, comments: data || [] }
+  },
+
+  async addComment({ questionId, userId, body, parentId = null, mentions = [] }) {
+    const { data, error } = await supabase
+      .from('comments')
+      .insert({
+        question_id: questionId,
+        user_id: userId,
+        parent_id: parentId,
+        body,
+        mentions,
+      })
+      .select('*, author:users(name, email), comment_votes(user_id)')
+      .single()
+    if (error) return { success: false, error: error.message }
+    return { success: true, comment: data }
+  },
+
+  // Replies go with it (ON DELETE CASCADE)
+  async deleteComment(commentId) {
+    const { error } = await supabase.from('comments').delete().eq('id', commentId)
+    if (error) return { success: false, error: error.message }
+    return { success: true }
+  },
+
+  async setVote(commentId, userId, voted) {
+    const { error } = voted
+      ? await supabase
+          .from('comment_votes')
+          .upsert({ comment_id: commentId, user_id: userId }, { onConflict: 'comment_id,user_id' })
+      : await supabase
+          .from('comment_votes')
+          .delete()
+          .eq('comment_id', commentId)
+          .eq('user_id', userId)
+    if (error) return { success: false, error: error.message }
+    return { success: true }
+  },
+
+  // Newest first, with the revision each rationale explains
+  async getRationales(questionId) {
+    const { data, error } = await supabase
+      .from('forecast_rationales')
+      .select('*, author:users(name, email), revision:forecast_revisions(forecast, created_at)')
+      .eq('question_id', questionId)
+      .order('created_at', { ascending: false })
+    if (error) return { success: false, error: error.message }
+    return { success: true, rationales: data || [] }
+  },
+
+  // One rationale per revision; saving again for the same revision replaces it
+  async saveRationale({ revisionId, questionId, userId, body }) {
+    const { data, error } = await supabase
+      .from('forecast_rationales')
+      .upsert(
+        {
+          revision_id: revisionId,
+          question_id: questionId,
+          user_id: userId,
+          body,
+          updated_at: new Date().toISOString(),
+        },
+        { onConflict: 'revision_id' }
+      )
+      .select()
+      .single()
+    if (error) return { success: false, error: error.message }
+    return { success: true, rationale: data }
+  },
+}
@@ -0,0 +1,48 @@
+import { supabase } from '../supabase'
+
+/**
+ * Pins and dismissals in a question's "Related news" panel. Row level
+ * security returns the current user's own marks plus pins admins have
+ * shared with everyone (see migration 019).
+ */
+export const newsService = {
+  async getQuestionNews(questionId) {
+    const { data, error } = await supabase
+      .from('question_news')
+      .select('*')
+      .eq('question_id', questionId)
+      .order('created_at', { ascending: false })
+    if (error) return { success: false, error: error.message }
+    return { success: true, marks: data || [] }
+  },
+
+  // One mark per user and article; pinning a dismissed article replaces the
+  // dismissal and vice versa
+  async markArticle({ questionId, userId, article, action, shared = false }) {
+    const { data, error } = await supabase
+      .from('question_news')
+      .upsert(
+        {
+          question_id: questionId,
+          user_id: userId,
+          url: article.url,
+          title: article.title,
+          source: article.source || null,
+          published_at: article.publishedAt || null,
+          action,
+          shared,
+        },
+        { onConflict: 'question_id,user_id,url' }
+      )
+      .select()
+      .single()
+    if (error) return { success: false, error: error.message }
+    return { success: true, mark: data }
+  },
+
+  async removeMark(markId) {
+    const { error } = await supabase.from('question_news').delete().eq('id', markId)
+    if (error) return { success: false, error: error.message }
+    return { success: true }
+  },
+}
@@ -0,0 +1,195 @@
+// src/utils/aggregation.js
+
+// Crowd ("community") forecasts built from each user's latest forecast on a
+// question. Aggregates come back in the same shape as an individual forecast
+// so they can be displayed and scored with the same code.
+
+import { PERCENTILES, percentileKey } from './numericForecast';
+import { fromDayNumber } from './dateForecast';
+
+export const AGGREGATION_METHODS = {
+  mean: 'Mean',
+  median: 'Median',
+  extremized: 'Extremized geometric mean of odds',
+};
+
+export const DEFAULT_AGGREGATION_METHOD = 'median';
+
+// Forecasts lose half their weight every RECENCY_HALF_LIFE_DAYS
+export const RECENCY_HALF_LIFE_DAYS = 14;
+
+// Exponent applied to the geometric mean of odds (1 = no extremizing)
+export const EXTREMIZING_FACTOR = 1.5;
+
+const MIN_PROBABILITY = 0.001;
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const clampProbability = (p) =>
+  Math.min(1 - MIN_PROBABILITY, Math.max(MIN_PROBABILITY, p));
+
+// Outcome keys in the order a forecast object stores them
+export const getOutcomeKeys = (question) => {
+  if (question.type === 'binary') return ['probability'];
+  if (question.type === 'three-category') return ['increase', 'unchanged', 'decrease'];
+  if (question.type === 'multiple-choice') return question.options || [];
+  return [];
+};
+
+// Probability vector (0-1) over the outcomes; binary becomes [yes, no]
+const toVector = (forecast, question) => {
+  if (question.type === 'binary') {
+    const p = (Number(forecast.probability) || 0) / 100;
+    return [p, 1 - p];
+  }
+  return getOutcomeKeys(question).map(key => {
+    const value = key === 'unchanged' && forecast.unchanged === undefined
+      ? forecast['remain unchanged']
+      : forecast[key];
+    return (Number(value) || 0) / 100;
+  });
+};
+
+const fromVector = (vector, question) => {
+  const total = vector.reduce((sum, p) => sum + p, 0) || 1;
+  const normalized = vector.map(p => (p / total) * 100);
+  if (question.type === 'binary') {
+    return { probability: normalized[0] };
+  }
+  return getOutcomeKeys(question).reduce((acc, key, i) => {
+    acc[key] = normalized[i];
+    return acc;
+  }, {});
+};
+
+const weightedMean = (values, weights) => {
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  if (totalWeight === 0) return 0;
+  return values.reduce((sum, v, i) => sum + v * weights[i], 0) / totalWeight;
+};
+
+// Same tie rule as weighted_median() in the scoring migration
+export const weightedMedian = (values, weights) => {
+  const pairs = values
+    .map((value, i) => ({ value, weight: weights[i] }))
+    .sort((a, b) => a.value - b.value);
+  const half = pairs.reduce((sum, p) => sum + p.weight, 0) / 2;
+  let running = 0;
+  for (let i = 0; i < pairs.length; i++) {
+    running += pairs[i].weight;
+    if (running > half) return pairs[i].value;
+    // Exactly half the weight sits below: average with the next value
+    if (running === half && i + 1 < pairs.length) {
+      return (pairs[i].value + pairs[i + 1].value) / 2;
+    }
+  }
+  return pairs.length ? pairs[pairs.length - 1].value : 0;
+};
+
+const recencyWeights = (entries, asOf, halfLifeDays) => {
+  if (!halfLifeDays) return entries.map(() => 1);
+  return entries.map(entry => {
+    const submitted = new Date(entry.created_at || entry.updated_at || asOf);
+    const ageDays = Math.max(0, (asOf - submitted) / DAY_MS);
+    return Math.pow(0.5, ageDays / halfLifeDays);
+  });
+};
+
+// Combine one forecast per user into a crowd forecast. `entries` are forecast
+// rows ({ forecast, created_at/updated_at }); returns null when there are none.
+export const aggregateForecasts = (
+  entries,
+  question,
+  {
+    method = DEFAULT_AGGREGATION_METHOD,
+    asOf = new Date(),
+    halfLifeDays = RECENCY_HALF_LIFE_DAYS,
+    extremizingFactor = EXTREMIZING_FACTOR,
+  } = {}
+) => {
+  if (!entries || entries.length === 0) return null;
+  const weights = recencyWeights(entries, asOf, halfLifeDays);
+
+  if (question.type === 'numeric' || question.type === 'date') {
+    // Average each percentile separately (quantile averaging). Odds are not
+    // defined for values, so the extremized method falls back to the mean.
+    const combine = method === 'median' ? weightedMedian : weightedMean;
+    return PERCENTILES.reduce((acc, p) => {
+      const key = percentileKey(p);
+      acc[key] = combine(entries.map(e => Number(e.forecast[key])), weights);
+      return acc;
+    }, {});
+  }
+
+  const vectors = entries.map(e => toVector(e.forecast, question));
+  const size = vectors[0].length;
+  const combined = [];
+  for (let k = 0; k < size; k++) {
+    const column = vectors.map(v => v[k]);
+    if (method === 'mean') {
+      combined.push(weightedMean(column, weights));
+    } else if (method === 'median') {
+      combined.push(weightedMedian(column, weights));
+    } else {
+      // Normalized geometric mean of probabilities equals the geometric
+      // mean of odds; raising it to a power > 1 extremizes the result.
+      const logMean = weightedMean(column.map(p => Math.log(clampProbability(p))), weights);
+      combined.push(Math.exp(extremizingFactor * logMean));
+    }
+  }
+  return fromVector(combined, question);
+};
+
+// Latest forecast of each user at a point in time, from a list of revisions
+export const latestPerUser = (revisions, asOf = null) => {
+  const latest = {};
+  revisions.forEach(r => {
+    const time = new Date(r.created_at || r.updated_at);
+    if (asOf && time > asOf) return;
+    const current = latest[r.user_id];
+    if (!current || time >= new Date(current.created_at || current.updated_at)) {
+      latest[r.user_id] = r;
+    }
+  });
+  return Object.values(latest);
+};
+
+// The crowd forecast as it stood after each submission on a question, in the
+// same shape as a user's revision history so it can be time-weight scored.
+export const buildAggregateHistory = (revisions, question, options = {}) => {
+  const times = Array.from(
+    new Set(revisions.map(r => r.created_at || r.updated_at))
+  ).sort((a, b) => new Date(a) - new Date(b));
+
+  return times.map(time => {
+    const asOf = new Date(time);
+    return {
+      created_at: time,
+      forecast: aggregateForecasts(latestPerUser(revisions, asOf), question, {
+        ...options,
+        asOf,
+      }),
+    };
+  });
+};
+
+// Short human-readable summary for question cards
+export const summarizeAggregate = (aggregate, question) => {
+  if (!aggregate) return '';
+  if (question.type === 'binary') {
+    return `${Math.round(aggregate.probability)}%`;
+  }
+  if (question.type === 'date') {
+    return `median ${fromDayNumber(Math.round(aggregate.p50))}`;
+  }
+  if (question.type === 'numeric') {
+    const median = Math.round(aggregate.p50 * 100) / 100;
+    return `median ${median}${question.unit ? ` ${question.unit}` : ''}`;
+  }
+  const [topKey, topValue] = Object.entries(aggregate).reduce((best, entry) =>
+    entry[1] > best[1] ? entry : best
+  );
+  const labels = question.type === 'three-category'
+    ? { increase: 'Increase', unchanged: 'Unchanged', decrease: 'Decrease' }
+    : {};
+  return `${labels[topKey] || topKey} ${Math.round(topValue)}%`;
+};
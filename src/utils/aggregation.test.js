@@ -0,0 +1,111 @@
+import {
+  aggregateForecasts,
+  latestPerUser,
+  buildAggregateHistory,
+} from './aggregation';
+
+const binary = { type: 'binary' };
+const numeric = { type: 'numeric', range_min: 0, range_max: 10 };
+
+const asOf = new Date('2024-03-15T00:00:00Z');
+const daysBefore = (days) => new Date(asOf.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const entry = (probability, days = 0) => ({
+  forecast: { probability },
+  created_at: daysBefore(days),
+});
+
+// Equal weights, so only the combining rule matters
+const unweighted = (method) => ({ method, asOf, halfLifeDays: 0 });
+
+describe('aggregateForecasts', () => {
+  test('returns null without forecasts', () => {
+    expect(aggregateForecasts([], binary)).toBeNull();
+  });
+
+  test('takes the median of an odd number of forecasts', () => {
+    const crowd = aggregateForecasts([entry(20), entry(40), entry(90)], binary, unweighted('median'));
+    expect(crowd.probability).toBeCloseTo(40);
+  });
+
+  test('averages the middle pair when exactly half the weight is below', () => {
+    const crowd = aggregateForecasts([entry(20), entry(40)], binary, unweighted('median'));
+    expect(crowd.probability).toBeCloseTo(30);
+  });
+
+  test('halves the weight of a forecast every half-life', () => {
+    const options = { method: 'mean', asOf, halfLifeDays: 14 };
+    // (20 * 1 + 80 * 0.5) / 1.5
+    expect(aggregateForecasts([entry(20), entry(80, 14)], binary, options).probability).toBeCloseTo(40);
+  });
+
+  test('weighs the median by recency', () => {
+    // Weights 1, 0.5 and 0.5: the yes column reaches exactly half at 0.2, so
+    // the median is (0.2 + 0.9) / 2; the no column likewise (0.1 + 0.8) / 2
+    const options = { method: 'median', asOf, halfLifeDays: 14 };
+    const crowd = aggregateForecasts([entry(90), entry(10, 14), entry(20, 14)], binary, options);
+    expect(crowd.probability).toBeCloseTo(55);
+  });
+
+  test('extremizes the geometric mean of odds', () => {
+    // Odds of 4 raised to 1.5 are 8, so 8 / 9
+    const crowd = aggregateForecasts([entry(80), entry(80)], binary, unweighted('extremized'));
+    expect(crowd.probability).toBeCloseTo(800 / 9);
+  });
+
+  test('leaves a factor of 1 at the plain geometric mean of odds', () => {
+    // Odds of 1/4 and 4 have a geometric mean of 1
+    const crowd = aggregateForecasts([entry(20), entry(80)], binary, {
+      ...unweighted('extremized'),
+      extremizingFactor: 1,
+    });
+    expect(crowd.probability).toBeCloseTo(50);
+  });
+
+  test('renormalizes per-outcome medians of categorical forecasts', () => {
+    const question = { type: 'three-category' };
+    const forecasts = [
+      { increase: 60, unchanged: 30, decrease: 10 },
+      { increase: 20, unchanged: 50, decrease: 30 },
+      { increase: 40, unchanged: 40, decrease: 20 },
+    ].map(forecast => ({ forecast, created_at: asOf.toISOString() }));
+    // Medians 0.4, 0.4 and 0.2 already sum to one
+    expect(aggregateForecasts(forecasts, question, unweighted('median'))).toEqual({
+      increase: expect.closeTo(40),
+      unchanged: expect.closeTo(40),
+      decrease: expect.closeTo(20),
+    });
+  });
+
+  test('combines numeric forecasts percentile by percentile', () => {
+    const forecasts = [1, 2, 6].map(shift => ({
+      forecast: { p10: shift, p25: shift + 1, p50: shift + 2, p75: shift + 3, p90: shift + 4 },
+      created_at: asOf.toISOString(),
+    }));
+    expect(aggregateForecasts(forecasts, numeric, unweighted('median'))).toEqual({
+      p10: 2, p25: 3, p50: 4, p75: 5, p90: 6,
+    });
+    expect(aggregateForecasts(forecasts, numeric, unweighted('mean')).p50).toBeCloseTo(5);
+  });
+});
+
+test('latestPerUser keeps each user\'s last revision as of a time', () => {
+  const revisions = [
+    { user_id: 'a', created_at: daysBefore(3), forecast: { probability: 10 } },
+    { user_id: 'a', created_at: daysBefore(1), forecast: { probability: 20 } },
+    { user_id: 'b', created_at: daysBefore(2), forecast: { probability: 30 } },
+  ];
+  expect(latestPerUser(revisions).map(r => r.forecast.probability)).toEqual([20, 30]);
+  expect(latestPerUser(revisions, new Date(daysBefore(2))).map(r => r.forecast.probability)).toEqual([10, 30]);
+});
+
+test('buildAggregateHistory rebuilds the crowd after every submission', () => {
+  const revisions = [
+    { user_id: 'a', created_at: daysBefore(2), forecast: { probability: 20 } },
+    { user_id: 'b', created_at: daysBefore(1), forecast: { probability: 60 } },
+  ];
+  const history = buildAggregateHistory(revisions, binary, { method: 'mean', halfLifeDays: 0 });
+  expect(history.map(h => h.created_at)).toEqual([daysBefore(2), daysBefore(1)]);
+  expect(history[0].forecast.probability).toBeCloseTo(20);
+  expect(history[1].forecast.probability).toBeCloseTo(40);
+});
@@ -0,0 +1,96 @@
+// src/utils/calibration.js
+
+// Calibration analysis for a forecaster's resolved questions. Every
+// probability statement ("70% on Yes", "20% on Decrease") becomes one point;
+// points are binned into deciles to compare predicted with observed frequency.
+
+export const BIN_COUNT = 10;
+
+// Three-category resolutions are stored as the lowercased category label,
+// e.g. "remain unchanged", while forecasts use the `unchanged` key
+const normalizeCategory = (value) => {
+  const lower = String(value).toLowerCase();
+  return lower.includes('unchanged') ? 'unchanged' : lower;
+};
+
+// Probability/outcome pairs contributed by one forecast on a resolved question
+export const getCalibrationPoints = (question, forecast) => {
+  if (!forecast) return [];
+  if (question.type === 'binary') {
+    return [{
+      probability: (Number(forecast.probability) || 0) / 100,
+      outcome: question.resolution === true || question.resolution === 'true' ? 1 : 0,
+    }];
+  }
+  if (question.type === 'three-category') {
+    const resolved = normalizeCategory(question.resolution);
+    return ['increase', 'unchanged', 'decrease'].map(key => {
+      const value = key === 'unchanged' && forecast.unchanged === undefined
+        ? forecast['remain unchanged']
+        : forecast[key];
+      return {
+        probability: (Number(value) || 0) / 100,
+        outcome: key === resolved ? 1 : 0,
+      };
+    });
+  }
+  if (question.type === 'multiple-choice') {
+    return (question.options || []).map(option => ({
+      probability: (Number(forecast[option]) || 0) / 100,
+      outcome: option === question.resolution ? 1 : 0,
+    }));
+  }
+  return [];
+};
+
+// Bins the points into deciles and computes the Murphy decomposition of the
+// (single-outcome) Brier score: BS = reliability - resolution + uncertainty.
+// The decomposition is exact when every forecast in a bin is identical.
+export const computeCalibration = (points) => {
+  const bins = Array.from({ length: BIN_COUNT }, (_, i) => ({
+    lower: i / BIN_COUNT,
+    upper: (i + 1) / BIN_COUNT,
+    count: 0,
+    sumPredicted: 0,
+    sumObserved: 0,
+  }));
+
+  points.forEach(({ probability, outcome }) => {
+    const index = Math.min(BIN_COUNT - 1, Math.floor(probability * BIN_COUNT));
+    bins[index].count += 1;
+    bins[index].sumPredicted += probability;
+    bins[index].sumObserved += outcome;
+  });
+
+  const total = points.length;
+  const baseRate = total > 0
+    ? points.reduce((sum, p) => sum + p.outcome, 0) / total
+    : 0;
+
+  let reliability = 0;
+  let resolution = 0;
+  const populated = bins.map(bin => {
+    if (bin.count === 0) {
+      return { lower: bin.lower, upper: bin.upper, count: 0, meanPredicted: null, observedFrequency: null };
+    }
+    const meanPredicted = bin.sumPredicted / bin.count;
+    const observedFrequency = bin.sumObserved / bin.count;
+    reliability += bin.count * Math.pow(meanPredicted - observedFrequency, 2);
+    resolution += bin.count * Math.pow(observedFrequency - baseRate, 2);
+    return { lower: bin.lower, upper: bin.upper, count: bin.count, meanPredicted, observedFrequency };
+  });
+
+  const brierScore = total > 0
+    ? points.reduce((sum, p) => sum + Math.pow(p.probability - p.outcome, 2), 0) / total
+    : 0;
+
+  return {
+    bins: populated,
+    count: total,
+    baseRate,
+    brierScore,
+    reliability: total > 0 ? reliability / total : 0,
+    resolution: total > 0 ? resolution / total : 0,
+    uncertainty: baseRate * (1 - baseRate),
+  };
+};
@@ -0,0 +1,62 @@
+import { getCalibrationPoints, computeCalibration } from './calibration';
+
+describe('getCalibrationPoints', () => {
+  test('turns a binary forecast into one probability on Yes', () => {
+    expect(getCalibrationPoints({ type: 'binary', resolution: true }, { probability: 70 })).toEqual([
+      { probability: 0.7, outcome: 1 },
+    ]);
+  });
+
+  test('matches "remain unchanged" resolutions to the unchanged key', () => {
+    const question = { type: 'three-category', resolution: 'remain unchanged' };
+    expect(getCalibrationPoints(question, { increase: 20, unchanged: 50, decrease: 30 })).toEqual([
+      { probability: 0.2, outcome: 0 },
+      { probability: 0.5, outcome: 1 },
+      { probability: 0.3, outcome: 0 },
+    ]);
+  });
+
+  test('gives one point per multiple-choice option', () => {
+    const question = { type: 'multiple-choice', options: ['A', 'B'], resolution: 'B' };
+    expect(getCalibrationPoints(question, { A: 25, B: 75 })).toEqual([
+      { probability: 0.25, outcome: 0 },
+      { probability: 0.75, outcome: 1 },
+    ]);
+  });
+});
+
+describe('computeCalibration', () => {
+  // Two 70% forecasts, one right, and a 20% forecast that was right not to happen
+  const points = [
+    { probability: 0.7, outcome: 1 },
+    { probability: 0.7, outcome: 0 },
+    { probability: 0.2, outcome: 0 },
+  ];
+
+  test('bins points into deciles', () => {
+    const { bins } = computeCalibration(points);
+    expect(bins[7]).toEqual({ lower: 0.7, upper: 0.8, count: 2, meanPredicted: 0.7, observedFrequency: 0.5 });
+    expect(bins[2]).toMatchObject({ count: 1, observedFrequency: 0 });
+    expect(bins[5]).toMatchObject({ count: 0, meanPredicted: null, observedFrequency: null });
+  });
+
+  test('decomposes the Brier score exactly when bins hold identical forecasts', () => {
+    const result = computeCalibration(points);
+    expect(result.baseRate).toBeCloseTo(1 / 3);
+    expect(result.brierScore).toBeCloseTo((0.09 + 0.49 + 0.04) / 3);
+    // (2 * 0.2^2 + 0.2^2) / 3
+    expect(result.reliability).toBeCloseTo(0.04);
+    // (2 * (1/2 - 1/3)^2 + (1/3)^2) / 3
+    expect(result.resolution).toBeCloseTo(1 / 18);
+    expect(result.uncertainty).toBeCloseTo(2 / 9);
+    expect(result.reliability - result.resolution + result.uncertainty).toBeCloseTo(result.brierScore);
+  });
+
+  test('puts certainty in the top bin', () => {
+    expect(computeCalibration([{ probability: 1, outcome: 1 }]).bins[9].count).toBe(1);
+  });
+
+  test('is all zeros without points', () => {
+    expect(computeCalibration([])).toMatchObject({ count: 0, brierScore: 0, reliability: 0, resolution: 0 });
+  });
+});
@@ -0,0 +1,60 @@
+// src/utils/conditionalQuestion.js
+
+// Conditional questions ("If X, will Y?") point at a parent question and one
+// of its outcomes. They take forecasts like any question of their own type.
+// When the parent resolves some other way (or is annulled) the database
+// annuls them; when the condition is met they carry on as ordinary questions.
+
+import { getQuestionStatus } from './questionStatus';
+
+// Parents need discrete outcomes to condition on
+export const CONDITION_PARENT_TYPES = ['binary', 'three-category', 'multiple-choice'];
+
+export const isConditional = (question) => Boolean(question.parent_question_id);
+
+// Outcomes a condition can name, as { value, label } pairs. Values take the
+// same form as the parent's `resolution`.
+export const getConditionOutcomes = (parent) => {
+  if (!parent) return [];
+  if (parent.type === 'binary') {
+    return [
+      { value: true, label: 'Yes' },
+      { value: false, label: 'No' },
+    ];
+  }
+  if (parent.type === 'three-category') {
+    return (parent.categories || ['Increase', 'Remain Unchanged', 'Decrease']).map(category => ({
+      value: category.toLowerCase(),
+      label: category,
+    }));
+  }
+  if (parent.type === 'multiple-choice') {
+    return (parent.options || []).map(option => ({ value: option, label: option }));
+  }
+  return [];
+};
+
+// Same normalisation as resolution_key() in the scoring migration
+const outcomeKey = (parent, value) => {
+  const text = String(value);
+  if (parent.type !== 'three-category') return text;
+  return text.toLowerCase().includes('unchanged') ? 'unchanged' : text.toLowerCase();
+};
+
+export const formatConditionOutcome = (parent, value) => {
+  const match = getConditionOutcomes(parent).find(
+    outcome => outcomeKey(parent, outcome.value) === outcomeKey(parent, value)
+  );
+  return match ? match.label : String(value);
+};
+
+// 'pending' until the parent resolves, then 'met' or 'failed'
+export const getConditionState = (question, parent) => {
+  if (!parent) return 'pending';
+  const status = getQuestionStatus(parent);
+  if (status === 'annulled') return 'failed';
+  if (status !== 'resolved') return 'pending';
+  return outcomeKey(parent, parent.resolution) === outcomeKey(parent, question.parent_outcome)
+    ? 'met'
+    : 'failed';
+};
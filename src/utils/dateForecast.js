@@ -0,0 +1,127 @@
+// src/utils/dateForecast.js
+
+// Helpers for date questions ("When will X happen?"). They reuse the numeric
+// machinery with every date stored as a day number (days since 1970-01-01):
+// `range_min`/`range_max` bound the window, a forecast is a set of percentile
+// dates, and the resolution is the day it happened or NOT_BEFORE_CLOSE.
+// The event may not happen inside the window at all, so the forecast CDF is
+// censored at `range_max`: the probability past it is the chance of "not
+// before close", and scoring the censored outcome keeps every rule proper.
+
+import {
+  PERCENTILES,
+  percentileKey,
+  getRange,
+  getCdfPoints,
+  cdfAt,
+  densityAt,
+  squaredDensityIntegral,
+  calculateCrps,
+  defaultNumericForecast,
+  parseResolution,
+} from './numericForecast';
+
+export const NOT_BEFORE_CLOSE = 'not-before-close';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 'YYYY-MM-DD' <-> whole days since the epoch, both in UTC
+export const toDayNumber = (isoDate) => Math.floor(Date.parse(isoDate) / DAY_MS);
+
+export const fromDayNumber = (day) =>
+  new Date(Number(day) * DAY_MS).toISOString().split('T')[0];
+
+// Percentiles spread evenly over the window, to the nearest day
+export const defaultDateForecast = (question) => {
+  const forecast = defaultNumericForecast(question);
+  return PERCENTILES.reduce((acc, p) => {
+    acc[percentileKey(p)] = Math.round(forecast[percentileKey(p)]);
+    return acc;
+  }, {});
+};
+
+// Returns an error message, or an empty string when the forecast is usable.
+// Percentiles may fall after the window closes.
+export const validateDateForecast = (forecast, question) => {
+  const values = PERCENTILES.map(p => forecast[percentileKey(p)]);
+  if (values.some(v => v === '' || v === null || v === undefined || !Number.isFinite(Number(v)))) {
+    return 'Enter a date for every percentile';
+  }
+  const days = values.map(Number);
+  for (let i = 1; i < days.length; i++) {
+    if (days[i] < days[i - 1]) {
+      return 'Percentile dates must be in order';
+    }
+  }
+  const { min } = getRange(question);
+  if (Number.isFinite(min) && days[0] < min) {
+    return `Dates cannot be before ${fromDayNumber(min)}`;
+  }
+  return '';
+};
+
+// CDF points censored at the close of the window. The last two points sit at
+// `range_max`; the jump between them is the chance of "not before close".
+export const getDateCdfPoints = (forecast, question) => {
+  const { max } = getRange(question);
+  const points = getCdfPoints(forecast, { ...question, open_lower_bound: false, open_upper_bound: true });
+  return [
+    ...points.filter(point => point.x < max),
+    { q: cdfAt(points, max), x: max },
+    { q: 1, x: max },
+  ];
+};
+
+export const probabilityNotBeforeClose = (points) => 1 - points[points.length - 2].q;
+
+const isCensored = (resolution, question) =>
+  resolution === NOT_BEFORE_CLOSE || Number(resolution) > getRange(question).max;
+
+// The outcome on the censored scale: the day it happened, or the close
+const getDateOutcome = (resolution, question) =>
+  isCensored(resolution, question) ? getRange(question).max : Number(resolution);
+
+const getWindowWidth = (question) => {
+  const { min, max } = getRange(question);
+  return max > min ? max - min : 1;
+};
+
+// CRPS of the censored outcome divided by the window length (0 = perfect,
+// lower is better), the date analogue of the numeric Brier score
+export const scoreDateForecast = (forecast, resolution, question) => {
+  if (resolution !== NOT_BEFORE_CLOSE && parseResolution(resolution) === null) return null;
+  const points = getDateCdfPoints(forecast, question);
+  return calculateCrps(points, getDateOutcome(resolution, question)) / getWindowWidth(question);
+};
+
+// What the forecast gave the outcome: the probability of "not before close",
+// or the density on the day it happened scaled by the window length, so both
+// sit on the same scale for the log and spherical scores
+export const dateOutcomeLikelihood = (forecast, resolution, question) => {
+  const points = getDateCdfPoints(forecast, question);
+  if (isCensored(resolution, question)) return probabilityNotBeforeClose(points);
+  return densityAt(points, Number(resolution)) * getWindowWidth(question);
+};
+
+// Length of the forecast under the same measure, for the spherical score
+export const dateForecastNorm = (forecast, question) => {
+  const points = getDateCdfPoints(forecast, question);
+  return Math.sqrt(
+    getWindowWidth(question) * squaredDensityIntegral(points) +
+      Math.pow(probabilityNotBeforeClose(points), 2)
+  );
+};
+
+// Whether the outcome fell inside the forecaster's 80% interval (p10-p90);
+// "not before close" counts when p90 reaches past the window
+export const isWithinDateInterval = (forecast, resolution, question) => {
+  const outcome = getDateOutcome(resolution, question);
+  if (isCensored(resolution, question)) return Number(forecast.p90) >= outcome;
+  return outcome >= Number(forecast.p10) && outcome <= Number(forecast.p90);
+};
+
+export const formatDateResolution = (resolution) =>
+  resolution === NOT_BEFORE_CLOSE ? 'Did not happen before close' : fromDayNumber(resolution);
+
+export const formatDateForecast = (forecast, separator = ' | ') =>
+  PERCENTILES.map(p => `P${p}: ${fromDayNumber(forecast[percentileKey(p)])}`).join(separator);
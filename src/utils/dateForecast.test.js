@@ -0,0 +1,71 @@
+import {
+  NOT_BEFORE_CLOSE,
+  toDayNumber,
+  fromDayNumber,
+  getDateCdfPoints,
+  probabilityNotBeforeClose,
+  scoreDateForecast,
+  dateOutcomeLikelihood,
+  isWithinDateInterval,
+} from './dateForecast';
+
+// Day numbers 0-100 keep the arithmetic readable
+const question = { type: 'date', range_min: 0, range_max: 100 };
+
+const inWindow = { p10: 10, p25: 25, p50: 50, p75: 75, p90: 90 };
+
+// p90 after close: the line from p75 to p90 reaches 0.8 at the close
+const late = { p10: 10, p25: 25, p50: 50, p75: 75, p90: 150 };
+
+test('day numbers count whole UTC days since the epoch', () => {
+  expect(toDayNumber('1970-01-02')).toBe(1);
+  expect(toDayNumber('2024-01-01')).toBe(19723);
+  expect(fromDayNumber(19723)).toBe('2024-01-01');
+});
+
+describe('getDateCdfPoints', () => {
+  test('censors the CDF at the close of the window', () => {
+    const points = getDateCdfPoints(late, question);
+    expect(points.map(p => p.x)).toEqual([0, 10, 25, 50, 75, 100, 100]);
+    expect(points[points.length - 2].q).toBeCloseTo(0.8);
+    expect(probabilityNotBeforeClose(points)).toBeCloseTo(0.2);
+  });
+
+  test('leaves no mass after close when every percentile is inside', () => {
+    expect(probabilityNotBeforeClose(getDateCdfPoints(inWindow, question))).toBeCloseTo(0);
+  });
+});
+
+describe('scoreDateForecast', () => {
+  test('scores an outcome inside the window like a numeric forecast', () => {
+    // Uniform on [0, 100]: (50^3 + 50^3) / 30000 / 100
+    expect(scoreDateForecast(inWindow, 50, question)).toBeCloseTo(1 / 12);
+  });
+
+  test('scores "not before close" at the close of the window', () => {
+    // Integral of F^2 up to the close: 75^3 / 30000 over [0, 75], then
+    // F rising from 0.75 to 0.8 over [75, 100]
+    const expected = (75 ** 3 / 30000 + (25 * (0.75 ** 2 + 0.75 * 0.8 + 0.8 ** 2)) / 3) / 100;
+    expect(scoreDateForecast(late, NOT_BEFORE_CLOSE, question)).toBeCloseTo(expected);
+    // A day past the window counts as not before close
+    expect(scoreDateForecast(late, 120, question)).toBeCloseTo(expected);
+  });
+
+  test('is null without a usable resolution', () => {
+    expect(scoreDateForecast(late, null, question)).toBeNull();
+    expect(scoreDateForecast(late, 'soon', question)).toBeNull();
+  });
+});
+
+test('dateOutcomeLikelihood is the chance of "not before close" for censored outcomes', () => {
+  expect(dateOutcomeLikelihood(late, NOT_BEFORE_CLOSE, question)).toBeCloseTo(0.2);
+  // Density 0.01 per day on [0, 75], scaled by the 100-day window
+  expect(dateOutcomeLikelihood(late, 40, question)).toBeCloseTo(1);
+});
+
+test('isWithinDateInterval counts "not before close" when p90 reaches past the window', () => {
+  expect(isWithinDateInterval(late, NOT_BEFORE_CLOSE, question)).toBe(true);
+  expect(isWithinDateInterval(inWindow, NOT_BEFORE_CLOSE, question)).toBe(false);
+  expect(isWithinDateInterval(inWindow, 30, question)).toBe(true);
+  expect(isWithinDateInterval(inWindow, 95, question)).toBe(false);
+});
@@ -0,0 +1,50 @@
+// src/utils/forecastVisibility.js
+
+// How much of other people's forecasts a forecaster sees on a question, so
+// they do not herd while it is open. A question's `forecast_visibility`
+// overrides the platform-wide setting. The database enforces these rules
+// (see forecast_visibility_for in migration 016); this copy only decides what
+// the UI offers and how it explains what is hidden.
+
+import { getQuestionStatus } from './questionStatus';
+
+export const FORECAST_VISIBILITY_MODES = {
+  always: 'Always visible',
+  'after-forecast': 'Visible after you forecast',
+  'after-close': 'Visible after close',
+  'aggregate-only': 'Aggregate only',
+};
+
+export const FORECAST_VISIBILITY_DESCRIPTIONS = {
+  always: 'Everyone sees every forecast and the crowd forecast.',
+  'after-forecast': 'Forecasters see others\' forecasts and the crowd once they have forecast themselves.',
+  'after-close': 'Nobody sees others\' forecasts or the crowd until the question closes.',
+  'aggregate-only': 'Everyone sees the crowd forecast, but individual forecasts stay hidden until the question closes.',
+};
+
+export const DEFAULT_FORECAST_VISIBILITY = 'always';
+
+export const getForecastVisibility = (question, platformDefault = DEFAULT_FORECAST_VISIBILITY) =>
+  question.forecast_visibility || platformDefault;
+
+// 'all', 'aggregate' (the crowd forecast only) or 'none'
+export const getVisibleDetail = (question, { platformDefault, hasForecast = false, isAdmin = false } = {}) => {
+  if (isAdmin) return 'all';
+  if (['closed', 'resolved', 'annulled'].includes(getQuestionStatus(question))) return 'all';
+  switch (getForecastVisibility(question, platformDefault)) {
+    case 'always':
+      return 'all';
+    case 'after-forecast':
+      return hasForecast ? 'all' : 'none';
+    case 'aggregate-only':
+      return 'aggregate';
+    default:
+      return 'none';
+  }
+};
+
+// Shown in place of the crowd forecast when it is hidden
+export const hiddenCrowdMessage = (question, platformDefault) =>
+  getForecastVisibility(question, platformDefault) === 'after-forecast'
+    ? 'Forecast to see the crowd'
+    : 'Crowd hidden until close';
@@ -0,0 +1,57 @@
+// src/utils/mentions.js
+
+// @mentions in discussion comments. A user's handle is their name with the
+// spaces taken out (or the part of their email before the @), matched
+// without regard to case, e.g. "@JaneDoe" or "@jdoe".
+
+// Dots only inside a handle, so "@jdoe." at the end of a sentence still matches
+const MENTION_PATTERN = /@([A-Za-z0-9_-]+(?:\.[A-Za-z0-9_-]+)*)/g;
+
+export const mentionHandle = (user) =>
+  (user.name || (user.email || '').split('@')[0] || '').replace(/\s+/g, '');
+
+const findUser = (handle, users) => {
+  const wanted = handle.toLowerCase();
+  return users.find(user => mentionHandle(user).toLowerCase() === wanted) || null;
+};
+
+// Ids of the known users a comment mentions, each once
+export const extractMentions = (body, users) => {
+  const ids = new Set();
+  for (const match of body.matchAll(MENTION_PATTERN)) {
+    const user = findUser(match[1], users);
+    if (user) ids.add(user.id);
+  }
+  return [...ids];
+};
+
+// Splits a comment into text and mention parts for rendering. Handles that
+// match no known user stay plain text.
+export const splitMentions = (body, users) => {
+  const parts = [];
+  let last = 0;
+  for (const match of body.matchAll(MENTION_PATTERN)) {
+    const user = findUser(match[1], users);
+    if (!user) continue;
+    if (match.index > last) parts.push({ text: body.slice(last, match.index) });
+    parts.push({ text: match[0], user });
+    last = match.index + match[0].length;
+  }
+  if (last < body.length) parts.push({ text: body.slice(last) });
+  return parts;
+};
+
+// Users whose handle starts with the partial mention at the end of `draft`,
+// for suggestions while typing
+export const suggestMentions = (draft, users, limit = 5) => {
+  const match = draft.match(/@([A-Za-z0-9._-]*)$/);
+  if (!match) return [];
+  const prefix = match[1].toLowerCase();
+  return users
+    .filter(user => mentionHandle(user).toLowerCase().startsWith(prefix))
+    .slice(0, limit);
+};
+
+// Replaces the partial mention at the end of `draft` with the user's handle
+export const completeMention = (draft, user) =>
+  draft.replace(/@([A-Za-z0-9._-]*)$/, `@${mentionHandle(user)} `);
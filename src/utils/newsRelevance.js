@@ -0,0 +1,201 @@
+// src/utils/newsRelevance.js
+
+// Ranks news articles against questions. Each text becomes a bag of terms:
+// words with stop words, numbers and plurals removed, the two-word phrases
+// between them ("federal reserve", "rate cut") and one entity term for every
+// name in ENTITY_SYNONYMS, so "FOMC" and "Federal Reserve" both count as the
+// Fed. Articles and questions are compared by the cosine similarity of their
+// TF-IDF vectors, with titles counted twice, and an article is related to a
+// question when that similarity reaches MIN_RELEVANCE.
+
+// Cosine similarity, from 0 (nothing shared) to 1
+export const MIN_RELEVANCE = 0.1;
+
+// Entity term -> the names it goes by in headlines. Names are matched as whole
+// words after lower-casing and dropping punctuation.
+export const ENTITY_SYNONYMS = {
+  fed: ['fed', 'federal reserve', 'fomc', 'federal open market committee'],
+  'fed funds rate': ['fed funds rate', 'federal funds rate', 'fed funds'],
+  bls: ['bls', 'bureau of labor statistics', 'jobs report', 'employment report', 'payrolls', 'nonfarm payrolls', 'non farm payrolls'],
+  bea: ['bea', 'bureau of economic analysis'],
+  cpi: ['cpi', 'consumer price index', 'consumer prices'],
+  pce: ['pce', 'personal consumption expenditures'],
+  gdp: ['gdp', 'gross domestic product'],
+  unemployment: ['unemployment', 'unemployment rate', 'jobless rate', 'jobless'],
+  ecb: ['ecb', 'european central bank'],
+  boe: ['boe', 'bank of england'],
+  boj: ['boj', 'bank of japan'],
+};
+
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'of', 'for', 'on', 'in', 'and', 'or', 'is', 'are', 'to', 'will', 'with',
+  'by', 'from', 'it', 'its', 'that', 'this', 'which', 'at', 'as', 'be', 'was', 'were', 'has',
+  'have', 'had', 'not', 'no', 'but', 'than', 'what', 'how', 'when', 'who', 'into', 'over',
+  'about', 'after', 'before', 'above', 'below', 'between', 'during', 'more', 'less', 'most',
+  'new', 'news', 'says', 'said', 'end', 'next', 'last', 'year', 'month', 'week',
+  'percent', 'per', 'cent', 'yes', 'if', 'any', 'all', 'do', 'does', 'did', 'can', 'could',
+  'would', 'should', 'may', 'might', 'us', 'we', 'you', 'they', 'he', 'she', 'his', 'her',
+]);
+
+// Plural and third-person endings, so "rates" and "rate" are one term
+const stem = (word) => {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+  return word;
+};
+
+const ENTITY_NAMES = Object.entries(ENTITY_SYNONYMS)
+  .flatMap(([entity, names]) => names.map(name => ({ entity, words: name.split(' ').map(stem) })))
+  .sort((a, b) => b.words.length - a.words.length);
+
+const matchEntity = (words, start) =>
+  ENTITY_NAMES.find(({ words: name }) => name.every((word, i) => words[start + i] === word));
+
+const toWords = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(Boolean);
+
+const isContentWord = (word) => !STOP_WORDS.has(word) && !/^\d/.test(word) && word.length >= 2;
+
+// Terms in reading order, with null wherever a stop word or number separates
+// them, so phrases never span a gap
+const tokenize = (text) => {
+  const words = toWords(text);
+  const stems = words.map(stem);
+  const tokens = [];
+  for (let i = 0; i < words.length;) {
+    const match = matchEntity(stems, i);
+    if (match) {
+      tokens.push(match.entity);
+      i += match.words.length;
+    } else {
+      const word = words[i];
+      tokens.push(isContentWord(word) ? stems[i] : null);
+      i += 1;
+    }
+  }
+  return tokens;
+};
+
+// Every term and two-word phrase in the text, repeated as often as it occurs
+export const extractTerms = (text) => {
+  const tokens = tokenize(text);
+  const phrases = tokens
+    .slice(1)
+    .map((token, i) => (token && tokens[i] ? `${tokens[i]} ${token}` : null));
+  return [...tokens, ...phrases].filter(Boolean);
+};
+
+// Distinct words of the text as written, without stop words or numbers, for
+// the news providers' search queries. Stems and entity terms only make sense
+// for ranking here, not to a search engine.
+export const extractSearchWords = (text) => Array.from(new Set(toWords(text).filter(isContentWord)));
+
+const articleTerms = (article) => {
+  const title = extractTerms(article.title);
+  return [...title, ...title, ...extractTerms(article.description)];
+};
+
+const questionTerms = (question) => {
+  const title = extractTerms(question.title);
+  return [
+    ...title,
+    ...title,
+    ...extractTerms(question.description),
+    ...(question.tags || []).flatMap(extractTerms),
+  ];
+};
+
+const countTerms = (terms) =>
+  terms.reduce((counts, term) => counts.set(term, (counts.get(term) || 0) + 1), new Map());
+
+// Unit-length TF-IDF vector with sublinear term frequency
+const weigh = (counts, idf) => {
+  const vector = new Map();
+  counts.forEach((tf, term) => vector.set(term, (1 + Math.log(tf)) * idf(term)));
+  const norm = Math.sqrt([...vector.values()].reduce((sum, w) => sum + w * w, 0));
+  if (norm > 0) vector.forEach((w, term) => vector.set(term, w / norm));
+  return vector;
+};
+
+const cosine = (a, b) => {
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  let sum = 0;
+  small.forEach((w, term) => {
+    if (large.has(term)) sum += w * large.get(term);
+  });
+  return sum;
+};
+
+// Copies of `articles`, each with `relatedQuestions` set to
+// [{ questionId, score }] for every question scoring at least `threshold`,
+// best match first. Document frequencies are counted over the articles and
+// questions together.
+export const rankNewsForQuestions = (articles, questions, threshold = MIN_RELEVANCE) => {
+  const related = questions || [];
+  const articleCounts = articles.map(a => countTerms(articleTerms(a)));
+  const questionCounts = related.map(q => countTerms(questionTerms(q)));
+  const documents = [...articleCounts, ...questionCounts];
+
+  const df = new Map();
+  documents.forEach(counts => counts.forEach((_, term) => df.set(term, (df.get(term) || 0) + 1)));
+  const idf = (term) => Math.log((1 + documents.length) / (1 + (df.get(term) || 0))) + 1;
+
+  const questionVectors = questionCounts.map(counts => weigh(counts, idf));
+  return articles.map((article, i) => {
+    const vector = weigh(articleCounts[i], idf);
+    const relatedQuestions = related
+      .map((q, j) => ({ questionId: q.id, score: cosine(vector, questionVectors[j]) }))
+      .filter(match => match.score >= threshold)
+      .sort((a, b) => b.score - a.score);
+    return { ...article, relatedQuestions };
+  });
+};
+
+const fromMark = (mark) => ({
+  title: mark.title,
+  url: mark.url,
+  source: mark.source,
+  publishedAt: mark.published_at,
+});
+
+// What a question's news panel shows, from the ranked feed and the marks in
+// question_news: `items` are shared pins, then the user's own pins, then the
+// remaining related articles by score; `dismissed` are the articles the user
+// has hidden. Items carry their `score` when the feed relates them to the
+// question and their `mark` when pinned.
+export const selectRelatedNews = (news, questionId, marks, userId) => {
+  const ownMarks = new Map(marks.filter(m => m.user_id === userId).map(m => [m.url, m]));
+  const dismissed = marks.filter(m => m.user_id === userId && m.action === 'dismiss');
+  const hidden = new Set(dismissed.map(m => m.url));
+  const scores = new Map();
+  news.forEach(article => {
+    const match = (article.relatedQuestions || []).find(r => r.questionId === questionId);
+    if (match) scores.set(article.url, { article, score: match.score });
+  });
+
+  const pins = [
+    ...marks.filter(m => m.action === 'pin' && m.shared),
+    ...marks.filter(m => m.action === 'pin' && !m.shared && m.user_id === userId),
+  ];
+  const items = [];
+  const seen = new Set();
+  pins.forEach(mark => {
+    if (seen.has(mark.url) || hidden.has(mark.url)) return;
+    seen.add(mark.url);
+    const ranked = scores.get(mark.url);
+    items.push({ ...(ranked ? ranked.article : fromMark(mark)), score: ranked?.score ?? null, mark });
+  });
+  [...scores.values()]
+    .sort((a, b) => b.score - a.score)
+    .forEach(({ article, score }) => {
+      if (seen.has(article.url) || hidden.has(article.url)) return;
+      seen.add(article.url);
+      items.push({ ...article, score, mark: ownMarks.get(article.url) || null });
+    });
+
+  return { items, dismissed: dismissed.map(mark => ({ ...fromMark(mark), mark })) };
+};
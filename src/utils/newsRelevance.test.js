@@ -0,0 +1,104 @@
+import {
+  MIN_RELEVANCE,
+  extractTerms,
+  extractSearchWords,
+  rankNewsForQuestions,
+  selectRelatedNews,
+} from './newsRelevance';
+
+describe('extractTerms', () => {
+  test('stems words and adds the phrases between them', () => {
+    expect(extractTerms('Federal Reserve holds rates')).toEqual([
+      'fed', 'hold', 'rate', 'fed hold', 'hold rate',
+    ]);
+  });
+
+  test('maps every name of an entity to one term', () => {
+    expect(extractTerms('FOMC')).toEqual(['fed']);
+    expect(extractTerms('Bureau of Labor Statistics')).toEqual(['bls']);
+    expect(extractTerms('nonfarm payrolls')).toEqual(['bls']);
+  });
+
+  test('never joins phrases across stop words or numbers', () => {
+    expect(extractTerms('Rates in the US rise 2%')).toEqual(['rate', 'rise']);
+  });
+});
+
+test('extractSearchWords keeps the words as written, without stop words', () => {
+  expect(extractSearchWords('Will the BLS report higher taxes in 2025?')).toEqual([
+    'bls', 'report', 'higher', 'taxes',
+  ]);
+  expect(extractSearchWords('Series of series')).toEqual(['series']);
+});
+
+describe('rankNewsForQuestions', () => {
+  const questions = [
+    { id: 'fed', title: 'Will the FOMC cut rates in June?' },
+    { id: 'earnings', title: 'Will corporate earnings beat forecasts?' },
+  ];
+
+  test('relates articles by TF-IDF cosine similarity, best first', () => {
+    const [article] = rankNewsForQuestions(
+      [{ title: 'Federal Reserve signals it will cut rates', description: '' }],
+      questions
+    );
+    expect(article.relatedQuestions.map(r => r.questionId)).toEqual(['fed']);
+    expect(article.relatedQuestions[0].score).toBeGreaterThanOrEqual(MIN_RELEVANCE);
+  });
+
+  test('scores an article with the same terms as a question 1', () => {
+    const [article] = rankNewsForQuestions([{ title: 'Fed' }], [{ id: 'q', title: 'Federal Reserve' }]);
+    expect(article.relatedQuestions).toEqual([{ questionId: 'q', score: expect.closeTo(1) }]);
+  });
+
+  test('leaves unrelated articles without questions', () => {
+    const [article] = rankNewsForQuestions([{ title: 'Storm closes schools' }], questions);
+    expect(article.relatedQuestions).toEqual([]);
+  });
+
+  test('applies the threshold', () => {
+    const [article] = rankNewsForQuestions(
+      [{ title: 'Federal Reserve signals it will cut rates' }],
+      questions,
+      1.1
+    );
+    expect(article.relatedQuestions).toEqual([]);
+  });
+});
+
+describe('selectRelatedNews', () => {
+  const article = (url, questionId, score) => ({
+    title: url,
+    url,
+    relatedQuestions: questionId ? [{ questionId, score }] : [],
+  });
+  const mark = (url, fields) => ({ url, title: url, source: 'Wire', published_at: null, ...fields });
+
+  test('orders shared pins, own pins, then related articles by score', () => {
+    const news = [article('low', 'q', 0.2), article('high', 'q', 0.8), article('pinned', 'q', 0.1)];
+    const marks = [
+      mark('pinned', { user_id: 'me', action: 'pin', shared: false }),
+      mark('shared', { user_id: 'admin', action: 'pin', shared: true }),
+    ];
+    const { items } = selectRelatedNews(news, 'q', marks, 'me');
+    expect(items.map(i => i.url)).toEqual(['shared', 'pinned', 'high', 'low']);
+    expect(items[0].score).toBeNull();
+    expect(items[1].score).toBe(0.1);
+  });
+
+  test('hides and returns the user\'s dismissals', () => {
+    const news = [article('a', 'q', 0.5), article('b', 'q', 0.4)];
+    const marks = [
+      mark('a', { user_id: 'me', action: 'dismiss', shared: false }),
+      mark('b', { user_id: 'other', action: 'dismiss', shared: false }),
+    ];
+    const { items, dismissed } = selectRelatedNews(news, 'q', marks, 'me');
+    expect(items.map(i => i.url)).toEqual(['b']);
+    expect(dismissed.map(d => d.url)).toEqual(['a']);
+  });
+
+  test('ignores articles related to other questions', () => {
+    const { items } = selectRelatedNews([article('a', 'other', 0.9)], 'q', [], 'me');
+    expect(items).toEqual([]);
+  });
+});
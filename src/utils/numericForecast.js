@@ -0,0 +1,190 @@
+// src/utils/numericForecast.js
+
+// Helpers for numeric (continuous-range) questions. A forecast is a set of
+// percentiles, e.g. { p10: 2.1, p25: 2.5, p50: 2.8, p75: 3.1, p90: 3.5 },
+// which we treat as a piecewise-linear CDF over the question's range.
+
+export const PERCENTILES = [10, 25, 50, 75, 90];
+
+export const percentileKey = (p) => `p${p}`;
+
+export const getRange = (question) => ({
+  min: Number(question.range_min),
+  max: Number(question.range_max),
+  openLower: Boolean(question.open_lower_bound),
+  openUpper: Boolean(question.open_upper_bound),
+});
+
+// Uniform distribution over the question's range, used as a starting point
+export const defaultNumericForecast = (question) => {
+  const { min, max } = getRange(question);
+  const width = Number.isFinite(max - min) && max > min ? max - min : 100;
+  const start = Number.isFinite(min) ? min : 0;
+  return PERCENTILES.reduce((acc, p) => {
+    acc[percentileKey(p)] = Math.round((start + (width * p) / 100) * 100) / 100;
+    return acc;
+  }, {});
+};
+
+// Returns an error message, or an empty string when the forecast is usable
+export const validateNumericForecast = (forecast, question) => {
+  const values = PERCENTILES.map(p => forecast[percentileKey(p)]);
+  if (values.some(v => v === '' || v === null || v === undefined || !Number.isFinite(Number(v)))) {
+    return 'Enter a value for every percentile';
+  }
+  const numbers = values.map(Number);
+  for (let i = 1; i < numbers.length; i++) {
+    if (numbers[i] < numbers[i - 1]) {
+      return 'Percentiles must be in increasing order';
+    }
+  }
+  const { min, max, openLower, openUpper } = getRange(question);
+  if (!openLower && Number.isFinite(min) && numbers[0] < min) {
+    return `Values cannot be below the lower bound (${min})`;
+  }
+  if (!openUpper && Number.isFinite(max) && numbers[numbers.length - 1] > max) {
+    return `Values cannot be above the upper bound (${max})`;
+  }
+  return '';
+};
+
+// Build the (probability, value) points of the CDF. Closed tails put the
+// remaining mass between the bound and the outer percentile; open tails
+// extend the slope of the outer percentile pair past the range.
+export const getCdfPoints = (forecast, question) => {
+  const points = PERCENTILES.map(p => ({
+    q: p / 100,
+    x: Number(forecast[percentileKey(p)]),
+  }));
+  const { min, max, openLower, openUpper } = getRange(question);
+
+  const [first, second] = points;
+  let lowerX;
+  if (openLower || !Number.isFinite(min)) {
+    const slope = (second.x - first.x) / (second.q - first.q);
+    lowerX = first.x - slope * first.q;
+  } else {
+    lowerX = Math.min(min, first.x);
+  }
+
+  const last = points[points.length - 1];
+  const beforeLast = points[points.length - 2];
+  let upperX;
+  if (openUpper || !Number.isFinite(max)) {
+    const slope = (last.x - beforeLast.x) / (last.q - beforeLast.q);
+    upperX = last.x + slope * (1 - last.q);
+  } else {
+    upperX = Math.max(max, last.x);
+  }
+
+  return [{ q: 0, x: lowerX }, ...points, { q: 1, x: upperX }];
+};
+
+export const cdfAt = (points, x) => {
+  if (x < points[0].x) return 0;
+  if (x >= points[points.length - 1].x) return 1;
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    if (x >= a.x && x < b.x) {
+      return a.q + ((x - a.x) / (b.x - a.x)) * (b.q - a.q);
+    }
+  }
+  return 1;
+};
+
+// Probability density of the piecewise-linear CDF (constant per segment)
+export const densityAt = (points, x) => {
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    if (b.x > a.x && x >= a.x && x <= b.x) {
+      return (b.q - a.q) / (b.x - a.x);
+    }
+  }
+  return 0;
+};
+
+// Integral of the squared density, used by the spherical score
+export const squaredDensityIntegral = (points) => {
+  let total = 0;
+  for (let i = 0; i < points.length - 1; i++) {
+    const width = points[i + 1].x - points[i].x;
+    if (width > 0) {
+      total += Math.pow(points[i + 1].q - points[i].q, 2) / width;
+    }
+  }
+  return total;
+};
+
+// Width used to make numeric scores independent of the question's units
+export const getScaleWidth = (question, points) => {
+  const { min, max } = getRange(question);
+  return max > min ? max - min : points[points.length - 1].x - points[0].x || 1;
+};
+
+// Exact integral of a squared linear function over [x0, x1]
+const squaredSegment = (x0, x1, f0, f1) =>
+  ((x1 - x0) * (f0 * f0 + f0 * f1 + f1 * f1)) / 3;
+
+// Continuous ranked probability score of a piecewise-linear CDF against the
+// observed value: integral of (F(x) - 1{x >= outcome})^2 over the real line.
+export const calculateCrps = (points, outcome) => {
+  let total = 0;
+  const first = points[0];
+  const last = points[points.length - 1];
+
+  if (outcome < first.x) total += first.x - outcome;
+  if (outcome > last.x) total += outcome - last.x;
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    if (b.x <= a.x) continue;
+
+    const valueAt = (x) => a.q + ((x - a.x) / (b.x - a.x)) * (b.q - a.q);
+
+    // Part of the segment left of the outcome: integrate F^2
+    if (a.x < outcome) {
+      const end = Math.min(b.x, outcome);
+      total += squaredSegment(a.x, end, a.q, valueAt(end));
+    }
+    // Part right of the outcome: integrate (1 - F)^2
+    if (b.x > outcome) {
+      const start = Math.max(a.x, outcome);
+      total += squaredSegment(start, b.x, 1 - valueAt(start), 1 - b.q);
+    }
+  }
+
+  return total;
+};
+
+// The resolved value as a number, or null when it is missing or not numeric
+export const parseResolution = (resolution) => {
+  if (resolution === null || resolution === undefined || resolution === '') return null;
+  const outcome = Number(resolution);
+  return Number.isFinite(outcome) ? outcome : null;
+};
+
+// CRPS divided by the width of the question range so numeric scores sit on
+// a 0-1 scale (lower is better) comparable to the categorical Brier scores.
+// Null without a usable resolution, which would otherwise score as perfect.
+export const scoreNumericForecast = (forecast, resolution, question) => {
+  const outcome = parseResolution(resolution);
+  if (outcome === null) return null;
+  const points = getCdfPoints(forecast, question);
+  return calculateCrps(points, outcome) / getScaleWidth(question, points);
+};
+
+// Whether the outcome fell inside the forecaster's 80% interval (p10-p90)
+export const isWithinInterval = (forecast, resolution) => {
+  const outcome = Number(resolution);
+  return (
+    Number.isFinite(outcome) &&
+    outcome >= Number(forecast.p10) &&
+    outcome <= Number(forecast.p90)
+  );
+};
+
+export const formatNumericForecast = (forecast, separator = ' | ') =>
+  PERCENTILES.map(p => `P${p}: ${forecast[percentileKey(p)]}`).join(separator);
@@ -0,0 +1,110 @@
+import {
+  getCdfPoints,
+  cdfAt,
+  calculateCrps,
+  parseResolution,
+  scoreNumericForecast,
+  validateNumericForecast,
+  isWithinInterval,
+} from './numericForecast';
+
+const question = { type: 'numeric', range_min: 0, range_max: 100 };
+
+// Percentiles of the uniform distribution on [0, 100]
+const uniform = { p10: 10, p25: 25, p50: 50, p75: 75, p90: 90 };
+
+// Every percentile at 50: a tenth of the mass on each side, spread to the bounds
+const spike = { p10: 50, p25: 50, p50: 50, p75: 50, p90: 50 };
+
+describe('getCdfPoints', () => {
+  test('closed bounds put the tails between the bound and the outer percentile', () => {
+    expect(getCdfPoints(uniform, question)).toEqual([
+      { q: 0, x: 0 },
+      { q: 0.1, x: 10 },
+      { q: 0.25, x: 25 },
+      { q: 0.5, x: 50 },
+      { q: 0.75, x: 75 },
+      { q: 0.9, x: 90 },
+      { q: 1, x: 100 },
+    ]);
+  });
+
+  test('open bounds extend the slope of the outer percentile pair', () => {
+    const points = getCdfPoints(uniform, {
+      ...question,
+      range_min: 20,
+      range_max: 80,
+      open_lower_bound: true,
+      open_upper_bound: true,
+    });
+    expect(points[0].x).toBeCloseTo(0);
+    expect(points[points.length - 1].x).toBeCloseTo(100);
+  });
+
+  test('cdfAt interpolates between the points', () => {
+    const points = getCdfPoints(uniform, question);
+    expect(cdfAt(points, -5)).toBe(0);
+    expect(cdfAt(points, 40)).toBeCloseTo(0.4);
+    expect(cdfAt(points, 100)).toBe(1);
+  });
+});
+
+describe('calculateCrps', () => {
+  // For F(x) = x / 100 on [0, 100] the CRPS at y is (y^3 + (100 - y)^3) / 30000
+  test('matches the closed form for a uniform forecast', () => {
+    const points = getCdfPoints(uniform, question);
+    expect(calculateCrps(points, 50)).toBeCloseTo(25 / 3);
+    expect(calculateCrps(points, 0)).toBeCloseTo(100 / 3);
+    expect(calculateCrps(points, 20)).toBeCloseTo((8000 + 512000) / 30000);
+  });
+
+  test('adds the distance past the support for outcomes outside it', () => {
+    const points = getCdfPoints(uniform, question);
+    expect(calculateCrps(points, 150)).toBeCloseTo(100 / 3 + 50);
+  });
+
+  test('handles the jumps of a concentrated forecast', () => {
+    expect(calculateCrps(getCdfPoints(spike, question), 50)).toBeCloseTo(1 / 3);
+  });
+});
+
+describe('scoreNumericForecast', () => {
+  test('divides the CRPS by the width of the range', () => {
+    expect(scoreNumericForecast(uniform, 50, question)).toBeCloseTo(1 / 12);
+    expect(scoreNumericForecast(spike, '50', question)).toBeCloseTo(1 / 300);
+  });
+
+  test('is null without a usable resolution', () => {
+    expect(scoreNumericForecast(uniform, null, question)).toBeNull();
+    expect(scoreNumericForecast(uniform, undefined, question)).toBeNull();
+    expect(scoreNumericForecast(uniform, '', question)).toBeNull();
+    expect(scoreNumericForecast(uniform, 'n/a', question)).toBeNull();
+  });
+});
+
+test('parseResolution keeps zero and numeric strings', () => {
+  expect(parseResolution(0)).toBe(0);
+  expect(parseResolution('2.5')).toBe(2.5);
+  expect(parseResolution(null)).toBeNull();
+  expect(parseResolution('abc')).toBeNull();
+});
+
+describe('validateNumericForecast', () => {
+  test('accepts increasing percentiles inside the range', () => {
+    expect(validateNumericForecast(uniform, question)).toBe('');
+  });
+
+  test('rejects missing, decreasing and out-of-range values', () => {
+    expect(validateNumericForecast({ ...uniform, p50: '' }, question)).toBe('Enter a value for every percentile');
+    expect(validateNumericForecast({ ...uniform, p25: 60 }, question)).toBe('Percentiles must be in increasing order');
+    expect(validateNumericForecast({ ...uniform, p10: -1 }, question)).toBe('Values cannot be below the lower bound (0)');
+    expect(validateNumericForecast({ ...uniform, p90: 101 }, question)).toBe('Values cannot be above the upper bound (100)');
+  });
+});
+
+test('isWithinInterval checks the 80% interval inclusively', () => {
+  expect(isWithinInterval(uniform, 10)).toBe(true);
+  expect(isWithinInterval(uniform, 90)).toBe(true);
+  expect(isWithinInterval(uniform, 95)).toBe(false);
+  expect(isWithinInterval(uniform, 'n/a')).toBe(false);
+});
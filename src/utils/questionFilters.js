@@ -0,0 +1,102 @@
+// src/utils/questionFilters.js
+
+// Filters for the questions list and their round trip through the URL query
+// string, so a filtered list can be shared as a link. Only filters that
+// differ from the defaults are written to the URL.
+
+import { PUBLIC_STATUSES } from './questionStatus';
+
+// Offered in the admin forms; any other tag can be typed in
+export const SUGGESTED_TAGS = ['inflation', 'labor', 'rates', 'gdp', 'housing', 'trade', 'markets', 'energy'];
+
+export const QUESTION_TYPE_LABELS = {
+  binary: 'Binary',
+  'three-category': 'Three category',
+  'multiple-choice': 'Multiple choice',
+  numeric: 'Numeric',
+  date: 'Date',
+};
+
+export const FORECASTED_FILTERS = {
+  all: 'All questions',
+  forecasted: 'Forecasted by me',
+  'not-forecasted': 'Not yet forecasted',
+};
+
+export const DEFAULT_FILTERS = {
+  status: 'open',
+  search: '',
+  tag: '',
+  type: '',
+  closeFrom: '',
+  closeTo: '',
+  forecasted: 'all',
+};
+
+// Filter name -> query string parameter
+const PARAMS = {
+  status: 'status',
+  search: 'q',
+  tag: 'tag',
+  type: 'type',
+  closeFrom: 'close_from',
+  closeTo: 'close_to',
+  forecasted: 'forecasted',
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// 'Labor Market ' -> 'labor-market'
+export const normalizeTag = (tag) => tag.trim().toLowerCase().replace(/\s+/g, '-');
+
+// Comma separated input -> unique normalised tags
+export const parseTags = (text) =>
+  [...new Set(text.split(',').map(normalizeTag).filter(Boolean))];
+
+export const formatTags = (tags) => (tags || []).join(', ');
+
+// Unknown or malformed values fall back to the default
+export const filtersFromSearch = (search) => {
+  const params = new URLSearchParams(search);
+  const get = (name) => (params.get(PARAMS[name]) || '').trim();
+
+  const status = get('status');
+  const type = get('type');
+  const forecasted = get('forecasted');
+  const closeFrom = get('closeFrom');
+  const closeTo = get('closeTo');
+
+  return {
+    status: PUBLIC_STATUSES.includes(status) ? status : DEFAULT_FILTERS.status,
+    search: get('search'),
+    tag: get('tag') ? normalizeTag(get('tag')) : '',
+    type: QUESTION_TYPE_LABELS[type] ? type : '',
+    closeFrom: DATE_PATTERN.test(closeFrom) ? closeFrom : '',
+    closeTo: DATE_PATTERN.test(closeTo) ? closeTo : '',
+    forecasted: FORECASTED_FILTERS[forecasted] ? forecasted : DEFAULT_FILTERS.forecasted,
+  };
+};
+
+// '?status=resolved&tag=inflation', or '' when every filter is the default
+export const filtersToSearch = (filters) => {
+  const params = new URLSearchParams();
+  Object.entries(PARAMS).forEach(([name, param]) => {
+    if (filters[name] && filters[name] !== DEFAULT_FILTERS[name]) {
+      params.set(param, filters[name]);
+    }
+  });
+  const search = params.toString();
+  return search ? `?${search}` : '';
+};
+
+// Whether a URL carries any questions list filter, e.g. a shared link
+export const hasFilterParams = (search) => {
+  const params = new URLSearchParams(search);
+  return Object.values(PARAMS).some(param => params.has(param));
+};
+
+// Whether anything narrows the list beyond the status tab
+export const isFiltered = (filters) =>
+  Object.keys(DEFAULT_FILTERS).some(
+    name => name !== 'status' && filters[name] !== DEFAULT_FILTERS[name]
+  );
@@ -0,0 +1,62 @@
+// src/utils/questionStatus.js
+
+// Question lifecycle. Drafts are only visible to admins; scheduled questions
+// open automatically at their `open_date`; open questions take forecasts until
+// their close date, then sit `closed` (forecasts locked) until an admin
+// resolves or annuls them. Only resolved questions are scored. The database
+// performs the timed transitions and rejects any move not listed here.
+
+export const QUESTION_STATUSES = {
+  draft: 'Draft',
+  scheduled: 'Scheduled',
+  open: 'Open',
+  closed: 'Closed – awaiting resolution',
+  resolved: 'Resolved',
+  annulled: 'Annulled',
+};
+
+// Allowed moves from each status. Mirrors question_transition_allowed() in
+// supabase/migrations/008_add_question_lifecycle.sql and 010. Besides these,
+// a conditional question annulled because its condition failed can go back
+// to the status it had (`annulled_from`), which the database does when the
+// parent's resolution is corrected.
+export const QUESTION_TRANSITIONS = {
+  draft: ['scheduled', 'open'],
+  scheduled: ['draft', 'open'],
+  open: ['closed', 'resolved', 'annulled'],
+  closed: ['open', 'resolved', 'annulled'],
+  resolved: ['annulled'],
+  annulled: [],
+};
+
+// Button labels for moving a question into each status
+export const TRANSITION_LABELS = {
+  draft: 'Move to drafts',
+  scheduled: 'Schedule',
+  open: 'Open now',
+  closed: 'Close',
+  resolved: 'Resolve',
+  annulled: 'Annul',
+};
+
+// Statuses forecasters can see; drafts and scheduled questions are admin-only
+export const PUBLIC_STATUSES = ['open', 'closed', 'resolved', 'annulled'];
+
+// Rows from the database carry `status`; demo questions only have the
+// resolved flag and close date, so derive it for them
+export const getQuestionStatus = (question) => {
+  if (question.status) return question.status;
+  if (question.isResolved || question.is_resolved) return 'resolved';
+  if (question.close_date && new Date(question.close_date) <= new Date()) return 'closed';
+  return 'open';
+};
+
+export const canTransition = (from, to, annulledFrom = null) =>
+  (QUESTION_TRANSITIONS[from] || []).includes(to) ||
+  (from === 'annulled' && Boolean(annulledFrom) && to === annulledFrom);
+
+export const isOpenForForecasting = (question) => getQuestionStatus(question) === 'open';
+
+// Questions that can still be edited (resolved and annulled ones are final)
+export const isEditable = (question) =>
+  !['resolved', 'annulled'].includes(getQuestionStatus(question));
@@ -0,0 +1,74 @@
+// src/utils/scoreHistory.js
+
+// Time series for the score and forecast charts. A score history has one
+// point per resolved question a forecaster was scored on, in the order the
+// questions resolved, with their running average score and their rank by
+// running average at that date, like get_score_history. A trajectory reduces
+// each revision of a forecast to the single number a chart can plot.
+
+import { compareScores } from './scoringRules';
+import { NOT_BEFORE_CLOSE } from './dateForecast';
+
+const average = (entries) => entries.reduce((sum, e) => sum + e.score, 0) / entries.length;
+
+// `entriesByUser` maps every forecaster's id to their scored questions as
+// [{ questionId, date: 'YYYY-MM-DD', score }]. Ranks count everyone scored
+// by the date, and tied forecasters share a rank.
+export const buildScoreHistory = (entriesByUser, userId, ruleId) => {
+  const byScore = compareScores(ruleId);
+  const own = [...(entriesByUser[userId] || [])].sort((a, b) => a.date.localeCompare(b.date));
+
+  return own.map(entry => {
+    const standings = Object.values(entriesByUser)
+      .map(entries => entries.filter(e => e.date <= entry.date))
+      .filter(entries => entries.length > 0)
+      .map(average);
+    const cumulative = average(own.filter(e => e.date <= entry.date));
+    return {
+      date: entry.date,
+      questionId: entry.questionId,
+      score: entry.score,
+      cumulative,
+      rank: 1 + standings.filter(other => byScore(other, cumulative) < 0).length,
+      total: standings.length,
+    };
+  });
+};
+
+// The outcome a probability trajectory follows: the resolved outcome once
+// known, otherwise the one the latest forecast favours. Binary questions
+// follow "yes"; numeric and date questions follow the median instead.
+export const trajectoryOutcome = (question, latestForecast) => {
+  if (question.type === 'three-category' || question.type === 'multiple-choice') {
+    if (question.isResolved) return String(question.resolution);
+    if (!latestForecast) return null;
+    return Object.keys(latestForecast).reduce((a, b) => (latestForecast[a] > latestForecast[b] ? a : b));
+  }
+  return null;
+};
+
+// Percent for probability questions, the median (p50) for numeric and date
+// questions, whose date medians are day numbers
+export const trajectoryValue = (forecast, question, outcome) => {
+  if (!forecast) return null;
+  if (question.type === 'binary') return Number(forecast.probability);
+  if (question.type === 'numeric' || question.type === 'date') return Number(forecast.p50);
+  const value = outcome === 'unchanged' && forecast.unchanged === undefined
+    ? forecast['remain unchanged']
+    : forecast[outcome];
+  return Number(value) || 0;
+};
+
+// Where the outcome sits on the trajectory's scale, or null while unresolved.
+// "Not before close" on a date question is drawn at the end of the window.
+export const trajectoryResolution = (question, outcome) => {
+  if (!question.isResolved) return null;
+  if (question.type === 'binary') return question.resolution ? 100 : 0;
+  if (question.type === 'numeric') return Number(question.resolution);
+  if (question.type === 'date') {
+    return question.resolution === NOT_BEFORE_CLOSE
+      ? Number(question.range_max)
+      : Number(question.resolution);
+  }
+  return String(question.resolution) === outcome ? 100 : 0;
+};
@@ -0,0 +1,35 @@
+// The database scores forecasts and builds the crowd itself (migrations 005
+// and 011); these shared cases hold the browser's copies of those rules to
+// the same numbers. supabase/tests/scoring_parity.sql runs the same file
+// against the SQL functions.
+
+import cases from '../../supabase/tests/scoring_cases.json';
+import { getScoringRule, isScorable } from './scoringRules';
+import { weightedMedian } from './aggregation';
+
+describe('weighted median', () => {
+  test.each(cases.weightedMedians)('$name', ({ values, weights, expected }) => {
+    expect(weightedMedian(values, weights)).toBeCloseTo(expected, 9);
+  });
+});
+
+const score = ({ rule, question, forecast, crowd }) => {
+  const context = crowd ? { crowdHistory: [{ created_at: null, forecast: crowd }] } : {};
+  return getScoringRule(rule).score(forecast, question, context);
+};
+
+describe('score_forecast', () => {
+  test.each(cases.scores.filter(c => c.expected !== null))('$name', (c) => {
+    expect(score(c)).toBeCloseTo(c.expected, 9);
+  });
+
+  test.each(cases.scores.filter(c => c.expected === null))('$name is unscored', (c) => {
+    expect(score(c)).toBeNull();
+  });
+});
+
+describe('is_scorable', () => {
+  test.each(cases.scorable)('$name', ({ question, expected }) => {
+    expect(isScorable({ ...question, isResolved: question.is_resolved })).toBe(expected);
+  });
+});
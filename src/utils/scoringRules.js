@@ -0,0 +1,252 @@
+// src/utils/scoringRules.js
+
+// Registry of proper scoring rules. Each rule scores a single forecast
+// against a resolved question; `lowerIsBetter` tells the leaderboard which
+// way to sort. Numeric and date questions use each rule's continuous
+// analogue.
+
+import {
+  defaultNumericForecast,
+  getCdfPoints,
+  densityAt,
+  squaredDensityIntegral,
+  getScaleWidth,
+  scoreNumericForecast,
+  parseResolution,
+} from './numericForecast';
+import {
+  NOT_BEFORE_CLOSE,
+  defaultDateForecast,
+  scoreDateForecast,
+  dateOutcomeLikelihood,
+  dateForecastNorm,
+} from './dateForecast';
+
+export const DEFAULT_SCORING_RULE = 'brier';
+
+const MIN_PROBABILITY = 0.001;
+
+// Probabilities (0-1) for every outcome plus the index of the one that happened
+const toOutcomeProbabilities = (forecast, resolution, question) => {
+  if (question.type === 'binary') {
+    const p = (Number(forecast.probability) || 0) / 100;
+    return { probs: [p, 1 - p], outcomeIndex: resolution ? 0 : 1 };
+  }
+  if (question.type === 'three-category') {
+    const unchanged = forecast.unchanged ?? forecast['remain unchanged'];
+    const resolved = String(resolution).toLowerCase();
+    const outcomeIndex = resolved.includes('unchanged')
+      ? 1
+      : ['increase', 'unchanged', 'decrease'].indexOf(resolved);
+    return {
+      probs: [forecast.increase, unchanged, forecast.decrease].map(v => (Number(v) || 0) / 100),
+      outcomeIndex,
+    };
+  }
+  if (question.type === 'multiple-choice') {
+    const options = question.options || Object.keys(forecast);
+    return {
+      probs: options.map(opt => (Number(forecast[opt]) || 0) / 100),
+      outcomeIndex: options.indexOf(resolution),
+    };
+  }
+  return { probs: [], outcomeIndex: -1 };
+};
+
+// The "no information" forecast: equal probability on every outcome
+export const uniformForecast = (question) => {
+  if (question.type === 'binary') return { probability: 50 };
+  if (question.type === 'three-category') {
+    return { increase: 100 / 3, unchanged: 100 / 3, decrease: 100 / 3 };
+  }
+  if (question.type === 'multiple-choice') {
+    const options = question.options || [];
+    return options.reduce((acc, opt) => {
+      acc[opt] = 100 / options.length;
+      return acc;
+    }, {});
+  }
+  if (question.type === 'numeric') return defaultNumericForecast(question);
+  if (question.type === 'date') return defaultDateForecast(question);
+  return {};
+};
+
+// Resolved questions with a resolution that can be scored. A numeric or date
+// question resolved without a usable value is left out of scoring, like an
+// unresolved one.
+export const isScorable = (question) => {
+  if (!question.isResolved) return false;
+  if (question.type === 'numeric') return parseResolution(question.resolution) !== null;
+  if (question.type === 'date') {
+    return question.resolution === NOT_BEFORE_CLOSE || parseResolution(question.resolution) !== null;
+  }
+  return question.resolution !== null && question.resolution !== undefined;
+};
+
+// Utility to compute Brier scores across question types; numeric and date
+// questions are scored with a range-normalized CRPS, the continuous analogue
+// of Brier. Null for numeric and date questions without a usable resolution.
+export const calculateBrierScore = (forecast, resolution, questionType, question = {}) => {
+  const q = { ...question, type: questionType };
+  if (questionType === 'numeric') {
+    return scoreNumericForecast(forecast, resolution, q);
+  }
+  if (questionType === 'date') {
+    return scoreDateForecast(forecast, resolution, q);
+  }
+  const { probs, outcomeIndex } = toOutcomeProbabilities(forecast, resolution, q);
+  return probs.reduce(
+    (sum, prob, i) => sum + Math.pow(prob - (i === outcomeIndex ? 1 : 0), 2),
+    0
+  );
+};
+
+const logScore = (forecast, question) => {
+  if (question.type === 'date') {
+    const likelihood = dateOutcomeLikelihood(forecast, question.resolution, question);
+    return -Math.log(Math.max(likelihood, MIN_PROBABILITY));
+  }
+  if (question.type === 'numeric') {
+    const points = getCdfPoints(forecast, question);
+    const density = densityAt(points, Number(question.resolution)) * getScaleWidth(question, points);
+    return -Math.log(Math.max(density, MIN_PROBABILITY));
+  }
+  const { probs, outcomeIndex } = toOutcomeProbabilities(forecast, question.resolution, question);
+  const p = outcomeIndex >= 0 ? probs[outcomeIndex] : 0;
+  return -Math.log(Math.max(p, MIN_PROBABILITY));
+};
+
+const sphericalScore = (forecast, question) => {
+  if (question.type === 'date') {
+    const norm = dateForecastNorm(forecast, question);
+    if (norm === 0) return 0;
+    return dateOutcomeLikelihood(forecast, question.resolution, question) / norm;
+  }
+  if (question.type === 'numeric') {
+    const points = getCdfPoints(forecast, question);
+    const norm = Math.sqrt(squaredDensityIntegral(points));
+    if (norm === 0) return 0;
+    const width = getScaleWidth(question, points);
+    return (densityAt(points, Number(question.resolution)) * Math.sqrt(width)) / norm;
+  }
+  const { probs, outcomeIndex } = toOutcomeProbabilities(forecast, question.resolution, question);
+  const norm = Math.sqrt(probs.reduce((sum, p) => sum + p * p, 0));
+  if (norm === 0 || outcomeIndex < 0) return 0;
+  return probs[outcomeIndex] / norm;
+};
+
+const brierScore = (forecast, question) =>
+  calculateBrierScore(forecast, question.resolution, question.type, question);
+
+// Crowd forecast in effect at a given time, from an aggregate history
+const crowdForecastAt = (context, at) => {
+  const history = context.crowdHistory || [];
+  if (history.length === 0) return null;
+  let current = history[0];
+  history.forEach(entry => {
+    if (!at || new Date(entry.created_at) <= at) current = entry;
+  });
+  return current.forecast;
+};
+
+export const SCORING_RULES = {
+  brier: {
+    label: 'Brier Score',
+    shortLabel: 'Brier',
+    lowerIsBetter: true,
+    description: 'Squared difference between your probabilities and the outcome (0 = perfect, 2 = worst possible). Numeric and date questions use CRPS scaled to the question range.',
+    score: (forecast, question) => brierScore(forecast, question),
+  },
+  log: {
+    label: 'Log Score',
+    shortLabel: 'Log',
+    lowerIsBetter: true,
+    description: 'Negative natural log of the probability you gave the actual outcome. Punishes confident misses heavily.',
+    score: (forecast, question) => logScore(forecast, question),
+  },
+  spherical: {
+    label: 'Spherical Score',
+    shortLabel: 'Spherical',
+    lowerIsBetter: false,
+    description: 'Probability on the actual outcome divided by the length of your probability vector (1 = perfect on categorical questions). Higher is better.',
+    score: (forecast, question) => sphericalScore(forecast, question),
+  },
+  'relative-crowd': {
+    label: 'Relative Brier (vs crowd median)',
+    shortLabel: 'Rel. crowd',
+    lowerIsBetter: true,
+    usesCrowd: true,
+    description: 'Your Brier score minus the crowd median\'s Brier score at the same time. Negative means you beat the crowd.',
+    score: (forecast, question, context = {}) => {
+      const crowd = crowdForecastAt(context, context.at);
+      return brierScore(forecast, question) - (crowd ? brierScore(crowd, question) : 0);
+    },
+  },
+  'relative-uniform': {
+    label: 'Relative Brier (vs uniform)',
+    shortLabel: 'Rel. uniform',
+    lowerIsBetter: true,
+    description: 'Your Brier score minus the score of spreading probability evenly over all outcomes. Negative means you added information.',
+    score: (forecast, question) =>
+      brierScore(forecast, question) - brierScore(uniformForecast(question), question),
+  },
+};
+
+export const getScoringRule = (ruleId) =>
+  SCORING_RULES[ruleId] || SCORING_RULES[DEFAULT_SCORING_RULE];
+
+// Sort comparator that puts the best score first for the given rule
+export const compareScores = (ruleId) => (a, b) => {
+  const diff = parseFloat(a) - parseFloat(b);
+  return getScoringRule(ruleId).lowerIsBetter ? diff : -diff;
+};
+
+// Scores each revision of a forecast on a resolved question, with the dates
+// it stood from and until and the number of days that counts for.
+// forecastHistory should contain all of a user's forecasts for the question
+// sorted by creation time ascending
+export const scoreRevisions = (
+  forecastHistory,
+  question,
+  ruleId = DEFAULT_SCORING_RULE,
+  context = {}
+) => {
+  if (!isScorable(question)) return [];
+
+  const rule = getScoringRule(ruleId);
+  const resolutionDate = new Date(
+    question.resolvedDate || question.resolved_date || question.close_date
+  );
+
+  return forecastHistory.map((current, i) => {
+    const start = new Date(current.created_at || current.updated_at);
+    const end = i < forecastHistory.length - 1
+      ? new Date(forecastHistory[i + 1].created_at || forecastHistory[i + 1].updated_at)
+      : resolutionDate;
+
+    // Number of days the forecast was active (inclusive)
+    let daysActive = Math.floor((end - start) / (1000 * 60 * 60 * 24)) + 1;
+    if (daysActive < 1) daysActive = 1;
+
+    return {
+      start,
+      end,
+      days: daysActive,
+      score: rule.score(current.forecast, question, { ...context, at: start }),
+    };
+  });
+};
+
+// Compute a time-weighted score for a single question: the revision scores
+// weighted by the days each stood
+export const calculateTimeWeightedBrier = (
+  forecastHistory,
+  question,
+  ruleId = DEFAULT_SCORING_RULE,
+  context = {}
+) => {
+  const scored = scoreRevisions(forecastHistory, question, ruleId, context);
+  const totalDays = scored.reduce((sum, r) => sum + r.days, 0);
+  if (totalDays === 0) return 0;
+  return scored.reduce((sum, r) => sum + r.score * r.days, 0) / totalDays;
+};
@@ -0,0 +1,116 @@
+import {
+  getScoringRule,
+  compareScores,
+  uniformForecast,
+  calculateBrierScore,
+  calculateTimeWeightedBrier,
+  isScorable,
+} from './scoringRules';
+import { NOT_BEFORE_CLOSE } from './dateForecast';
+
+const binary = { type: 'binary', isResolved: true, resolution: true };
+const threeCategory = { type: 'three-category', isResolved: true, resolution: 'remain unchanged' };
+const multipleChoice = { type: 'multiple-choice', options: ['A', 'B', 'C'], isResolved: true, resolution: 'C' };
+const numeric = { type: 'numeric', range_min: 0, range_max: 100, isResolved: true, resolution: 50 };
+
+const score = (ruleId, forecast, question, context) => getScoringRule(ruleId).score(forecast, question, context);
+
+describe('brier', () => {
+  test('sums squared errors over every outcome', () => {
+    expect(score('brier', { probability: 70 }, binary)).toBeCloseTo(0.18);
+    expect(score('brier', { increase: 50, unchanged: 30, decrease: 20 }, threeCategory)).toBeCloseTo(0.78);
+    expect(score('brier', { A: 20, B: 30, C: 50 }, multipleChoice)).toBeCloseTo(0.38);
+  });
+
+  test('gives the uniform forecast (k - 1) / k', () => {
+    expect(score('brier', uniformForecast(binary), binary)).toBeCloseTo(0.5);
+    expect(score('brier', uniformForecast(threeCategory), threeCategory)).toBeCloseTo(2 / 3);
+  });
+
+  test('uses range-scaled CRPS for numeric questions', () => {
+    expect(score('brier', { p10: 10, p25: 25, p50: 50, p75: 75, p90: 90 }, numeric)).toBeCloseTo(1 / 12);
+  });
+
+  test('is null for a numeric question without a usable resolution', () => {
+    expect(calculateBrierScore({ p10: 1, p25: 2, p50: 3, p75: 4, p90: 5 }, null, 'numeric', numeric)).toBeNull();
+  });
+});
+
+describe('log', () => {
+  test('is the negative log of the probability on the outcome', () => {
+    expect(score('log', { probability: 70 }, binary)).toBeCloseTo(-Math.log(0.7));
+    expect(score('log', { probability: 70 }, { ...binary, resolution: false })).toBeCloseTo(-Math.log(0.3));
+  });
+
+  test('floors the probability at 0.1%', () => {
+    expect(score('log', { probability: 0 }, binary)).toBeCloseTo(-Math.log(0.001));
+  });
+
+  test('scales numeric densities by the range', () => {
+    // Uniform density 1/100 times the width of 100
+    expect(score('log', { p10: 10, p25: 25, p50: 50, p75: 75, p90: 90 }, numeric)).toBeCloseTo(0);
+  });
+});
+
+test('spherical divides the probability on the outcome by the vector length', () => {
+  expect(score('spherical', { probability: 70 }, binary)).toBeCloseTo(0.7 / Math.sqrt(0.58));
+  expect(score('spherical', { probability: 100 }, binary)).toBeCloseTo(1);
+});
+
+describe('relative rules', () => {
+  test('relative-uniform subtracts the uniform forecast\'s Brier score', () => {
+    expect(score('relative-uniform', { probability: 70 }, binary)).toBeCloseTo(0.18 - 0.5);
+  });
+
+  test('relative-crowd subtracts the crowd\'s Brier score at the time', () => {
+    const crowdHistory = [
+      { created_at: '2024-01-01T00:00:00Z', forecast: { probability: 50 } },
+      { created_at: '2024-01-10T00:00:00Z', forecast: { probability: 90 } },
+    ];
+    expect(score('relative-crowd', { probability: 70 }, binary, {
+      crowdHistory,
+      at: new Date('2024-01-05T00:00:00Z'),
+    })).toBeCloseTo(0.18 - 0.5);
+    expect(score('relative-crowd', { probability: 70 }, binary, {
+      crowdHistory,
+      at: new Date('2024-01-11T00:00:00Z'),
+    })).toBeCloseTo(0.18 - 0.02);
+  });
+
+  test('relative-crowd without a crowd is the plain Brier score', () => {
+    expect(score('relative-crowd', { probability: 70 }, binary, {})).toBeCloseTo(0.18);
+  });
+});
+
+describe('calculateTimeWeightedBrier', () => {
+  const question = { ...binary, resolvedDate: '2024-01-04' };
+
+  test('weights each revision by the days it stood, inclusive', () => {
+    const history = [
+      { created_at: '2024-01-01T00:00:00Z', forecast: { probability: 50 } },
+      { created_at: '2024-01-03T00:00:00Z', forecast: { probability: 100 } },
+    ];
+    // 0.5 for three days, then 0 for two
+    expect(calculateTimeWeightedBrier(history, question, 'brier')).toBeCloseTo(0.3);
+  });
+
+  test('is 0 for questions that cannot be scored', () => {
+    const history = [{ created_at: '2024-01-01T00:00:00Z', forecast: { probability: 50 } }];
+    expect(calculateTimeWeightedBrier(history, { ...question, isResolved: false }, 'brier')).toBe(0);
+  });
+});
+
+test('isScorable needs a resolution the question type can score', () => {
+  expect(isScorable(binary)).toBe(true);
+  expect(isScorable({ ...binary, isResolved: false })).toBe(false);
+  expect(isScorable({ ...binary, resolution: null })).toBe(false);
+  expect(isScorable({ ...numeric, resolution: 0 })).toBe(true);
+  expect(isScorable({ ...numeric, resolution: null })).toBe(false);
+  expect(isScorable({ ...numeric, resolution: 'n/a' })).toBe(false);
+  expect(isScorable({ type: 'date', isResolved: true, resolution: NOT_BEFORE_CLOSE })).toBe(true);
+});
+
+test('compareScores puts the best score first for the rule', () => {
+  expect(['0.3', '0.1', '0.2'].sort(compareScores('brier'))).toEqual(['0.1', '0.2', '0.3']);
+  expect(['0.3', '0.1', '0.2'].sort(compareScores('spherical'))).toEqual(['0.3', '0.2', '0.1']);
+});
@@ -0,0 +1,81 @@
+// src/utils/teamScores.js
+
+// Team (desk) rankings. A team scores each resolved question either as the
+// average of its members' scores, or by scoring the team's own aggregated
+// forecast. Scores arrive as one row per team and question
+// ({ team_id, question_id, resolved_date, score, forecasters }), from
+// get_team_scores or computed in the browser for demo accounts; teams carry
+// `member_ids`, flattened from the join table by the data service.
+
+import { compareScores } from './scoringRules';
+
+export const TEAM_SCORE_METHODS = {
+  members: 'Average of member scores',
+  forecast: 'Team aggregated forecast',
+};
+
+export const DEFAULT_TEAM_SCORE_METHOD = 'members';
+
+export const getUserTeam = (teams, userId) =>
+  teams.find(team => (team.member_ids || []).includes(userId)) || null;
+
+const average = (rows) => rows.reduce((sum, row) => sum + Number(row.score), 0) / rows.length;
+
+// 'YYYY-MM' of a resolution date
+const monthOf = (row) => String(row.resolved_date).slice(0, 7);
+
+// Ranks every team with at least one scored question, best first
+const rankTeams = (teams, rows, ruleId) => {
+  const byScore = compareScores(ruleId);
+  return teams
+    .map(team => ({ team, rows: rows.filter(row => row.team_id === team.id) }))
+    .filter(entry => entry.rows.length > 0)
+    .map(entry => ({ ...entry, score: average(entry.rows) }))
+    .sort((a, b) => byScore(a.score, b.score));
+};
+
+// Each team's rank and cumulative score at the end of every month in which
+// a question resolved, oldest first. Months before a team's first scored
+// question have a null rank.
+export const buildTeamTrend = (teams, rows, ruleId) => {
+  const months = Array.from(new Set(rows.map(monthOf))).sort();
+  const trend = Object.fromEntries(teams.map(team => [team.id, []]));
+
+  months.forEach(month => {
+    const ranked = rankTeams(teams, rows.filter(row => monthOf(row) <= month), ruleId);
+    teams.forEach(team => {
+      const index = ranked.findIndex(entry => entry.team.id === team.id);
+      trend[team.id].push({
+        month,
+        rank: index === -1 ? null : index + 1,
+        score: index === -1 ? null : ranked[index].score,
+      });
+    });
+  });
+
+  return { months, trend };
+};
+
+// Current standings with each team's trend and its rank movement since the
+// previous month (positive when the team climbed). Teams without a scored
+// question are listed last as `unranked`.
+export const buildTeamLeaderboard = (teams, rows, ruleId) => {
+  const { trend } = buildTeamTrend(teams, rows, ruleId);
+  const ranked = rankTeams(teams, rows, ruleId).map((entry, index) => {
+    const history = trend[entry.team.id];
+    const previous = history.length > 1 ? history[history.length - 2].rank : null;
+    return {
+      ...entry.team,
+      rank: index + 1,
+      score: entry.score.toFixed(3),
+      questionsScored: entry.rows.length,
+      change: previous === null ? null : previous - (index + 1),
+      trend: history,
+    };
+  });
+
+  return {
+    ranked,
+    unranked: teams.filter(team => !ranked.some(entry => entry.id === team.id)),
+  };
+};
@@ -0,0 +1,63 @@
+// src/utils/tournaments.js
+
+// Tournaments (quarterly seasons, department competitions) run from a start
+// to an end date over a set of questions, with their own participants and
+// scoring rule. Rows carry `question_ids` and `participant_ids`, flattened
+// from the join tables by the data service. Only forecasts participants make
+// between those dates count towards a tournament.
+
+export const TOURNAMENT_PHASES = {
+  upcoming: 'Upcoming',
+  active: 'Active',
+  ended: 'Ended',
+};
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// Dates are 'YYYY-MM-DD', so they compare as strings
+export const getTournamentPhase = (tournament, on = today()) => {
+  if (on < tournament.start_date) return 'upcoming';
+  if (on > tournament.end_date) return 'ended';
+  return 'active';
+};
+
+export const isParticipant = (tournament, userId) =>
+  (tournament.participant_ids || []).includes(userId);
+
+export const includesQuestion = (tournament, questionId) =>
+  (tournament.question_ids || []).includes(questionId);
+
+// Whether a forecast made at `timestamp` falls between the start of the
+// tournament's start date and the end of its end date (UTC)
+export const inTournamentWindow = (tournament, timestamp) => {
+  const day = new Date(timestamp).toISOString().split('T')[0];
+  return day >= tournament.start_date && day <= tournament.end_date;
+};
+
+// The revisions a tournament scores: its participants' forecasts made within
+// its dates, as in get_leaderboard (014)
+export const getTournamentRevisions = (tournament, revisions) =>
+  revisions.filter(r =>
+    isParticipant(tournament, r.user_id) &&
+    inTournamentWindow(tournament, r.created_at || r.updated_at)
+  );
+
+// A user's tournaments, running ones first, then upcoming, then the most
+// recently ended
+export const getUserTournaments = (tournaments, userId) => {
+  const order = { active: 0, upcoming: 1, ended: 2 };
+  return tournaments
+    .filter(tournament => isParticipant(tournament, userId))
+    .sort((a, b) =>
+      order[getTournamentPhase(a)] - order[getTournamentPhase(b)] ||
+      b.end_date.localeCompare(a.end_date)
+    );
+};
+
+// Returns an error message, or an empty string when the tournament can be saved
+export const validateTournament = (data) => {
+  if (!data.name.trim()) return 'Give the tournament a name';
+  if (!data.startDate || !data.endDate) return 'Set a start and an end date';
+  if (data.endDate < data.startDate) return 'The end date cannot be before the start date';
+  return '';
+};
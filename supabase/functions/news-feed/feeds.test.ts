@@ -0,0 +1,51 @@
+import { assertEquals } from "https://deno.land/std@0.177.0/testing/asserts.ts";
+import { parseFeed } from "./feeds.ts";
+
+const fixture = (name: string) => Deno.readTextFile(new URL(`./fixtures/${name}`, import.meta.url));
+
+Deno.test("parseFeed reads RSS items, unwrapping CDATA and falling back to a permalink guid", async () => {
+  assertEquals(parseFeed(await fixture("rss.xml"), "Federal Reserve"), [
+    {
+      title: "Federal Reserve issues FOMC statement",
+      url: "https://www.federalreserve.gov/newsevents/pressreleases/monetary20260917a.htm",
+      description: "The Committee decided to maintain the target range for the federal funds rate.",
+      source: "Federal Reserve",
+      provider: "feed",
+      publishedAt: "2026-09-17T18:00:00.000Z"
+    },
+    {
+      title: "Minutes of the Federal Open Market Committee, July 29–30, 2026",
+      url: "https://www.federalreserve.gov/newsevents/pressreleases/monetary20260820a.htm",
+      description: "",
+      source: "Federal Reserve",
+      provider: "feed",
+      publishedAt: "2026-08-20T18:00:00.000Z"
+    }
+  ]);
+});
+
+Deno.test("parseFeed reads Atom entries by their alternate link", async () => {
+  assertEquals(parseFeed(await fixture("atom.xml"), "Bank of England"), [
+    {
+      title: "Bank Rate maintained at 4% & guidance unchanged",
+      url: "https://www.bankofengland.co.uk/monetary-policy-summary/2026/september-2026",
+      description: "The Monetary Policy Committee voted to maintain Bank Rate at 4%.",
+      source: "Bank of England",
+      provider: "feed",
+      publishedAt: "2026-09-18T11:00:00.000Z"
+    },
+    {
+      title: "Consumer price inflation, August 2026",
+      url: "https://www.bankofengland.co.uk/news/2026/september/cpi-august",
+      description: "",
+      source: "Bank of England",
+      provider: "feed",
+      publishedAt: "2026-09-16T06:00:00.000Z"
+    }
+  ]);
+});
+
+Deno.test("parseFeed drops entries without a title or link", () => {
+  const xml = "<rss><channel><item><title>No link</title></item><item><link>https://a.example/</link></item></channel></rss>";
+  assertEquals(parseFeed(xml, "Wire"), []);
+});
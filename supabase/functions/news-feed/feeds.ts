@@ -0,0 +1,94 @@
+// RSS 2.0, RSS 1.0 (RDF) and Atom parsing for the feed sources admins
+// configure in the news_sources table. There is no DOM in edge functions, and
+// the agency feeds are small and flat, so entries are picked out with regular
+// expressions rather than a full XML parser.
+
+import type { Article } from "./providers.ts";
+
+const ENTITIES: Record<string, string> = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " "
+};
+
+const decodeEntities = (text: string) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity: string) => {
+    if (entity[0] !== "#") return ENTITIES[entity.toLowerCase()] ?? match;
+    const code = entity[1].toLowerCase() === "x"
+      ? parseInt(entity.slice(2), 16)
+      : parseInt(entity.slice(1), 10);
+    return Number.isNaN(code) ? match : String.fromCodePoint(code);
+  });
+
+// Plain text from element content: CDATA unwrapped, entities decoded and any
+// markup (often escaped HTML in descriptions) removed
+const toText = (raw: string) =>
+  decodeEntities(raw.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1"))
+    .replace(/<[^>]*>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const escapeName = (name: string) => name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Content of the first of `names` present in `block`; self-closing tags such
+// as Atom's <link href="..."/> are skipped
+const childText = (block: string, names: string[]) => {
+  for (const name of names) {
+    const tag = escapeName(name);
+    const match = block.match(new RegExp(`<${tag}(?:\\s[^>]*)?(?<!/)>([\\s\\S]*?)</${tag}>`, "i"));
+    if (match) {
+      const text = toText(match[1]);
+      if (text) return text;
+    }
+  }
+  return "";
+};
+
+const attribute = (tag: string, name: string) =>
+  tag.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, "i"))?.slice(2).find(v => v !== undefined);
+
+// Atom entries link with <link rel="alternate" href="...">; RSS items with
+// <link>url</link>, falling back to a permalink <guid>
+const entryUrl = (block: string) => {
+  const links = block.match(/<link\b[^>]*>/gi) ?? [];
+  const alternate = links.find(tag => {
+    const rel = attribute(tag, "rel");
+    return attribute(tag, "href") && (!rel || rel === "alternate");
+  });
+  if (alternate) return decodeEntities(attribute(alternate, "href")!);
+  const link = childText(block, ["link"]);
+  if (link) return link;
+  const guid = block.match(/<guid(\s[^>]*)?>([\s\S]*?)<\/guid>/i);
+  if (guid && !/isPermaLink\s*=\s*["']false["']/i.test(guid[1] ?? "")) {
+    const text = toText(guid[2]);
+    if (/^https?:\/\//i.test(text)) return text;
+  }
+  return "";
+};
+
+const toIsoDate = (text: string) => {
+  if (!text) return null;
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// Entries of an RSS or Atom document as articles credited to `source`.
+// Entries without a title or link are dropped.
+export function parseFeed(xml: string, source: string): Article[] {
+  const blocks = xml.match(/<(item|entry)(\s[^>]*)?>[\s\S]*?<\/\1>/gi) ?? [];
+  return blocks
+    .map(block => ({
+      title: childText(block, ["title"]),
+      url: entryUrl(block),
+      description: childText(block, ["description", "summary", "content", "content:encoded"]),
+      source,
+      provider: "feed",
+      publishedAt: toIsoDate(
+        childText(block, ["pubDate", "published", "updated", "dc:date", "a10:updated"])
+      )
+    }))
+    .filter(article => article.title && article.url);
+}
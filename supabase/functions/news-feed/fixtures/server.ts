@@ -0,0 +1,35 @@
+// Local stand-in for the news providers, for running the news-feed function
+// offline. Serves the canned responses in this directory on the paths the
+// providers request, ignoring query parameters and keys, plus an RSS and an
+// Atom feed at /feeds/rss.xml and /feeds/atom.xml to add as news sources:
+//
+//   deno run --allow-net --allow-read supabase/functions/news-feed/fixtures/server.ts
+//   NEWS_FIXTURE_URL=http://host.docker.internal:8787 supabase functions serve news-feed
+//
+// providers.test.ts serves the same handler on its own port.
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+
+const PORT = Number(Deno.env.get("PORT") ?? 8787);
+
+const ROUTES: Record<string, string> = {
+  "/newsapi/v2/top-headlines": "newsapi.json",
+  "/guardian/search": "guardian.json",
+  "/nyt/svc/topstories/v2/business.json": "nyt-topstories.json",
+  "/nyt/svc/search/v2/articlesearch.json": "nyt-articlesearch.json",
+  "/feeds/rss.xml": "rss.xml",
+  "/feeds/atom.xml": "atom.xml"
+};
+
+export async function handleFixture(req: Request): Promise<Response> {
+  const file = ROUTES[new URL(req.url).pathname];
+  if (!file) {
+    return new Response(JSON.stringify({ error: "Unknown fixture" }), { status: 404 });
+  }
+  const body = await Deno.readTextFile(new URL(file, import.meta.url));
+  const contentType = file.endsWith(".xml") ? "application/xml" : "application/json";
+  return new Response(body, { headers: { "Content-Type": contentType } });
+}
+
+if (import.meta.main) {
+  serve(handleFixture, { port: PORT });
+}
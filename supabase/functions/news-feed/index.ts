@@ -0,0 +1,135 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { fetchArticles, type FeedSource } from "./providers.ts";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type"
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CACHE_TTL_MS = 1000 * 60 * 60 * 8; // 8 hours
+// A manual refresh still reuses results this recent, so repeated clicks do
+// not hammer the providers
+const MIN_REFRESH_MS = 1000 * 60 * 5; // 5 minutes
+const RETENTION_DAYS = 30;
+
+const json = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" }
+  });
+
+// Stable cache key for a set of keywords, look-back window and feed sources,
+// so changing the enabled feeds starts a fresh result set
+async function queryKey(keywords: string[], daysBack: number, sources: FeedSource[]) {
+  const feeds = sources.map(s => `${s.id}:${s.url}`).sort().join(",");
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(`${keywords.join(" ")}|${daysBack}|${feeds}`)
+  );
+  return Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+const toResponse = (row: any) => ({
+  title: row.title,
+  url: row.url,
+  description: row.description ?? "",
+  source: row.source,
+  publishedAt: row.published_at
+});
+
+// Fetches economic news for the app's questions from the keyed APIs and the
+// enabled RSS/Atom feeds in `news_sources`. Provider keys stay here as
+// function secrets (NEWS_API_KEY, GUARDIAN_API_KEY, NYT_API_KEY); results are
+// cached per query in `news_articles` for CACHE_TTL_MS, or MIN_REFRESH_MS
+// when the request asks to `refresh`. A malformed request gets a 400; a
+// failing provider or database a 500.
+serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  let body: any;
+  try {
+    body = await req.json();
+  } catch {
+    return json({ error: "Expected a JSON body" }, 400);
+  }
+  const { keywords = [], topic = "economy", daysBack = 35, refresh = false } = body ?? {};
+  if (!Array.isArray(keywords)) {
+    return json({ error: "keywords must be an array" }, 400);
+  }
+
+  try {
+    const terms: string[] = keywords.length
+      ? Array.from(new Set<string>(keywords.map((k: unknown) => String(k).toLowerCase()))).sort()
+      : String(topic).toLowerCase().split(/\s+/).filter(Boolean);
+    const days = Math.min(Math.max(Math.round(Number(daysBack)) || 35, 1), 365);
+
+    const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
+    const serviceRoleKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+    const supabase = createClient(supabaseUrl, serviceRoleKey);
+
+    const { data: sources, error: sourcesError } = await supabase
+      .from("news_sources")
+      .select("id, name, url")
+      .eq("enabled", true);
+    if (sourcesError) return json({ error: sourcesError.message }, 500);
+    const key = await queryKey(terms, days, sources ?? []);
+
+    const { data: cached, error: cacheError } = await supabase
+      .from("news_articles")
+      .select("*")
+      .eq("query_key", key)
+      .gte("fetched_at", new Date(Date.now() - (refresh ? MIN_REFRESH_MS : CACHE_TTL_MS)).toISOString())
+      .order("published_at", { ascending: false });
+    if (cacheError) return json({ error: cacheError.message }, 500);
+    if (cached && cached.length > 0) {
+      return json({ articles: cached.map(toResponse), fetchedAt: cached[0].fetched_at, cached: true });
+    }
+
+    const fromDate = new Date(Date.now() - days * DAY_MS).toISOString().split("T")[0];
+    const articles = await fetchArticles({ keywords: terms, fromDate, sources: sources ?? [] });
+    const fetchedAt = new Date().toISOString();
+
+    // Caching is best effort: the articles are returned either way, but a
+    // stale set that could not be cleared is left rather than added to
+    if (articles.length > 0) {
+      const { error: clearError } = await supabase.from("news_articles").delete().eq("query_key", key);
+      if (clearError) {
+        console.error("Failed to clear cached news", clearError.message);
+      } else {
+        const { error } = await supabase.from("news_articles").insert(
+          articles.map(a => ({
+            query_key: key,
+            url: a.url,
+            title: a.title,
+            description: a.description || null,
+            source: a.source,
+            provider: a.provider,
+            published_at: a.publishedAt,
+            fetched_at: fetchedAt
+          }))
+        );
+        if (error) console.error("Failed to cache news", error.message);
+      }
+    }
+
+    // Drop result sets nobody has asked for in a while
+    await supabase
+      .from("news_articles")
+      .delete()
+      .lt("fetched_at", new Date(Date.now() - RETENTION_DAYS * DAY_MS).toISOString());
+
+    return json({
+      articles: articles.map(({ provider: _provider, ...article }) => article),
+      fetchedAt,
+      cached: false
+    });
+  } catch (err) {
+    return json({ error: String(err) }, 500);
+  }
+});
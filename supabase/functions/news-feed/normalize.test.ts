@@ -0,0 +1,47 @@
+import { assertEquals } from "https://deno.land/std@0.177.0/testing/asserts.ts";
+import type { Article } from "./providers.ts";
+import { canonicalUrl, dedupe, interleave, titleSimilarity } from "./normalize.ts";
+
+const article = (title: string, url: string, publishedAt: string | null = null): Article => ({
+  title,
+  url,
+  description: "",
+  source: "Wire",
+  provider: "fixture",
+  publishedAt
+});
+
+Deno.test("canonicalUrl drops the fragment, tracking parameters, www. and trailing slash", () => {
+  assertEquals(
+    canonicalUrl("https://WWW.Reuters.com/markets/fed/?utm_source=newsapi&id=7&ref=rss#top"),
+    "https://reuters.com/markets/fed/?id=7"
+  );
+  assertEquals(canonicalUrl("https://www.bbc.co.uk/news/"), "https://bbc.co.uk/news");
+  assertEquals(canonicalUrl("  not a url "), "not a url");
+});
+
+Deno.test("titleSimilarity is shared words over all words", () => {
+  assertEquals(titleSimilarity(new Set(["fed", "holds", "rates"]), new Set(["fed", "cuts", "rates"])), 0.5);
+  assertEquals(titleSimilarity(new Set(["fed"]), new Set()), 0);
+});
+
+Deno.test("interleave alternates providers, newest first within each", () => {
+  const a = [article("a old", "a1", "2026-09-01"), article("a new", "a2", "2026-09-10")];
+  const b = [article("b only", "b1", "2026-09-05")];
+  assertEquals(interleave([a, b, []]).map(x => x.title), ["a new", "b only", "a old"]);
+});
+
+Deno.test("dedupe keeps the first copy of a story by URL or near-identical title", () => {
+  const articles = [
+    article("Fed holds rates steady, signals cuts later this year", "https://www.reuters.com/fed/?utm_source=x"),
+    article("Different headline", "https://reuters.com/fed"),
+    article("Fed holds rates steady, signals cuts later this year - The Guardian", "https://theguardian.com/fed"),
+    article("Fed holds rates steady", "https://apnews.com/fed"),
+    article("", "https://example.com/untitled"),
+    article("No link", "")
+  ];
+  assertEquals(dedupe(articles).map(x => x.url), [
+    "https://www.reuters.com/fed/?utm_source=x",
+    "https://apnews.com/fed"
+  ]);
+});
@@ -0,0 +1,83 @@
+// Merging and deduplication of provider results for the news-feed function.
+
+import type { Article } from "./providers.ts";
+
+const TRACKING_PARAMS = new Set(["ref", "cmpid", "smid", "smtyp", "partner"]);
+
+// The same story reached through different links: no fragment, tracking
+// parameters, "www." or trailing slash
+export function canonicalUrl(url: string): string {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = "";
+    parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, "");
+    [...parsed.searchParams.keys()]
+      .filter(key => key.startsWith("utm_") || TRACKING_PARAMS.has(key))
+      .forEach(key => parsed.searchParams.delete(key));
+    return parsed.toString().replace(/\/$/, "");
+  } catch {
+    return url.trim();
+  }
+}
+
+// Titles this similar (shared words over all words) are the same story
+const TITLE_SIMILARITY = 0.7;
+
+// Words of a title without a trailing " - Publisher" or " | Publisher"
+const titleWords = (title: string) =>
+  new Set(
+    title
+      .replace(/\s+[-|\u2013\u2014]\s+[^-|\u2013\u2014]{1,40}$/, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, " ")
+      .trim()
+      .split(" ")
+      .filter(Boolean)
+  );
+
+// Jaccard similarity of two titles' word sets
+export function titleSimilarity(a: Set<string>, b: Set<string>): number {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(word => {
+    if (b.has(word)) shared += 1;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+// One list, newest first within each provider and alternating between
+// providers, so no single provider crowds out the rest
+export function interleave(lists: Article[][]): Article[] {
+  const sorted = lists.map(list =>
+    [...list].sort((a, b) =>
+      new Date(b.publishedAt ?? 0).getTime() - new Date(a.publishedAt ?? 0).getTime()
+    )
+  );
+  const maxLen = Math.max(0, ...sorted.map(list => list.length));
+  const items: Article[] = [];
+  for (let i = 0; i < maxLen; i++) {
+    for (const list of sorted) {
+      if (i < list.length) items.push(list[i]);
+    }
+  }
+  return items;
+}
+
+// Keeps the first copy of each story, matching copies by canonical URL or by
+// near-identical titles across providers, and drops entries without a title
+// or link
+export function dedupe(articles: Article[]): Article[] {
+  const urls = new Set<string>();
+  const titles: Set<string>[] = [];
+  return articles.filter(article => {
+    if (!article.title || !article.url) return false;
+    const url = canonicalUrl(article.url);
+    const words = titleWords(article.title);
+    if (urls.has(url) || titles.some(seen => titleSimilarity(seen, words) >= TITLE_SIMILARITY)) {
+      return false;
+    }
+    urls.add(url);
+    titles.push(words);
+    return true;
+  });
+}
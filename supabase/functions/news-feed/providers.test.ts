@@ -0,0 +1,53 @@
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts";
+import { assertEquals } from "https://deno.land/std@0.177.0/testing/asserts.ts";
+import { handleFixture } from "./fixtures/server.ts";
+import { fetchArticles } from "./providers.ts";
+
+// Clear of a fixture server left running on its default 8787
+const PORT = 8788;
+
+// Serves the fixtures and points every provider at them for the length of `run`
+async function withFixtureServer(run: (baseUrl: string) => Promise<void>) {
+  const controller = new AbortController();
+  let server = Promise.resolve();
+  await new Promise<void>(resolve => {
+    server = serve(handleFixture, { port: PORT, signal: controller.signal, onListen: () => resolve() });
+  });
+  const baseUrl = `http://localhost:${PORT}`;
+  Deno.env.set("NEWS_FIXTURE_URL", baseUrl);
+  try {
+    await run(baseUrl);
+  } finally {
+    Deno.env.delete("NEWS_FIXTURE_URL");
+    controller.abort();
+    await server;
+  }
+}
+
+Deno.test("fetchArticles merges every provider's fixtures without copies of a story", async () => {
+  await withFixtureServer(async baseUrl => {
+    const articles = await fetchArticles({
+      keywords: ["fed", "inflation"],
+      fromDate: "2026-09-01",
+      sources: [
+        { id: "fed", name: "Federal Reserve", url: `${baseUrl}/feeds/rss.xml` },
+        { id: "boe", name: "Bank of England", url: `${baseUrl}/feeds/atom.xml` }
+      ]
+    });
+
+    // Newest first within each provider, taking turns between providers. The
+    // Guardian's copy of the Fed story has the same title as Reuters', the NYT
+    // search hit the same URL as its top story, the phone launch story matches
+    // no keyword and the July meeting's minutes came out before fromDate.
+    assertEquals(articles.map(a => [a.provider, a.source, a.title]), [
+      ["newsapi", "Reuters", "Fed holds rates steady, signals cuts later this year"],
+      ["nyt", "NYTimes", "Why Inflation Is Proving Stubborn"],
+      ["feed", "Bank of England", "Bank Rate maintained at 4% & guidance unchanged"],
+      ["newsapi", "BBC News", "US inflation eases to 2.6% in August"],
+      ["guardian", "The Guardian", "US economy adds 142,000 jobs as unemployment edges down"],
+      ["feed", "Federal Reserve", "Federal Reserve issues FOMC statement"],
+      ["nyt", "NYTimes", "Gross Domestic Product Grew 2.8% in the Second Quarter"],
+      ["feed", "Bank of England", "Consumer price inflation, August 2026"]
+    ]);
+  });
+});
@@ -0,0 +1,171 @@
+// News providers called by the news-feed function. Each one maps its API's
+// response into the shared Article shape and returns [] when its key is not
+// configured or the request fails, so one provider never breaks the feed.
+//
+// Setting NEWS_FIXTURE_URL points every keyed provider at a local fixture
+// server (see fixtures/server.ts) instead of the real APIs, so the function
+// can be run and tested offline without keys. Feed sources are fetched from
+// whatever URL admins configured, which can be the fixture server's feeds.
+
+import { parseFeed } from "./feeds.ts";
+import { dedupe, interleave } from "./normalize.ts";
+
+export type Article = {
+  title: string;
+  url: string;
+  description: string;
+  source: string;
+  provider: string;
+  publishedAt: string | null;
+};
+
+export type FeedSource = {
+  id: string;
+  name: string;
+  url: string;
+};
+
+export type NewsQuery = {
+  keywords: string[];
+  fromDate: string; // YYYY-MM-DD
+  sources: FeedSource[]; // enabled rows of news_sources
+};
+
+const fixtureUrl = () => Deno.env.get("NEWS_FIXTURE_URL")?.replace(/\/$/, "");
+
+const baseUrl = (provider: string, real: string) => {
+  const fixture = fixtureUrl();
+  return fixture ? `${fixture}/${provider}` : real;
+};
+
+// The fixture server accepts any key
+const apiKey = (name: string) => Deno.env.get(name) ?? (fixtureUrl() ? "fixture" : undefined);
+
+const getJson = async (url: string, provider: string) => {
+  const res = await fetch(url);
+  if (!res.ok) {
+    console.warn(`${provider} request failed`, res.status, res.statusText);
+    return null;
+  }
+  return await res.json();
+};
+
+export async function fetchNewsApi(query: NewsQuery): Promise<Article[]> {
+  const key = apiKey("NEWS_API_KEY");
+  if (!key) return [];
+
+  // The free tier only allows the top-headlines endpoint, which rejects the
+  // everything endpoint's date parameters
+  const url =
+    `${baseUrl("newsapi", "https://newsapi.org")}/v2/top-headlines` +
+    `?q=${encodeURIComponent(query.keywords.join(" "))}` +
+    `&sources=ap,bbc-news,reuters,npr,the-guardian-uk` +
+    `&language=en&pageSize=100&apiKey=${key}`;
+  const json = await getJson(url, "NewsAPI");
+  return (json?.articles ?? []).map((a: any) => ({
+    title: a.title,
+    url: a.url,
+    description: a.description ?? "",
+    source: a.source?.name || "NewsAPI",
+    provider: "newsapi",
+    publishedAt: a.publishedAt ?? null,
+  }));
+}
+
+export async function fetchGuardian(query: NewsQuery): Promise<Article[]> {
+  const key = apiKey("GUARDIAN_API_KEY");
+  if (!key) return [];
+
+  const url =
+    `${baseUrl("guardian", "https://content.guardianapis.com")}/search` +
+    `?q=${encodeURIComponent(query.keywords.join(" "))}` +
+    `&from-date=${query.fromDate}&order-by=newest&show-fields=trailText&api-key=${key}`;
+  const json = await getJson(url, "Guardian");
+  return (json?.response?.results ?? []).map((r: any) => ({
+    title: r.webTitle,
+    url: r.webUrl,
+    description: r.fields?.trailText ?? "",
+    source: "The Guardian",
+    provider: "guardian",
+    publishedAt: r.webPublicationDate ?? null,
+  }));
+}
+
+export async function fetchNyt(query: NewsQuery): Promise<Article[]> {
+  const key = apiKey("NYT_API_KEY");
+  if (!key) return [];
+  const base = baseUrl("nyt", "https://api.nytimes.com");
+
+  const toArticle = (title: string, url: string, description: string, publishedAt: string | null) => ({
+    title,
+    url,
+    description: description ?? "",
+    source: "NYTimes",
+    provider: "nyt",
+    publishedAt,
+  });
+
+  // Business top stories, narrowed to the query's keywords
+  const top = await getJson(`${base}/svc/topstories/v2/business.json?api-key=${key}`, "NYTimes");
+  const topItems = (top?.results ?? [])
+    .filter((r: any) =>
+      query.keywords.some(k =>
+        r.title.toLowerCase().includes(k) || (r.abstract ?? "").toLowerCase().includes(k)
+      )
+    )
+    .map((r: any) => toArticle(r.title, r.url, r.abstract, r.published_date ?? null));
+
+  const search = await getJson(
+    `${base}/svc/search/v2/articlesearch.json` +
+      `?q=${encodeURIComponent(query.keywords.join(" "))}` +
+      `&begin_date=${query.fromDate.replace(/-/g, "")}&sort=newest&api-key=${key}`,
+    "NYTimes"
+  );
+  const searchItems = (search?.response?.docs ?? []).map((doc: any) =>
+    toArticle(doc.headline.main, doc.web_url, doc.abstract, doc.pub_date ?? null)
+  );
+
+  return [...topItems, ...searchItems];
+}
+
+// RSS and Atom feeds need no key. Every entry since `fromDate` is kept,
+// whatever the keywords; relevance to questions is ranked in the app.
+export async function fetchFeedSources(query: NewsQuery): Promise<Article[]> {
+  const from = new Date(query.fromDate).getTime();
+  const lists = await Promise.all(
+    query.sources.map(async source => {
+      try {
+        const res = await fetch(source.url, {
+          headers: { Accept: "application/rss+xml, application/atom+xml, application/xml, text/xml" }
+        });
+        if (!res.ok) {
+          console.warn(`${source.name} feed request failed`, res.status, res.statusText);
+          return [];
+        }
+        return parseFeed(await res.text(), source.name);
+      } catch (err) {
+        console.error(`${source.name} feed error`, err);
+        return [];
+      }
+    })
+  );
+  return lists
+    .flat()
+    .filter(article => !article.publishedAt || new Date(article.publishedAt).getTime() >= from);
+}
+
+export const PROVIDERS = [fetchNewsApi, fetchGuardian, fetchNyt, fetchFeedSources];
+
+// Every provider's articles for `query` in one list, without copies of the
+// same story. A provider that throws is logged and contributes nothing.
+export async function fetchArticles(query: NewsQuery): Promise<Article[]> {
+  const lists = await Promise.all(
+    PROVIDERS.map(provider =>
+      provider(query).catch(err => {
+        console.error(`${provider.name} error`, err);
+        return [];
+      })
+    )
+  );
+  return dedupe(interleave(lists));
+}
@@ -0,0 +1,76 @@
+-- Append-only history of every forecast submission.
+-- `forecasts` keeps holding the current forecast per user and question;
+-- each insert or update is copied here so revisions are never overwritten.
+
+CREATE TABLE IF NOT EXISTS public.forecast_revisions (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    forecast_id uuid REFERENCES public.forecasts(id) ON DELETE SET NULL,
+    user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    question_id uuid NOT NULL REFERENCES public.questions(id) ON DELETE CASCADE,
+    forecast jsonb NOT NULL,
+    created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS forecast_revisions_user_question_idx
+    ON public.forecast_revisions(user_id, question_id, created_at);
+CREATE INDEX IF NOT EXISTS forecast_revisions_question_id_idx
+    ON public.forecast_revisions(question_id);
+
+ALTER TABLE public.forecast_revisions ENABLE ROW LEVEL SECURITY;
+
+-- Revisions are written only by the trigger below and never updated or
+-- deleted by clients, so reading is the only policy we grant.
+DROP POLICY IF EXISTS "Users can read all forecast revisions" ON public.forecast_revisions;
+CREATE POLICY "Users can read all forecast revisions" ON public.forecast_revisions
+    FOR SELECT USING (true);
+
+-- Submission times come from the server clock, never the client, so nobody
+-- can backdate or future-date a forecast or its revision
+CREATE OR REPLACE FUNCTION public.stamp_forecast_time()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    NEW.updated_at := now();
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_forecast_stamped ON public.forecasts;
+CREATE TRIGGER on_forecast_stamped
+    BEFORE INSERT OR UPDATE ON public.forecasts
+    FOR EACH ROW EXECUTE FUNCTION public.stamp_forecast_time();
+
+CREATE OR REPLACE FUNCTION public.record_forecast_revision()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    -- Skip no-op upserts so the history only grows on real changes
+    IF TG_OP = 'UPDATE' AND NEW.forecast IS NOT DISTINCT FROM OLD.forecast THEN
+        RETURN NEW;
+    END IF;
+
+    INSERT INTO public.forecast_revisions(forecast_id, user_id, question_id, forecast, created_at)
+    VALUES (NEW.id, NEW.user_id, NEW.question_id, NEW.forecast, now());
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_forecast_written ON public.forecasts;
+CREATE TRIGGER on_forecast_written
+    AFTER INSERT OR UPDATE ON public.forecasts
+    FOR EACH ROW EXECUTE FUNCTION public.record_forecast_revision();
+
+-- Seed the history with the forecasts that already exist
+INSERT INTO public.forecast_revisions(forecast_id, user_id, question_id, forecast, created_at)
+SELECT f.id, f.user_id, f.question_id, f.forecast, COALESCE(f.updated_at, f.created_at, now())
+FROM public.forecasts f
+WHERE NOT EXISTS (
+    SELECT 1 FROM public.forecast_revisions r WHERE r.forecast_id = f.id
+);
+
+NOTIFY pgrst, 'reload schema';
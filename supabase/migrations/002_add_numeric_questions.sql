@@ -0,0 +1,25 @@
+-- Adds the `numeric` question type: forecasts are percentiles over a
+-- [range_min, range_max] interval whose tails may be open or closed,
+-- and the resolution is the observed number.
+
+ALTER TABLE public.questions DROP CONSTRAINT IF EXISTS questions_type_check;
+ALTER TABLE public.questions
+    ADD CONSTRAINT questions_type_check
+    CHECK (type IN ('binary', 'three-category', 'multiple-choice', 'numeric'));
+
+ALTER TABLE public.questions
+    ADD COLUMN IF NOT EXISTS range_min numeric,
+    ADD COLUMN IF NOT EXISTS range_max numeric,
+    ADD COLUMN IF NOT EXISTS open_lower_bound boolean NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS open_upper_bound boolean NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS unit text;
+
+ALTER TABLE public.questions DROP CONSTRAINT IF EXISTS numeric_question_range_valid;
+ALTER TABLE public.questions
+    ADD CONSTRAINT numeric_question_range_valid
+    CHECK (
+        type <> 'numeric'
+        OR (range_min IS NOT NULL AND range_max IS NOT NULL AND range_min < range_max)
+    );
+
+NOTIFY pgrst, 'reload schema';
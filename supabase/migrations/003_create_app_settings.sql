@@ -0,0 +1,27 @@
+-- Platform-wide settings stored as key/value pairs, e.g. the default
+-- scoring rule used to rank the leaderboard.
+
+CREATE TABLE IF NOT EXISTS public.app_settings (
+    key text PRIMARY KEY,
+    value jsonb NOT NULL,
+    updated_by uuid REFERENCES public.users(id) ON DELETE SET NULL,
+    updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE public.app_settings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can read settings" ON public.app_settings;
+CREATE POLICY "Anyone can read settings" ON public.app_settings
+    FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Admins can manage settings" ON public.app_settings;
+CREATE POLICY "Admins can manage settings" ON public.app_settings
+    FOR ALL USING (
+        EXISTS (SELECT 1 FROM public.users WHERE id = auth.uid() AND role = 'admin')
+    );
+
+INSERT INTO public.app_settings(key, value)
+VALUES ('default_scoring_rule', '"brier"'::jsonb)
+ON CONFLICT (key) DO NOTHING;
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,11 @@
+-- Leaderboard participation settings: the number of resolved questions a
+-- forecaster needs before being ranked, and the score imputed for resolved
+-- questions they skipped ('crowd' median or 'uniform' forecast).
+
+INSERT INTO public.app_settings(key, value)
+VALUES
+    ('min_resolved_questions', '3'::jsonb),
+    ('skip_imputation', '"crowd"'::jsonb)
+ON CONFLICT (key) DO NOTHING;
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,746 @@
+-- Server-side scoring. Scores used to be recomputed in the browser from every
+-- forecast on every render; they are now computed here once per resolved
+-- question, stored in `question_scores`, and ranked by `get_leaderboard`.
+-- The functions mirror src/utils/scoringRules.js, src/utils/numericForecast.js
+-- and the median crowd in src/utils/aggregation.js - keep them in sync.
+
+CREATE TABLE IF NOT EXISTS public.question_scores (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    question_id uuid NOT NULL REFERENCES public.questions(id) ON DELETE CASCADE,
+    -- 'user' rows belong to a forecaster; 'crowd' and 'uniform' rows score the
+    -- median crowd and the no-information forecast and have no user_id
+    kind text NOT NULL DEFAULT 'user' CHECK (kind IN ('user', 'crowd', 'uniform')),
+    user_id uuid REFERENCES public.users(id) ON DELETE CASCADE,
+    rule text NOT NULL,
+    score double precision NOT NULL,
+    correct boolean,
+    computed_at timestamptz NOT NULL DEFAULT now(),
+    CHECK ((kind = 'user') = (user_id IS NOT NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS question_scores_key_idx
+    ON public.question_scores(question_id, kind, rule, COALESCE(user_id, '00000000-0000-0000-0000-000000000000'::uuid));
+CREATE INDEX IF NOT EXISTS question_scores_rule_user_idx
+    ON public.question_scores(rule, user_id);
+
+ALTER TABLE public.question_scores ENABLE ROW LEVEL SECURITY;
+
+-- Scores are written only by recompute_question_scores below
+DROP POLICY IF EXISTS "Users can read question scores" ON public.question_scores;
+CREATE POLICY "Users can read question scores" ON public.question_scores
+    FOR SELECT USING (true);
+
+-- Median of values where each carries a weight; when exactly half the weight
+-- sits below a value it is averaged with the next one
+CREATE OR REPLACE FUNCTION public.weighted_median(vals double precision[], weights double precision[])
+RETURNS double precision
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    half double precision;
+    running double precision := 0;
+    pair record;
+    previous double precision;
+    waiting boolean := false;
+BEGIN
+    IF vals IS NULL OR array_length(vals, 1) IS NULL THEN
+        RETURN 0;
+    END IF;
+
+    SELECT sum(w) / 2 INTO half FROM unnest(weights) AS w;
+
+    FOR pair IN
+        SELECT v, w FROM unnest(vals, weights) AS t(v, w) ORDER BY v
+    LOOP
+        IF waiting THEN
+            RETURN (previous + pair.v) / 2;
+        END IF;
+        running := running + pair.w;
+        IF running > half THEN
+            RETURN pair.v;
+        END IF;
+        IF running = half THEN
+            waiting := true;
+        END IF;
+        previous := pair.v;
+    END LOOP;
+
+    RETURN previous;
+END;
+$$;
+
+-- Outcome keys in the order a forecast object stores them
+CREATE OR REPLACE FUNCTION public.question_outcome_keys(q public.questions)
+RETURNS text[]
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE q.type
+        WHEN 'binary' THEN ARRAY['probability']
+        WHEN 'three-category' THEN ARRAY['increase', 'unchanged', 'decrease']
+        WHEN 'multiple-choice' THEN ARRAY(SELECT jsonb_array_elements_text(COALESCE(q.options, '[]'::jsonb)))
+        ELSE ARRAY[]::text[]
+    END;
+$$;
+
+-- A forecast value as a number, reading `remain unchanged` for older
+-- three-category forecasts
+CREATE OR REPLACE FUNCTION public.forecast_value(forecast jsonb, key text)
+RETURNS double precision
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT COALESCE(
+        CASE
+            WHEN key = 'unchanged' AND NOT forecast ? 'unchanged' THEN forecast ->> 'remain unchanged'
+            ELSE forecast ->> key
+        END,
+        '0'
+    )::double precision;
+$$;
+
+-- Resolution as text; three-category labels such as "Remain Unchanged" map
+-- to the `unchanged` key
+CREATE OR REPLACE FUNCTION public.resolution_key(q public.questions)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE
+        WHEN q.type = 'three-category' AND lower(q.resolution #>> '{}') LIKE '%unchanged%' THEN 'unchanged'
+        WHEN q.type = 'three-category' THEN lower(q.resolution #>> '{}')
+        ELSE q.resolution #>> '{}'
+    END;
+$$;
+
+-- A numeric resolution as a number, or NULL when it is missing or not
+-- numeric; mirrors parseResolution in src/utils/numericForecast.js
+CREATE OR REPLACE FUNCTION public.parse_resolution(resolution jsonb)
+RETURNS double precision
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE
+        WHEN jsonb_typeof(resolution) = 'number' THEN (resolution #>> '{}')::double precision
+        WHEN jsonb_typeof(resolution) = 'string'
+            AND btrim(resolution #>> '{}') ~ '^[+-]?([0-9]+\.?[0-9]*|\.[0-9]+)([eE][+-]?[0-9]+)?$'
+            THEN btrim(resolution #>> '{}')::double precision
+    END;
+$$;
+
+-- Whether a question is resolved with a resolution its type can score. A
+-- numeric question resolved without a usable value is left unscored, like
+-- an unresolved one; mirrors isScorable in src/utils/scoringRules.js.
+CREATE OR REPLACE FUNCTION public.is_scorable(q public.questions)
+RETURNS boolean
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT COALESCE(q.is_resolved, false)
+        AND COALESCE(jsonb_typeof(q.resolution), 'null') <> 'null'
+        AND (q.type <> 'numeric' OR public.parse_resolution(q.resolution) IS NOT NULL);
+$$;
+
+-- The "no information" forecast: equal probability on every outcome, or a
+-- uniform distribution over a numeric range
+CREATE OR REPLACE FUNCTION public.uniform_forecast(q public.questions)
+RETURNS jsonb
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    keys text[] := public.question_outcome_keys(q);
+    width double precision;
+    start double precision;
+BEGIN
+    IF q.type = 'binary' THEN
+        RETURN jsonb_build_object('probability', 50);
+    ELSIF q.type = 'numeric' THEN
+        width := CASE WHEN q.range_max > q.range_min THEN q.range_max - q.range_min ELSE 100 END;
+        start := COALESCE(q.range_min, 0);
+        RETURN (
+            SELECT jsonb_object_agg('p' || p, round((start + width * p / 100)::numeric, 2))
+            FROM unnest(ARRAY[10, 25, 50, 75, 90]) AS p
+        );
+    ELSIF array_length(keys, 1) IS NULL THEN
+        RETURN '{}'::jsonb;
+    END IF;
+    RETURN (
+        SELECT jsonb_object_agg(k, 100.0 / array_length(keys, 1))
+        FROM unnest(keys) AS k
+    );
+END;
+$$;
+
+-- Probabilities (0-1) for every outcome and the 1-based index of the one that
+-- happened (0 when the resolution matches no outcome)
+CREATE OR REPLACE FUNCTION public.outcome_probabilities(
+    forecast jsonb,
+    q public.questions,
+    OUT probs double precision[],
+    OUT outcome_index integer
+)
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    keys text[] := public.question_outcome_keys(q);
+    p double precision;
+BEGIN
+    IF q.type = 'binary' THEN
+        p := public.forecast_value(forecast, 'probability') / 100;
+        probs := ARRAY[p, 1 - p];
+        outcome_index := CASE WHEN public.resolution_key(q) = 'true' THEN 1 ELSE 2 END;
+        RETURN;
+    END IF;
+
+    IF q.type = 'multiple-choice' AND array_length(keys, 1) IS NULL THEN
+        keys := ARRAY(SELECT jsonb_object_keys(forecast));
+    END IF;
+
+    probs := ARRAY(SELECT public.forecast_value(forecast, k) / 100 FROM unnest(keys) WITH ORDINALITY AS t(k, i) ORDER BY i);
+    outcome_index := COALESCE(array_position(keys, public.resolution_key(q)), 0);
+END;
+$$;
+
+-- Points (x, cumulative probability) of a numeric forecast's piecewise-linear
+-- CDF. Closed tails end at the range bound; open tails extend the slope of
+-- the outer percentile pair.
+CREATE OR REPLACE FUNCTION public.numeric_cdf_points(
+    forecast jsonb,
+    q public.questions,
+    OUT xs double precision[],
+    OUT qs double precision[]
+)
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    p10 double precision := (forecast ->> 'p10')::double precision;
+    p25 double precision := (forecast ->> 'p25')::double precision;
+    p50 double precision := (forecast ->> 'p50')::double precision;
+    p75 double precision := (forecast ->> 'p75')::double precision;
+    p90 double precision := (forecast ->> 'p90')::double precision;
+    lower_x double precision;
+    upper_x double precision;
+BEGIN
+    IF q.open_lower_bound OR q.range_min IS NULL THEN
+        lower_x := p10 - ((p25 - p10) / 0.15) * 0.1;
+    ELSE
+        lower_x := LEAST(q.range_min, p10);
+    END IF;
+
+    IF q.open_upper_bound OR q.range_max IS NULL THEN
+        upper_x := p90 + ((p90 - p75) / 0.15) * 0.1;
+    ELSE
+        upper_x := GREATEST(q.range_max, p90);
+    END IF;
+
+    xs := ARRAY[lower_x, p10, p25, p50, p75, p90, upper_x];
+    qs := ARRAY[0, 0.1, 0.25, 0.5, 0.75, 0.9, 1]::double precision[];
+END;
+$$;
+
+-- Width used to make numeric scores independent of the question's units
+CREATE OR REPLACE FUNCTION public.numeric_scale_width(q public.questions, xs double precision[])
+RETURNS double precision
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE
+        WHEN q.range_max > q.range_min THEN (q.range_max - q.range_min)::double precision
+        ELSE COALESCE(NULLIF(xs[array_length(xs, 1)] - xs[1], 0), 1)
+    END;
+$$;
+
+-- Density of the piecewise-linear CDF at x (constant per segment)
+CREATE OR REPLACE FUNCTION public.numeric_density_at(xs double precision[], qs double precision[], x double precision)
+RETURNS double precision
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+BEGIN
+    FOR i IN 1 .. array_length(xs, 1) - 1 LOOP
+        IF xs[i + 1] > xs[i] AND x >= xs[i] AND x <= xs[i + 1] THEN
+            RETURN (qs[i + 1] - qs[i]) / (xs[i + 1] - xs[i]);
+        END IF;
+    END LOOP;
+    RETURN 0;
+END;
+$$;
+
+-- Integral of the squared density, used by the spherical score
+CREATE OR REPLACE FUNCTION public.numeric_squared_density(xs double precision[], qs double precision[])
+RETURNS double precision
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    total double precision := 0;
+BEGIN
+    FOR i IN 1 .. array_length(xs, 1) - 1 LOOP
+        IF xs[i + 1] > xs[i] THEN
+            total := total + power(qs[i + 1] - qs[i], 2) / (xs[i + 1] - xs[i]);
+        END IF;
+    END LOOP;
+    RETURN total;
+END;
+$$;
+
+-- Exact CRPS of the piecewise-linear CDF against the observed value
+CREATE OR REPLACE FUNCTION public.numeric_crps(xs double precision[], qs double precision[], outcome double precision)
+RETURNS double precision
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    n integer := array_length(xs, 1);
+    total double precision := 0;
+    seg_start double precision;
+    seg_end double precision;
+    f0 double precision;
+    f1 double precision;
+BEGIN
+    IF outcome < xs[1] THEN
+        total := total + xs[1] - outcome;
+    END IF;
+    IF outcome > xs[n] THEN
+        total := total + outcome - xs[n];
+    END IF;
+
+    FOR i IN 1 .. n - 1 LOOP
+        CONTINUE WHEN xs[i + 1] <= xs[i];
+
+        -- Part of the segment left of the outcome: integrate F^2
+        IF xs[i] < outcome THEN
+            seg_end := LEAST(xs[i + 1], outcome);
+            f0 := qs[i];
+            f1 := qs[i] + ((seg_end - xs[i]) / (xs[i + 1] - xs[i])) * (qs[i + 1] - qs[i]);
+            total := total + (seg_end - xs[i]) * (f0 * f0 + f0 * f1 + f1 * f1) / 3;
+        END IF;
+
+        -- Part right of the outcome: integrate (1 - F)^2
+        IF xs[i + 1] > outcome THEN
+            seg_start := GREATEST(xs[i], outcome);
+            f0 := 1 - (qs[i] + ((seg_start - xs[i]) / (xs[i + 1] - xs[i])) * (qs[i + 1] - qs[i]));
+            f1 := 1 - qs[i + 1];
+            total := total + (xs[i + 1] - seg_start) * (f0 * f0 + f0 * f1 + f1 * f1) / 3;
+        END IF;
+    END LOOP;
+
+    RETURN total;
+END;
+$$;
+
+-- Score of one forecast on a resolved question under a scoring rule. `crowd`
+-- is the crowd forecast in effect when the forecast was made and is only
+-- read by the relative-crowd rule. NULL for a numeric question without a
+-- usable resolution.
+CREATE OR REPLACE FUNCTION public.score_forecast(
+    forecast jsonb,
+    q public.questions,
+    rule text,
+    crowd jsonb DEFAULT NULL
+)
+RETURNS double precision
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    outcome double precision;
+    cdf record;
+    width double precision;
+    norm double precision;
+    op record;
+BEGIN
+    IF rule = 'relative-uniform' THEN
+        RETURN public.score_forecast(forecast, q, 'brier')
+            - public.score_forecast(public.uniform_forecast(q), q, 'brier');
+    ELSIF rule = 'relative-crowd' THEN
+        RETURN public.score_forecast(forecast, q, 'brier')
+            - CASE WHEN crowd IS NULL THEN 0 ELSE public.score_forecast(crowd, q, 'brier') END;
+    END IF;
+
+    IF q.type = 'numeric' THEN
+        outcome := public.parse_resolution(q.resolution);
+        IF outcome IS NULL THEN
+            RETURN NULL;
+        END IF;
+        SELECT * INTO cdf FROM public.numeric_cdf_points(forecast, q);
+        width := public.numeric_scale_width(q, cdf.xs);
+        IF rule = 'log' THEN
+            RETURN -ln(GREATEST(public.numeric_density_at(cdf.xs, cdf.qs, outcome) * width, 0.001));
+        ELSIF rule = 'spherical' THEN
+            norm := sqrt(public.numeric_squared_density(cdf.xs, cdf.qs));
+            IF norm = 0 THEN
+                RETURN 0;
+            END IF;
+            RETURN public.numeric_density_at(cdf.xs, cdf.qs, outcome) * sqrt(width) / norm;
+        END IF;
+        RETURN public.numeric_crps(cdf.xs, cdf.qs, outcome) / width;
+    END IF;
+
+    SELECT * INTO op FROM public.outcome_probabilities(forecast, q);
+
+    IF rule = 'log' THEN
+        RETURN -ln(GREATEST(CASE WHEN op.outcome_index > 0 THEN op.probs[op.outcome_index] ELSE 0 END, 0.001));
+    ELSIF rule = 'spherical' THEN
+        SELECT sqrt(sum(p * p)) INTO norm FROM unnest(op.probs) AS p;
+        IF COALESCE(norm, 0) = 0 OR op.outcome_index = 0 THEN
+            RETURN 0;
+        END IF;
+        RETURN op.probs[op.outcome_index] / norm;
+    END IF;
+
+    RETURN COALESCE((
+        SELECT sum(power(p - CASE WHEN i = op.outcome_index THEN 1 ELSE 0 END, 2))
+        FROM unnest(op.probs) WITH ORDINALITY AS t(p, i)
+    ), 0);
+END;
+$$;
+
+-- Whether a forecaster's final forecast "called" the outcome: the most likely
+-- outcome happened, or a numeric outcome fell inside the 80% interval
+CREATE OR REPLACE FUNCTION public.forecast_is_correct(forecast jsonb, q public.questions)
+RETURNS boolean
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    outcome double precision;
+BEGIN
+    IF q.type = 'binary' THEN
+        RETURN (public.forecast_value(forecast, 'probability') > 50) = (public.resolution_key(q) = 'true');
+    ELSIF q.type = 'numeric' THEN
+        outcome := public.parse_resolution(q.resolution);
+        RETURN outcome BETWEEN (forecast ->> 'p10')::double precision AND (forecast ->> 'p90')::double precision;
+    END IF;
+    RETURN (
+        SELECT k = public.resolution_key(q)
+        FROM unnest(public.question_outcome_keys(q)) WITH ORDINALITY AS t(k, i)
+        ORDER BY public.forecast_value(forecast, k) DESC, i DESC
+        LIMIT 1
+    );
+END;
+$$;
+
+-- Recency-weighted median of every forecaster's latest forecast on a question
+-- as it stood at `as_of`; forecasts lose half their weight every 14 days
+CREATE OR REPLACE FUNCTION public.crowd_forecast_at(q public.questions, as_of timestamptz)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+    keys text[] := public.question_outcome_keys(q);
+    forecasts jsonb[];
+    weights double precision[];
+    medians double precision[];
+    total double precision;
+BEGIN
+    SELECT array_agg(latest.forecast),
+           array_agg(power(0.5, GREATEST(0, extract(epoch FROM (as_of - latest.created_at)) / 86400) / 14))
+    INTO forecasts, weights
+    FROM (
+        SELECT DISTINCT ON (r.user_id) r.forecast, r.created_at
+        FROM public.forecast_revisions r
+        WHERE r.question_id = q.id AND r.created_at <= as_of
+        ORDER BY r.user_id, r.created_at DESC
+    ) latest;
+
+    IF forecasts IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    -- Numeric questions average each percentile separately
+    IF q.type = 'numeric' THEN
+        RETURN (
+            SELECT jsonb_object_agg(
+                'p' || p,
+                public.weighted_median(
+                    ARRAY(SELECT (f ->> ('p' || p))::double precision FROM unnest(forecasts) AS f),
+                    weights
+                )
+            )
+            FROM unnest(ARRAY[10, 25, 50, 75, 90]) AS p
+        );
+    END IF;
+
+    IF q.type = 'binary' THEN
+        medians := ARRAY[
+            public.weighted_median(ARRAY(SELECT public.forecast_value(f, 'probability') / 100 FROM unnest(forecasts) AS f), weights),
+            public.weighted_median(ARRAY(SELECT 1 - public.forecast_value(f, 'probability') / 100 FROM unnest(forecasts) AS f), weights)
+        ];
+    ELSE
+        medians := ARRAY(
+            SELECT public.weighted_median(
+                ARRAY(SELECT public.forecast_value(f, k) / 100 FROM unnest(forecasts) AS f),
+                weights
+            )
+            FROM unnest(keys) WITH ORDINALITY AS t(k, i)
+            ORDER BY i
+        );
+    END IF;
+
+    -- Per-outcome medians need not sum to one, so renormalize
+    SELECT COALESCE(NULLIF(sum(m), 0), 1) INTO total FROM unnest(medians) AS m;
+
+    IF q.type = 'binary' THEN
+        RETURN jsonb_build_object('probability', medians[1] / total * 100);
+    END IF;
+    RETURN (
+        SELECT jsonb_object_agg(k, medians[i] / total * 100)
+        FROM unnest(keys) WITH ORDINALITY AS t(k, i)
+    );
+END;
+$$;
+
+-- Rebuilds the stored scores for one question: every forecaster, the crowd
+-- and the uniform baseline, under every scoring rule. Each revision is scored
+-- and weighted by the number of days it stood before the next revision or
+-- the resolution date.
+CREATE OR REPLACE FUNCTION public.recompute_question_scores(p_question_id uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    q public.questions;
+    resolution_at timestamptz;
+    rules text[] := ARRAY['brier', 'log', 'spherical', 'relative-crowd', 'relative-uniform'];
+BEGIN
+    DELETE FROM public.question_scores WHERE question_id = p_question_id;
+
+    SELECT * INTO q FROM public.questions WHERE id = p_question_id;
+    IF NOT FOUND OR NOT public.is_scorable(q) THEN
+        RETURN;
+    END IF;
+
+    resolution_at := COALESCE(q.resolved_date, q.close_date, now()::date)::timestamp AT TIME ZONE 'UTC';
+
+    -- The crowd forecast in effect when a revision was made is the crowd as
+    -- of that revision's own timestamp
+    INSERT INTO public.question_scores(question_id, kind, user_id, rule, score, correct)
+    SELECT q.id, 'user', scored.user_id, scored.rule,
+           sum(scored.score * scored.days) / sum(scored.days),
+           bool_or(scored.next_at IS NULL AND public.forecast_is_correct(scored.forecast, q))
+    FROM (
+        SELECT r.user_id, r.forecast, r.next_at, rule,
+               GREATEST(1, floor(extract(epoch FROM (COALESCE(r.next_at, resolution_at) - r.created_at)) / 86400) + 1) AS days,
+               public.score_forecast(r.forecast, q, rule, r.crowd) AS score
+        FROM (
+            SELECT rev.user_id, rev.forecast, rev.created_at,
+                   lead(rev.created_at) OVER (PARTITION BY rev.user_id ORDER BY rev.created_at) AS next_at,
+                   public.crowd_forecast_at(q, rev.created_at) AS crowd
+            FROM public.forecast_revisions rev
+            WHERE rev.question_id = q.id
+        ) r
+        CROSS JOIN unnest(rules) AS rule
+    ) scored
+    GROUP BY scored.user_id, scored.rule;
+
+    INSERT INTO public.question_scores(question_id, kind, rule, score)
+    SELECT q.id, 'crowd', rule,
+           sum(public.score_forecast(c.forecast, q, rule, c.forecast) * c.days) / sum(c.days)
+    FROM (
+        SELECT public.crowd_forecast_at(q, t.created_at) AS forecast,
+               GREATEST(1, floor(extract(epoch FROM (COALESCE(t.next_at, resolution_at) - t.created_at)) / 86400) + 1) AS days
+        FROM (
+            SELECT created_at, lead(created_at) OVER (ORDER BY created_at) AS next_at
+            FROM (SELECT DISTINCT created_at FROM public.forecast_revisions WHERE question_id = q.id) times
+        ) t
+    ) c
+    CROSS JOIN unnest(rules) AS rule
+    GROUP BY rule;
+
+    INSERT INTO public.question_scores(question_id, kind, rule, score)
+    SELECT q.id, 'uniform', rule, public.score_forecast(public.uniform_forecast(q), q, rule)
+    FROM unnest(rules) AS rule;
+END;
+$$;
+
+-- Only the triggers below rescore; a client call would be an expensive no-op
+REVOKE EXECUTE ON FUNCTION public.recompute_question_scores(uuid) FROM PUBLIC, anon, authenticated;
+
+CREATE OR REPLACE FUNCTION public.on_question_resolution_changed()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF TG_OP = 'INSERT'
+        OR NEW.is_resolved IS DISTINCT FROM OLD.is_resolved
+        OR NEW.resolution IS DISTINCT FROM OLD.resolution
+        OR NEW.resolved_date IS DISTINCT FROM OLD.resolved_date THEN
+        PERFORM public.recompute_question_scores(NEW.id);
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_question_resolution_changed ON public.questions;
+CREATE TRIGGER on_question_resolution_changed
+    AFTER INSERT OR UPDATE ON public.questions
+    FOR EACH ROW EXECUTE FUNCTION public.on_question_resolution_changed();
+
+-- Late revisions on an already resolved question (e.g. backfills) rescore it
+CREATE OR REPLACE FUNCTION public.on_resolved_revision_written()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM public.questions WHERE id = NEW.question_id AND is_resolved) THEN
+        PERFORM public.recompute_question_scores(NEW.question_id);
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_resolved_revision_written ON public.forecast_revisions;
+CREATE TRIGGER on_resolved_revision_written
+    AFTER INSERT ON public.forecast_revisions
+    FOR EACH ROW EXECUTE FUNCTION public.on_resolved_revision_written();
+
+-- Ranked leaderboard for a scoring rule (the platform default when NULL),
+-- best first. Forecasters below `min_resolved_questions` come last, and they
+-- and the crowd get a NULL rank. Only the spherical rule is higher-is-better.
+-- With p_penalize_skips, skipped resolved questions count at the imputed
+-- score chosen by the `skip_imputation` setting.
+CREATE OR REPLACE FUNCTION public.get_leaderboard(
+    p_rule text DEFAULT NULL,
+    p_penalize_skips boolean DEFAULT false
+)
+RETURNS TABLE (
+    user_id uuid,
+    name text,
+    email text,
+    is_crowd boolean,
+    score double precision,
+    adjusted_score double precision,
+    resolved_answered integer,
+    questions_answered integer,
+    accuracy double precision,
+    rank integer,
+    min_resolved integer
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_rule text;
+    v_min_resolved integer;
+    v_imputation text;
+    v_resolved_count integer;
+BEGIN
+    SELECT COALESCE(p_rule, (SELECT value #>> '{}' FROM public.app_settings WHERE key = 'default_scoring_rule'), 'brier')
+    INTO v_rule;
+    SELECT GREATEST(1, COALESCE((SELECT (value #>> '{}')::integer FROM public.app_settings WHERE key = 'min_resolved_questions'), 1))
+    INTO v_min_resolved;
+    SELECT COALESCE((SELECT value #>> '{}' FROM public.app_settings WHERE key = 'skip_imputation'), 'crowd')
+    INTO v_imputation;
+    SELECT count(*) INTO v_resolved_count FROM public.questions q WHERE public.is_scorable(q);
+
+    RETURN QUERY
+    WITH imputed AS (
+        SELECT u.question_id,
+               COALESCE(CASE WHEN v_imputation = 'crowd' THEN c.score END, u.score) AS score
+        FROM public.question_scores u
+        LEFT JOIN public.question_scores c
+            ON c.question_id = u.question_id AND c.kind = 'crowd' AND c.rule = v_rule
+        WHERE u.kind = 'uniform' AND u.rule = v_rule
+    ),
+    entries AS (
+        SELECT usr.id AS entry_id, usr.name AS entry_name, usr.email AS entry_email, false AS crowd,
+               (SELECT count(DISTINCT f.question_id) FROM public.forecasts f WHERE f.user_id = usr.id)::integer AS answered
+        FROM public.users usr
+        UNION ALL
+        SELECT NULL, 'Crowd (median)', 'Aggregate of every forecaster', true,
+               (SELECT count(DISTINCT f.question_id) FROM public.forecasts f)::integer
+        WHERE EXISTS (SELECT 1 FROM public.forecasts)
+    ),
+    stats AS (
+        SELECT e.*,
+               avg(s.score) AS raw_score,
+               count(s.id)::integer AS resolved,
+               COALESCE(sum(s.score), 0) AS total,
+               count(s.id) FILTER (WHERE s.correct) AS correct_count
+        FROM entries e
+        LEFT JOIN public.question_scores s
+            ON s.rule = v_rule
+            AND ((e.crowd AND s.kind = 'crowd') OR (NOT e.crowd AND s.kind = 'user' AND s.user_id = e.entry_id))
+        GROUP BY e.entry_id, e.entry_name, e.entry_email, e.crowd, e.answered
+    ),
+    adjusted AS (
+        SELECT st.*,
+               CASE WHEN v_resolved_count = 0 THEN NULL ELSE
+                   (st.total + COALESCE((
+                       SELECT sum(i.score) FROM imputed i
+                       WHERE NOT EXISTS (
+                           SELECT 1 FROM public.question_scores s
+                           WHERE s.question_id = i.question_id AND s.rule = v_rule
+                             AND ((st.crowd AND s.kind = 'crowd') OR (NOT st.crowd AND s.kind = 'user' AND s.user_id = st.entry_id))
+                       )
+                   ), 0)) / v_resolved_count
+               END AS adj_score
+        FROM stats st
+    )
+    SELECT a.entry_id, a.entry_name, a.entry_email, a.crowd,
+           a.raw_score, a.adj_score, a.resolved, a.answered,
+           CASE WHEN a.resolved > 0 THEN round(100.0 * a.correct_count / a.resolved, 1)::double precision ELSE 0 END,
+           CASE WHEN a.crowd OR a.resolved < v_min_resolved THEN NULL ELSE
+               (row_number() OVER (
+                   PARTITION BY (a.crowd OR a.resolved < v_min_resolved)
+                   ORDER BY CASE WHEN v_rule = 'spherical' THEN -1 ELSE 1 END
+                       * CASE WHEN p_penalize_skips THEN a.adj_score ELSE a.raw_score END
+               ))::integer
+           END,
+           v_min_resolved
+    FROM adjusted a
+    ORDER BY (a.resolved >= v_min_resolved) DESC,
+             CASE WHEN v_rule = 'spherical' THEN -1 ELSE 1 END
+                 * CASE WHEN p_penalize_skips THEN a.adj_score ELSE a.raw_score END,
+             a.resolved DESC;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_leaderboard(text, boolean) TO authenticated;
+
+-- One forecaster's leaderboard row, so the dashboard does not download the
+-- whole leaderboard to read its own stats
+CREATE OR REPLACE FUNCTION public.get_user_stats(
+    p_user_id uuid,
+    p_rule text DEFAULT NULL
+)
+RETURNS TABLE (
+    score double precision,
+    adjusted_score double precision,
+    resolved_answered integer,
+    questions_answered integer,
+    accuracy double precision,
+    rank integer,
+    min_resolved integer
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT l.score, l.adjusted_score, l.resolved_answered, l.questions_answered,
+           l.accuracy, l.rank, l.min_resolved
+    FROM public.get_leaderboard(p_rule, false) l
+    WHERE l.user_id = p_user_id;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_user_stats(uuid, text) TO authenticated;
+
+-- Score every question that is already resolved
+SELECT public.recompute_question_scores(id) FROM public.questions WHERE is_resolved;
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,21 @@
+-- Streams row changes on questions, forecasts and users to subscribed
+-- clients through Supabase Realtime, so resolutions and new forecasts show
+-- up without a reload. Row level security still decides what each client
+-- receives.
+
+DO $$
+DECLARE
+    tbl text;
+BEGIN
+    FOREACH tbl IN ARRAY ARRAY['questions', 'forecasts', 'users'] LOOP
+        IF NOT EXISTS (
+            SELECT 1 FROM pg_publication_tables
+            WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = tbl
+        ) THEN
+            EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', tbl);
+        END IF;
+    END LOOP;
+END;
+$$;
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,104 @@
+-- Separates closing from resolving. Questions are `open` until their close
+-- date, then `closed` (forecasts locked, awaiting a resolution) until an admin
+-- resolves them. A pg_cron job performs the open -> closed transition, so
+-- clients no longer write to questions when they notice a passed close date.
+
+ALTER TABLE public.questions
+    ADD COLUMN IF NOT EXISTS status text NOT NULL DEFAULT 'open';
+
+ALTER TABLE public.questions DROP CONSTRAINT IF EXISTS questions_status_check;
+ALTER TABLE public.questions
+    ADD CONSTRAINT questions_status_check
+    CHECK (status IN ('open', 'closed', 'resolved'));
+
+-- Browsers used to flag past-due questions as resolved without a resolution;
+-- those are really closed and still need one
+UPDATE public.questions
+SET status = 'closed', is_resolved = false, resolved_date = NULL
+WHERE is_resolved AND resolution IS NULL;
+
+UPDATE public.questions SET status = 'resolved' WHERE is_resolved;
+
+UPDATE public.questions
+SET status = 'closed'
+WHERE status = 'open' AND close_date IS NOT NULL AND close_date <= current_date;
+
+CREATE INDEX IF NOT EXISTS questions_status_idx ON public.questions(status);
+
+-- Keeps `is_resolved` (read by scoring) in step with `status`. Writers that
+-- still only set `is_resolved` move the status along with it.
+CREATE OR REPLACE FUNCTION public.sync_question_status()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF TG_OP = 'UPDATE'
+        AND NEW.is_resolved IS DISTINCT FROM OLD.is_resolved
+        AND NEW.status IS NOT DISTINCT FROM OLD.status THEN
+        NEW.status := CASE
+            WHEN NEW.is_resolved THEN 'resolved'
+            WHEN NEW.close_date IS NOT NULL AND NEW.close_date <= current_date THEN 'closed'
+            ELSE 'open'
+        END;
+    END IF;
+    NEW.is_resolved := NEW.status = 'resolved';
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS sync_question_status ON public.questions;
+CREATE TRIGGER sync_question_status
+    BEFORE INSERT OR UPDATE ON public.questions
+    FOR EACH ROW EXECUTE FUNCTION public.sync_question_status();
+
+-- Forecasts can only be written while a question is open
+DROP POLICY IF EXISTS "Forecasts only on open questions" ON public.forecasts;
+CREATE POLICY "Forecasts only on open questions" ON public.forecasts
+    AS RESTRICTIVE
+    FOR INSERT WITH CHECK (
+        EXISTS (SELECT 1 FROM public.questions q WHERE q.id = question_id AND q.status = 'open')
+    );
+
+-- USING checks the forecast being updated and WITH CHECK the row it becomes,
+-- so an update can neither change a forecast on a closed question nor move
+-- one onto it
+DROP POLICY IF EXISTS "Forecast updates only on open questions" ON public.forecasts;
+CREATE POLICY "Forecast updates only on open questions" ON public.forecasts
+    AS RESTRICTIVE
+    FOR UPDATE USING (
+        EXISTS (SELECT 1 FROM public.questions q WHERE q.id = question_id AND q.status = 'open')
+    ) WITH CHECK (
+        EXISTS (SELECT 1 FROM public.questions q WHERE q.id = question_id AND q.status = 'open')
+    );
+
+-- Closes every open question whose close date has arrived
+CREATE OR REPLACE FUNCTION public.close_due_questions()
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    closed_count integer;
+BEGIN
+    UPDATE public.questions
+    SET status = 'closed'
+    WHERE status = 'open' AND close_date IS NOT NULL AND close_date <= current_date;
+    GET DIAGNOSTICS closed_count = ROW_COUNT;
+    RETURN closed_count;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.close_due_questions() FROM PUBLIC, anon, authenticated;
+
+CREATE EXTENSION IF NOT EXISTS pg_cron;
+
+-- Hourly, so a question closes within the hour after midnight UTC of its
+-- close date. Scheduling under the same name replaces the previous job.
+SELECT cron.schedule('close-due-questions', '0 * * * *', 'SELECT public.close_due_questions()');
+
+-- Realtime update events then include the previous row, so clients can tell
+-- when a question's status changed
+ALTER TABLE public.questions REPLICA IDENTITY FULL;
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,120 @@
+-- Full question lifecycle: draft -> scheduled -> open -> closed -> resolved,
+-- with annulled as a terminal state for questions that should not be scored.
+-- Transitions are validated here as well as in the client (see
+-- src/utils/questionStatus.js) so no client can skip a step.
+
+ALTER TABLE public.questions
+    ADD COLUMN IF NOT EXISTS open_date timestamptz,
+    ADD COLUMN IF NOT EXISTS annulled_at timestamptz;
+
+ALTER TABLE public.questions DROP CONSTRAINT IF EXISTS questions_status_check;
+ALTER TABLE public.questions
+    ADD CONSTRAINT questions_status_check
+    CHECK (status IN ('draft', 'scheduled', 'open', 'closed', 'resolved', 'annulled'));
+
+ALTER TABLE public.questions DROP CONSTRAINT IF EXISTS scheduled_question_has_open_date;
+ALTER TABLE public.questions
+    ADD CONSTRAINT scheduled_question_has_open_date
+    CHECK (status <> 'scheduled' OR open_date IS NOT NULL);
+
+CREATE OR REPLACE FUNCTION public.question_transition_allowed(from_status text, to_status text)
+RETURNS boolean
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT from_status = to_status OR (from_status, to_status) IN (
+        ('draft', 'scheduled'),
+        ('draft', 'open'),
+        ('scheduled', 'draft'),
+        ('scheduled', 'open'),
+        ('open', 'closed'),
+        ('open', 'resolved'),
+        ('open', 'annulled'),
+        ('closed', 'open'),
+        ('closed', 'resolved'),
+        ('closed', 'annulled'),
+        ('resolved', 'annulled')
+    );
+$$;
+
+-- Replaces the 007 version: validates the move, keeps `is_resolved` in step
+-- and stamps annulments
+CREATE OR REPLACE FUNCTION public.sync_question_status()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF TG_OP = 'UPDATE'
+        AND NEW.is_resolved IS DISTINCT FROM OLD.is_resolved
+        AND NEW.status IS NOT DISTINCT FROM OLD.status THEN
+        NEW.status := CASE
+            WHEN NEW.is_resolved THEN 'resolved'
+            WHEN NEW.close_date IS NOT NULL AND NEW.close_date <= current_date THEN 'closed'
+            ELSE 'open'
+        END;
+    END IF;
+
+    IF TG_OP = 'UPDATE' AND NOT public.question_transition_allowed(OLD.status, NEW.status) THEN
+        RAISE EXCEPTION 'Cannot move a question from % to %', OLD.status, NEW.status
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    IF TG_OP = 'INSERT' AND NEW.status NOT IN ('draft', 'scheduled', 'open') THEN
+        RAISE EXCEPTION 'New questions must be draft, scheduled or open'
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    IF NEW.status = 'annulled' AND (TG_OP = 'INSERT' OR OLD.status <> 'annulled') THEN
+        NEW.annulled_at := now();
+    END IF;
+
+    -- Annulled questions drop out of scoring like unresolved ones
+    NEW.is_resolved := NEW.status = 'resolved';
+    RETURN NEW;
+END;
+$$;
+
+-- Forecasters never see drafts or questions that are not open yet
+DROP POLICY IF EXISTS "Only admins see unpublished questions" ON public.questions;
+CREATE POLICY "Only admins see unpublished questions" ON public.questions
+    AS RESTRICTIVE
+    FOR SELECT USING (
+        status NOT IN ('draft', 'scheduled')
+        OR EXISTS (SELECT 1 FROM public.users WHERE id = auth.uid() AND role = 'admin')
+    );
+
+-- Opens scheduled questions whose open date has arrived and closes open
+-- questions whose close date has. Replaces close_due_questions().
+CREATE OR REPLACE FUNCTION public.advance_question_lifecycle()
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    opened_count integer;
+    closed_count integer;
+BEGIN
+    UPDATE public.questions
+    SET status = 'open'
+    WHERE status = 'scheduled' AND open_date <= now();
+    GET DIAGNOSTICS opened_count = ROW_COUNT;
+
+    UPDATE public.questions
+    SET status = 'closed'
+    WHERE status = 'open' AND close_date IS NOT NULL AND close_date <= current_date;
+    GET DIAGNOSTICS closed_count = ROW_COUNT;
+
+    RETURN opened_count + closed_count;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.advance_question_lifecycle() FROM PUBLIC, anon, authenticated;
+
+SELECT cron.unschedule(jobid) FROM cron.job WHERE jobname = 'close-due-questions';
+DROP FUNCTION IF EXISTS public.close_due_questions();
+
+-- Every five minutes, so scheduled questions open close to their open date
+SELECT cron.schedule('advance-question-lifecycle', '*/5 * * * *', 'SELECT public.advance_question_lifecycle()');
+
+NOTIFY pgrst, 'reload schema';
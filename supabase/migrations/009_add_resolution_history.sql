@@ -0,0 +1,119 @@
+-- Annulling a question or changing a resolution that is already in place
+-- (e.g. after a data series is revised) needs a reason, and every
+-- resolution, correction and annulment is kept in
+-- `question_resolution_changes`. Scores, the leaderboard and the crowd
+-- baselines follow through the on_question_resolution_changed trigger (005).
+
+CREATE TABLE IF NOT EXISTS public.question_resolution_changes (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    question_id uuid NOT NULL REFERENCES public.questions(id) ON DELETE CASCADE,
+    previous_status text NOT NULL,
+    new_status text NOT NULL,
+    previous_resolution jsonb,
+    new_resolution jsonb,
+    reason text,
+    changed_by uuid REFERENCES public.users(id) ON DELETE SET NULL,
+    changed_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS question_resolution_changes_question_idx
+    ON public.question_resolution_changes(question_id, changed_at);
+
+ALTER TABLE public.question_resolution_changes ENABLE ROW LEVEL SECURITY;
+
+-- Rows are written only by log_resolution_change below
+DROP POLICY IF EXISTS "Users can read resolution changes" ON public.question_resolution_changes;
+CREATE POLICY "Users can read resolution changes" ON public.question_resolution_changes
+    FOR SELECT USING (true);
+
+-- Logs every move into or out of a resolved or annulled state, and every
+-- change of resolution. Corrections and annulments must carry a reason,
+-- passed in by amend_question_resolution through the transaction-local
+-- `app.resolution_reason` setting.
+CREATE OR REPLACE FUNCTION public.log_resolution_change()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    change_reason text := NULLIF(btrim(current_setting('app.resolution_reason', true)), '');
+BEGIN
+    IF NEW.status NOT IN ('resolved', 'annulled') AND OLD.status NOT IN ('resolved', 'annulled') THEN
+        RETURN NEW;
+    END IF;
+    IF NEW.status = OLD.status AND NEW.resolution IS NOT DISTINCT FROM OLD.resolution THEN
+        RETURN NEW;
+    END IF;
+
+    IF (OLD.status = 'resolved' OR NEW.status = 'annulled') AND change_reason IS NULL THEN
+        RAISE EXCEPTION 'A reason is required to annul a question or change its resolution'
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    INSERT INTO public.question_resolution_changes(
+        question_id, previous_status, new_status, previous_resolution, new_resolution, reason, changed_by
+    ) VALUES (
+        NEW.id, OLD.status, NEW.status, OLD.resolution, NEW.resolution, change_reason, auth.uid()
+    );
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS log_resolution_change ON public.questions;
+CREATE TRIGGER log_resolution_change
+    AFTER UPDATE OF status, resolution ON public.questions
+    FOR EACH ROW EXECUTE FUNCTION public.log_resolution_change();
+
+-- Resolves, re-resolves or annuls a question with a reason. Annulled
+-- questions keep their last resolution for the record but are not scored.
+CREATE OR REPLACE FUNCTION public.amend_question_resolution(
+    p_question_id uuid,
+    p_status text,
+    p_resolution jsonb,
+    p_reason text
+)
+RETURNS public.questions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    updated public.questions;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM public.users WHERE id = auth.uid() AND role = 'admin') THEN
+        RAISE EXCEPTION 'Only admins can change resolutions'
+            USING ERRCODE = 'insufficient_privilege';
+    END IF;
+    IF p_status NOT IN ('resolved', 'annulled') THEN
+        RAISE EXCEPTION 'Resolutions can only be changed to resolved or annulled';
+    END IF;
+    IF NULLIF(btrim(p_reason), '') IS NULL THEN
+        RAISE EXCEPTION 'A reason is required to annul a question or change its resolution';
+    END IF;
+    IF p_status = 'resolved' AND p_resolution IS NULL THEN
+        RAISE EXCEPTION 'A resolution is required';
+    END IF;
+
+    PERFORM set_config('app.resolution_reason', p_reason, true);
+
+    UPDATE public.questions
+    SET status = p_status,
+        resolution = CASE WHEN p_status = 'resolved' THEN p_resolution ELSE resolution END,
+        resolved_date = CASE
+            WHEN p_status = 'resolved' THEN COALESCE(resolved_date, current_date)
+            ELSE resolved_date
+        END
+    WHERE id = p_question_id
+    RETURNING * INTO updated;
+
+    PERFORM set_config('app.resolution_reason', '', true);
+
+    IF updated.id IS NULL THEN
+        RAISE EXCEPTION 'Question not found';
+    END IF;
+    RETURN updated;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.amend_question_resolution(uuid, text, jsonb, text) TO authenticated;
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,222 @@
+-- Conditional questions ("If X, will Y?"). A question may name a parent
+-- question and one of its outcomes; it takes forecasts like any other
+-- question of its type. When the parent resolves to a different outcome, or
+-- is annulled, the conditional question is annulled automatically; when the
+-- parent resolves as the condition, it carries on as an ordinary question.
+-- If the parent's resolution is later corrected so the condition holds, the
+-- questions it annulled go back to the status they had.
+-- See src/utils/conditionalQuestion.js.
+
+ALTER TABLE public.questions
+    -- A condition means nothing without its parent, so deleting the parent
+    -- deletes its conditional questions
+    ADD COLUMN IF NOT EXISTS parent_question_id uuid REFERENCES public.questions(id) ON DELETE CASCADE,
+    ADD COLUMN IF NOT EXISTS parent_outcome jsonb,
+    -- The status a question had when its failed condition annulled it;
+    -- NULL for every other question
+    ADD COLUMN IF NOT EXISTS annulled_from text
+        CHECK (annulled_from IN ('open', 'closed', 'resolved'));
+
+ALTER TABLE public.questions DROP CONSTRAINT IF EXISTS conditional_question_has_outcome;
+ALTER TABLE public.questions
+    ADD CONSTRAINT conditional_question_has_outcome
+    CHECK ((parent_question_id IS NULL) = (parent_outcome IS NULL));
+
+CREATE INDEX IF NOT EXISTS questions_parent_question_idx
+    ON public.questions(parent_question_id)
+    WHERE parent_question_id IS NOT NULL;
+
+-- Whether the parent's resolution is the outcome a condition names
+CREATE OR REPLACE FUNCTION public.condition_met(parent public.questions, outcome jsonb)
+RETURNS boolean
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    expected public.questions := parent;
+BEGIN
+    expected.resolution := outcome;
+    RETURN public.resolution_key(parent) = public.resolution_key(expected);
+END;
+$$;
+
+-- Parents need discrete outcomes, and the condition must name one of them
+CREATE OR REPLACE FUNCTION public.validate_question_condition()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    parent public.questions;
+    expected public.questions;
+BEGIN
+    IF NEW.parent_question_id IS NULL THEN
+        RETURN NEW;
+    END IF;
+    IF NEW.parent_question_id = NEW.id THEN
+        RAISE EXCEPTION 'A question cannot be conditional on itself'
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    SELECT * INTO parent FROM public.questions WHERE id = NEW.parent_question_id;
+    IF parent.type NOT IN ('binary', 'three-category', 'multiple-choice') THEN
+        RAISE EXCEPTION 'Conditions can only name binary, three-category or multiple-choice questions'
+            USING ERRCODE = 'check_violation';
+    END IF;
+    IF parent.type = 'binary' AND jsonb_typeof(NEW.parent_outcome) <> 'boolean' THEN
+        RAISE EXCEPTION 'Conditions on binary questions must be true or false'
+            USING ERRCODE = 'check_violation';
+    END IF;
+    expected := parent;
+    expected.resolution := NEW.parent_outcome;
+    IF parent.type <> 'binary'
+        AND NOT public.resolution_key(expected) = ANY(public.question_outcome_keys(parent)) THEN
+        RAISE EXCEPTION 'The condition must name one of the parent question''s outcomes'
+            USING ERRCODE = 'check_violation';
+    END IF;
+    IF TG_OP = 'INSERT' AND parent.status IN ('resolved', 'annulled') THEN
+        RAISE EXCEPTION 'The parent question is already %', parent.status
+            USING ERRCODE = 'check_violation';
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS validate_question_condition ON public.questions;
+CREATE TRIGGER validate_question_condition
+    BEFORE INSERT OR UPDATE OF parent_question_id, parent_outcome ON public.questions
+    FOR EACH ROW EXECUTE FUNCTION public.validate_question_condition();
+
+-- question_transition_allowed from 008, plus the way back out of a
+-- condition-driven annulment: to the status the question had before it
+-- (`annulled_from`). Mirrors canTransition() in src/utils/questionStatus.js.
+DROP FUNCTION IF EXISTS public.question_transition_allowed(text, text);
+
+CREATE OR REPLACE FUNCTION public.question_transition_allowed(
+    from_status text,
+    to_status text,
+    annulled_from text DEFAULT NULL
+)
+RETURNS boolean
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT from_status = to_status
+        OR (from_status = 'annulled' AND to_status = annulled_from)
+        OR (from_status, to_status) IN (
+            ('draft', 'scheduled'),
+            ('draft', 'open'),
+            ('scheduled', 'draft'),
+            ('scheduled', 'open'),
+            ('open', 'closed'),
+            ('open', 'resolved'),
+            ('open', 'annulled'),
+            ('closed', 'open'),
+            ('closed', 'resolved'),
+            ('closed', 'annulled'),
+            ('resolved', 'annulled')
+        );
+$$;
+
+-- sync_question_status from 008, allowing a restore and forgetting
+-- `annulled_from` once the question leaves the annulled state
+CREATE OR REPLACE FUNCTION public.sync_question_status()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF TG_OP = 'UPDATE'
+        AND NEW.is_resolved IS DISTINCT FROM OLD.is_resolved
+        AND NEW.status IS NOT DISTINCT FROM OLD.status THEN
+        NEW.status := CASE
+            WHEN NEW.is_resolved THEN 'resolved'
+            WHEN NEW.close_date IS NOT NULL AND NEW.close_date <= current_date THEN 'closed'
+            ELSE 'open'
+        END;
+    END IF;
+
+    IF TG_OP = 'UPDATE'
+        AND NOT public.question_transition_allowed(OLD.status, NEW.status, OLD.annulled_from) THEN
+        RAISE EXCEPTION 'Cannot move a question from % to %', OLD.status, NEW.status
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    IF TG_OP = 'INSERT' AND NEW.status NOT IN ('draft', 'scheduled', 'open') THEN
+        RAISE EXCEPTION 'New questions must be draft, scheduled or open'
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    IF NEW.status = 'annulled' AND (TG_OP = 'INSERT' OR OLD.status <> 'annulled') THEN
+        NEW.annulled_at := now();
+    END IF;
+    IF NEW.status <> 'annulled' THEN
+        NEW.annulled_at := NULL;
+        NEW.annulled_from := NULL;
+    END IF;
+
+    -- Annulled questions drop out of scoring like unresolved ones
+    NEW.is_resolved := NEW.status = 'resolved';
+    RETURN NEW;
+END;
+$$;
+
+-- Annuls conditional questions whose condition can no longer be met,
+-- remembering the status each had, and restores the ones it annulled when a
+-- corrected resolution meets their condition again. Drafts and scheduled
+-- questions are left for an admin to delete, since they cannot be annulled.
+-- Runs after log_resolution_change so the parent's own change is logged with
+-- its own reason.
+CREATE OR REPLACE FUNCTION public.settle_conditional_questions()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    outer_reason text := current_setting('app.resolution_reason', true);
+BEGIN
+    IF NEW.status NOT IN ('resolved', 'annulled')
+        OR (NEW.status = OLD.status AND NEW.resolution IS NOT DISTINCT FROM OLD.resolution) THEN
+        RETURN NEW;
+    END IF;
+
+    PERFORM set_config(
+        'app.resolution_reason',
+        format('Condition not met: "%s" was %s', NEW.title,
+               CASE WHEN NEW.status = 'annulled' THEN 'annulled'
+                    ELSE 'resolved as ' || (NEW.resolution #>> '{}') END),
+        true
+    );
+
+    UPDATE public.questions child
+    SET status = 'annulled',
+        annulled_from = child.status
+    WHERE child.parent_question_id = NEW.id
+      AND child.status IN ('open', 'closed', 'resolved')
+      AND (NEW.status = 'annulled' OR NOT public.condition_met(NEW, child.parent_outcome));
+
+    IF NEW.status = 'resolved' THEN
+        PERFORM set_config(
+            'app.resolution_reason',
+            format('Condition met: "%s" was corrected to %s', NEW.title, NEW.resolution #>> '{}'),
+            true
+        );
+
+        UPDATE public.questions child
+        SET status = child.annulled_from
+        WHERE child.parent_question_id = NEW.id
+          AND child.status = 'annulled'
+          AND child.annulled_from IS NOT NULL
+          AND public.condition_met(NEW, child.parent_outcome);
+    END IF;
+
+    PERFORM set_config('app.resolution_reason', COALESCE(outer_reason, ''), true);
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS settle_conditional_questions ON public.questions;
+CREATE TRIGGER settle_conditional_questions
+    AFTER UPDATE OF status, resolution ON public.questions
+    FOR EACH ROW EXECUTE FUNCTION public.settle_conditional_questions();
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,332 @@
+-- Adds the `date` question type ("When will X happen?"). Date questions
+-- reuse the numeric columns and functions with every date stored as a day
+-- number (days since 1970-01-01): `range_min`/`range_max` bound the window,
+-- forecasts are percentile dates, and the resolution is the day it happened
+-- or "not-before-close". The forecast CDF is censored at the end of the
+-- window, so the probability past it is the chance of "not before close".
+-- Mirrors src/utils/dateForecast.js - keep them in sync.
+
+ALTER TABLE public.questions DROP CONSTRAINT IF EXISTS questions_type_check;
+ALTER TABLE public.questions
+    ADD CONSTRAINT questions_type_check
+    CHECK (type IN ('binary', 'three-category', 'multiple-choice', 'numeric', 'date'));
+
+ALTER TABLE public.questions DROP CONSTRAINT IF EXISTS numeric_question_range_valid;
+ALTER TABLE public.questions
+    ADD CONSTRAINT numeric_question_range_valid
+    CHECK (
+        type NOT IN ('numeric', 'date')
+        OR (range_min IS NOT NULL AND range_max IS NOT NULL AND range_min < range_max)
+    );
+
+-- CDF points of a date forecast censored at the end of the window. The last
+-- two points sit at `range_max`; the jump between them is the chance of
+-- "not before close".
+CREATE OR REPLACE FUNCTION public.date_cdf_points(
+    forecast jsonb,
+    q public.questions,
+    OUT xs double precision[],
+    OUT qs double precision[]
+)
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    open_q public.questions := q;
+    cdf record;
+    close_x double precision := q.range_max;
+    at_close double precision := 1;
+    found_close boolean := false;
+BEGIN
+    -- The event can always happen after the window closes
+    open_q.open_lower_bound := false;
+    open_q.open_upper_bound := true;
+    SELECT * INTO cdf FROM public.numeric_cdf_points(forecast, open_q);
+
+    xs := ARRAY[]::double precision[];
+    qs := ARRAY[]::double precision[];
+    FOR i IN 1 .. array_length(cdf.xs, 1) LOOP
+        IF cdf.xs[i] < close_x THEN
+            xs := xs || cdf.xs[i];
+            qs := qs || cdf.qs[i];
+        ELSIF NOT found_close THEN
+            found_close := true;
+            at_close := CASE
+                WHEN i = 1 THEN 0
+                ELSE cdf.qs[i - 1]
+                    + (close_x - cdf.xs[i - 1]) / (cdf.xs[i] - cdf.xs[i - 1]) * (cdf.qs[i] - cdf.qs[i - 1])
+            END;
+        END IF;
+    END LOOP;
+
+    xs := xs || ARRAY[close_x, close_x];
+    qs := qs || ARRAY[at_close, 1];
+END;
+$$;
+
+-- The outcome on the censored scale: the day it happened, or the end of the
+-- window when it did not happen before close. NULL without a usable
+-- resolution.
+CREATE OR REPLACE FUNCTION public.date_outcome(
+    q public.questions,
+    OUT x double precision,
+    OUT censored boolean
+)
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+BEGIN
+    IF (q.resolution #>> '{}') = 'not-before-close' THEN
+        censored := true;
+    ELSE
+        x := public.parse_resolution(q.resolution);
+        censored := x > q.range_max;
+    END IF;
+    IF censored THEN
+        x := q.range_max;
+    END IF;
+END;
+$$;
+
+-- The functions below replace their 005 versions with a `date` branch
+
+CREATE OR REPLACE FUNCTION public.is_scorable(q public.questions)
+RETURNS boolean
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT COALESCE(q.is_resolved, false)
+        AND COALESCE(jsonb_typeof(q.resolution), 'null') <> 'null'
+        AND CASE q.type
+            WHEN 'numeric' THEN public.parse_resolution(q.resolution) IS NOT NULL
+            WHEN 'date' THEN (q.resolution #>> '{}') = 'not-before-close'
+                OR public.parse_resolution(q.resolution) IS NOT NULL
+            ELSE true
+        END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.uniform_forecast(q public.questions)
+RETURNS jsonb
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    keys text[] := public.question_outcome_keys(q);
+    width double precision;
+    start double precision;
+BEGIN
+    IF q.type = 'binary' THEN
+        RETURN jsonb_build_object('probability', 50);
+    ELSIF q.type IN ('numeric', 'date') THEN
+        width := CASE WHEN q.range_max > q.range_min THEN q.range_max - q.range_min ELSE 100 END;
+        start := COALESCE(q.range_min, 0);
+        RETURN (
+            SELECT jsonb_object_agg(
+                'p' || p,
+                CASE WHEN q.type = 'date'
+                    THEN round(round((start + width * p / 100)::numeric, 2))
+                    ELSE round((start + width * p / 100)::numeric, 2)
+                END
+            )
+            FROM unnest(ARRAY[10, 25, 50, 75, 90]) AS p
+        );
+    ELSIF array_length(keys, 1) IS NULL THEN
+        RETURN '{}'::jsonb;
+    END IF;
+    RETURN (
+        SELECT jsonb_object_agg(k, 100.0 / array_length(keys, 1))
+        FROM unnest(keys) AS k
+    );
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.score_forecast(
+    forecast jsonb,
+    q public.questions,
+    rule text,
+    crowd jsonb DEFAULT NULL
+)
+RETURNS double precision
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    outcome double precision;
+    cdf record;
+    width double precision;
+    norm double precision;
+    op record;
+    d record;
+    after_close double precision;
+    likelihood double precision;
+BEGIN
+    IF rule = 'relative-uniform' THEN
+        RETURN public.score_forecast(forecast, q, 'brier')
+            - public.score_forecast(public.uniform_forecast(q), q, 'brier');
+    ELSIF rule = 'relative-crowd' THEN
+        RETURN public.score_forecast(forecast, q, 'brier')
+            - CASE WHEN crowd IS NULL THEN 0 ELSE public.score_forecast(crowd, q, 'brier') END;
+    END IF;
+
+    IF q.type = 'date' THEN
+        SELECT * INTO d FROM public.date_outcome(q);
+        IF d.x IS NULL THEN
+            RETURN NULL;
+        END IF;
+        SELECT * INTO cdf FROM public.date_cdf_points(forecast, q);
+        width := CASE WHEN q.range_max > q.range_min THEN (q.range_max - q.range_min)::double precision ELSE 1 END;
+        after_close := 1 - cdf.qs[array_length(cdf.qs, 1) - 1];
+        likelihood := CASE
+            WHEN d.censored THEN after_close
+            ELSE public.numeric_density_at(cdf.xs, cdf.qs, d.x) * width
+        END;
+        IF rule = 'log' THEN
+            RETURN -ln(GREATEST(likelihood, 0.001));
+        ELSIF rule = 'spherical' THEN
+            norm := sqrt(width * public.numeric_squared_density(cdf.xs, cdf.qs) + power(after_close, 2));
+            IF norm = 0 THEN
+                RETURN 0;
+            END IF;
+            RETURN likelihood / norm;
+        END IF;
+        RETURN public.numeric_crps(cdf.xs, cdf.qs, d.x) / width;
+    END IF;
+
+    IF q.type = 'numeric' THEN
+        outcome := public.parse_resolution(q.resolution);
+        IF outcome IS NULL THEN
+            RETURN NULL;
+        END IF;
+        SELECT * INTO cdf FROM public.numeric_cdf_points(forecast, q);
+        width := public.numeric_scale_width(q, cdf.xs);
+        IF rule = 'log' THEN
+            RETURN -ln(GREATEST(public.numeric_density_at(cdf.xs, cdf.qs, outcome) * width, 0.001));
+        ELSIF rule = 'spherical' THEN
+            norm := sqrt(public.numeric_squared_density(cdf.xs, cdf.qs));
+            IF norm = 0 THEN
+                RETURN 0;
+            END IF;
+            RETURN public.numeric_density_at(cdf.xs, cdf.qs, outcome) * sqrt(width) / norm;
+        END IF;
+        RETURN public.numeric_crps(cdf.xs, cdf.qs, outcome) / width;
+    END IF;
+
+    SELECT * INTO op FROM public.outcome_probabilities(forecast, q);
+
+    IF rule = 'log' THEN
+        RETURN -ln(GREATEST(CASE WHEN op.outcome_index > 0 THEN op.probs[op.outcome_index] ELSE 0 END, 0.001));
+    ELSIF rule = 'spherical' THEN
+        SELECT sqrt(sum(p * p)) INTO norm FROM unnest(op.probs) AS p;
+        IF COALESCE(norm, 0) = 0 OR op.outcome_index = 0 THEN
+            RETURN 0;
+        END IF;
+        RETURN op.probs[op.outcome_index] / norm;
+    END IF;
+
+    RETURN COALESCE((
+        SELECT sum(power(p - CASE WHEN i = op.outcome_index THEN 1 ELSE 0 END, 2))
+        FROM unnest(op.probs) WITH ORDINALITY AS t(p, i)
+    ), 0);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.forecast_is_correct(forecast jsonb, q public.questions)
+RETURNS boolean
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    outcome double precision;
+    d record;
+BEGIN
+    IF q.type = 'binary' THEN
+        RETURN (public.forecast_value(forecast, 'probability') > 50) = (public.resolution_key(q) = 'true');
+    ELSIF q.type = 'numeric' THEN
+        outcome := public.parse_resolution(q.resolution);
+        RETURN outcome BETWEEN (forecast ->> 'p10')::double precision AND (forecast ->> 'p90')::double precision;
+    ELSIF q.type = 'date' THEN
+        SELECT * INTO d FROM public.date_outcome(q);
+        IF d.censored THEN
+            RETURN (forecast ->> 'p90')::double precision >= d.x;
+        END IF;
+        RETURN d.x BETWEEN (forecast ->> 'p10')::double precision AND (forecast ->> 'p90')::double precision;
+    END IF;
+    RETURN (
+        SELECT k = public.resolution_key(q)
+        FROM unnest(public.question_outcome_keys(q)) WITH ORDINALITY AS t(k, i)
+        ORDER BY public.forecast_value(forecast, k) DESC, i DESC
+        LIMIT 1
+    );
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.crowd_forecast_at(q public.questions, as_of timestamptz)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+    keys text[] := public.question_outcome_keys(q);
+    forecasts jsonb[];
+    weights double precision[];
+    medians double precision[];
+    total double precision;
+BEGIN
+    SELECT array_agg(latest.forecast),
+           array_agg(power(0.5, GREATEST(0, extract(epoch FROM (as_of - latest.created_at)) / 86400) / 14))
+    INTO forecasts, weights
+    FROM (
+        SELECT DISTINCT ON (r.user_id) r.forecast, r.created_at
+        FROM public.forecast_revisions r
+        WHERE r.question_id = q.id AND r.created_at <= as_of
+        ORDER BY r.user_id, r.created_at DESC
+    ) latest;
+
+    IF forecasts IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    -- Numeric and date questions average each percentile separately
+    IF q.type IN ('numeric', 'date') THEN
+        RETURN (
+            SELECT jsonb_object_agg(
+                'p' || p,
+                public.weighted_median(
+                    ARRAY(SELECT (f ->> ('p' || p))::double precision FROM unnest(forecasts) AS f),
+                    weights
+                )
+            )
+            FROM unnest(ARRAY[10, 25, 50, 75, 90]) AS p
+        );
+    END IF;
+
+    IF q.type = 'binary' THEN
+        medians := ARRAY[
+            public.weighted_median(ARRAY(SELECT public.forecast_value(f, 'probability') / 100 FROM unnest(forecasts) AS f), weights),
+            public.weighted_median(ARRAY(SELECT 1 - public.forecast_value(f, 'probability') / 100 FROM unnest(forecasts) AS f), weights)
+        ];
+    ELSE
+        medians := ARRAY(
+            SELECT public.weighted_median(
+                ARRAY(SELECT public.forecast_value(f, k) / 100 FROM unnest(forecasts) AS f),
+                weights
+            )
+            FROM unnest(keys) WITH ORDINALITY AS t(k, i)
+            ORDER BY i
+        );
+    END IF;
+
+    -- Per-outcome medians need not sum to one, so renormalize
+    SELECT COALESCE(NULLIF(sum(m), 0), 1) INTO total FROM unnest(medians) AS m;
+
+    IF q.type = 'binary' THEN
+        RETURN jsonb_build_object('probability', medians[1] / total * 100);
+    END IF;
+    RETURN (
+        SELECT jsonb_object_agg(k, medians[i] / total * 100)
+        FROM unnest(keys) WITH ORDINALITY AS t(k, i)
+    );
+END;
+$$;
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,111 @@
+-- Per-question discussion threads and written rationales for forecasts.
+-- Comments may reply to other comments, mention users and collect upvotes.
+-- A rationale belongs to one forecast revision and stays hidden from other
+-- forecasters until they have forecast on the question themselves or the
+-- question has closed, so nobody anchors on someone else's reasoning.
+
+CREATE TABLE IF NOT EXISTS public.comments (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    question_id uuid NOT NULL REFERENCES public.questions(id) ON DELETE CASCADE,
+    parent_id uuid REFERENCES public.comments(id) ON DELETE CASCADE,
+    user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    body text NOT NULL CHECK (btrim(body) <> ''),
+    mentions uuid[] NOT NULL DEFAULT '{}',
+    created_at timestamptz NOT NULL DEFAULT now(),
+    updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS comments_question_idx
+    ON public.comments(question_id, created_at);
+CREATE INDEX IF NOT EXISTS comments_mentions_idx
+    ON public.comments USING gin (mentions);
+
+CREATE TABLE IF NOT EXISTS public.comment_votes (
+    comment_id uuid NOT NULL REFERENCES public.comments(id) ON DELETE CASCADE,
+    user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    PRIMARY KEY (comment_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS public.forecast_rationales (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    revision_id uuid NOT NULL UNIQUE REFERENCES public.forecast_revisions(id) ON DELETE CASCADE,
+    question_id uuid NOT NULL REFERENCES public.questions(id) ON DELETE CASCADE,
+    user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    body text NOT NULL CHECK (btrim(body) <> ''),
+    created_at timestamptz NOT NULL DEFAULT now(),
+    updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS forecast_rationales_question_idx
+    ON public.forecast_rationales(question_id, created_at);
+
+ALTER TABLE public.comments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.comment_votes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.forecast_rationales ENABLE ROW LEVEL SECURITY;
+
+-- Comments: everyone reads, users write their own, admins moderate
+DROP POLICY IF EXISTS "Users can read comments" ON public.comments;
+CREATE POLICY "Users can read comments" ON public.comments
+    FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Users can post comments" ON public.comments;
+CREATE POLICY "Users can post comments" ON public.comments
+    FOR INSERT WITH CHECK (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Users can edit their comments" ON public.comments;
+CREATE POLICY "Users can edit their comments" ON public.comments
+    FOR UPDATE USING (user_id = auth.uid()) WITH CHECK (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Users and admins can delete comments" ON public.comments;
+CREATE POLICY "Users and admins can delete comments" ON public.comments
+    FOR DELETE USING (
+        user_id = auth.uid()
+        OR EXISTS (SELECT 1 FROM public.users WHERE id = auth.uid() AND role = 'admin')
+    );
+
+-- Votes: everyone reads, users add and remove their own
+DROP POLICY IF EXISTS "Users can read comment votes" ON public.comment_votes;
+CREATE POLICY "Users can read comment votes" ON public.comment_votes
+    FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Users can upvote comments" ON public.comment_votes;
+CREATE POLICY "Users can upvote comments" ON public.comment_votes
+    FOR INSERT WITH CHECK (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Users can remove their upvotes" ON public.comment_votes;
+CREATE POLICY "Users can remove their upvotes" ON public.comment_votes
+    FOR DELETE USING (user_id = auth.uid());
+
+-- Rationales: your own, or others' once you have forecast on the question
+-- or it is no longer open
+DROP POLICY IF EXISTS "Users can read visible rationales" ON public.forecast_rationales;
+CREATE POLICY "Users can read visible rationales" ON public.forecast_rationales
+    FOR SELECT USING (
+        user_id = auth.uid()
+        OR EXISTS (
+            SELECT 1 FROM public.forecasts f
+            WHERE f.question_id = forecast_rationales.question_id AND f.user_id = auth.uid()
+        )
+        OR EXISTS (
+            SELECT 1 FROM public.questions q
+            WHERE q.id = forecast_rationales.question_id AND q.status IN ('closed', 'resolved', 'annulled')
+        )
+    );
+
+-- A rationale can only be attached to one of your own revisions
+DROP POLICY IF EXISTS "Users can write rationales for their revisions" ON public.forecast_rationales;
+CREATE POLICY "Users can write rationales for their revisions" ON public.forecast_rationales
+    FOR INSERT WITH CHECK (
+        user_id = auth.uid()
+        AND EXISTS (
+            SELECT 1 FROM public.forecast_revisions r
+            WHERE r.id = revision_id AND r.user_id = auth.uid() AND r.question_id = forecast_rationales.question_id
+        )
+    );
+
+DROP POLICY IF EXISTS "Users can edit their rationales" ON public.forecast_rationales;
+CREATE POLICY "Users can edit their rationales" ON public.forecast_rationales
+    FOR UPDATE USING (user_id = auth.uid()) WITH CHECK (user_id = auth.uid());
+
+NOTIFY pgrst, 'reload schema';
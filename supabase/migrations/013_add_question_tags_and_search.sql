@@ -0,0 +1,33 @@
+-- Tags (inflation, labor, rates, gdp, ...) and full-text search over the
+-- title and description, for filtering the questions list. Tags are stored
+-- lower-case with dashes for spaces; see src/utils/questionFilters.js.
+
+ALTER TABLE public.questions
+    ADD COLUMN IF NOT EXISTS tags text[] NOT NULL DEFAULT '{}',
+    -- Title matches rank above description matches
+    ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(description, '')), 'B')
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS questions_tags_idx
+    ON public.questions USING gin (tags);
+CREATE INDEX IF NOT EXISTS questions_search_vector_idx
+    ON public.questions USING gin (search_vector);
+
+-- Every tag in use with the number of questions carrying it. Runs with the
+-- caller's rights, so forecasters only count questions they can see.
+CREATE OR REPLACE FUNCTION public.question_tags()
+RETURNS TABLE(tag text, question_count bigint)
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT t.tag, count(*) AS question_count
+    FROM public.questions q, unnest(q.tags) AS t(tag)
+    GROUP BY t.tag
+    ORDER BY t.tag;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.question_tags() TO authenticated;
+
+NOTIFY pgrst, 'reload schema';
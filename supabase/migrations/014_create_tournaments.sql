@@ -0,0 +1,519 @@
+-- Tournaments: quarterly seasons, department competitions and the like. A
+-- tournament runs from a start to an end date over a set of questions, with
+-- its own participants and scoring rule, and is ranked by get_leaderboard
+-- scoped to it. It counts only its participants' revisions made from the
+-- start of its start date to the end of its end date (UTC); forecasts made
+-- before it opened or after it ended do not count, and its crowd is the
+-- aggregate of the participants' in-window revisions rather than of every
+-- forecaster. Tournament scores are computed on the fly from those
+-- revisions; all-time scores still come from `question_scores` (005). See
+-- src/utils/tournaments.js.
+
+CREATE TABLE IF NOT EXISTS public.tournaments (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    name text NOT NULL CHECK (btrim(name) <> ''),
+    description text,
+    start_date date NOT NULL,
+    end_date date NOT NULL,
+    scoring_rule text NOT NULL DEFAULT 'brier'
+        CHECK (scoring_rule IN ('brier', 'log', 'spherical', 'relative-crowd', 'relative-uniform')),
+    created_by uuid REFERENCES public.users(id) ON DELETE SET NULL,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    CHECK (end_date >= start_date)
+);
+
+CREATE TABLE IF NOT EXISTS public.tournament_questions (
+    tournament_id uuid NOT NULL REFERENCES public.tournaments(id) ON DELETE CASCADE,
+    question_id uuid NOT NULL REFERENCES public.questions(id) ON DELETE CASCADE,
+    PRIMARY KEY (tournament_id, question_id)
+);
+
+CREATE TABLE IF NOT EXISTS public.tournament_participants (
+    tournament_id uuid NOT NULL REFERENCES public.tournaments(id) ON DELETE CASCADE,
+    user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    joined_at timestamptz NOT NULL DEFAULT now(),
+    PRIMARY KEY (tournament_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS tournament_questions_question_idx
+    ON public.tournament_questions(question_id);
+CREATE INDEX IF NOT EXISTS tournament_participants_user_idx
+    ON public.tournament_participants(user_id);
+
+ALTER TABLE public.tournaments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.tournament_questions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.tournament_participants ENABLE ROW LEVEL SECURITY;
+
+-- Everyone can see tournaments and who is in them; admins run them
+DROP POLICY IF EXISTS "Users can read tournaments" ON public.tournaments;
+CREATE POLICY "Users can read tournaments" ON public.tournaments
+    FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Admins can manage tournaments" ON public.tournaments;
+CREATE POLICY "Admins can manage tournaments" ON public.tournaments
+    FOR ALL USING (
+        EXISTS (SELECT 1 FROM public.users WHERE id = auth.uid() AND role = 'admin')
+    ) WITH CHECK (
+        EXISTS (SELECT 1 FROM public.users WHERE id = auth.uid() AND role = 'admin')
+    );
+
+DROP POLICY IF EXISTS "Users can read tournament questions" ON public.tournament_questions;
+CREATE POLICY "Users can read tournament questions" ON public.tournament_questions
+    FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Admins can manage tournament questions" ON public.tournament_questions;
+CREATE POLICY "Admins can manage tournament questions" ON public.tournament_questions
+    FOR ALL USING (
+        EXISTS (SELECT 1 FROM public.users WHERE id = auth.uid() AND role = 'admin')
+    ) WITH CHECK (
+        EXISTS (SELECT 1 FROM public.users WHERE id = auth.uid() AND role = 'admin')
+    );
+
+DROP POLICY IF EXISTS "Users can read tournament participants" ON public.tournament_participants;
+CREATE POLICY "Users can read tournament participants" ON public.tournament_participants
+    FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Admins can manage tournament participants" ON public.tournament_participants;
+CREATE POLICY "Admins can manage tournament participants" ON public.tournament_participants
+    FOR ALL USING (
+        EXISTS (SELECT 1 FROM public.users WHERE id = auth.uid() AND role = 'admin')
+    ) WITH CHECK (
+        EXISTS (SELECT 1 FROM public.users WHERE id = auth.uid() AND role = 'admin')
+    );
+
+-- crowd_forecast_at from 011, optionally over a set of forecasters only and
+-- ignoring revisions made before `since`. The two-argument form is dropped so
+-- calls without them stay unambiguous.
+DROP FUNCTION IF EXISTS public.crowd_forecast_at(public.questions, timestamptz);
+
+CREATE OR REPLACE FUNCTION public.crowd_forecast_at(
+    q public.questions,
+    as_of timestamptz,
+    members uuid[] DEFAULT NULL,
+    since timestamptz DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+    keys text[] := public.question_outcome_keys(q);
+    forecasts jsonb[];
+    weights double precision[];
+    medians double precision[];
+    total double precision;
+BEGIN
+    SELECT array_agg(latest.forecast),
+           array_agg(power(0.5, GREATEST(0, extract(epoch FROM (as_of - latest.created_at)) / 86400) / 14))
+    INTO forecasts, weights
+    FROM (
+        SELECT DISTINCT ON (r.user_id) r.forecast, r.created_at
+        FROM public.forecast_revisions r
+        WHERE r.question_id = q.id AND r.created_at <= as_of
+          AND (members IS NULL OR r.user_id = ANY(members))
+          AND (since IS NULL OR r.created_at >= since)
+        ORDER BY r.user_id, r.created_at DESC
+    ) latest;
+
+    IF forecasts IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    -- Numeric and date questions average each percentile separately
+    IF q.type IN ('numeric', 'date') THEN
+        RETURN (
+            SELECT jsonb_object_agg(
+                'p' || p,
+                public.weighted_median(
+                    ARRAY(SELECT (f ->> ('p' || p))::double precision FROM unnest(forecasts) AS f),
+                    weights
+                )
+            )
+            FROM unnest(ARRAY[10, 25, 50, 75, 90]) AS p
+        );
+    END IF;
+
+    IF q.type = 'binary' THEN
+        medians := ARRAY[
+            public.weighted_median(ARRAY(SELECT public.forecast_value(f, 'probability') / 100 FROM unnest(forecasts) AS f), weights),
+            public.weighted_median(ARRAY(SELECT 1 - public.forecast_value(f, 'probability') / 100 FROM unnest(forecasts) AS f), weights)
+        ];
+    ELSE
+        medians := ARRAY(
+            SELECT public.weighted_median(
+                ARRAY(SELECT public.forecast_value(f, k) / 100 FROM unnest(forecasts) AS f),
+                weights
+            )
+            FROM unnest(keys) WITH ORDINALITY AS t(k, i)
+            ORDER BY i
+        );
+    END IF;
+
+    -- Per-outcome medians need not sum to one, so renormalize
+    SELECT COALESCE(NULLIF(sum(m), 0), 1) INTO total FROM unnest(medians) AS m;
+
+    IF q.type = 'binary' THEN
+        RETURN jsonb_build_object('probability', medians[1] / total * 100);
+    END IF;
+    RETURN (
+        SELECT jsonb_object_agg(k, medians[i] / total * 100)
+        FROM unnest(keys) WITH ORDINALITY AS t(k, i)
+    );
+END;
+$$;
+
+-- A tournament's per-question scores under its rule, in the shape of
+-- `question_scores`: scored like recompute_question_scores, but over the
+-- participants' in-window revisions only, against a crowd of the same
+-- revisions. A revision stands until the forecaster's next in-window
+-- revision or the question's resolution.
+CREATE OR REPLACE FUNCTION public.tournament_question_scores(p_tournament_id uuid)
+RETURNS TABLE (
+    question_id uuid,
+    kind text,
+    user_id uuid,
+    score double precision,
+    correct boolean
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    t public.tournaments;
+    q public.questions;
+    members uuid[];
+    window_start timestamptz;
+    window_end timestamptz;
+    resolution_at timestamptz;
+BEGIN
+    SELECT * INTO t FROM public.tournaments WHERE id = p_tournament_id;
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    members := ARRAY(
+        SELECT tp.user_id FROM public.tournament_participants tp WHERE tp.tournament_id = t.id
+    );
+    window_start := t.start_date::timestamp AT TIME ZONE 'UTC';
+    window_end := (t.end_date + 1)::timestamp AT TIME ZONE 'UTC';
+
+    FOR q IN
+        SELECT qq.*
+        FROM public.questions qq
+        JOIN public.tournament_questions tq ON tq.question_id = qq.id
+        WHERE tq.tournament_id = t.id AND public.is_scorable(qq)
+    LOOP
+        resolution_at := COALESCE(q.resolved_date, q.close_date, now()::date)::timestamp AT TIME ZONE 'UTC';
+
+        RETURN QUERY
+        SELECT q.id, 'user'::text, scored.user_id,
+               sum(scored.score * scored.days) / sum(scored.days),
+               bool_or(scored.next_at IS NULL AND public.forecast_is_correct(scored.forecast, q))
+        FROM (
+            SELECT r.user_id, r.forecast, r.next_at,
+                   GREATEST(1, floor(extract(epoch FROM (COALESCE(r.next_at, resolution_at) - r.created_at)) / 86400) + 1) AS days,
+                   public.score_forecast(r.forecast, q, t.scoring_rule, r.crowd) AS score
+            FROM (
+                SELECT rev.user_id, rev.forecast, rev.created_at,
+                       lead(rev.created_at) OVER (PARTITION BY rev.user_id ORDER BY rev.created_at) AS next_at,
+                       public.crowd_forecast_at(q, rev.created_at, members, window_start) AS crowd
+                FROM public.forecast_revisions rev
+                WHERE rev.question_id = q.id AND rev.user_id = ANY(members)
+                  AND rev.created_at >= window_start AND rev.created_at < window_end
+            ) r
+        ) scored
+        GROUP BY scored.user_id;
+
+        RETURN QUERY
+        SELECT q.id, 'crowd'::text, NULL::uuid,
+               sum(public.score_forecast(c.forecast, q, t.scoring_rule, c.forecast) * c.days) / sum(c.days),
+               NULL::boolean
+        FROM (
+            SELECT public.crowd_forecast_at(q, times.created_at, members, window_start) AS forecast,
+                   GREATEST(1, floor(extract(epoch FROM (COALESCE(times.next_at, resolution_at) - times.created_at)) / 86400) + 1) AS days
+            FROM (
+                SELECT d.created_at, lead(d.created_at) OVER (ORDER BY d.created_at) AS next_at
+                FROM (
+                    SELECT DISTINCT rev.created_at
+                    FROM public.forecast_revisions rev
+                    WHERE rev.question_id = q.id AND rev.user_id = ANY(members)
+                      AND rev.created_at >= window_start AND rev.created_at < window_end
+                ) d
+            ) times
+        ) c
+        HAVING count(*) > 0;
+
+        RETURN QUERY
+        SELECT q.id, 'uniform'::text, NULL::uuid,
+               public.score_forecast(public.uniform_forecast(q), q, t.scoring_rule),
+               NULL::boolean;
+    END LOOP;
+END;
+$$;
+
+-- Only the functions below read it
+REVOKE EXECUTE ON FUNCTION public.tournament_question_scores(uuid) FROM PUBLIC, anon, authenticated;
+
+-- get_leaderboard from 005 with an optional tournament. Scoped to one, it
+-- ranks only the tournament's participants over its questions under the
+-- tournament's scoring rule (p_rule is ignored), scored with
+-- tournament_question_scores; answered counts and the crowd row likewise
+-- only count the participants' in-window revisions. Otherwise it is the
+-- all-time leaderboard as before.
+DROP FUNCTION IF EXISTS public.get_leaderboard(text, boolean);
+
+CREATE OR REPLACE FUNCTION public.get_leaderboard(
+    p_rule text DEFAULT NULL,
+    p_penalize_skips boolean DEFAULT false,
+    p_tournament_id uuid DEFAULT NULL
+)
+RETURNS TABLE (
+    user_id uuid,
+    name text,
+    email text,
+    is_crowd boolean,
+    score double precision,
+    adjusted_score double precision,
+    resolved_answered integer,
+    questions_answered integer,
+    accuracy double precision,
+    rank integer,
+    min_resolved integer
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_rule text;
+    v_min_resolved integer;
+    v_imputation text;
+    v_resolved_count integer;
+    v_start timestamptz;
+    v_end timestamptz;
+BEGIN
+    IF p_tournament_id IS NOT NULL THEN
+        SELECT t.scoring_rule,
+               t.start_date::timestamp AT TIME ZONE 'UTC',
+               (t.end_date + 1)::timestamp AT TIME ZONE 'UTC'
+        INTO v_rule, v_start, v_end
+        FROM public.tournaments t WHERE t.id = p_tournament_id;
+        IF v_rule IS NULL THEN
+            RAISE EXCEPTION 'Tournament not found';
+        END IF;
+    ELSE
+        SELECT COALESCE(p_rule, (SELECT value #>> '{}' FROM public.app_settings WHERE key = 'default_scoring_rule'), 'brier')
+        INTO v_rule;
+    END IF;
+    SELECT GREATEST(1, COALESCE((SELECT (value #>> '{}')::integer FROM public.app_settings WHERE key = 'min_resolved_questions'), 1))
+    INTO v_min_resolved;
+    SELECT COALESCE((SELECT value #>> '{}' FROM public.app_settings WHERE key = 'skip_imputation'), 'crowd')
+    INTO v_imputation;
+    SELECT count(*) INTO v_resolved_count
+    FROM public.questions q
+    WHERE public.is_scorable(q)
+      AND (p_tournament_id IS NULL OR EXISTS (
+          SELECT 1 FROM public.tournament_questions tq
+          WHERE tq.tournament_id = p_tournament_id AND tq.question_id = q.id
+      ));
+
+    RETURN QUERY
+    WITH scope AS (
+        SELECT q.id AS question_id
+        FROM public.questions q
+        WHERE p_tournament_id IS NULL OR EXISTS (
+            SELECT 1 FROM public.tournament_questions tq
+            WHERE tq.tournament_id = p_tournament_id AND tq.question_id = q.id
+        )
+    ),
+    scores AS (
+        SELECT s.question_id, s.kind, s.user_id, s.score, s.correct
+        FROM public.question_scores s JOIN scope USING (question_id)
+        WHERE p_tournament_id IS NULL AND s.rule = v_rule
+        UNION ALL
+        SELECT ts.question_id, ts.kind, ts.user_id, ts.score, ts.correct
+        FROM public.tournament_question_scores(p_tournament_id) ts
+        WHERE p_tournament_id IS NOT NULL
+    ),
+    -- Forecasts that count towards the leaderboard: every current forecast,
+    -- or within a tournament its participants' in-window revisions
+    counted AS (
+        SELECT f.question_id, f.user_id
+        FROM public.forecasts f JOIN scope USING (question_id)
+        WHERE p_tournament_id IS NULL
+        UNION ALL
+        SELECT r.question_id, r.user_id
+        FROM public.forecast_revisions r JOIN scope USING (question_id)
+        JOIN public.tournament_participants tp
+            ON tp.tournament_id = p_tournament_id AND tp.user_id = r.user_id
+        WHERE p_tournament_id IS NOT NULL AND r.created_at >= v_start AND r.created_at < v_end
+    ),
+    imputed AS (
+        SELECT u.question_id,
+               COALESCE(CASE WHEN v_imputation = 'crowd' THEN c.score END, u.score) AS score
+        FROM scores u
+        LEFT JOIN scores c ON c.question_id = u.question_id AND c.kind = 'crowd'
+        WHERE u.kind = 'uniform'
+    ),
+    entries AS (
+        SELECT usr.id AS entry_id, usr.name AS entry_name, usr.email AS entry_email, false AS crowd,
+               (SELECT count(DISTINCT c.question_id) FROM counted c WHERE c.user_id = usr.id)::integer AS answered
+        FROM public.users usr
+        WHERE p_tournament_id IS NULL OR EXISTS (
+            SELECT 1 FROM public.tournament_participants tp
+            WHERE tp.tournament_id = p_tournament_id AND tp.user_id = usr.id
+        )
+        UNION ALL
+        SELECT NULL, 'Crowd (median)',
+               CASE WHEN p_tournament_id IS NULL THEN 'Aggregate of every forecaster' ELSE 'Aggregate of the participants' END,
+               true,
+               (SELECT count(DISTINCT c.question_id) FROM counted c)::integer
+        WHERE EXISTS (SELECT 1 FROM counted)
+    ),
+    stats AS (
+        SELECT e.*,
+               avg(s.score) AS raw_score,
+               count(s.score)::integer AS resolved,
+               COALESCE(sum(s.score), 0) AS total,
+               count(s.score) FILTER (WHERE s.correct) AS correct_count
+        FROM entries e
+        LEFT JOIN scores s
+            ON (e.crowd AND s.kind = 'crowd') OR (NOT e.crowd AND s.kind = 'user' AND s.user_id = e.entry_id)
+        GROUP BY e.entry_id, e.entry_name, e.entry_email, e.crowd, e.answered
+    ),
+    adjusted AS (
+        SELECT st.*,
+               CASE WHEN v_resolved_count = 0 THEN NULL ELSE
+                   (st.total + COALESCE((
+                       SELECT sum(i.score) FROM imputed i
+                       WHERE NOT EXISTS (
+                           SELECT 1 FROM scores s
+                           WHERE s.question_id = i.question_id
+                             AND ((st.crowd AND s.kind = 'crowd') OR (NOT st.crowd AND s.kind = 'user' AND s.user_id = st.entry_id))
+                       )
+                   ), 0)) / v_resolved_count
+               END AS adj_score
+        FROM stats st
+    )
+    SELECT a.entry_id, a.entry_name, a.entry_email, a.crowd,
+           a.raw_score, a.adj_score, a.resolved, a.answered,
+           CASE WHEN a.resolved > 0 THEN round(100.0 * a.correct_count / a.resolved, 1)::double precision ELSE 0 END,
+           CASE WHEN a.crowd OR a.resolved < v_min_resolved THEN NULL ELSE
+               (row_number() OVER (
+                   PARTITION BY (a.crowd OR a.resolved < v_min_resolved)
+                   ORDER BY CASE WHEN v_rule = 'spherical' THEN -1 ELSE 1 END
+                       * CASE WHEN p_penalize_skips THEN a.adj_score ELSE a.raw_score END
+               ))::integer
+           END,
+           v_min_resolved
+    FROM adjusted a
+    ORDER BY (a.resolved >= v_min_resolved) DESC,
+             CASE WHEN v_rule = 'spherical' THEN -1 ELSE 1 END
+                 * CASE WHEN p_penalize_skips THEN a.adj_score ELSE a.raw_score END,
+             a.resolved DESC;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_leaderboard(text, boolean, uuid) TO authenticated;
+
+-- get_user_stats from 005, optionally within one tournament
+DROP FUNCTION IF EXISTS public.get_user_stats(uuid, text);
+
+CREATE OR REPLACE FUNCTION public.get_user_stats(
+    p_user_id uuid,
+    p_rule text DEFAULT NULL,
+    p_tournament_id uuid DEFAULT NULL
+)
+RETURNS TABLE (
+    score double precision,
+    adjusted_score double precision,
+    resolved_answered integer,
+    questions_answered integer,
+    accuracy double precision,
+    rank integer,
+    min_resolved integer
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT l.score, l.adjusted_score, l.resolved_answered, l.questions_answered,
+           l.accuracy, l.rank, l.min_resolved
+    FROM public.get_leaderboard(p_rule, false, p_tournament_id) l
+    WHERE l.user_id = p_user_id;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_user_stats(uuid, text, uuid) TO authenticated;
+
+-- Creates a tournament (NULL p_tournament_id) or updates one, and makes its
+-- question set and participants exactly p_question_ids and
+-- p_participant_ids, all in one transaction so a failure part-way leaves the
+-- tournament as it was
+CREATE OR REPLACE FUNCTION public.save_tournament(
+    p_tournament_id uuid,
+    p_fields jsonb,
+    p_question_ids uuid[] DEFAULT '{}',
+    p_participant_ids uuid[] DEFAULT '{}'
+)
+RETURNS public.tournaments
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    saved public.tournaments;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM public.users WHERE id = auth.uid() AND role = 'admin') THEN
+        RAISE EXCEPTION 'Only admins can manage tournaments'
+            USING ERRCODE = 'insufficient_privilege';
+    END IF;
+
+    IF p_tournament_id IS NULL THEN
+        INSERT INTO public.tournaments (name, description, start_date, end_date, scoring_rule, created_by)
+        VALUES (
+            p_fields ->> 'name',
+            p_fields ->> 'description',
+            (p_fields ->> 'start_date')::date,
+            (p_fields ->> 'end_date')::date,
+            COALESCE(p_fields ->> 'scoring_rule', 'brier'),
+            auth.uid()
+        )
+        RETURNING * INTO saved;
+    ELSE
+        UPDATE public.tournaments
+        SET name = p_fields ->> 'name',
+            description = p_fields ->> 'description',
+            start_date = (p_fields ->> 'start_date')::date,
+            end_date = (p_fields ->> 'end_date')::date,
+            scoring_rule = COALESCE(p_fields ->> 'scoring_rule', scoring_rule)
+        WHERE id = p_tournament_id
+        RETURNING * INTO saved;
+
+        IF saved.id IS NULL THEN
+            RAISE EXCEPTION 'Tournament not found';
+        END IF;
+    END IF;
+
+    DELETE FROM public.tournament_questions
+    WHERE tournament_id = saved.id AND question_id <> ALL(COALESCE(p_question_ids, '{}'));
+    INSERT INTO public.tournament_questions (tournament_id, question_id)
+    SELECT DISTINCT saved.id, q FROM unnest(p_question_ids) AS q
+    ON CONFLICT DO NOTHING;
+
+    DELETE FROM public.tournament_participants
+    WHERE tournament_id = saved.id AND user_id <> ALL(COALESCE(p_participant_ids, '{}'));
+    INSERT INTO public.tournament_participants (tournament_id, user_id)
+    SELECT DISTINCT saved.id, u FROM unnest(p_participant_ids) AS u
+    ON CONFLICT DO NOTHING;
+
+    RETURN saved;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.save_tournament(uuid, jsonb, uuid[], uuid[]) TO authenticated;
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,292 @@
+-- Teams (desks such as rates, FX and macro) and team scores. A forecaster
+-- belongs to at most one team. A team scores a resolved question either as
+-- the average of its members' scores, or by scoring the team's own
+-- aggregated forecast: the recency-weighted median of its members, exactly
+-- like the crowd in 005 but over the members only (crowd_forecast_at with
+-- `members`, from 014). Teams can also keep their members' forecasts to
+-- themselves until the question closes.
+-- See src/utils/teamScores.js.
+
+CREATE TABLE IF NOT EXISTS public.teams (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    name text NOT NULL UNIQUE CHECK (btrim(name) <> ''),
+    description text,
+    private_forecasts boolean NOT NULL DEFAULT false,
+    created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.team_members (
+    user_id uuid PRIMARY KEY REFERENCES public.users(id) ON DELETE CASCADE,
+    team_id uuid NOT NULL REFERENCES public.teams(id) ON DELETE CASCADE,
+    joined_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS team_members_team_idx ON public.team_members(team_id);
+
+-- Scores of each team's aggregated forecast, written only by
+-- recompute_team_scores below. Member-average scores are not stored; they
+-- come straight from `question_scores`.
+CREATE TABLE IF NOT EXISTS public.team_question_scores (
+    question_id uuid NOT NULL REFERENCES public.questions(id) ON DELETE CASCADE,
+    team_id uuid NOT NULL REFERENCES public.teams(id) ON DELETE CASCADE,
+    rule text NOT NULL,
+    score double precision NOT NULL,
+    computed_at timestamptz NOT NULL DEFAULT now(),
+    PRIMARY KEY (question_id, team_id, rule)
+);
+
+ALTER TABLE public.teams ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.team_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.team_question_scores ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can read teams" ON public.teams;
+CREATE POLICY "Users can read teams" ON public.teams
+    FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Admins can manage teams" ON public.teams;
+CREATE POLICY "Admins can manage teams" ON public.teams
+    FOR ALL USING (
+        EXISTS (SELECT 1 FROM public.users WHERE id = auth.uid() AND role = 'admin')
+    ) WITH CHECK (
+        EXISTS (SELECT 1 FROM public.users WHERE id = auth.uid() AND role = 'admin')
+    );
+
+DROP POLICY IF EXISTS "Users can read team members" ON public.team_members;
+CREATE POLICY "Users can read team members" ON public.team_members
+    FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Admins can manage team members" ON public.team_members;
+CREATE POLICY "Admins can manage team members" ON public.team_members
+    FOR ALL USING (
+        EXISTS (SELECT 1 FROM public.users WHERE id = auth.uid() AND role = 'admin')
+    ) WITH CHECK (
+        EXISTS (SELECT 1 FROM public.users WHERE id = auth.uid() AND role = 'admin')
+    );
+
+DROP POLICY IF EXISTS "Users can read team scores" ON public.team_question_scores;
+CREATE POLICY "Users can read team scores" ON public.team_question_scores
+    FOR SELECT USING (true);
+
+-- Rebuilds the team forecast scores for one question under every rule. Like
+-- the crowd in recompute_question_scores, the team forecast is rebuilt at
+-- every member revision and weighted by the days it stood. Uses the current
+-- membership, so moving someone between teams rescores both.
+CREATE OR REPLACE FUNCTION public.recompute_team_scores(p_question_id uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    q public.questions;
+    resolution_at timestamptz;
+    rules text[] := ARRAY['brier', 'log', 'spherical', 'relative-crowd', 'relative-uniform'];
+BEGIN
+    DELETE FROM public.team_question_scores WHERE question_id = p_question_id;
+
+    SELECT * INTO q FROM public.questions WHERE id = p_question_id;
+    IF NOT FOUND OR NOT public.is_scorable(q) THEN
+        RETURN;
+    END IF;
+
+    resolution_at := COALESCE(q.resolved_date, q.close_date, now()::date)::timestamp AT TIME ZONE 'UTC';
+
+    INSERT INTO public.team_question_scores(question_id, team_id, rule, score)
+    SELECT q.id, c.team_id, rule,
+           sum(public.score_forecast(c.forecast, q, rule, c.crowd) * c.days) / sum(c.days)
+    FROM (
+        SELECT t.team_id,
+               public.crowd_forecast_at(q, t.created_at, t.members) AS forecast,
+               public.crowd_forecast_at(q, t.created_at) AS crowd,
+               GREATEST(1, floor(extract(epoch FROM (COALESCE(t.next_at, resolution_at) - t.created_at)) / 86400) + 1) AS days
+        FROM (
+            SELECT times.team_id, times.members, times.created_at,
+                   lead(times.created_at) OVER (PARTITION BY times.team_id ORDER BY times.created_at) AS next_at
+            FROM (
+                SELECT DISTINCT tm.team_id, tm.members, r.created_at
+                FROM public.forecast_revisions r
+                JOIN (
+                    SELECT m.team_id, array_agg(m.user_id) AS members
+                    FROM public.team_members m
+                    GROUP BY m.team_id
+                ) tm ON r.user_id = ANY(tm.members)
+                WHERE r.question_id = q.id
+            ) times
+        ) t
+    ) c
+    CROSS JOIN unnest(rules) AS rule
+    GROUP BY c.team_id, rule;
+END;
+$$;
+
+-- Only the triggers below rescore
+REVOKE EXECUTE ON FUNCTION public.recompute_team_scores(uuid) FROM PUBLIC, anon, authenticated;
+
+CREATE OR REPLACE FUNCTION public.on_question_resolution_changed_teams()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF TG_OP = 'INSERT'
+        OR NEW.is_resolved IS DISTINCT FROM OLD.is_resolved
+        OR NEW.resolution IS DISTINCT FROM OLD.resolution
+        OR NEW.resolved_date IS DISTINCT FROM OLD.resolved_date THEN
+        PERFORM public.recompute_team_scores(NEW.id);
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_question_resolution_changed_teams ON public.questions;
+CREATE TRIGGER on_question_resolution_changed_teams
+    AFTER INSERT OR UPDATE ON public.questions
+    FOR EACH ROW EXECUTE FUNCTION public.on_question_resolution_changed_teams();
+
+CREATE OR REPLACE FUNCTION public.on_resolved_revision_written_teams()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM public.questions WHERE id = NEW.question_id AND is_resolved) THEN
+        PERFORM public.recompute_team_scores(NEW.question_id);
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_resolved_revision_written_teams ON public.forecast_revisions;
+CREATE TRIGGER on_resolved_revision_written_teams
+    AFTER INSERT ON public.forecast_revisions
+    FOR EACH ROW EXECUTE FUNCTION public.on_resolved_revision_written_teams();
+
+-- A member joining or leaving only changes the team forecast on the resolved
+-- questions they forecast, so only those are rescored
+CREATE OR REPLACE FUNCTION public.on_team_membership_changed()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    affected uuid[] := ARRAY[]::uuid[];
+BEGIN
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        affected := affected || NEW.user_id;
+    END IF;
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        affected := affected || OLD.user_id;
+    END IF;
+
+    PERFORM public.recompute_team_scores(q.id)
+    FROM public.questions q
+    WHERE q.is_resolved AND EXISTS (
+        SELECT 1 FROM public.forecast_revisions r
+        WHERE r.question_id = q.id AND r.user_id = ANY(affected)
+    );
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_team_membership_changed ON public.team_members;
+CREATE TRIGGER on_team_membership_changed
+    AFTER INSERT OR UPDATE OR DELETE ON public.team_members
+    FOR EACH ROW EXECUTE FUNCTION public.on_team_membership_changed();
+
+-- Each team's score on every resolved question it took part in, under a
+-- scoring rule (the platform default when NULL). p_method 'members' averages
+-- the members' own scores; 'forecast' scores the team's aggregated forecast.
+-- Ranking and trends are built from these rows in the browser.
+CREATE OR REPLACE FUNCTION public.get_team_scores(
+    p_rule text DEFAULT NULL,
+    p_method text DEFAULT 'members'
+)
+RETURNS TABLE (
+    team_id uuid,
+    question_id uuid,
+    resolved_date date,
+    score double precision,
+    forecasters integer
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_rule text;
+BEGIN
+    SELECT COALESCE(p_rule, (SELECT value #>> '{}' FROM public.app_settings WHERE key = 'default_scoring_rule'), 'brier')
+    INTO v_rule;
+
+    IF p_method = 'forecast' THEN
+        RETURN QUERY
+        SELECT ts.team_id, ts.question_id, COALESCE(q.resolved_date, q.close_date), ts.score,
+               (SELECT count(DISTINCT r.user_id)
+                FROM public.forecast_revisions r
+                JOIN public.team_members m ON m.user_id = r.user_id
+                WHERE m.team_id = ts.team_id AND r.question_id = ts.question_id)::integer
+        FROM public.team_question_scores ts
+        JOIN public.questions q ON q.id = ts.question_id
+        WHERE ts.rule = v_rule AND q.is_resolved;
+    ELSIF p_method = 'members' THEN
+        RETURN QUERY
+        SELECT m.team_id, s.question_id, COALESCE(q.resolved_date, q.close_date), avg(s.score), count(*)::integer
+        FROM public.question_scores s
+        JOIN public.team_members m ON m.user_id = s.user_id
+        JOIN public.questions q ON q.id = s.question_id
+        WHERE s.kind = 'user' AND s.rule = v_rule AND q.is_resolved
+        GROUP BY m.team_id, s.question_id, q.resolved_date, q.close_date;
+    ELSE
+        RAISE EXCEPTION 'Unknown team scoring method %', p_method;
+    END IF;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_team_scores(text, text) TO authenticated;
+
+-- Whether the caller may see a forecast by `p_owner` on a question. Members
+-- of a team with private forecasts are only visible to themselves, their
+-- teammates and admins until the question closes.
+CREATE OR REPLACE FUNCTION public.team_forecast_visible(p_owner uuid, p_question_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT p_owner = auth.uid()
+        OR NOT EXISTS (
+            SELECT 1 FROM public.team_members m
+            JOIN public.teams t ON t.id = m.team_id
+            WHERE m.user_id = p_owner AND t.private_forecasts
+        )
+        OR EXISTS (
+            SELECT 1 FROM public.team_members mine
+            JOIN public.team_members theirs ON theirs.team_id = mine.team_id
+            WHERE mine.user_id = auth.uid() AND theirs.user_id = p_owner
+        )
+        OR EXISTS (
+            SELECT 1 FROM public.questions q
+            WHERE q.id = p_question_id AND q.status IN ('closed', 'resolved', 'annulled')
+        )
+        OR EXISTS (SELECT 1 FROM public.users WHERE id = auth.uid() AND role = 'admin');
+$$;
+
+-- Restrictive, so they narrow whatever the other read policies allow
+DROP POLICY IF EXISTS "Private team forecasts stay in the team" ON public.forecasts;
+CREATE POLICY "Private team forecasts stay in the team" ON public.forecasts
+    AS RESTRICTIVE FOR SELECT USING (public.team_forecast_visible(user_id, question_id));
+
+DROP POLICY IF EXISTS "Private team revisions stay in the team" ON public.forecast_revisions;
+CREATE POLICY "Private team revisions stay in the team" ON public.forecast_revisions
+    AS RESTRICTIVE FOR SELECT USING (public.team_forecast_visible(user_id, question_id));
+
+DROP POLICY IF EXISTS "Private team rationales stay in the team" ON public.forecast_rationales;
+CREATE POLICY "Private team rationales stay in the team" ON public.forecast_rationales
+    AS RESTRICTIVE FOR SELECT USING (public.team_forecast_visible(user_id, question_id));
+
+NOTIFY pgrst, 'reload schema';
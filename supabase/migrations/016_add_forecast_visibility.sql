@@ -0,0 +1,106 @@
+-- Forecast visibility, so forecasters do not herd on each other's numbers
+-- while a question is open. Each question can pick a mode, or leave it NULL
+-- to follow the platform-wide `forecast_visibility` setting:
+--   always          everyone sees every forecast
+--   after-forecast  you see others' forecasts and the crowd once you have
+--                   forecast yourself
+--   after-close     nobody sees others' forecasts or the crowd until close
+--   aggregate-only  everyone sees the crowd forecast (get_question_aggregates)
+--                   but not the individual forecasts until close
+-- Your own forecasts, closed questions and admins are never restricted. The
+-- platform default is 'always', so existing questions stay as they were
+-- until an admin opts in. The rules are enforced by restrictive read
+-- policies below, on top of the existing ones, so rationales still need a
+-- forecast of your own first (012) whatever the mode; the React client
+-- mirrors them in src/utils/forecastVisibility.js only to explain what is
+-- hidden.
+
+ALTER TABLE public.questions
+    ADD COLUMN IF NOT EXISTS forecast_visibility text
+    CHECK (forecast_visibility IN ('always', 'after-forecast', 'after-close', 'aggregate-only'));
+
+INSERT INTO public.app_settings(key, value)
+VALUES ('forecast_visibility', '"always"'::jsonb)
+ON CONFLICT (key) DO NOTHING;
+
+-- What the caller may see of other people's forecasts on a question: 'all',
+-- 'aggregate' (the crowd forecast only) or 'none'
+CREATE OR REPLACE FUNCTION public.forecast_visibility_for(p_question_id uuid)
+RETURNS text
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT CASE
+        WHEN EXISTS (SELECT 1 FROM public.users WHERE id = auth.uid() AND role = 'admin') THEN 'all'
+        WHEN q.status IN ('draft', 'scheduled') THEN 'none'
+        WHEN q.status IN ('closed', 'resolved', 'annulled') THEN 'all'
+        ELSE CASE COALESCE(
+                q.forecast_visibility,
+                (SELECT value #>> '{}' FROM public.app_settings WHERE key = 'forecast_visibility'),
+                'always'
+            )
+            WHEN 'always' THEN 'all'
+            WHEN 'after-forecast' THEN
+                CASE WHEN EXISTS (
+                    SELECT 1 FROM public.forecasts f
+                    WHERE f.question_id = q.id AND f.user_id = auth.uid()
+                ) THEN 'all' ELSE 'none' END
+            WHEN 'aggregate-only' THEN 'aggregate'
+            ELSE 'none'
+        END
+    END
+    FROM public.questions q
+    WHERE q.id = p_question_id;
+$$;
+
+-- Restrictive, so they narrow "Users can read all forecasts" and the other
+-- read policies rather than widening them
+DROP POLICY IF EXISTS "Forecasts follow question visibility" ON public.forecasts;
+CREATE POLICY "Forecasts follow question visibility" ON public.forecasts
+    AS RESTRICTIVE FOR SELECT USING (
+        user_id = auth.uid() OR public.forecast_visibility_for(question_id) = 'all'
+    );
+
+DROP POLICY IF EXISTS "Revisions follow question visibility" ON public.forecast_revisions;
+CREATE POLICY "Revisions follow question visibility" ON public.forecast_revisions
+    AS RESTRICTIVE FOR SELECT USING (
+        user_id = auth.uid() OR public.forecast_visibility_for(question_id) = 'all'
+    );
+
+DROP POLICY IF EXISTS "Rationales follow question visibility" ON public.forecast_rationales;
+CREATE POLICY "Rationales follow question visibility" ON public.forecast_rationales
+    AS RESTRICTIVE FOR SELECT USING (
+        user_id = auth.uid() OR public.forecast_visibility_for(question_id) = 'all'
+    );
+
+-- The current crowd forecast (recency-weighted median, as in 005) and the
+-- number of forecasters on each of the given questions whose crowd the
+-- caller may see. Questions nobody has forecast are left out.
+CREATE OR REPLACE FUNCTION public.get_question_aggregates(p_question_ids uuid[])
+RETURNS TABLE (
+    question_id uuid,
+    forecast jsonb,
+    forecasters integer
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    RETURN QUERY
+    SELECT q.id,
+           public.crowd_forecast_at(q, now()),
+           (SELECT count(*) FROM public.forecasts f WHERE f.question_id = q.id)::integer
+    FROM public.questions q
+    WHERE q.id = ANY(p_question_ids)
+      AND public.forecast_visibility_for(q.id) IN ('all', 'aggregate')
+      AND EXISTS (SELECT 1 FROM public.forecasts f WHERE f.question_id = q.id);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_question_aggregates(uuid[]) TO authenticated;
+
+NOTIFY pgrst, 'reload schema';
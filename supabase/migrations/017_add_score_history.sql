@@ -0,0 +1,105 @@
+-- Time series for the dashboard and forecast charts: a forecaster's
+-- cumulative score and rank as questions resolve, and the crowd forecast's
+-- path on a question. See src/utils/scoreHistory.js.
+
+-- One row per resolved question the forecaster was scored on, oldest first,
+-- with their cumulative average score once it resolved and their rank by
+-- cumulative score among everyone scored by then. Optionally scoped to a
+-- tournament like get_leaderboard, whose scoring rule and dates then apply
+-- (tournament_question_scores, 014). Ranks count every scored forecaster,
+-- so early on they can differ from the leaderboard, which only ranks those
+-- past min_resolved_questions.
+CREATE OR REPLACE FUNCTION public.get_score_history(
+    p_user_id uuid,
+    p_rule text DEFAULT NULL,
+    p_tournament_id uuid DEFAULT NULL
+)
+RETURNS TABLE (
+    resolved_date date,
+    question_id uuid,
+    score double precision,
+    cumulative_score double precision,
+    rank integer,
+    ranked_forecasters integer
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    WITH settings AS (
+        SELECT COALESCE(
+            (SELECT t.scoring_rule FROM public.tournaments t WHERE t.id = p_tournament_id),
+            p_rule,
+            (SELECT value #>> '{}' FROM public.app_settings WHERE key = 'default_scoring_rule'),
+            'brier'
+        ) AS rule
+    ),
+    scored AS (
+        SELECT s.user_id, s.question_id, s.score, COALESCE(q.resolved_date, q.close_date) AS on_date
+        FROM public.question_scores s
+        JOIN public.questions q ON q.id = s.question_id
+        CROSS JOIN settings
+        WHERE p_tournament_id IS NULL AND s.kind = 'user' AND s.rule = settings.rule AND q.is_resolved
+        UNION ALL
+        SELECT ts.user_id, ts.question_id, ts.score, COALESCE(q.resolved_date, q.close_date)
+        FROM public.tournament_question_scores(p_tournament_id) ts
+        JOIN public.questions q ON q.id = ts.question_id
+        WHERE p_tournament_id IS NOT NULL AND ts.kind = 'user'
+    ),
+    dates AS (
+        SELECT DISTINCT on_date FROM scored WHERE user_id = p_user_id
+    ),
+    standings AS (
+        SELECT d.on_date, sc.user_id, avg(sc.score) AS cumulative
+        FROM dates d
+        JOIN scored sc ON sc.on_date <= d.on_date
+        GROUP BY d.on_date, sc.user_id
+    ),
+    ranked AS (
+        SELECT st.*,
+               rank() OVER (
+                   PARTITION BY st.on_date
+                   ORDER BY CASE WHEN settings.rule = 'spherical' THEN -1 ELSE 1 END * st.cumulative
+               ) AS position,
+               count(*) OVER (PARTITION BY st.on_date) AS total
+        FROM standings st
+        CROSS JOIN settings
+    )
+    SELECT sc.on_date, sc.question_id, sc.score, r.cumulative, r.position::integer, r.total::integer
+    FROM scored sc
+    JOIN ranked r ON r.on_date = sc.on_date AND r.user_id = sc.user_id
+    WHERE sc.user_id = p_user_id
+    ORDER BY sc.on_date, sc.question_id;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_score_history(uuid, text, uuid) TO authenticated;
+
+-- The crowd forecast (recency-weighted median, as in 005) after every
+-- submission on a question, oldest first. Empty while forecast visibility
+-- (016) hides the crowd from the caller.
+CREATE OR REPLACE FUNCTION public.get_crowd_history(p_question_id uuid)
+RETURNS TABLE (
+    created_at timestamptz,
+    forecast jsonb
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT t.created_at, public.crowd_forecast_at(q, t.created_at)
+    FROM public.questions q
+    CROSS JOIN (
+        SELECT DISTINCT r.created_at
+        FROM public.forecast_revisions r
+        WHERE r.question_id = p_question_id
+    ) t
+    WHERE q.id = p_question_id
+      AND public.forecast_visibility_for(q.id) IN ('all', 'aggregate')
+    ORDER BY t.created_at;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_crowd_history(uuid) TO authenticated;
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,30 @@
+-- Cache for the `news-feed` edge function (supabase/functions/news-feed),
+-- which holds the news provider keys and calls the providers server-side.
+-- Articles are stored per query: `query_key` hashes the search keywords and
+-- look-back window, so every query keeps its own normalized, deduplicated
+-- result set until it goes stale.
+
+CREATE TABLE IF NOT EXISTS public.news_articles (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    query_key text NOT NULL,
+    url text NOT NULL,
+    title text NOT NULL,
+    description text,
+    source text NOT NULL,
+    provider text NOT NULL,
+    published_at timestamptz,
+    fetched_at timestamptz NOT NULL DEFAULT now(),
+    UNIQUE (query_key, url)
+);
+
+CREATE INDEX IF NOT EXISTS news_articles_query_idx
+    ON public.news_articles(query_key, fetched_at);
+
+ALTER TABLE public.news_articles ENABLE ROW LEVEL SECURITY;
+
+-- Only the edge function writes, with the service role
+DROP POLICY IF EXISTS "Users can read news articles" ON public.news_articles;
+CREATE POLICY "Users can read news articles" ON public.news_articles
+    FOR SELECT USING (auth.role() = 'authenticated');
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,60 @@
+-- Articles pinned to or dismissed from a question's "Related news" panel.
+-- Each row keeps a copy of the article, so a pinned story stays on the
+-- question after it drops out of the news feed. Pins and dismissals are
+-- private to the user who made them, except pins an admin shares, which
+-- everyone sees.
+
+CREATE TABLE IF NOT EXISTS public.question_news (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    question_id uuid NOT NULL REFERENCES public.questions(id) ON DELETE CASCADE,
+    user_id uuid NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    url text NOT NULL,
+    title text NOT NULL,
+    source text,
+    published_at timestamptz,
+    action text NOT NULL CHECK (action IN ('pin', 'dismiss')),
+    shared boolean NOT NULL DEFAULT false CHECK (NOT shared OR action = 'pin'),
+    created_at timestamptz NOT NULL DEFAULT now(),
+    UNIQUE (question_id, user_id, url)
+);
+
+CREATE INDEX IF NOT EXISTS question_news_question_idx
+    ON public.question_news(question_id);
+
+ALTER TABLE public.question_news ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can read their own and shared news" ON public.question_news;
+CREATE POLICY "Users can read their own and shared news" ON public.question_news
+    FOR SELECT USING (user_id = auth.uid() OR shared);
+
+-- Only admins may share a pin
+DROP POLICY IF EXISTS "Users can pin and dismiss news" ON public.question_news;
+CREATE POLICY "Users can pin and dismiss news" ON public.question_news
+    FOR INSERT WITH CHECK (
+        user_id = auth.uid()
+        AND (
+            NOT shared
+            OR EXISTS (SELECT 1 FROM public.users WHERE id = auth.uid() AND role = 'admin')
+        )
+    );
+
+DROP POLICY IF EXISTS "Users can change their news marks" ON public.question_news;
+CREATE POLICY "Users can change their news marks" ON public.question_news
+    FOR UPDATE USING (user_id = auth.uid())
+    WITH CHECK (
+        user_id = auth.uid()
+        AND (
+            NOT shared
+            OR EXISTS (SELECT 1 FROM public.users WHERE id = auth.uid() AND role = 'admin')
+        )
+    );
+
+-- Admins may also remove each other's shared pins
+DROP POLICY IF EXISTS "Users and admins can remove news marks" ON public.question_news;
+CREATE POLICY "Users and admins can remove news marks" ON public.question_news
+    FOR DELETE USING (
+        user_id = auth.uid()
+        OR EXISTS (SELECT 1 FROM public.users WHERE id = auth.uid() AND role = 'admin')
+    );
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,37 @@
+-- RSS and Atom feeds the `news-feed` edge function reads alongside the keyed
+-- news APIs. Admins add, edit and switch feeds on and off from the Admin
+-- panel; the function only reads enabled ones. Seeded with the central bank
+-- and statistics agency feeds the forecasters watch.
+
+CREATE TABLE IF NOT EXISTS public.news_sources (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    name text NOT NULL CHECK (btrim(name) <> ''),
+    url text NOT NULL UNIQUE CHECK (url ~* '^https?://'),
+    enabled boolean NOT NULL DEFAULT true,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE public.news_sources ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can read news sources" ON public.news_sources;
+CREATE POLICY "Users can read news sources" ON public.news_sources
+    FOR SELECT USING (auth.role() = 'authenticated');
+
+DROP POLICY IF EXISTS "Admins can manage news sources" ON public.news_sources;
+CREATE POLICY "Admins can manage news sources" ON public.news_sources
+    FOR ALL USING (
+        EXISTS (SELECT 1 FROM public.users WHERE id = auth.uid() AND role = 'admin')
+    ) WITH CHECK (
+        EXISTS (SELECT 1 FROM public.users WHERE id = auth.uid() AND role = 'admin')
+    );
+
+INSERT INTO public.news_sources (name, url) VALUES
+    ('Federal Reserve press releases', 'https://www.federalreserve.gov/feeds/press_all.xml'),
+    ('BLS latest releases', 'https://www.bls.gov/feed/bls_latest.rss'),
+    ('BEA news releases', 'https://apps.bea.gov/rss/rss.xml'),
+    ('ECB press releases', 'https://www.ecb.europa.eu/rss/press.html'),
+    ('Bank of England news', 'https://www.bankofengland.co.uk/rss/news')
+ON CONFLICT (url) DO NOTHING;
+
+NOTIFY pgrst, 'reload schema';
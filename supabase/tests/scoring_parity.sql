@@ -0,0 +1,56 @@
+-- Checks score_forecast(), weighted_median() and is_scorable() against the
+-- cases in scoring_cases.json, which src/utils/scoringParity.test.js also
+-- runs against the browser's scoring code. Run from the repository root
+-- against a database with the migrations applied, e.g. the local Supabase
+-- stack:
+--
+--   psql "$DATABASE_URL" -f supabase/tests/scoring_parity.sql
+--
+-- Raises on the first mismatch; nothing is written.
+\set ON_ERROR_STOP on
+\set cases `cat supabase/tests/scoring_cases.json`
+
+BEGIN;
+
+CREATE TEMP TABLE parity_cases ON COMMIT DROP AS
+SELECT :'cases'::jsonb AS cases;
+
+DO $$
+DECLARE
+    c jsonb;
+    q public.questions;
+    actual double precision;
+    scorable boolean;
+BEGIN
+    FOR c IN SELECT jsonb_array_elements(cases -> 'weightedMedians') FROM parity_cases LOOP
+        actual := public.weighted_median(
+            ARRAY(SELECT v::double precision FROM jsonb_array_elements_text(c -> 'values') AS v),
+            ARRAY(SELECT w::double precision FROM jsonb_array_elements_text(c -> 'weights') AS w)
+        );
+        IF abs(actual - (c ->> 'expected')::double precision) > 1e-9 THEN
+            RAISE EXCEPTION 'weighted_median "%": expected %, got %', c ->> 'name', c ->> 'expected', actual;
+        END IF;
+    END LOOP;
+
+    FOR c IN SELECT jsonb_array_elements(cases -> 'scores') FROM parity_cases LOOP
+        q := jsonb_populate_record(NULL::public.questions, c -> 'question');
+        actual := public.score_forecast(c -> 'forecast', q, c ->> 'rule', c -> 'crowd');
+        IF (actual IS NULL) <> (c ->> 'expected' IS NULL)
+            OR abs(actual - (c ->> 'expected')::double precision) > 1e-9 THEN
+            RAISE EXCEPTION 'score_forecast "%": expected %, got %', c ->> 'name', c ->> 'expected', actual;
+        END IF;
+    END LOOP;
+
+    FOR c IN SELECT jsonb_array_elements(cases -> 'scorable') FROM parity_cases LOOP
+        q := jsonb_populate_record(NULL::public.questions, c -> 'question');
+        scorable := public.is_scorable(q);
+        IF scorable <> (c -> 'expected')::boolean THEN
+            RAISE EXCEPTION 'is_scorable "%": expected %, got %', c ->> 'name', c -> 'expected', scorable;
+        END IF;
+    END LOOP;
+
+    RAISE NOTICE 'Scoring parity cases passed';
+END;
+$$;
+
+ROLLBACK;